@@ -1,155 +1,659 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-contract PrivateFeedback {
-    uint256 private serviceIdCounter = 1;
+import "./PrivateFeedbackBase.sol";
+import "./interfaces/IERC20.sol";
+import "./interfaces/IPrivateFeedbackModule.sol";
 
-    struct Service {
-        uint256 metadata_p1;
-        uint256 metadata_p2;
-        address owner;
+// The contract users, services and tools call. Functions it doesn't
+// implement, e.g. the migration functions, live in modules deployed with it,
+// see the fallback, so that it stays within the 24 KB contract size limit.
+contract PrivateFeedback is PrivateFeedbackBase {
+    // The domain separator is cached for the chain the contract was deployed
+    // on, and recomputed on any other chain, e.g. after a fork, so that
+    // signatures for one chain can't be replayed on the other
+    uint256 private immutable CACHED_CHAIN_ID;
+    bytes32 private immutable CACHED_DOMAIN_SEPARATOR;
+
+    // Rewards move assets in and out of the contract, and tokens can call
+    // back into it while they do
+    modifier nonReentrant() {
+        require(!locked, "Reentrant call");
+        locked = true;
+        _;
+        locked = false;
     }
 
-    mapping(uint256 => Service) private services;
-    mapping(uint256 => bytes32[]) private serviceInteractions;
-    mapping(bytes32 => address) private interactionsToUsers;
-    mapping(bytes32 => uint256[2]) private feedback;
+    // Routes the selectors each of _modules lists to it. A module function
+    // with the selector of one of this contract's would never be reached,
+    // since the fallback only gets the calls this contract doesn't dispatch.
+    // Only deployments that will import a previous one's state are made with
+    // _importing, see importFinished.
+    constructor(address[] memory _modules, bool _importing) {
+        CACHED_CHAIN_ID = _chainId();
+        CACHED_DOMAIN_SEPARATOR = _buildDomainSeparator();
+        migrator = msg.sender;
+        arbiter = msg.sender;
+        importFinished = !_importing;
 
-    event ServiceRegistered(address indexed owner, uint256 serviceId);
+        bytes4[67] memory own = _ownSelectors();
+        for (uint256 i = 0; i < _modules.length; i++) {
+            bytes4[] memory selectors = IPrivateFeedbackModule(_modules[i])
+                .moduleSelectors();
+            for (uint256 j = 0; j < selectors.length; j++) {
+                for (uint256 k = 0; k < own.length; k++) {
+                    require(selectors[j] != own[k], "Module function clashes");
+                }
+                require(
+                    modules[selectors[j]] == address(0),
+                    "Duplicate module function"
+                );
+                modules[selectors[j]] = _modules[i];
+            }
+        }
+    }
 
-    // EIP-712 domain separator
-    bytes32 private constant DOMAIN_TYPEHASH =
-        keccak256(
-            abi.encodePacked(
-                "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
-            )
-        );
-    bytes32 private constant INTERACTION_TYPEHASH =
-        keccak256(
-            abi.encodePacked(
-                "Interaction(address user,uint256 serviceId,uint256 timestamp)"
-            )
-        );
-    bytes32 private constant FEEDBACK_TYPEHASH =
-        keccak256(
-            abi.encodePacked(
-                "Feedback(address user,uint256 serviceId,uint256 timestamp,uint256 feedback_p1,uint256 feedback_p2)"
-            )
-        );
-    bytes32 private DOMAIN_SEPARATOR;
+    // Runs a module's function on this contract's state, with the same
+    // msg.sender, and returns or reverts with what it does
+    fallback() external {
+        address module = modules[msg.sig];
+        require(module != address(0), "Unknown function");
 
-    constructor() {
-        DOMAIN_SEPARATOR = keccak256(
-            abi.encode(
-                DOMAIN_TYPEHASH,
-                keccak256(abi.encodePacked("PrivateFeedback")), // Contract Name
-                keccak256(abi.encodePacked("1")), // Version
-                block.chainid, // Chain ID
-                address(this) // Verifying contract address
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(
+                gas(),
+                module,
+                0,
+                calldatasize(),
+                0,
+                0
             )
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
+    }
+
+    // The EIP-712 domain, as described by EIP-5267, so that clients don't
+    // need to hardcode it. Only the name, version, chain id and verifying
+    // contract are used.
+    function eip712Domain()
+        external
+        view
+        returns (
+            bytes1 fields,
+            string memory name,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        )
+    {
+        return (
+            hex"0f",
+            DOMAIN_NAME,
+            DOMAIN_VERSION,
+            _chainId(),
+            address(this),
+            bytes32(0),
+            new uint256[](0)
         );
     }
 
+    // Runs a batch of calls to this contract in one transaction, each with
+    // the sender as msg.sender. Either every call succeeds, or the batch
+    // reverts with the reason of the first call that failed. Batches can't
+    // carry ETH, since every call would see the same msg.value.
+    function multicall(
+        bytes[] calldata _calls
+    ) external returns (bytes[] memory results) {
+        results = new bytes[](_calls.length);
+        for (uint256 i = 0; i < _calls.length; i++) {
+            (bool success, bytes memory result) = address(this).delegatecall(
+                _calls[i]
+            );
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+            results[i] = result;
+        }
+    }
+
+    // Same as multicall, except that a call that fails is skipped: its
+    // changes are undone, a CallFailed event records its position in the
+    // batch and revert data, and the following calls still run.
+    function tryMulticall(
+        bytes[] calldata _calls
+    ) external returns (bool[] memory successes, bytes[] memory results) {
+        successes = new bool[](_calls.length);
+        results = new bytes[](_calls.length);
+        for (uint256 i = 0; i < _calls.length; i++) {
+            (successes[i], results[i]) = address(this).delegatecall(_calls[i]);
+            if (!successes[i]) {
+                emit CallFailed(i, results[i]);
+            }
+        }
+    }
+
     // Register a new service with metadata split into two uint256 values
     function registerService(
         uint256 _metadata_p1,
         uint256 _metadata_p2
     ) external returns (uint256) {
+        _requireImportFinished();
         uint256 currentServiceId = serviceIdCounter++;
         services[currentServiceId] = Service({
             metadata_p1: _metadata_p1,
             metadata_p2: _metadata_p2,
-            owner: msg.sender
+            owner: msg.sender,
+            status: ServiceStatus.Active
         });
+        _addOwnedService(msg.sender, currentServiceId);
 
         emit ServiceRegistered(msg.sender, currentServiceId);
         return currentServiceId;
     }
 
-    // Register an interaction with EIP-712 typed data signature
+    // Replace a service's metadata
+    function updateServiceMetadata(
+        uint256 _serviceId,
+        uint256 _metadata_p1,
+        uint256 _metadata_p2
+    ) external {
+        Service storage service = _manageableService(_serviceId);
+        service.metadata_p1 = _metadata_p1;
+        service.metadata_p2 = _metadata_p2;
+
+        emit ServiceMetadataUpdated(_serviceId);
+    }
+
+    // Offer a service to _newOwner, who becomes its owner by calling
+    // acceptServiceOwnership. The current owner keeps it until then, and
+    // cancels the offer by making another one, or one to address(0).
+    function transferServiceOwnership(
+        uint256 _serviceId,
+        address _newOwner
+    ) external {
+        _ownedService(_serviceId);
+        pendingOwners[_serviceId] = _newOwner;
+
+        emit ServiceOwnershipTransferStarted(
+            _serviceId,
+            msg.sender,
+            _newOwner
+        );
+    }
+
+    // Take over a service offered to the caller. The service's roles and
+    // settings are kept.
+    function acceptServiceOwnership(uint256 _serviceId) external {
+        require(
+            pendingOwners[_serviceId] == msg.sender &&
+                msg.sender != address(0),
+            "Not the pending owner"
+        );
+        Service storage service = services[_serviceId];
+        require(service.status != ServiceStatus.Closed, "Service closed");
+
+        address previousOwner = service.owner;
+        _removeOwnedService(previousOwner, _serviceId);
+        _addOwnedService(msg.sender, _serviceId);
+        service.owner = msg.sender;
+        delete pendingOwners[_serviceId];
+
+        emit ServiceOwnershipTransferred(
+            _serviceId,
+            previousOwner,
+            msg.sender
+        );
+    }
+
+    // Stop accepting interactions and feedback until resumeService
+    function pauseService(uint256 _serviceId) external {
+        Service storage service = _manageableService(_serviceId);
+        require(
+            service.status == ServiceStatus.Active,
+            "Service not active"
+        );
+        service.status = ServiceStatus.Paused;
+
+        emit ServicePaused(_serviceId);
+    }
+
+    function resumeService(uint256 _serviceId) external {
+        Service storage service = _manageableService(_serviceId);
+        require(
+            service.status == ServiceStatus.Paused,
+            "Service not paused"
+        );
+        service.status = ServiceStatus.Active;
+
+        emit ServiceResumed(_serviceId);
+    }
+
+    // Stop accepting interactions and feedback for good. The service's
+    // feedback, stats and rewards stay available, but it can't be changed or
+    // transferred anymore.
+    function closeService(uint256 _serviceId) external {
+        Service storage service = _ownedService(_serviceId);
+        service.status = ServiceStatus.Closed;
+        delete pendingOwners[_serviceId];
+
+        emit ServiceClosed(_serviceId);
+    }
+
+    function getServiceOwner(
+        uint256 _serviceId
+    ) external view returns (address) {
+        return services[_serviceId].owner;
+    }
+
+    function getPendingServiceOwner(
+        uint256 _serviceId
+    ) external view returns (address) {
+        return pendingOwners[_serviceId];
+    }
+
+    function getServiceStatus(
+        uint256 _serviceId
+    ) external view returns (ServiceStatus) {
+        return services[_serviceId].status;
+    }
+
+    // Grant one of a service's roles to an account. Only the owner manages
+    // admins, and admins manage the other roles.
+    function grantRole(
+        uint256 _serviceId,
+        Role _role,
+        address _account
+    ) external {
+        _setRole(_serviceId, _role, _account, true);
+    }
+
+    function revokeRole(
+        uint256 _serviceId,
+        Role _role,
+        address _account
+    ) external {
+        _setRole(_serviceId, _role, _account, false);
+    }
+
+    // Accounts granted a role of a service, without its owner. Revoking a
+    // role moves the last member into the revoked one's place.
+    function getRoleMembers(
+        uint256 _serviceId,
+        Role _role
+    ) external view returns (address[] memory) {
+        return roleMembers[_serviceId][_role];
+    }
+
+    // Grant or revoke the Attester role
+    function setAttester(
+        uint256 _serviceId,
+        address _attester,
+        bool _authorised
+    ) external {
+        _setRole(_serviceId, Role.Attester, _attester, _authorised);
+    }
+
+    // Whether an address can sign interaction vouchers for a service
+    function isAttester(
+        uint256 _serviceId,
+        address _account
+    ) public view returns (bool) {
+        return hasRole(_serviceId, Role.Attester, _account);
+    }
+
+    // Grant or revoke the Analyst role
+    function setAnalyst(
+        uint256 _serviceId,
+        address _analyst,
+        bool _authorised
+    ) external {
+        _setRole(_serviceId, Role.Analyst, _analyst, _authorised);
+    }
+
+    // Whether an address can read a service's raw feedback
+    function isAnalyst(
+        uint256 _serviceId,
+        address _account
+    ) public view returns (bool) {
+        return hasRole(_serviceId, Role.Analyst, _account);
+    }
+
+    // Register an interaction with EIP-712 typed data signature, backed by a
+    // voucher from the service owner or one of its attesters. Every call
+    // registers a new interaction and returns its index among the caller's
+    // interactions with the service.
     function registerInteraction(
         uint256 _serviceId,
-        uint8 _v,
-        bytes32 _r,
-        bytes32 _s,
-        uint256 _timestamp
+        bytes calldata _signature,
+        uint256 _nonce,
+        uint256 _deadline,
+        InteractionVoucher calldata _voucher
+    ) external returns (uint256) {
+        return
+            _registerInteraction(
+                msg.sender,
+                _serviceId,
+                _signature,
+                _nonce,
+                _deadline,
+                _voucher
+            );
+    }
+
+    // Same as registerInteraction for _user, who signed the interaction, sent
+    // by anyone. Relayers use it to pay the gas on the user's behalf; the
+    // user's nonce and deadline keep them from replaying or holding back the
+    // signature.
+    function registerInteractionFor(
+        address _user,
+        uint256 _serviceId,
+        bytes calldata _signature,
+        uint256 _nonce,
+        uint256 _deadline,
+        InteractionVoucher calldata _voucher
+    ) external returns (uint256) {
+        return
+            _registerInteraction(
+                _user,
+                _serviceId,
+                _signature,
+                _nonce,
+                _deadline,
+                _voucher
+            );
+    }
+
+    // Submit feedback with EIP-712 typed data signature, including feedback metadata.
+    // The two feedback words follow the versioned schema documented in
+    // sdk/README.md; the contract stores them as they are. The feedback is
+    // about the caller's interaction at `_interactionIndex`. Submitting again
+    // edits it, if the service's edit policy allows: the new version replaces
+    // the previous one, which stays in the interaction's history.
+    function submitFeedback(
+        uint256 _serviceId,
+        uint256 _interactionIndex,
+        bytes calldata _signature,
+        uint256 _nonce,
+        uint256 _deadline,
+        uint256 _feedback_p1,
+        uint256 _feedback_p2
     ) external {
+        _submitFeedback(
+            msg.sender,
+            _serviceId,
+            _interactionIndex,
+            _signature,
+            _nonce,
+            _deadline,
+            _feedback_p1,
+            _feedback_p2
+        );
+    }
+
+    // Same as submitFeedback for _user, who signed the feedback, sent by
+    // anyone, like registerInteractionFor
+    function submitFeedbackFor(
+        address _user,
+        uint256 _serviceId,
+        uint256 _interactionIndex,
+        bytes calldata _signature,
+        uint256 _nonce,
+        uint256 _deadline,
+        uint256 _feedback_p1,
+        uint256 _feedback_p2
+    ) external {
+        _submitFeedback(
+            _user,
+            _serviceId,
+            _interactionIndex,
+            _signature,
+            _nonce,
+            _deadline,
+            _feedback_p1,
+            _feedback_p2
+        );
+    }
+
+    function _registerInteraction(
+        address _user,
+        uint256 _serviceId,
+        bytes calldata _signature,
+        uint256 _nonce,
+        uint256 _deadline,
+        InteractionVoucher calldata _voucher
+    ) private returns (uint256) {
         require(
             services[_serviceId].owner != address(0),
             "Service not registered"
         );
+        _requireActive(_serviceId);
+        _requireImportFinished();
 
-        address user = msg.sender;
-        bytes32 interactionId = _getInteractionId(user, _serviceId);
+        uint256 interactionIndex = interactionCounts[_serviceId][_user]++;
+        bytes32 interactionId = _getInteractionId(
+            _user,
+            _serviceId,
+            interactionIndex
+        );
 
+        _useNonce(_user, _nonce, _deadline);
         bytes32 structHash = keccak256(
-            abi.encode(INTERACTION_TYPEHASH, user, _serviceId, _timestamp)
-        );
-        bytes32 digest = keccak256(
-            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)
+            abi.encode(
+                INTERACTION_TYPEHASH,
+                _user,
+                _serviceId,
+                _nonce,
+                _deadline
+            )
         );
         require(
-            _recoverSigner(digest, _v, _r, _s) == user,
+            _isValidSignature(_user, structHash, _signature),
             "Invalid Signature"
         );
+        _useVoucher(_user, _serviceId, _voucher);
 
-        interactionsToUsers[interactionId] = user;
+        interactionsToUsers[interactionId] = _user;
         serviceInteractions[_serviceId].push(interactionId);
+
+        emit InteractionRegistered(
+            _serviceId,
+            serviceInteractions[_serviceId].length
+        );
+        return interactionIndex;
     }
 
-    // Submit feedback with EIP-712 typed data signature, including feedback metadata
-    function submitFeedback(
+    function _submitFeedback(
+        address _user,
         uint256 _serviceId,
-        uint8 _v,
-        bytes32 _r,
-        bytes32 _s,
-        uint256 _timestamp,
+        uint256 _interactionIndex,
+        bytes calldata _signature,
+        uint256 _nonce,
+        uint256 _deadline,
         uint256 _feedback_p1,
         uint256 _feedback_p2
-    ) external {
-        address user = msg.sender;
-        bytes32 interactionId = _getInteractionId(user, _serviceId);
+    ) private {
+        bytes32 interactionId = _getInteractionId(
+            _user,
+            _serviceId,
+            _interactionIndex
+        );
         require(
-            interactionsToUsers[interactionId] == user,
+            interactionsToUsers[interactionId] == _user,
             "Invalid Interaction"
         );
+        require(_feedback_p1 != 0 || _feedback_p2 != 0, "Empty feedback");
+        // Moderated feedback can't be edited, not even once its flag is
+        // overturned, since it isn't flagged again
+        require(
+            feedbackFlags[interactionId].status == FlagStatus.None,
+            "Feedback moderated"
+        );
+        _requireActive(_serviceId);
+        _requireImportFinished();
+
+        _useNonce(_user, _nonce, _deadline);
         bytes32 feedbackHash = keccak256(
             abi.encode(
                 FEEDBACK_TYPEHASH,
-                user,
+                _user,
                 _serviceId,
-                _timestamp,
+                _interactionIndex,
                 _feedback_p1,
-                _feedback_p2
+                _feedback_p2,
+                _nonce,
+                _deadline
             )
         );
-        bytes32 digest = keccak256(
-            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, feedbackHash)
-        );
         require(
-            _recoverSigner(digest, _v, _r, _s) == user,
+            _isValidSignature(_user, feedbackHash, _signature),
             "Invalid Signature"
         );
 
+        bool isUpdate = _addFeedbackVersion(
+            _serviceId,
+            interactionId,
+            _feedback_p1,
+            _feedback_p2
+        );
+        _updateRatingStats(
+            _serviceId,
+            _user,
+            feedback[interactionId][0],
+            _feedback_p1
+        );
         feedback[interactionId] = [_feedback_p1, _feedback_p2];
+        _countStatsUpdate(_serviceId);
+
+        if (isUpdate) {
+            emit FeedbackUpdated(_serviceId);
+        } else {
+            serviceFeedbacks[_serviceId].push(interactionId);
+            emit FeedbackSubmitted(_serviceId);
+            FeedbackRewards.creditCampaignReward(rewards, _serviceId, _user);
+        }
     }
 
-    function getServiceIdsByOwner(address _owner) public view returns (uint[] memory) {
-        uint256 count = 0;
-        for (uint i = 0; i < serviceIdCounter; i++) {
-            if (services[i].owner == _owner) {
-                count++;
-            }
+    // Aggregates of the ratings a service received, readable by anyone once
+    // enough users reviewed it. They're updated in batches, see ServiceStats.
+    function getServiceStats(
+        uint256 _serviceId
+    ) external view returns (ServiceStats memory stats) {
+        RatingStats storage aggregates = publishedStats[_serviceId];
+        stats.threshold = _statsThreshold(_serviceId);
+        stats.published = aggregates.reviewers >= stats.threshold;
+
+        if (stats.published) {
+            stats.reviewers = aggregates.reviewers;
+            stats.ratingCount = aggregates.ratingCount;
+            stats.ratingSum = aggregates.ratingSum;
+            stats.ratingHistogram = aggregates.ratingHistogram;
         }
-        uint[] memory serviceIds = new uint[](count);
-        count = 0;
-        for (uint i = 0; i < serviceIdCounter; i++) {
-            if (services[i].owner == _owner) {
-                serviceIds[count] = i;
-                count++;
-            }
+    }
+
+    function getStatsThreshold(
+        uint256 _serviceId
+    ) external view returns (uint256) {
+        return _statsThreshold(_serviceId);
+    }
+
+    // Set the number of reviewers a service needs before its stats are
+    // published, and of changes between two publications, no lower than
+    // MIN_STATS_THRESHOLD
+    function setStatsThreshold(
+        uint256 _serviceId,
+        uint256 _threshold
+    ) external {
+        require(
+            hasRole(_serviceId, Role.Admin, msg.sender),
+            "Only service owner or admins can set the stats threshold"
+        );
+        require(
+            _threshold >= MIN_STATS_THRESHOLD,
+            "Stats threshold too low"
+        );
+
+        statsThresholds[_serviceId] = _threshold;
+        emit StatsThresholdUpdated(_serviceId, _threshold);
+    }
+
+    // Set whether reviewers can edit their feedback about the service. The
+    // window, in seconds from an entry's first version, is only taken by
+    // EditPolicy.Window. Edits are allowed until an admin sets a policy.
+    function setEditPolicy(
+        uint256 _serviceId,
+        EditPolicy _policy,
+        uint256 _window
+    ) external {
+        _manageableService(_serviceId);
+        require(
+            (_policy == EditPolicy.Window) == (_window > 0),
+            "Invalid edit window"
+        );
+
+        editPolicies[_serviceId] = _policy;
+        editWindows[_serviceId] = _window;
+        emit EditPolicyUpdated(_serviceId, _policy, _window);
+    }
+
+    function getEditPolicy(
+        uint256 _serviceId
+    ) external view returns (EditPolicy policy, uint256 window) {
+        return (editPolicies[_serviceId], editWindows[_serviceId]);
+    }
+
+    // Whether the caller has registered an interaction with a service. The
+    // check is scoped to msg.sender so it can't be used to probe other users.
+    function hasInteraction(uint256 _serviceId) external view returns (bool) {
+        return getInteractionCount(_serviceId) > 0;
+    }
+
+    // Number of interactions the caller registered with a service, scoped to
+    // msg.sender like hasInteraction.
+    function getInteractionCount(
+        uint256 _serviceId
+    ) public view returns (uint256) {
+        if (msg.sender == address(0)) {
+            return 0;
+        }
+        return interactionCounts[_serviceId][msg.sender];
+    }
+
+    // Services owned by _owner, in the order they got them, except that
+    // giving a service away moves their last one into its place
+    function getServiceIdsByOwner(
+        address _owner
+    ) external view returns (uint256[] memory) {
+        return ownerServiceIds[_owner];
+    }
+
+    function getServiceCountByOwner(
+        address _owner
+    ) external view returns (uint256) {
+        return ownerServiceIds[_owner].length;
+    }
+
+    // Up to _limit of the services owned by _owner, from position _offset on
+    function getServiceIdsByOwnerPage(
+        address _owner,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory serviceIds) {
+        uint256[] storage ids = ownerServiceIds[_owner];
+        uint256 end = _pageEnd(ids.length, _offset, _limit);
+
+        serviceIds = new uint256[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            serviceIds[i - _offset] = ids[i];
         }
-        return serviceIds;
     }
 
     // Utility functions to manage interactions and feedback retrieval
@@ -166,86 +670,562 @@ contract PrivateFeedback {
         return serviceInteractions[_serviceId].length;
     }
 
+    // Number of interactions of the service that carry feedback, without
+    // the hidden ones, see getFeedbackEntryCount
     function getTotalFeedbacks(
         uint256 _serviceId
-    ) public view returns (uint256) {
-        uint256 totalFeedbacks = 0;
-        bytes32[] memory interactionsArray = serviceInteractions[_serviceId];
-
-        for (uint256 i = 0; i < interactionsArray.length; i++) {
-            if (
-                feedback[interactionsArray[i]][0] != 0 ||
-                feedback[interactionsArray[i]][1] != 0
-            ) {
-                totalFeedbacks++;
-            }
-        }
+    ) external view returns (uint256) {
+        return
+            serviceFeedbacks[_serviceId].length -
+            hiddenFeedbackCounts[_serviceId];
+    }
 
-        return totalFeedbacks;
+    // Number of feedback entries of the service, hidden ones included, which
+    // the feedback views list
+    function getFeedbackEntryCount(
+        uint256 _serviceId
+    ) external view returns (uint256) {
+        return serviceFeedbacks[_serviceId].length;
     }
 
+    // The service's feedback words as [p1, p2, p1, p2, ...], in the order the
+    // feedback was first submitted. Prefer getFeedbackPage for services with
+    // a lot of feedback.
+    //
+    // Raw feedback can only be read by the service owner and its analysts,
+    // signed in with _signIn. Everyone else only gets the counters.
     function getAllFeedbacks(
-        uint256 _serviceId
+        uint256 _serviceId,
+        SignIn calldata _signIn
     ) external view returns (uint256[] memory) {
-        uint256 totalFeedbacks = getTotalFeedbacks(_serviceId);
-        bytes32[] memory interactionsArray = serviceInteractions[_serviceId];
-
-        uint256[] memory feedbacks = new uint256[](2 * totalFeedbacks);
-        uint256 count = 0;
-
-        for (uint256 i = 0; i < interactionsArray.length; i++) {
-            if (
-                feedback[interactionsArray[i]][0] != 0 ||
-                feedback[interactionsArray[i]][1] != 0
-            ) {
-                feedbacks[count++] = feedback[interactionsArray[i]][0];
-                feedbacks[count++] = feedback[interactionsArray[i]][1];
-            }
-        }
+        _requireAnalyst(_serviceId, _signIn);
+        return
+            _feedbackPage(
+                serviceFeedbacks[_serviceId],
+                0,
+                serviceFeedbacks[_serviceId].length
+            );
+    }
+
+    // Up to _limit feedback entries of the service from position _offset on,
+    // laid out like getAllFeedbacks
+    function getFeedbackPage(
+        uint256 _serviceId,
+        uint256 _offset,
+        uint256 _limit,
+        SignIn calldata _signIn
+    ) external view returns (uint256[] memory) {
+        _requireAnalyst(_serviceId, _signIn);
+        bytes32[] storage interactionIds = serviceFeedbacks[_serviceId];
+        return
+            _feedbackPage(
+                interactionIds,
+                _offset,
+                _pageEnd(interactionIds.length, _offset, _limit)
+            );
+    }
 
-        return feedbacks;
+    // The feedback words of up to _limit of the service's interactions from
+    // position _offset on, in the order they were registered, with zeros for
+    // interactions without feedback. Positions match the ranges taken by
+    // rewardUsersForFeedbackRange.
+    function getInteractionFeedbackPage(
+        uint256 _serviceId,
+        uint256 _offset,
+        uint256 _limit,
+        SignIn calldata _signIn
+    ) external view returns (uint256[] memory) {
+        _requireAnalyst(_serviceId, _signIn);
+        bytes32[] storage interactionIds = serviceInteractions[_serviceId];
+        return
+            _feedbackPage(
+                interactionIds,
+                _offset,
+                _pageEnd(interactionIds.length, _offset, _limit)
+            );
+    }
+
+    // Every version of the feedback entry at _position, in the order of
+    // getAllFeedbacks, oldest first. Entries with more than one version were
+    // edited.
+    function getFeedbackHistory(
+        uint256 _serviceId,
+        uint256 _position,
+        SignIn calldata _signIn
+    ) external view returns (FeedbackVersion[] memory) {
+        _requireAnalyst(_serviceId, _signIn);
+        bytes32[] storage interactionIds = serviceFeedbacks[_serviceId];
+        require(_position < interactionIds.length, "Offset out of range");
+        return feedbackVersions[interactionIds[_position]];
+    }
+
+    // The number of versions of up to _limit feedback entries from position
+    // _offset on, in the order of getFeedbackPage
+    function getFeedbackVersionCounts(
+        uint256 _serviceId,
+        uint256 _offset,
+        uint256 _limit,
+        SignIn calldata _signIn
+    ) external view returns (uint256[] memory counts) {
+        _requireAnalyst(_serviceId, _signIn);
+        bytes32[] storage interactionIds = serviceFeedbacks[_serviceId];
+        uint256 end = _pageEnd(interactionIds.length, _offset, _limit);
+
+        counts = new uint256[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            counts[i - _offset] = feedbackVersions[interactionIds[i]].length;
+        }
     }
 
     // Internal utility functions
-    function _getInteractionId(
-        address _user,
+
+    // The selectors of this contract's external and public functions,
+    // including the getters of its public state. Functions added to the
+    // contract must be listed, which the tests check. Only the constructor
+    // uses it, so it isn't part of the deployed code.
+    function _ownSelectors() private pure returns (bytes4[67] memory) {
+        return [
+            this.DEFAULT_STATS_THRESHOLD.selector,
+            this.MIN_STATS_THRESHOLD.selector,
+            this.acceptServiceOwnership.selector,
+            this.arbiter.selector,
+            this.claimRewards.selector,
+            this.claimTokenRewards.selector,
+            this.closeService.selector,
+            this.createRewardCampaign.selector,
+            this.createTokenRewardCampaign.selector,
+            this.eip712Domain.selector,
+            this.getActiveCampaignId.selector,
+            this.getAllFeedbacks.selector,
+            this.getClaimableRewards.selector,
+            this.getClaimableTokenRewards.selector,
+            this.getEditPolicy.selector,
+            this.getFeedbackEntryCount.selector,
+            this.getFeedbackHistory.selector,
+            this.getFeedbackPage.selector,
+            this.getFeedbackVersionCounts.selector,
+            this.getInteractionCount.selector,
+            this.getInteractionFeedbackPage.selector,
+            this.getPendingServiceOwner.selector,
+            this.getRewardBalances.selector,
+            this.getRewardCampaign.selector,
+            this.getRoleMembers.selector,
+            this.getServiceCampaignIds.selector,
+            this.getServiceCountByOwner.selector,
+            this.getServiceIdsByOwner.selector,
+            this.getServiceIdsByOwnerPage.selector,
+            this.getServiceMetadata.selector,
+            this.getServiceOwner.selector,
+            this.getServiceStats.selector,
+            this.getServiceStatus.selector,
+            this.getStatsThreshold.selector,
+            this.getTotalFeedbacks.selector,
+            this.getTotalInteractions.selector,
+            this.grantRole.selector,
+            this.hasInteraction.selector,
+            this.hasRole.selector,
+            this.importDigest.selector,
+            this.importFinished.selector,
+            this.importedCalls.selector,
+            this.isAnalyst.selector,
+            this.isAttester.selector,
+            this.migrator.selector,
+            this.multicall.selector,
+            this.nonces.selector,
+            this.pauseService.selector,
+            this.reclaimRewardCampaign.selector,
+            this.registerInteraction.selector,
+            this.registerInteractionFor.selector,
+            this.registerService.selector,
+            this.resumeService.selector,
+            this.revokeRole.selector,
+            this.rewardUsersForFeedback.selector,
+            this.rewardUsersForFeedbackRange.selector,
+            this.rewardUsersForFeedbackWithToken.selector,
+            this.rewardUsersForFeedbackWithTokenRange.selector,
+            this.setAnalyst.selector,
+            this.setAttester.selector,
+            this.setEditPolicy.selector,
+            this.setStatsThreshold.selector,
+            this.submitFeedback.selector,
+            this.submitFeedbackFor.selector,
+            this.transferServiceOwnership.selector,
+            this.tryMulticall.selector,
+            this.updateServiceMetadata.selector
+        ];
+    }
+
+    // The service, if the caller owns or administers it and it isn't closed
+    function _manageableService(
+        uint256 _serviceId
+    ) private view returns (Service storage service) {
+        service = services[_serviceId];
+        require(
+            hasRole(_serviceId, Role.Admin, msg.sender),
+            "Only service owner or admins can manage the service"
+        );
+        require(service.status != ServiceStatus.Closed, "Service closed");
+    }
+
+    // The service, if the caller owns it and it isn't closed
+    function _ownedService(
         uint256 _serviceId
-    ) private pure returns (bytes32) {
-        return keccak256(abi.encodePacked(_user, _serviceId));
+    ) private view returns (Service storage service) {
+        service = services[_serviceId];
+        require(
+            service.owner == msg.sender,
+            "Only service owner can transfer or close the service"
+        );
+        require(service.status != ServiceStatus.Closed, "Service closed");
+    }
+
+    function _setRole(
+        uint256 _serviceId,
+        Role _role,
+        address _account,
+        bool _granted
+    ) private {
+        if (_role == Role.Admin) {
+            require(
+                services[_serviceId].owner == msg.sender,
+                "Only service owner can manage admins"
+            );
+        } else {
+            require(
+                hasRole(_serviceId, Role.Admin, msg.sender),
+                "Only service owner or admins can manage roles"
+            );
+        }
+        require(_account != address(0), "Invalid account");
+        _writeRole(_serviceId, _role, _account, _granted);
+    }
+
+    // Appends a version to an interaction's feedback history, and returns
+    // whether it edits earlier feedback, which the service's edit policy
+    // must allow
+    function _addFeedbackVersion(
+        uint256 _serviceId,
+        bytes32 _interactionId,
+        uint256 _feedback_p1,
+        uint256 _feedback_p2
+    ) private returns (bool isUpdate) {
+        FeedbackVersion[] storage versions = feedbackVersions[_interactionId];
+        isUpdate = versions.length > 0;
+        if (isUpdate) {
+            EditPolicy policy = editPolicies[_serviceId];
+            require(policy != EditPolicy.Deny, "Feedback can't be edited");
+            require(
+                policy != EditPolicy.Window ||
+                    block.timestamp <=
+                    versions[0].timestamp + editWindows[_serviceId],
+                "Edit window closed"
+            );
+        }
+
+        versions.push(
+            FeedbackVersion(_feedback_p1, _feedback_p2, block.timestamp)
+        );
+    }
+
+    // The contract can't be used the usual way until the migrator finished
+    // the import, see importFinished
+    function _requireImportFinished() private view {
+        require(importFinished, "Import in progress");
+    }
+
+    // Removes a service from its owner's index by moving their last service
+    // into its place
+    function _removeOwnedService(address _owner, uint256 _serviceId) private {
+        uint256[] storage ids = ownerServiceIds[_owner];
+        uint256 index = ownerServiceIndexes[_serviceId];
+        uint256 lastId = ids[ids.length - 1];
+
+        ids[index] = lastId;
+        ownerServiceIndexes[lastId] = index;
+        ids.pop();
+    }
+
+    // Checks a voucher against the service's attesters and marks its nonce used
+    function _useVoucher(
+        address _user,
+        uint256 _serviceId,
+        InteractionVoucher calldata _voucher
+    ) private {
+        require(block.timestamp <= _voucher.expiry, "Voucher expired");
+        require(
+            !usedVoucherNonces[_serviceId][_voucher.nonce],
+            "Voucher already used"
+        );
+
+        bytes32 voucherHash = keccak256(
+            abi.encode(
+                VOUCHER_TYPEHASH,
+                _user,
+                _serviceId,
+                _voucher.expiry,
+                _voucher.nonce
+            )
+        );
+        require(
+            isAttester(_serviceId, _voucher.signer) &&
+                _isValidSignature(
+                    _voucher.signer,
+                    voucherHash,
+                    _voucher.signature
+                ),
+            "Invalid voucher"
+        );
+
+        usedVoucherNonces[_serviceId][_voucher.nonce] = true;
     }
 
+    // Credit _rewardAmount to the user behind every feedback the service has
+    // received, paid by the owner or a treasurer. Rewards are withdrawn with
+    // claimRewards, and any ETH sent beyond the rewards is credited back to
+    // the sender the same way.
     function rewardUsersForFeedback(
         uint256 _serviceId,
         uint256 _rewardAmount
-    ) external payable {
+    ) external payable nonReentrant {
+        FeedbackRewards.collectEth(
+            rewards,
+            _creditFeedback(
+                _serviceId,
+                ETH,
+                _rewardAmount,
+                0,
+                serviceInteractions[_serviceId].length
+            ),
+            msg.value
+        );
+    }
+
+    // Same as rewardUsersForFeedback, for the feedback of the service's
+    // interactions from _start up to but excluding _end only, so that services
+    // with many interactions can be rewarded over several transactions
+    function rewardUsersForFeedbackRange(
+        uint256 _serviceId,
+        uint256 _rewardAmount,
+        uint256 _start,
+        uint256 _end
+    ) external payable nonReentrant {
+        FeedbackRewards.collectEth(
+            rewards,
+            _creditFeedback(_serviceId, ETH, _rewardAmount, _start, _end),
+            msg.value
+        );
+    }
+
+    // Same as rewardUsersForFeedback, paid in an ERC-20 token. The sender must
+    // have approved this contract to spend the total, which is withdrawn with
+    // claimTokenRewards.
+    function rewardUsersForFeedbackWithToken(
+        uint256 _serviceId,
+        IERC20 _token,
+        uint256 _rewardAmount
+    ) external nonReentrant {
+        FeedbackRewards.collectToken(
+            _token,
+            _creditFeedback(
+                _serviceId,
+                address(_token),
+                _rewardAmount,
+                0,
+                serviceInteractions[_serviceId].length
+            )
+        );
+    }
+
+    // Same as rewardUsersForFeedbackRange, paid in an ERC-20 token
+    function rewardUsersForFeedbackWithTokenRange(
+        uint256 _serviceId,
+        IERC20 _token,
+        uint256 _rewardAmount,
+        uint256 _start,
+        uint256 _end
+    ) external nonReentrant {
+        FeedbackRewards.collectToken(
+            _token,
+            _creditFeedback(
+                _serviceId,
+                address(_token),
+                _rewardAmount,
+                _start,
+                _end
+            )
+        );
+    }
+
+    // Withdraw the caller's credited ETH rewards
+    function claimRewards() external nonReentrant {
+        FeedbackRewards.claim(rewards, ETH);
+    }
+
+    // Withdraw the caller's credited rewards in an ERC-20 token
+    function claimTokenRewards(IERC20 _token) external nonReentrant {
+        require(address(_token) != ETH, "Invalid token");
+        FeedbackRewards.claim(rewards, address(_token));
+    }
+
+    // ETH rewards the caller can claim, scoped to msg.sender like
+    // hasInteraction
+    function getClaimableRewards() external view returns (uint256) {
+        return rewards.claimable[msg.sender][ETH];
+    }
+
+    // Rewards in an ERC-20 token the caller can claim
+    function getClaimableTokenRewards(
+        address _token
+    ) external view returns (uint256) {
+        return rewards.claimable[msg.sender][_token];
+    }
+
+    // Every asset the caller has been credited rewards in, address(0) for
+    // ETH, and the amount they can claim in each
+    function getRewardBalances()
+        external
+        view
+        returns (address[] memory assets, uint256[] memory amounts)
+    {
+        assets = rewards.assets[msg.sender];
+        amounts = new uint256[](assets.length);
+        for (uint256 i = 0; i < assets.length; i++) {
+            amounts[i] = rewards.claimable[msg.sender][assets[i]];
+        }
+    }
+
+    // Escrow rewardAmount * maxRewards ETH to credit rewardAmount for the
+    // first feedback of each of up to maxRewards reviewers submitted before
+    // the expiry. A service runs one campaign at a time. Any ETH sent beyond
+    // the budget is credited back to the funder.
+    function createRewardCampaign(
+        uint256 _serviceId,
+        uint256 _rewardAmount,
+        uint256 _maxRewards,
+        uint256 _expiry
+    ) external payable nonReentrant returns (uint256) {
+        uint256 campaignId = _createCampaign(
+            _serviceId,
+            ETH,
+            _rewardAmount,
+            _maxRewards,
+            _expiry
+        );
+        FeedbackRewards.collectEth(
+            rewards,
+            _rewardAmount * _maxRewards,
+            msg.value
+        );
+
+        return campaignId;
+    }
+
+    // Same as createRewardCampaign, with a budget in an ERC-20 token the funder
+    // approved this contract to spend
+    function createTokenRewardCampaign(
+        uint256 _serviceId,
+        IERC20 _token,
+        uint256 _rewardAmount,
+        uint256 _maxRewards,
+        uint256 _expiry
+    ) external nonReentrant returns (uint256) {
+        require(address(_token) != ETH, "Invalid token");
+        uint256 campaignId = _createCampaign(
+            _serviceId,
+            address(_token),
+            _rewardAmount,
+            _maxRewards,
+            _expiry
+        );
+        FeedbackRewards.collectToken(_token, _rewardAmount * _maxRewards);
+
+        return campaignId;
+    }
+
+    // Credit the budget a campaign didn't spend back to its funder, once the
+    // campaign has expired
+    function reclaimRewardCampaign(uint256 _campaignId) external {
+        FeedbackRewards.reclaimCampaign(rewards, _campaignId);
+    }
+
+    function getRewardCampaign(
+        uint256 _campaignId
+    ) external view returns (FeedbackRewards.RewardCampaign memory) {
+        return rewards.campaigns[_campaignId];
+    }
+
+    // Every campaign a service ran, oldest first
+    function getServiceCampaignIds(
+        uint256 _serviceId
+    ) external view returns (uint256[] memory) {
+        return rewards.serviceCampaigns[_serviceId];
+    }
+
+    // The campaign new feedback about a service is currently rewarded from, or
+    // 0 if none is running
+    function getActiveCampaignId(
+        uint256 _serviceId
+    ) external view returns (uint256) {
+        return FeedbackRewards.activeCampaignId(rewards, _serviceId);
+    }
+
+    function _createCampaign(
+        uint256 _serviceId,
+        address _asset,
+        uint256 _rewardAmount,
+        uint256 _maxRewards,
+        uint256 _expiry
+    ) private returns (uint256) {
         require(
-            services[_serviceId].owner == msg.sender,
-            "Only service owner can distribute rewards"
+            hasRole(_serviceId, Role.Treasurer, msg.sender),
+            "Only service owner or treasurers can create campaigns"
         );
-        uint256 totalFeedbacks = getTotalFeedbacks(_serviceId);
+        _requireActive(_serviceId);
+
+        return
+            FeedbackRewards.createCampaign(
+                rewards,
+                _serviceId,
+                _asset,
+                _rewardAmount,
+                _maxRewards,
+                _expiry
+            );
+    }
+
+    // Credits the feedback of the service's interactions in [_start, _end)
+    // and returns the total the sender has to pay
+    function _creditFeedback(
+        uint256 _serviceId,
+        address _asset,
+        uint256 _rewardAmount,
+        uint256 _start,
+        uint256 _end
+    ) private returns (uint256) {
         require(
-            msg.value >= _rewardAmount * totalFeedbacks,
-            "Insufficient funds"
+            hasRole(_serviceId, Role.Treasurer, msg.sender),
+            "Only service owner or treasurers can distribute rewards"
         );
 
-        bytes32[] memory interactionsArray = serviceInteractions[_serviceId];
-        for (uint256 i = 0; i < interactionsArray.length; i++) {
-            if (
-                feedback[interactionsArray[i]][0] != 0 ||
-                feedback[interactionsArray[i]][1] != 0
-            ) {
-                address user = interactionsToUsers[interactionsArray[i]];
-                payable(user).transfer(_rewardAmount);
-            }
-        }
+        return
+            FeedbackRewards.creditFeedback(
+                rewards,
+                _serviceId,
+                serviceInteractions[_serviceId],
+                feedback,
+                hiddenFeedback,
+                interactionsToUsers,
+                _asset,
+                _rewardAmount,
+                _start,
+                _end
+            );
     }
 
-    function _recoverSigner(
-        bytes32 _ethSignedMessageHash,
-        uint8 _v,
-        bytes32 _r,
-        bytes32 _s
-    ) private pure returns (address) {
-        return ecrecover(_ethSignedMessageHash, _v, _r, _s);
+    function _domainSeparator() internal view override returns (bytes32) {
+        return
+            _chainId() == CACHED_CHAIN_ID
+                ? CACHED_DOMAIN_SEPARATOR
+                : _buildDomainSeparator();
     }
 }
@@ -0,0 +1,679 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./libraries/FeedbackRewards.sol";
+import "./libraries/SignatureChecker.sol";
+
+// State, types and events of PrivateFeedback, and the helpers it shares with
+// its modules. PrivateFeedback hands the calls it doesn't implement to a
+// module, which runs them on PrivateFeedback's state with delegatecall, so
+// neither may declare state of its own: all of it is declared here.
+abstract contract PrivateFeedbackBase {
+    uint256 internal serviceIdCounter = 1;
+
+    // Paused services temporarily stop accepting interactions and feedback,
+    // closed services stop for good
+    enum ServiceStatus {
+        Active,
+        Paused,
+        Closed
+    }
+
+    struct Service {
+        uint256 metadata_p1;
+        uint256 metadata_p2;
+        address owner;
+        ServiceStatus status;
+    }
+
+    mapping(uint256 => Service) internal services;
+    mapping(address => uint256[]) internal ownerServiceIds;
+    // Position of each service in its owner's ownerServiceIds
+    mapping(uint256 => uint256) internal ownerServiceIndexes;
+    // Address a service's owner offered the service to, which must accept it
+    mapping(uint256 => address) internal pendingOwners;
+    mapping(uint256 => bytes32[]) internal serviceInteractions;
+    // Interactions of each service that carry feedback, in the order their
+    // feedback was first submitted
+    mapping(uint256 => bytes32[]) internal serviceFeedbacks;
+    mapping(bytes32 => address) internal interactionsToUsers;
+    mapping(bytes32 => uint256[2]) internal feedback;
+
+    // A version of an interaction's feedback and the block timestamp it was
+    // submitted at
+    struct FeedbackVersion {
+        uint256 feedback_p1;
+        uint256 feedback_p2;
+        uint256 timestamp;
+    }
+
+    // Every version of each interaction's feedback, oldest first. The latest
+    // is also kept in feedback.
+    mapping(bytes32 => FeedbackVersion[]) internal feedbackVersions;
+
+    // Whether reviewers can change their feedback once submitted: always,
+    // never, or within the service's edit window of the first version
+    enum EditPolicy {
+        Allow,
+        Deny,
+        Window
+    }
+
+    mapping(uint256 => EditPolicy) internal editPolicies;
+    // Seconds the Window policy leaves for edits
+    mapping(uint256 => uint256) internal editWindows;
+
+    // A reply to a feedback entry: a hash of its full content, e.g. stored
+    // off chain, and a short text, as a bytes32 string. Either may be zero.
+    // The author is the staff account that replied, and zero for the
+    // reviewer, whom replies never name.
+    struct FeedbackReply {
+        bytes32 contentHash;
+        bytes32 text;
+        address author;
+        uint256 timestamp;
+    }
+
+    // The service's reply to each interaction's feedback, and the reviewer's
+    // one follow-up to that reply
+    mapping(bytes32 => FeedbackReply) internal replies;
+    mapping(bytes32 => FeedbackReply) internal followUps;
+
+    // Moderation of feedback entries. Admins flag abusive entries, which
+    // hides them from the counters, stats and rewards; the reviewer can
+    // contest the flag, and the arbiter then upholds it or overturns it,
+    // which shows the entry again. Entries are only moderated once.
+    enum FlagStatus {
+        None,
+        Flagged,
+        Contested,
+        Upheld,
+        Overturned
+    }
+    enum FlagReason {
+        Spam,
+        Abuse,
+        OffTopic,
+        PersonalData,
+        Other
+    }
+    // position is the entry's in the service's feedback order, and
+    // disputeId is 0 until the flag is contested
+    struct FeedbackFlag {
+        FlagStatus status;
+        FlagReason reason;
+        uint256 position;
+        uint256 flaggedAt;
+        uint256 disputeId;
+    }
+    // A contested flag, on the feedback entry at position in the service's
+    // feedback order. Dispute ids are their 1-based index in disputes.
+    struct Dispute {
+        uint256 serviceId;
+        uint256 position;
+    }
+
+    mapping(bytes32 => FeedbackFlag) internal feedbackFlags;
+    // Whether an interaction's feedback is hidden, i.e. flagged and not
+    // overturned, and the number of hidden entries of each service
+    mapping(bytes32 => bool) internal hiddenFeedback;
+    mapping(uint256 => uint256) internal hiddenFeedbackCounts;
+    Dispute[] internal disputes;
+
+    // Number of interactions each user registered with each service. A user's
+    // interactions are indexed from 0 and each one can carry its own feedback.
+    mapping(uint256 => mapping(address => uint256)) internal interactionCounts;
+    // Powers a service owner can delegate to staff accounts, who then don't
+    // need the owner's key. The owner holds every role. Admins manage the
+    // service's settings and the other roles, attesters sign interaction
+    // vouchers, analysts read raw feedback, treasurers fund rewards and
+    // responders reply to feedback.
+    enum Role {
+        Admin,
+        Attester,
+        Analyst,
+        Treasurer,
+        Responder
+    }
+
+    // Accounts granted each role of a service, and their 1-based position
+    // in the list, 0 for accounts without the role
+    mapping(uint256 => mapping(Role => address[])) internal roleMembers;
+    mapping(uint256 => mapping(Role => mapping(address => uint256)))
+        internal roleMemberPositions;
+    // Running aggregates of the ratings of each service's feedback, see
+    // getServiceStats. Only feedback that follows the schema documented in
+    // sdk/README.md carries a rating.
+    struct RatingStats {
+        uint256 reviewers;
+        uint256 ratingCount;
+        uint256 ratingSum;
+        uint256[5] ratingHistogram;
+    }
+
+    // What getServiceStats returns: the aggregates as they were last
+    // published, once at least `threshold` changes piled up since the
+    // previous time, so that two published versions never differ by a
+    // single rating. They're zero until the service has `threshold`
+    // reviewers.
+    struct ServiceStats {
+        bool published;
+        uint256 threshold;
+        uint256 reviewers;
+        uint256 ratingCount;
+        uint256 ratingSum;
+        uint256[5] ratingHistogram;
+    }
+
+    uint256 public constant MIN_STATS_THRESHOLD = 3;
+    uint256 public constant DEFAULT_STATS_THRESHOLD = 5;
+    uint8 internal constant FEEDBACK_SCHEMA_VERSION = 1;
+    mapping(uint256 => RatingStats) internal ratingStats;
+    // The aggregates getServiceStats returns, and the number of changes to
+    // ratingStats since they were copied there
+    mapping(uint256 => RatingStats) internal publishedStats;
+    mapping(uint256 => uint256) internal unpublishedStatsUpdates;
+    // Set by the service's admins, 0 for DEFAULT_STATS_THRESHOLD
+    mapping(uint256 => uint256) internal statsThresholds;
+    // Whether a user left feedback about a service that isn't all hidden, to
+    // count reviewers once
+    mapping(uint256 => mapping(address => bool)) internal reviewed;
+    mapping(uint256 => mapping(uint256 => bool)) internal usedVoucherNonces;
+    // Rewards credited to each account per asset, withdrawn with
+    // claimRewards and claimTokenRewards, and the reward campaigns, kept by
+    // the FeedbackRewards library. ETH is the asset address(0), tokens are
+    // identified by their address.
+    address internal constant ETH = FeedbackRewards.ETH;
+    FeedbackRewards.Ledger internal rewards;
+    bool internal locked;
+
+    // Next nonce each user must sign into an Interaction or Feedback, so that
+    // every signature can only be submitted once. It's public since users
+    // need it before they can sign anything, and a view call's msg.sender
+    // can't tell who's asking, see SignIn.
+    mapping(address => uint256) public nonces;
+
+    // Proof, signed by the service owner or one of its attesters, that a user
+    // interacted with the service. The user and service id are signed but not
+    // carried here, as they are known from the call. The signer is named,
+    // since contract wallets' signatures can't be recovered.
+    struct InteractionVoucher {
+        uint256 expiry;
+        uint256 nonce;
+        address signer;
+        bytes signature;
+    }
+
+    // Proof that `user` is the one reading, for view functions that return
+    // raw feedback. The msg.sender of a view call isn't authenticated: on a
+    // plain EVM chain eth_call accepts any `from`, and Sapphire zeroes the
+    // sender of unsigned calls. Instead, the user signs an EIP-712 SignIn
+    // with an expiry once, and passes it with every call until it expires.
+    struct SignIn {
+        address user;
+        uint256 expiry;
+        bytes signature;
+    }
+
+    // Events never name the user or an interaction id, which could be matched
+    // against user addresses, nor carry the feedback itself. They only let
+    // off-chain systems follow the activity of each service.
+    event ServiceRegistered(address indexed owner, uint256 serviceId);
+    event ServiceMetadataUpdated(uint256 indexed serviceId);
+    event ServiceOwnershipTransferStarted(
+        uint256 indexed serviceId,
+        address indexed owner,
+        address indexed pendingOwner
+    );
+    event ServiceOwnershipTransferred(
+        uint256 indexed serviceId,
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event ServicePaused(uint256 indexed serviceId);
+    event ServiceResumed(uint256 indexed serviceId);
+    event ServiceClosed(uint256 indexed serviceId);
+    event InteractionRegistered(
+        uint256 indexed serviceId,
+        uint256 totalInteractions
+    );
+    event FeedbackSubmitted(uint256 indexed serviceId);
+    event FeedbackUpdated(uint256 indexed serviceId);
+    event RewardPaid(
+        uint256 indexed serviceId,
+        address indexed asset,
+        uint256 rewardAmount,
+        uint256 recipients
+    );
+    event RewardCampaignCreated(
+        uint256 indexed serviceId,
+        uint256 campaignId,
+        address indexed asset,
+        uint256 rewardAmount,
+        uint256 maxRewards,
+        uint256 expiry
+    );
+    event RewardCampaignReclaimed(
+        uint256 indexed serviceId,
+        uint256 campaignId,
+        uint256 amount
+    );
+    event RoleUpdated(
+        uint256 indexed serviceId,
+        Role indexed role,
+        address indexed account,
+        bool granted
+    );
+    event StatsThresholdUpdated(uint256 indexed serviceId, uint256 threshold);
+    event EditPolicyUpdated(
+        uint256 indexed serviceId,
+        EditPolicy policy,
+        uint256 window
+    );
+    event FeedbackReplied(uint256 indexed serviceId);
+    event ReplyFollowedUp(uint256 indexed serviceId);
+    event FeedbackFlagged(uint256 indexed serviceId, FlagReason reason);
+    event FlagContested(uint256 indexed serviceId, uint256 disputeId);
+    event DisputeResolved(
+        uint256 indexed serviceId,
+        uint256 disputeId,
+        bool upheld
+    );
+    event CallFailed(uint256 index, bytes reason);
+    event MigrationAllowed(uint256 indexed serviceId, bool allowed);
+
+    // EIP-712 domain separator
+    bytes32 internal constant DOMAIN_TYPEHASH =
+        keccak256(
+            abi.encodePacked(
+                "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+            )
+        );
+    bytes32 internal constant INTERACTION_TYPEHASH =
+        keccak256(
+            abi.encodePacked(
+                "Interaction(address user,uint256 serviceId,uint256 nonce,uint256 deadline)"
+            )
+        );
+    bytes32 internal constant VOUCHER_TYPEHASH =
+        keccak256(
+            abi.encodePacked(
+                "InteractionVoucher(address user,uint256 serviceId,uint256 expiry,uint256 nonce)"
+            )
+        );
+    bytes32 internal constant FEEDBACK_TYPEHASH =
+        keccak256(
+            abi.encodePacked(
+                "Feedback(address user,uint256 serviceId,uint256 interactionIndex,uint256 feedback_p1,uint256 feedback_p2,uint256 nonce,uint256 deadline)"
+            )
+        );
+    bytes32 internal constant CONTEST_FLAG_TYPEHASH =
+        keccak256(
+            abi.encodePacked(
+                "ContestFlag(address user,uint256 serviceId,uint256 interactionIndex,uint256 nonce,uint256 deadline)"
+            )
+        );
+    bytes32 internal constant FOLLOW_UP_TYPEHASH =
+        keccak256(
+            abi.encodePacked(
+                "FollowUp(address user,uint256 serviceId,uint256 interactionIndex,bytes32 contentHash,bytes32 text,uint256 nonce,uint256 deadline)"
+            )
+        );
+    bytes32 internal constant SIGN_IN_TYPEHASH =
+        keccak256(abi.encodePacked("SignIn(address user,uint256 expiry)"));
+    // Sign-ins can't be revoked, so they can't last longer than this
+    uint256 internal constant MAX_SIGN_IN_TTL = 7 days;
+    string internal constant DOMAIN_NAME = "PrivateFeedback";
+    string internal constant DOMAIN_VERSION = "1";
+
+    // Account that moves the contract's state to a new version: it can export
+    // the interactions of the services whose owners allowed it, with their
+    // users, and import the state of a previous deployment into one deployed
+    // to import it. It's the deployer
+    // unless they hand it over, or give it up with setMigrator(address(0)).
+    address public migrator;
+    // The import is closed for good by finishImport. Until then, services,
+    // interactions and feedback can't be registered the usual way, so that
+    // nobody can close it early or mix their state into the imported one.
+    // Deployments that aren't made to import a state start with it closed.
+    bool public importFinished;
+    // Services created by importService, the only ones the other import
+    // functions write to
+    mapping(uint256 => bool) internal importedServices;
+    // Services whose owner lets the migrator export their reviewers and
+    // feedback, set with allowMigration. Imported services keep the consent
+    // their owner gave on the previous deployment.
+    mapping(uint256 => bool) internal migrationAllowed;
+    // Number of import calls applied, and a hash chain over their calldata,
+    // so that the migration tool can check that every batch landed in order
+    uint256 public importedCalls;
+    bytes32 public importDigest;
+
+    // Account that settles contested flags across every service. It's the
+    // deployer unless they hand it over with setArbiter.
+    address public arbiter;
+
+    // Module each function selector PrivateFeedback doesn't implement is
+    // routed to, see PrivateFeedback's fallback
+    mapping(bytes4 => address) internal modules;
+
+    // Whether an account holds a role of a service, which its owner always
+    // does
+    function hasRole(
+        uint256 _serviceId,
+        Role _role,
+        address _account
+    ) public view returns (bool) {
+        return
+            _account != address(0) &&
+            (services[_serviceId].owner == _account ||
+                roleMemberPositions[_serviceId][_role][_account] != 0);
+    }
+
+    // Internal utility functions
+    function _getInteractionId(
+        address _user,
+        uint256 _serviceId,
+        uint256 _interactionIndex
+    ) internal pure returns (bytes32) {
+        return
+            keccak256(abi.encodePacked(_user, _serviceId, _interactionIndex));
+    }
+
+    // Replaces the rating of a feedback entry in the service's aggregates, and
+    // counts the user as a reviewer the first time they leave feedback
+    function _updateRatingStats(
+        uint256 _serviceId,
+        address _user,
+        uint256 _previous_p1,
+        uint256 _feedback_p1
+    ) internal {
+        RatingStats storage stats = ratingStats[_serviceId];
+        if (!reviewed[_serviceId][_user]) {
+            reviewed[_serviceId][_user] = true;
+            stats.reviewers++;
+        }
+
+        uint256 previous = _rating(_previous_p1);
+        if (previous != 0) {
+            stats.ratingCount--;
+            stats.ratingSum -= previous;
+            stats.ratingHistogram[previous - 1]--;
+        }
+
+        uint256 rating = _rating(_feedback_p1);
+        if (rating != 0) {
+            stats.ratingCount++;
+            stats.ratingSum += rating;
+            stats.ratingHistogram[rating - 1]++;
+        }
+    }
+
+    // Counts a change to the service's stats, which are published once the
+    // service has `threshold` reviewers and `threshold` changes piled up
+    // since they were last published
+    function _countStatsUpdate(uint256 _serviceId) internal {
+        uint256 threshold = _statsThreshold(_serviceId);
+        RatingStats storage stats = ratingStats[_serviceId];
+        if (
+            ++unpublishedStatsUpdates[_serviceId] >= threshold &&
+            stats.reviewers >= threshold
+        ) {
+            publishedStats[_serviceId] = stats;
+            unpublishedStatsUpdates[_serviceId] = 0;
+        }
+    }
+
+    function _statsThreshold(
+        uint256 _serviceId
+    ) internal view returns (uint256) {
+        uint256 threshold = statsThresholds[_serviceId];
+        return threshold == 0 ? DEFAULT_STATS_THRESHOLD : threshold;
+    }
+
+    // The 1-5 rating at bits 8-15 of feedback that follows the schema, or 0
+    function _rating(uint256 _feedback_p1) internal pure returns (uint256) {
+        if (uint8(_feedback_p1) != FEEDBACK_SCHEMA_VERSION) {
+            return 0;
+        }
+        uint256 rating = uint8(_feedback_p1 >> 8);
+        return rating >= 1 && rating <= 5 ? rating : 0;
+    }
+    function _requireMigrator(address _account) internal view {
+        require(_account == migrator, "Only the migrator can do this");
+    }
+
+    function _requireSignIn(SignIn calldata _signIn) internal view {
+        require(block.timestamp <= _signIn.expiry, "Sign-in expired");
+        require(
+            _signIn.expiry - block.timestamp <= MAX_SIGN_IN_TTL,
+            "Sign-in expiry too far"
+        );
+        bytes32 signInHash = keccak256(
+            abi.encode(SIGN_IN_TYPEHASH, _signIn.user, _signIn.expiry)
+        );
+        require(
+            _isValidSignature(_signIn.user, signInHash, _signIn.signature),
+            "Invalid sign-in"
+        );
+    }
+
+    // Checks a sign-in and that its user can read the service's feedback
+    function _requireAnalyst(
+        uint256 _serviceId,
+        SignIn calldata _signIn
+    ) internal view {
+        _requireSignIn(_signIn);
+        require(
+            hasRole(_serviceId, Role.Analyst, _signIn.user),
+            "Not authorised to read feedback"
+        );
+    }
+
+    function _requireActive(uint256 _serviceId) internal view {
+        ServiceStatus status = services[_serviceId].status;
+        require(status != ServiceStatus.Paused, "Service paused");
+        require(status != ServiceStatus.Closed, "Service closed");
+    }
+
+    // Checks a user's signature deadline and nonce, and consumes the nonce
+    function _useNonce(
+        address _user,
+        uint256 _nonce,
+        uint256 _deadline
+    ) internal {
+        require(block.timestamp <= _deadline, "Signature expired");
+        require(_nonce >= nonces[_user], "Signature already used");
+        require(_nonce == nonces[_user], "Invalid nonce");
+
+        nonces[_user]++;
+    }
+
+    // Takes a feedback entry out of the service's counters and stats. Its
+    // reviewer stops counting as one unless other feedback of theirs is
+    // still shown.
+    function _hideFeedback(
+        uint256 _serviceId,
+        bytes32 _interactionId
+    ) internal {
+        address user = interactionsToUsers[_interactionId];
+        hiddenFeedback[_interactionId] = true;
+        hiddenFeedbackCounts[_serviceId]++;
+        _updateRatingStats(_serviceId, user, feedback[_interactionId][0], 0);
+
+        uint256 count = interactionCounts[_serviceId][user];
+        for (uint256 i = 0; i < count; i++) {
+            bytes32 interactionId = _getInteractionId(user, _serviceId, i);
+            if (
+                feedbackVersions[interactionId].length > 0 &&
+                !hiddenFeedback[interactionId]
+            ) {
+                return;
+            }
+        }
+        reviewed[_serviceId][user] = false;
+        ratingStats[_serviceId].reviewers--;
+    }
+
+    // Puts a hidden feedback entry back into the counters and stats
+    function _showFeedback(
+        uint256 _serviceId,
+        bytes32 _interactionId
+    ) internal {
+        hiddenFeedback[_interactionId] = false;
+        hiddenFeedbackCounts[_serviceId]--;
+        _updateRatingStats(
+            _serviceId,
+            interactionsToUsers[_interactionId],
+            0,
+            feedback[_interactionId][0]
+        );
+    }
+
+    // End of the page of a list of _length items that starts at _offset
+    function _pageEnd(
+        uint256 _length,
+        uint256 _offset,
+        uint256 _limit
+    ) internal pure returns (uint256) {
+        require(_offset <= _length, "Offset out of range");
+        return _limit < _length - _offset ? _offset + _limit : _length;
+    }
+
+    function _feedbackPage(
+        bytes32[] storage _interactionIds,
+        uint256 _start,
+        uint256 _end
+    ) internal view returns (uint256[] memory feedbacks) {
+        feedbacks = new uint256[](2 * (_end - _start));
+        for (uint256 i = _start; i < _end; i++) {
+            uint256[2] storage entry = feedback[_interactionIds[i]];
+            feedbacks[2 * (i - _start)] = entry[0];
+            feedbacks[2 * (i - _start) + 1] = entry[1];
+        }
+    }
+
+    // The replies and follow-ups of up to _limit feedback entries from
+    // position _offset on, in the order of getFeedbackPage
+    function _replyPage(
+        uint256 _serviceId,
+        uint256 _offset,
+        uint256 _limit
+    )
+        internal
+        view
+        returns (
+            FeedbackReply[] memory entryReplies,
+            FeedbackReply[] memory entryFollowUps
+        )
+    {
+        bytes32[] storage interactionIds = serviceFeedbacks[_serviceId];
+        uint256 end = _pageEnd(interactionIds.length, _offset, _limit);
+
+        entryReplies = new FeedbackReply[](end - _offset);
+        entryFollowUps = new FeedbackReply[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            entryReplies[i - _offset] = replies[interactionIds[i]];
+            entryFollowUps[i - _offset] = followUps[interactionIds[i]];
+        }
+    }
+
+    // The flags of up to _limit feedback entries from position _offset on, in
+    // the order of getFeedbackPage
+    function _flagPage(
+        uint256 _serviceId,
+        uint256 _offset,
+        uint256 _limit
+    ) internal view returns (FeedbackFlag[] memory flags) {
+        bytes32[] storage interactionIds = serviceFeedbacks[_serviceId];
+        uint256 end = _pageEnd(interactionIds.length, _offset, _limit);
+
+        flags = new FeedbackFlag[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            flags[i - _offset] = feedbackFlags[interactionIds[i]];
+        }
+    }
+
+    function _writeRole(
+        uint256 _serviceId,
+        Role _role,
+        address _account,
+        bool _granted
+    ) internal {
+        address[] storage members = roleMembers[_serviceId][_role];
+        mapping(address => uint256) storage positions = roleMemberPositions[
+            _serviceId
+        ][_role];
+        uint256 position = positions[_account];
+        if (_granted == (position != 0)) {
+            return;
+        }
+
+        if (_granted) {
+            members.push(_account);
+            positions[_account] = members.length;
+        } else {
+            address last = members[members.length - 1];
+            members[position - 1] = last;
+            positions[last] = position;
+            members.pop();
+            delete positions[_account];
+        }
+        emit RoleUpdated(_serviceId, _role, _account, _granted);
+    }
+
+    function _addOwnedService(address _owner, uint256 _serviceId) internal {
+        ownerServiceIndexes[_serviceId] = ownerServiceIds[_owner].length;
+        ownerServiceIds[_owner].push(_serviceId);
+    }
+
+    // EIP-712 digest of a struct hash under this contract's domain
+    function _hashTypedData(
+        bytes32 _structHash
+    ) internal view returns (bytes32) {
+        return
+            keccak256(
+                abi.encodePacked("\x19\x01", _domainSeparator(), _structHash)
+            );
+    }
+
+    function _buildDomainSeparator() internal view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256(bytes(DOMAIN_NAME)),
+                    keccak256(bytes(DOMAIN_VERSION)),
+                    _chainId(),
+                    address(this)
+                )
+            );
+    }
+
+    // Checks _signer's signature of an EIP-712 struct under this contract's
+    // domain, see SignatureChecker
+    function _isValidSignature(
+        address _signer,
+        bytes32 _structHash,
+        bytes calldata _signature
+    ) internal view returns (bool) {
+        return
+            SignatureChecker.isValidSignature(
+                _signer,
+                _hashTypedData(_structHash),
+                _signature
+            );
+    }
+
+    // The chain signatures are verified for. Only overridden by the tests, to
+    // act as if the chain changed.
+    function _chainId() internal view virtual returns (uint256) {
+        return block.chainid;
+    }
+
+    // Modules run at PrivateFeedback's address but can't read its immutables,
+    // so they build the domain separator PrivateFeedback caches every time
+    function _domainSeparator() internal view virtual returns (bytes32) {
+        return _buildDomainSeparator();
+    }
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// EIP-1271 signature validation, implemented by contract wallets such as
+// Safe. isValidSignature returns its own selector, 0x1626ba7e, when
+// `signature` is the wallet's signature of `hash`.
+interface IERC1271 {
+    function isValidSignature(
+        bytes32 hash,
+        bytes calldata signature
+    ) external view returns (bytes4 magicValue);
+}
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// A contract whose functions PrivateFeedback runs on its own state with
+// delegatecall. moduleSelectors lists the functions PrivateFeedback routes to
+// it, and is read once, when PrivateFeedback is deployed.
+interface IPrivateFeedbackModule {
+    function moduleSelectors() external pure returns (bytes4[] memory);
+}
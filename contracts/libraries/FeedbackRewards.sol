@@ -0,0 +1,296 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../interfaces/IERC20.sol";
+
+// Reward bookkeeping of PrivateFeedback: the balances it credits, its reward
+// campaigns and the transfers in and out. PrivateFeedback keeps the state in
+// a Ledger and checks who may do what before calling in. It's an external
+// library, linked when PrivateFeedback is deployed, so that its code doesn't
+// count towards PrivateFeedback's 24 KB size limit.
+library FeedbackRewards {
+    // ETH is the asset address(0), tokens are identified by their address
+    address internal constant ETH = address(0);
+
+    // Budget a service owner escrowed to reward new feedback automatically:
+    // the first feedback each reviewer submits while the campaign runs is
+    // credited rewardAmount, up to maxRewards reviewers. Whatever wasn't
+    // spent by the expiry can be reclaimed by the funder.
+    struct RewardCampaign {
+        uint256 serviceId;
+        address asset;
+        address funder;
+        uint256 rewardAmount;
+        uint256 maxRewards;
+        uint256 rewarded;
+        uint256 expiry;
+        bool reclaimed;
+    }
+
+    struct Ledger {
+        // Rewards credited to each account per asset, withdrawn with claim
+        mapping(address => mapping(address => uint256)) claimable;
+        // Assets each account has been credited rewards in
+        mapping(address => address[]) assets;
+        mapping(address => mapping(address => bool)) hasAsset;
+        // Campaign ids are given out in sequence from 1
+        uint256 campaignCount;
+        mapping(uint256 => RewardCampaign) campaigns;
+        mapping(uint256 => uint256[]) serviceCampaigns;
+        // The campaign new feedback about a service is credited from, 0 if
+        // none
+        mapping(uint256 => uint256) currentCampaigns;
+        mapping(uint256 => mapping(address => bool)) rewardees;
+    }
+
+    // Same as PrivateFeedback's events, which are emitted from its address
+    event RewardPaid(
+        uint256 indexed serviceId,
+        address indexed asset,
+        uint256 rewardAmount,
+        uint256 recipients
+    );
+    event RewardCampaignCreated(
+        uint256 indexed serviceId,
+        uint256 campaignId,
+        address indexed asset,
+        uint256 rewardAmount,
+        uint256 maxRewards,
+        uint256 expiry
+    );
+    event RewardCampaignReclaimed(
+        uint256 indexed serviceId,
+        uint256 campaignId,
+        uint256 amount
+    );
+
+    // Credits _rewardAmount to the user behind the feedback of each of
+    // _interactionIds in [_start, _end), except hidden feedback, and returns
+    // the total the sender has to pay
+    function creditFeedback(
+        Ledger storage _ledger,
+        uint256 _serviceId,
+        bytes32[] storage _interactionIds,
+        mapping(bytes32 => uint256[2]) storage _feedback,
+        mapping(bytes32 => bool) storage _hidden,
+        mapping(bytes32 => address) storage _users,
+        address _asset,
+        uint256 _rewardAmount,
+        uint256 _start,
+        uint256 _end
+    ) public returns (uint256) {
+        require(
+            _start <= _end && _end <= _interactionIds.length,
+            "Invalid range"
+        );
+
+        uint256 recipients = 0;
+        for (uint256 i = _start; i < _end; i++) {
+            uint256[2] storage entry = _feedback[_interactionIds[i]];
+            if (
+                (entry[0] != 0 || entry[1] != 0) &&
+                !_hidden[_interactionIds[i]]
+            ) {
+                _credit(
+                    _ledger,
+                    _users[_interactionIds[i]],
+                    _asset,
+                    _rewardAmount
+                );
+                recipients++;
+            }
+        }
+
+        emit RewardPaid(_serviceId, _asset, _rewardAmount, recipients);
+        return _rewardAmount * recipients;
+    }
+
+    // Checks the ETH sent, _value, covers the rewards and credits the surplus
+    // back to the sender
+    function collectEth(
+        Ledger storage _ledger,
+        uint256 _total,
+        uint256 _value
+    ) public {
+        require(_value >= _total, "Insufficient funds");
+        if (_value > _total) {
+            _credit(_ledger, msg.sender, ETH, _value - _total);
+        }
+    }
+
+    // Pulls the rewards from the sender. Tokens that take a fee on transfer
+    // would leave the rewards underfunded, so they're rejected.
+    function collectToken(IERC20 _token, uint256 _total) public {
+        require(address(_token).code.length > 0, "Invalid token");
+        if (_total == 0) {
+            return;
+        }
+
+        uint256 balance = _token.balanceOf(address(this));
+        _safeTransferFrom(_token, msg.sender, address(this), _total);
+        require(
+            _token.balanceOf(address(this)) - balance == _total,
+            "Token transfer fees not supported"
+        );
+    }
+
+    // Zeroes the sender's claimable balance of an asset and sends it to them
+    function claim(Ledger storage _ledger, address _asset) public {
+        uint256 amount = _ledger.claimable[msg.sender][_asset];
+        require(amount > 0, "No rewards to claim");
+        _ledger.claimable[msg.sender][_asset] = 0;
+
+        if (_asset == ETH) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            _callToken(
+                IERC20(_asset),
+                abi.encodeCall(IERC20.transfer, (msg.sender, amount))
+            );
+        }
+    }
+
+    // Opens a campaign funded by the sender, who must then pay in the budget
+    function createCampaign(
+        Ledger storage _ledger,
+        uint256 _serviceId,
+        address _asset,
+        uint256 _rewardAmount,
+        uint256 _maxRewards,
+        uint256 _expiry
+    ) public returns (uint256) {
+        require(
+            _rewardAmount > 0 && _maxRewards > 0,
+            "Invalid campaign budget"
+        );
+        require(_expiry > block.timestamp, "Invalid campaign expiry");
+        require(
+            activeCampaignId(_ledger, _serviceId) == 0,
+            "A campaign is already running"
+        );
+
+        uint256 campaignId = ++_ledger.campaignCount;
+        _ledger.campaigns[campaignId] = RewardCampaign({
+            serviceId: _serviceId,
+            asset: _asset,
+            funder: msg.sender,
+            rewardAmount: _rewardAmount,
+            maxRewards: _maxRewards,
+            rewarded: 0,
+            expiry: _expiry,
+            reclaimed: false
+        });
+        _ledger.serviceCampaigns[_serviceId].push(campaignId);
+        _ledger.currentCampaigns[_serviceId] = campaignId;
+
+        emit RewardCampaignCreated(
+            _serviceId,
+            campaignId,
+            _asset,
+            _rewardAmount,
+            _maxRewards,
+            _expiry
+        );
+        return campaignId;
+    }
+
+    // Credits the budget a campaign didn't spend back to its funder, the
+    // sender, once the campaign has expired
+    function reclaimCampaign(
+        Ledger storage _ledger,
+        uint256 _campaignId
+    ) public {
+        RewardCampaign storage campaign = _ledger.campaigns[_campaignId];
+        require(campaign.funder != address(0), "Campaign not found");
+        require(
+            campaign.funder == msg.sender,
+            "Only the campaign funder can reclaim it"
+        );
+        require(block.timestamp > campaign.expiry, "Campaign still running");
+        require(!campaign.reclaimed, "Campaign already reclaimed");
+
+        campaign.reclaimed = true;
+        uint256 amount = campaign.rewardAmount *
+            (campaign.maxRewards - campaign.rewarded);
+        if (amount > 0) {
+            _credit(_ledger, msg.sender, campaign.asset, amount);
+        }
+
+        emit RewardCampaignReclaimed(campaign.serviceId, _campaignId, amount);
+    }
+
+    // Credits a reviewer's new feedback from the service's running campaign,
+    // unless the campaign already rewarded them
+    function creditCampaignReward(
+        Ledger storage _ledger,
+        uint256 _serviceId,
+        address _user
+    ) public {
+        uint256 campaignId = activeCampaignId(_ledger, _serviceId);
+        if (campaignId == 0 || _ledger.rewardees[campaignId][_user]) {
+            return;
+        }
+
+        RewardCampaign storage campaign = _ledger.campaigns[campaignId];
+        _ledger.rewardees[campaignId][_user] = true;
+        campaign.rewarded++;
+        _credit(_ledger, _user, campaign.asset, campaign.rewardAmount);
+
+        emit RewardPaid(_serviceId, campaign.asset, campaign.rewardAmount, 1);
+    }
+
+    // The campaign new feedback about a service is currently rewarded from,
+    // or 0 if none is running
+    function activeCampaignId(
+        Ledger storage _ledger,
+        uint256 _serviceId
+    ) internal view returns (uint256) {
+        uint256 campaignId = _ledger.currentCampaigns[_serviceId];
+        RewardCampaign storage campaign = _ledger.campaigns[campaignId];
+        if (
+            campaignId == 0 ||
+            block.timestamp > campaign.expiry ||
+            campaign.rewarded == campaign.maxRewards
+        ) {
+            return 0;
+        }
+        return campaignId;
+    }
+
+    function _credit(
+        Ledger storage _ledger,
+        address _account,
+        address _asset,
+        uint256 _amount
+    ) private {
+        if (!_ledger.hasAsset[_account][_asset]) {
+            _ledger.hasAsset[_account][_asset] = true;
+            _ledger.assets[_account].push(_asset);
+        }
+        _ledger.claimable[_account][_asset] += _amount;
+    }
+
+    // transferFrom that accepts tokens returning nothing, and reverts for
+    // tokens returning false
+    function _safeTransferFrom(
+        IERC20 _token,
+        address _from,
+        address _to,
+        uint256 _amount
+    ) private {
+        _callToken(
+            _token,
+            abi.encodeCall(IERC20.transferFrom, (_from, _to, _amount))
+        );
+    }
+
+    function _callToken(IERC20 _token, bytes memory _data) private {
+        (bool success, bytes memory returnData) = address(_token).call(_data);
+        require(
+            success &&
+                (returnData.length == 0 || abi.decode(returnData, (bool))),
+            "Token transfer failed"
+        );
+    }
+}
@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../interfaces/IERC1271.sol";
+
+// Signature checks shared by every signed PrivateFeedback message. It's an
+// external library, linked when PrivateFeedback is deployed, so that its
+// code doesn't count towards PrivateFeedback's 24 KB size limit.
+library SignatureChecker {
+    // Largest s of a canonical ECDSA signature, half the secp256k1 order
+    uint256 private constant SECP256K1_HALF_ORDER =
+        0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0;
+
+    // Checks that _signer signed _digest: with EIP-1271 if it's a contract
+    // wallet, otherwise with an ECDSA signature that recovers to it. Never
+    // true for address(0), which ecrecover returns for some invalid
+    // signatures.
+    function isValidSignature(
+        address _signer,
+        bytes32 _digest,
+        bytes calldata _signature
+    ) public view returns (bool) {
+        if (_signer.code.length > 0) {
+            (bool success, bytes memory result) = _signer.staticcall(
+                abi.encodeCall(
+                    IERC1271.isValidSignature,
+                    (_digest, _signature)
+                )
+            );
+            return
+                success &&
+                result.length == 32 &&
+                abi.decode(result, (bytes4)) ==
+                IERC1271.isValidSignature.selector;
+        }
+
+        return
+            _signer != address(0) &&
+            recoverSigner(_digest, _signature) == _signer;
+    }
+
+    // Recovers the signer of a 65-byte r, s, v signature, or address(0) if
+    // it's malformed. Only the lower of the two valid s values is accepted,
+    // so that a signature can't be turned into a different valid one.
+    function recoverSigner(
+        bytes32 _digest,
+        bytes calldata _signature
+    ) internal pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        if (uint256(s) > SECP256K1_HALF_ORDER || (v != 27 && v != 28)) {
+            return address(0);
+        }
+
+        return ecrecover(_digest, v, r, s);
+    }
+}
@@ -0,0 +1,455 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../PrivateFeedbackBase.sol";
+import "../interfaces/IPrivateFeedbackModule.sol";
+
+// Migration to a new version of PrivateFeedback, which runs these functions
+// on its own state with delegatecall: the migrator reads the state of every
+// service whose owner allowed it from the previous deployment with the export
+// views and the public getters, and replays it into the new one with the
+// import functions, see
+// migration/. Rewards and campaigns aren't moved, they stay claimable and
+// reclaimable on the previous deployment.
+contract PrivateFeedbackMigration is
+    PrivateFeedbackBase,
+    IPrivateFeedbackModule
+{
+    function moduleSelectors() external pure returns (bytes4[] memory) {
+        bytes4[] memory selectors = new bytes4[](17);
+        selectors[0] = this.setMigrator.selector;
+        selectors[1] = this.finishImport.selector;
+        selectors[2] = this.exportInteractions.selector;
+        selectors[3] = this.exportFeedbackOrder.selector;
+        selectors[4] = this.importService.selector;
+        selectors[5] = this.importRoles.selector;
+        selectors[6] = this.importInteractions.selector;
+        selectors[7] = this.importFeedbackOrder.selector;
+        selectors[8] = this.exportReplies.selector;
+        selectors[9] = this.importReplies.selector;
+        selectors[10] = this.exportFlags.selector;
+        selectors[11] = this.exportDisputes.selector;
+        selectors[12] = this.importFlags.selector;
+        selectors[13] = this.importDisputes.selector;
+        selectors[14] = this.importPublishedStats.selector;
+        selectors[15] = this.allowMigration.selector;
+        selectors[16] = this.isMigrationAllowed.selector;
+        return selectors;
+    }
+
+    function setMigrator(address _migrator) external {
+        _requireMigrator(msg.sender);
+        migrator = _migrator;
+    }
+
+    // Lets the migrator export the service's reviewers and feedback, or stops
+    // it. Only the owner can consent, since the export names who reviewed it.
+    function allowMigration(uint256 _serviceId, bool _allowed) external {
+        require(
+            services[_serviceId].owner == msg.sender,
+            "Only service owner can allow migration"
+        );
+        migrationAllowed[_serviceId] = _allowed;
+        emit MigrationAllowed(_serviceId, _allowed);
+    }
+
+    function isMigrationAllowed(
+        uint256 _serviceId
+    ) external view returns (bool) {
+        return migrationAllowed[_serviceId];
+    }
+
+    // Closes the import for good, once the imported state is verified
+    function finishImport() external {
+        _requireMigrator(msg.sender);
+        importFinished = true;
+    }
+
+    // The users behind up to _limit of the service's interactions from
+    // position _offset on, in the order they were registered, the number of
+    // versions of their feedback, and every version as [p1, p2, timestamp],
+    // oldest first, flattened into versions
+    function exportInteractions(
+        uint256 _serviceId,
+        uint256 _offset,
+        uint256 _limit,
+        SignIn calldata _signIn
+    )
+        external
+        view
+        returns (
+            address[] memory users,
+            uint256[] memory versionCounts,
+            uint256[] memory versions
+        )
+    {
+        _requireExport(_serviceId, _signIn);
+        bytes32[] storage interactionIds = serviceInteractions[_serviceId];
+        uint256 end = _pageEnd(interactionIds.length, _offset, _limit);
+
+        users = new address[](end - _offset);
+        versionCounts = new uint256[](end - _offset);
+        uint256 total = 0;
+        for (uint256 i = _offset; i < end; i++) {
+            users[i - _offset] = interactionsToUsers[interactionIds[i]];
+            versionCounts[i - _offset] = feedbackVersions[interactionIds[i]]
+                .length;
+            total += versionCounts[i - _offset];
+        }
+
+        versions = new uint256[](3 * total);
+        uint256 next = 0;
+        for (uint256 i = _offset; i < end; i++) {
+            FeedbackVersion[] storage history = feedbackVersions[
+                interactionIds[i]
+            ];
+            for (uint256 j = 0; j < history.length; j++) {
+                versions[next++] = history[j].feedback_p1;
+                versions[next++] = history[j].feedback_p2;
+                versions[next++] = history[j].timestamp;
+            }
+        }
+    }
+
+    // The ids of up to _limit of the service's interactions that carry
+    // feedback from position _offset on, in the order their feedback was first
+    // submitted
+    function exportFeedbackOrder(
+        uint256 _serviceId,
+        uint256 _offset,
+        uint256 _limit,
+        SignIn calldata _signIn
+    ) external view returns (bytes32[] memory interactionIds) {
+        _requireExport(_serviceId, _signIn);
+        bytes32[] storage feedbackIds = serviceFeedbacks[_serviceId];
+        uint256 end = _pageEnd(feedbackIds.length, _offset, _limit);
+
+        interactionIds = new bytes32[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            interactionIds[i - _offset] = feedbackIds[i];
+        }
+    }
+
+    // The replies and follow-ups of up to _limit feedback entries from
+    // position _offset on, laid out like getFeedbackReplies
+    function exportReplies(
+        uint256 _serviceId,
+        uint256 _offset,
+        uint256 _limit,
+        SignIn calldata _signIn
+    )
+        external
+        view
+        returns (
+            FeedbackReply[] memory entryReplies,
+            FeedbackReply[] memory entryFollowUps
+        )
+    {
+        _requireExport(_serviceId, _signIn);
+        return _replyPage(_serviceId, _offset, _limit);
+    }
+
+    // The flags of up to _limit feedback entries from position _offset on,
+    // laid out like getFeedbackFlags
+    function exportFlags(
+        uint256 _serviceId,
+        uint256 _offset,
+        uint256 _limit,
+        SignIn calldata _signIn
+    ) external view returns (FeedbackFlag[] memory) {
+        _requireExport(_serviceId, _signIn);
+        return _flagPage(_serviceId, _offset, _limit);
+    }
+
+    // Up to _limit disputes from dispute id _offset + 1 on
+    function exportDisputes(
+        uint256 _offset,
+        uint256 _limit,
+        SignIn calldata _signIn
+    ) external view returns (Dispute[] memory page) {
+        _requireSignIn(_signIn);
+        _requireMigrator(_signIn.user);
+        uint256 end = _pageEnd(disputes.length, _offset, _limit);
+
+        page = new Dispute[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            require(
+                migrationAllowed[disputes[i].serviceId],
+                "Migration not allowed"
+            );
+            page[i - _offset] = disputes[i];
+        }
+    }
+
+    // Registers a service of the previous deployment under the same id
+    function importService(
+        uint256 _serviceId,
+        uint256 _metadata_p1,
+        uint256 _metadata_p2,
+        address _owner,
+        address _pendingOwner,
+        ServiceStatus _status,
+        uint256 _statsThreshold,
+        EditPolicy _editPolicy,
+        uint256 _editWindow
+    ) external {
+        _recordImportCall();
+        require(_owner != address(0), "Invalid account");
+        require(
+            _serviceId != 0 && services[_serviceId].owner == address(0),
+            "Service already registered"
+        );
+
+        services[_serviceId] = Service({
+            metadata_p1: _metadata_p1,
+            metadata_p2: _metadata_p2,
+            owner: _owner,
+            status: _status
+        });
+        _addOwnedService(_owner, _serviceId);
+        importedServices[_serviceId] = true;
+        migrationAllowed[_serviceId] = true;
+        pendingOwners[_serviceId] = _pendingOwner;
+        statsThresholds[_serviceId] = _statsThreshold;
+        editPolicies[_serviceId] = _editPolicy;
+        editWindows[_serviceId] = _editWindow;
+        if (_serviceId >= serviceIdCounter) {
+            serviceIdCounter = _serviceId + 1;
+        }
+
+        emit ServiceRegistered(_owner, _serviceId);
+    }
+
+    function importRoles(
+        uint256 _serviceId,
+        Role _role,
+        address[] calldata _accounts
+    ) external {
+        _recordImportCall(_serviceId);
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            require(_accounts[i] != address(0), "Invalid account");
+            _writeRole(_serviceId, _role, _accounts[i], true);
+        }
+    }
+
+    // Appends interactions to the service in the order they were registered,
+    // each with its user's next interaction index. _versionCounts and
+    // _versions hold their feedback history laid out like
+    // exportInteractions, with no versions for interactions without
+    // feedback. Their latest version becomes their feedback, which
+    // importFeedbackOrder then lists.
+    function importInteractions(
+        uint256 _serviceId,
+        address[] calldata _users,
+        uint256[] calldata _versionCounts,
+        uint256[] calldata _versions
+    ) external {
+        _recordImportCall(_serviceId);
+        require(_versionCounts.length == _users.length, "Invalid feedback");
+
+        uint256 next = 0;
+        for (uint256 i = 0; i < _users.length; i++) {
+            uint256 end = next + 3 * _versionCounts[i];
+            _importInteraction(_serviceId, _users[i], _versions[next:end]);
+            next = end;
+        }
+        require(next == _versions.length, "Invalid feedback");
+    }
+
+    // Appends an interaction of _user to the service, with its feedback
+    // versions given as [p1, p2, timestamp] triples, and makes the latest
+    // its feedback
+    function _importInteraction(
+        uint256 _serviceId,
+        address _user,
+        uint256[] calldata _versions
+    ) private {
+        require(_user != address(0), "Invalid account");
+        bytes32 interactionId = _getInteractionId(
+            _user,
+            _serviceId,
+            interactionCounts[_serviceId][_user]++
+        );
+        bytes32[] storage interactionIds = serviceInteractions[_serviceId];
+        interactionsToUsers[interactionId] = _user;
+        interactionIds.push(interactionId);
+
+        for (uint256 i = 0; i < _versions.length; i += 3) {
+            feedbackVersions[interactionId].push(
+                FeedbackVersion(
+                    _versions[i],
+                    _versions[i + 1],
+                    _versions[i + 2]
+                )
+            );
+            feedback[interactionId] = [_versions[i], _versions[i + 1]];
+        }
+        emit InteractionRegistered(_serviceId, interactionIds.length);
+    }
+
+    // Lists the feedback of imported interactions, given by their position
+    // among the service's interactions, in the order it was first submitted,
+    // and counts it in the service's stats
+    function importFeedbackOrder(
+        uint256 _serviceId,
+        uint256[] calldata _positions
+    ) external {
+        _recordImportCall(_serviceId);
+        bytes32[] storage interactionIds = serviceInteractions[_serviceId];
+        for (uint256 i = 0; i < _positions.length; i++) {
+            require(
+                _positions[i] < interactionIds.length,
+                "Invalid Interaction"
+            );
+            bytes32 interactionId = interactionIds[_positions[i]];
+            uint256 feedback_p1 = feedback[interactionId][0];
+            require(
+                feedback_p1 != 0 || feedback[interactionId][1] != 0,
+                "Empty feedback"
+            );
+
+            serviceFeedbacks[_serviceId].push(interactionId);
+            _updateRatingStats(
+                _serviceId,
+                interactionsToUsers[interactionId],
+                0,
+                feedback_p1
+            );
+            emit FeedbackSubmitted(_serviceId);
+        }
+    }
+
+    // Attaches replies, and their follow-ups if they have a timestamp, to
+    // imported feedback entries, given by their position in the order of
+    // importFeedbackOrder
+    function importReplies(
+        uint256 _serviceId,
+        uint256[] calldata _positions,
+        FeedbackReply[] calldata _replies,
+        FeedbackReply[] calldata _followUps
+    ) external {
+        _recordImportCall(_serviceId);
+        require(
+            _replies.length == _positions.length &&
+                _followUps.length == _positions.length,
+            "Invalid replies"
+        );
+        bytes32[] storage interactionIds = serviceFeedbacks[_serviceId];
+        for (uint256 i = 0; i < _positions.length; i++) {
+            require(
+                _positions[i] < interactionIds.length,
+                "Feedback not found"
+            );
+            bytes32 interactionId = interactionIds[_positions[i]];
+            require(
+                _replies[i].timestamp != 0 &&
+                    replies[interactionId].timestamp == 0,
+                "Invalid replies"
+            );
+
+            replies[interactionId] = _replies[i];
+            emit FeedbackReplied(_serviceId);
+            if (_followUps[i].timestamp != 0) {
+                followUps[interactionId] = _followUps[i];
+                emit ReplyFollowedUp(_serviceId);
+            }
+        }
+    }
+
+    // Flags imported feedback entries, given by the position in their flag,
+    // hiding those that weren't overturned. Their dispute ids must then be
+    // imported in order with importDisputes.
+    function importFlags(
+        uint256 _serviceId,
+        FeedbackFlag[] calldata _flags
+    ) external {
+        _recordImportCall(_serviceId);
+        bytes32[] storage interactionIds = serviceFeedbacks[_serviceId];
+        for (uint256 i = 0; i < _flags.length; i++) {
+            require(
+                _flags[i].position < interactionIds.length,
+                "Feedback not found"
+            );
+            bytes32 interactionId = interactionIds[_flags[i].position];
+            require(
+                _flags[i].status != FlagStatus.None &&
+                    feedbackFlags[interactionId].status == FlagStatus.None,
+                "Invalid flags"
+            );
+
+            feedbackFlags[interactionId] = _flags[i];
+            emit FeedbackFlagged(_serviceId, _flags[i].reason);
+            if (_flags[i].status == FlagStatus.Overturned) {
+                emit DisputeResolved(_serviceId, _flags[i].disputeId, false);
+            } else {
+                _hideFeedback(_serviceId, interactionId);
+            }
+        }
+    }
+
+    // Sets the stats getServiceStats returns to those the previous deployment
+    // published, which the imported feedback doesn't rebuild: the next ones
+    // are published once `threshold` further changes pile up
+    function importPublishedStats(
+        uint256 _serviceId,
+        RatingStats calldata _stats
+    ) external {
+        _recordImportCall(_serviceId);
+        publishedStats[_serviceId] = _stats;
+    }
+
+    // Appends disputes of the previous deployment to the arbiter's queue,
+    // which must keep their ids
+    function importDisputes(Dispute[] calldata _disputes) external {
+        _recordImportCall();
+        for (uint256 i = 0; i < _disputes.length; i++) {
+            Dispute calldata dispute = _disputes[i];
+            require(
+                importedServices[dispute.serviceId],
+                "Service not imported"
+            );
+            bytes32[] storage interactionIds = serviceFeedbacks[
+                dispute.serviceId
+            ];
+            require(
+                dispute.position < interactionIds.length,
+                "Invalid dispute"
+            );
+            disputes.push(dispute);
+
+            bytes32 interactionId = interactionIds[dispute.position];
+            require(
+                feedbackFlags[interactionId].disputeId == disputes.length,
+                "Invalid dispute"
+            );
+        }
+    }
+
+    // Like _recordImportCall, for calls that write to an imported service
+    function _recordImportCall(uint256 _serviceId) private {
+        _recordImportCall();
+        require(importedServices[_serviceId], "Service not imported");
+    }
+
+    // Import calls are only accepted until the import is finished, and each
+    // one is chained into importDigest
+    function _recordImportCall() private {
+        _requireMigrator(msg.sender);
+        require(!importFinished, "Import finished");
+        importDigest = keccak256(
+            abi.encodePacked(importDigest, keccak256(msg.data))
+        );
+        importedCalls++;
+    }
+
+    // Checks the migrator's sign-in and that the service's owner allowed
+    // its export
+    function _requireExport(
+        uint256 _serviceId,
+        SignIn calldata _signIn
+    ) private view {
+        _requireSignIn(_signIn);
+        _requireMigrator(_signIn.user);
+        require(migrationAllowed[_serviceId], "Migration not allowed");
+    }
+}
@@ -0,0 +1,218 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../PrivateFeedbackBase.sol";
+import "../interfaces/IPrivateFeedbackModule.sol";
+
+// Moderation of feedback, which PrivateFeedback runs on its own state with
+// delegatecall: a service's owner and admins flag abusive entries with a
+// reason, which hides them, the reviewer contests the flag, and the arbiter
+// settles the dispute. Hidden entries stay in the feedback views, with their
+// flag, so that moderation can be audited.
+contract PrivateFeedbackModeration is
+    PrivateFeedbackBase,
+    IPrivateFeedbackModule
+{
+    // A dispute as the arbiter reviews it, with the flagged feedback
+    struct DisputeDetails {
+        uint256 serviceId;
+        uint256 position;
+        FlagStatus status;
+        FlagReason reason;
+        uint256 feedback_p1;
+        uint256 feedback_p2;
+    }
+
+    function moduleSelectors() external pure returns (bytes4[] memory) {
+        bytes4[] memory selectors = new bytes4[](9);
+        selectors[0] = this.setArbiter.selector;
+        selectors[1] = this.flagFeedback.selector;
+        selectors[2] = this.contestFlag.selector;
+        selectors[3] = this.contestFlagFor.selector;
+        selectors[4] = this.resolveDispute.selector;
+        selectors[5] = this.getFeedbackFlags.selector;
+        selectors[6] = this.getReviewerFlag.selector;
+        selectors[7] = this.getDisputeCount.selector;
+        selectors[8] = this.getDisputes.selector;
+        return selectors;
+    }
+
+    function setArbiter(address _arbiter) external {
+        require(msg.sender == arbiter, "Only the arbiter can do this");
+        arbiter = _arbiter;
+    }
+
+    // Hides the feedback entry at _position, in the order of getAllFeedbacks,
+    // from the service's counters, stats and rewards
+    function flagFeedback(
+        uint256 _serviceId,
+        uint256 _position,
+        FlagReason _reason
+    ) external {
+        require(
+            hasRole(_serviceId, Role.Admin, msg.sender),
+            "Only service owner or admins can manage the service"
+        );
+        require(
+            services[_serviceId].status != ServiceStatus.Closed,
+            "Service closed"
+        );
+        bytes32[] storage interactionIds = serviceFeedbacks[_serviceId];
+        require(_position < interactionIds.length, "Feedback not found");
+
+        bytes32 interactionId = interactionIds[_position];
+        FeedbackFlag storage flag = feedbackFlags[interactionId];
+        require(flag.status == FlagStatus.None, "Feedback already moderated");
+        flag.status = FlagStatus.Flagged;
+        flag.reason = _reason;
+        flag.position = _position;
+        flag.flaggedAt = block.timestamp;
+        _hideFeedback(_serviceId, interactionId);
+        _countStatsUpdate(_serviceId);
+
+        emit FeedbackFlagged(_serviceId, _reason);
+    }
+
+    // Contests the flag on the sender's feedback about their interaction
+    // _interactionIndex, which puts it in the arbiter's queue
+    function contestFlag(
+        uint256 _serviceId,
+        uint256 _interactionIndex
+    ) external {
+        _contestFlag(msg.sender, _serviceId, _interactionIndex);
+    }
+
+    // Same as contestFlag for _user, who signed a ContestFlag, sent by
+    // anyone, so that a relayer can contest for reviewers without gas
+    function contestFlagFor(
+        address _user,
+        uint256 _serviceId,
+        uint256 _interactionIndex,
+        bytes calldata _signature,
+        uint256 _nonce,
+        uint256 _deadline
+    ) external {
+        _useNonce(_user, _nonce, _deadline);
+        bytes32 contestHash = keccak256(
+            abi.encode(
+                CONTEST_FLAG_TYPEHASH,
+                _user,
+                _serviceId,
+                _interactionIndex,
+                _nonce,
+                _deadline
+            )
+        );
+        require(
+            _isValidSignature(_user, contestHash, _signature),
+            "Invalid Signature"
+        );
+
+        _contestFlag(_user, _serviceId, _interactionIndex);
+    }
+
+    // Settles a dispute: the flagged entry stays hidden if _uphold, and is
+    // shown again otherwise
+    function resolveDispute(uint256 _disputeId, bool _uphold) external {
+        require(msg.sender == arbiter, "Only the arbiter can do this");
+        require(
+            _disputeId != 0 && _disputeId <= disputes.length,
+            "Dispute not found"
+        );
+        Dispute storage dispute = disputes[_disputeId - 1];
+        bytes32 interactionId = serviceFeedbacks[dispute.serviceId][
+            dispute.position
+        ];
+        FeedbackFlag storage flag = feedbackFlags[interactionId];
+        require(flag.status == FlagStatus.Contested, "Dispute resolved");
+
+        if (_uphold) {
+            flag.status = FlagStatus.Upheld;
+        } else {
+            flag.status = FlagStatus.Overturned;
+            _showFeedback(dispute.serviceId, interactionId);
+            _countStatsUpdate(dispute.serviceId);
+        }
+
+        emit DisputeResolved(dispute.serviceId, _disputeId, _uphold);
+    }
+
+    // The flags of up to _limit feedback entries from position _offset on, in
+    // the order of getFeedbackPage, with a None status for unflagged ones
+    function getFeedbackFlags(
+        uint256 _serviceId,
+        uint256 _offset,
+        uint256 _limit,
+        SignIn calldata _signIn
+    ) external view returns (FeedbackFlag[] memory) {
+        _requireAnalyst(_serviceId, _signIn);
+        return _flagPage(_serviceId, _offset, _limit);
+    }
+
+    // The flag on the feedback _signIn's user gave about their interaction
+    // _interactionIndex
+    function getReviewerFlag(
+        uint256 _serviceId,
+        uint256 _interactionIndex,
+        SignIn calldata _signIn
+    ) external view returns (FeedbackFlag memory) {
+        _requireSignIn(_signIn);
+        return
+            feedbackFlags[
+                _getInteractionId(_signIn.user, _serviceId, _interactionIndex)
+            ];
+    }
+
+    function getDisputeCount() external view returns (uint256) {
+        return disputes.length;
+    }
+
+    // Up to _limit disputes from dispute id _offset + 1 on, with the feedback
+    // they're about, which only the arbiter, signed in with _signIn, reads
+    function getDisputes(
+        uint256 _offset,
+        uint256 _limit,
+        SignIn calldata _signIn
+    ) external view returns (DisputeDetails[] memory details) {
+        _requireSignIn(_signIn);
+        require(_signIn.user == arbiter, "Only the arbiter can do this");
+        uint256 end = _pageEnd(disputes.length, _offset, _limit);
+
+        details = new DisputeDetails[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            Dispute storage dispute = disputes[i];
+            bytes32 interactionId = serviceFeedbacks[dispute.serviceId][
+                dispute.position
+            ];
+            FeedbackFlag storage flag = feedbackFlags[interactionId];
+            details[i - _offset] = DisputeDetails({
+                serviceId: dispute.serviceId,
+                position: dispute.position,
+                status: flag.status,
+                reason: flag.reason,
+                feedback_p1: feedback[interactionId][0],
+                feedback_p2: feedback[interactionId][1]
+            });
+        }
+    }
+
+    function _contestFlag(
+        address _user,
+        uint256 _serviceId,
+        uint256 _interactionIndex
+    ) private {
+        bytes32 interactionId = _getInteractionId(
+            _user,
+            _serviceId,
+            _interactionIndex
+        );
+        FeedbackFlag storage flag = feedbackFlags[interactionId];
+        require(flag.status == FlagStatus.Flagged, "Feedback not flagged");
+
+        disputes.push(Dispute(_serviceId, flag.position));
+        flag.status = FlagStatus.Contested;
+        flag.disputeId = disputes.length;
+
+        emit FlagContested(_serviceId, disputes.length);
+    }
+}
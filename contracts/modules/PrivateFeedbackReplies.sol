@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../PrivateFeedbackBase.sol";
+import "../interfaces/IPrivateFeedbackModule.sol";
+
+// Replies to feedback, which PrivateFeedback runs on its own state with
+// delegatecall: the service's owner, admins and responders answer a feedback
+// entry once, and its reviewer can follow the reply up once. Replies are the
+// service's public answer: anyone can read them and their follow-ups, which
+// don't name the reviewer, while the feedback they answer stays private.
+// Reviewers find the thread of their own feedback with getReviewerThread.
+contract PrivateFeedbackReplies is PrivateFeedbackBase, IPrivateFeedbackModule {
+    function moduleSelectors() external pure returns (bytes4[] memory) {
+        bytes4[] memory selectors = new bytes4[](5);
+        selectors[0] = this.replyToFeedback.selector;
+        selectors[1] = this.followUpOnReply.selector;
+        selectors[2] = this.followUpOnReplyFor.selector;
+        selectors[3] = this.getFeedbackReplies.selector;
+        selectors[4] = this.getReviewerThread.selector;
+        return selectors;
+    }
+
+    // Replies to the feedback entry at _position, in the order of
+    // getAllFeedbacks. Each entry gets one reply, which can't be changed.
+    function replyToFeedback(
+        uint256 _serviceId,
+        uint256 _position,
+        bytes32 _contentHash,
+        bytes32 _text
+    ) external {
+        require(
+            hasRole(_serviceId, Role.Admin, msg.sender) ||
+                hasRole(_serviceId, Role.Responder, msg.sender),
+            "Only service owner, admins or responders can reply"
+        );
+        require(
+            services[_serviceId].status != ServiceStatus.Closed,
+            "Service closed"
+        );
+        bytes32[] storage interactionIds = serviceFeedbacks[_serviceId];
+        require(_position < interactionIds.length, "Feedback not found");
+
+        FeedbackReply storage reply = replies[interactionIds[_position]];
+        require(reply.timestamp == 0, "Feedback already replied to");
+        _writeReply(reply, _contentHash, _text, msg.sender);
+        emit FeedbackReplied(_serviceId);
+    }
+
+    // Follows up on the reply to the sender's feedback about their
+    // interaction _interactionIndex. The follow-up is the reviewer's last
+    // word and, like their feedback, doesn't name them, but anyone can read
+    // it.
+    function followUpOnReply(
+        uint256 _serviceId,
+        uint256 _interactionIndex,
+        bytes32 _contentHash,
+        bytes32 _text
+    ) external {
+        _followUpOnReply(
+            msg.sender,
+            _serviceId,
+            _interactionIndex,
+            _contentHash,
+            _text
+        );
+    }
+
+    // Same as followUpOnReply for _user, who signed a FollowUp, sent by
+    // anyone, so that a relayer can send it without the reviewer paying gas
+    function followUpOnReplyFor(
+        address _user,
+        uint256 _serviceId,
+        uint256 _interactionIndex,
+        bytes32 _contentHash,
+        bytes32 _text,
+        bytes calldata _signature,
+        uint256 _nonce,
+        uint256 _deadline
+    ) external {
+        _useNonce(_user, _nonce, _deadline);
+        bytes32 followUpHash = keccak256(
+            abi.encode(
+                FOLLOW_UP_TYPEHASH,
+                _user,
+                _serviceId,
+                _interactionIndex,
+                _contentHash,
+                _text,
+                _nonce,
+                _deadline
+            )
+        );
+        require(
+            _isValidSignature(_user, followUpHash, _signature),
+            "Invalid Signature"
+        );
+
+        _followUpOnReply(
+            _user,
+            _serviceId,
+            _interactionIndex,
+            _contentHash,
+            _text
+        );
+    }
+
+    // The replies and follow-ups of up to _limit feedback entries from
+    // position _offset on, in the order of getFeedbackPage. Entries without
+    // them have a zero timestamp. Anyone can read them without the feedback.
+    function getFeedbackReplies(
+        uint256 _serviceId,
+        uint256 _offset,
+        uint256 _limit
+    )
+        external
+        view
+        returns (
+            FeedbackReply[] memory entryReplies,
+            FeedbackReply[] memory entryFollowUps
+        )
+    {
+        return _replyPage(_serviceId, _offset, _limit);
+    }
+
+    // The reply to the feedback _signIn's user gave about their interaction
+    // _interactionIndex, and their follow-up
+    function getReviewerThread(
+        uint256 _serviceId,
+        uint256 _interactionIndex,
+        SignIn calldata _signIn
+    )
+        external
+        view
+        returns (FeedbackReply memory reply, FeedbackReply memory followUp)
+    {
+        _requireSignIn(_signIn);
+        bytes32 interactionId = _getInteractionId(
+            _signIn.user,
+            _serviceId,
+            _interactionIndex
+        );
+        return (replies[interactionId], followUps[interactionId]);
+    }
+
+    function _followUpOnReply(
+        address _user,
+        uint256 _serviceId,
+        uint256 _interactionIndex,
+        bytes32 _contentHash,
+        bytes32 _text
+    ) private {
+        _requireActive(_serviceId);
+        bytes32 interactionId = _getInteractionId(
+            _user,
+            _serviceId,
+            _interactionIndex
+        );
+        require(replies[interactionId].timestamp != 0, "No reply to follow up");
+
+        FeedbackReply storage followUp = followUps[interactionId];
+        require(followUp.timestamp == 0, "Reply already followed up");
+        _writeReply(followUp, _contentHash, _text, address(0));
+        emit ReplyFollowedUp(_serviceId);
+    }
+
+    function _writeReply(
+        FeedbackReply storage _reply,
+        bytes32 _contentHash,
+        bytes32 _text,
+        address _author
+    ) private {
+        require(_contentHash != 0 || _text != 0, "Empty reply");
+        _reply.contentHash = _contentHash;
+        _reply.text = _text;
+        _reply.author = _author;
+        _reply.timestamp = block.timestamp;
+    }
+}
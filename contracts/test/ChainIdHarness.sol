@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../PrivateFeedback.sol";
+
+// PrivateFeedback on a chain id the tests set, as after a fork, rather than
+// the chain's. Modules still see the chain's id. Only used by the tests.
+contract ChainIdHarness is PrivateFeedback {
+    uint256 private chainId;
+
+    constructor(
+        address[] memory _modules
+    ) PrivateFeedback(_modules, false) {}
+
+    // 0 goes back to the chain's id
+    function setChainId(uint256 _id) external {
+        chainId = _id;
+    }
+
+    function _chainId() internal view override returns (uint256) {
+        return chainId != 0 ? chainId : block.chainid;
+    }
+}
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// A contract wallet with a single owner, like a one-owner Safe. It accepts
+// the owner's ECDSA signature of a hash, or for hashes the owner approved on
+// chain, an empty signature or Safe's 65-byte approved-hash signature, with
+// the owner as r and a v of 1. Only used by the tests.
+contract MockERC1271Wallet {
+    bytes4 private constant MAGIC_VALUE = 0x1626ba7e;
+
+    address public owner;
+    mapping(bytes32 => bool) public approvedHashes;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "MockERC1271Wallet: not the owner");
+        _;
+    }
+
+    function approveHash(bytes32 _hash) external onlyOwner {
+        approvedHashes[_hash] = true;
+    }
+
+    // Calls _target from the wallet, bubbling up its revert reason
+    function execute(
+        address _target,
+        bytes calldata _data
+    ) external onlyOwner returns (bytes memory) {
+        (bool success, bytes memory result) = _target.call(_data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    function isValidSignature(
+        bytes32 _hash,
+        bytes calldata _signature
+    ) external view returns (bytes4) {
+        if (_signature.length == 0) {
+            return approvedHashes[_hash] ? MAGIC_VALUE : bytes4(0xffffffff);
+        }
+        if (_signature.length != 65) {
+            return 0xffffffff;
+        }
+        if (uint8(_signature[64]) == 1) {
+            address approver = address(uint160(uint256(bytes32(_signature))));
+            return
+                approver == owner && approvedHashes[_hash]
+                    ? MAGIC_VALUE
+                    : bytes4(0xffffffff);
+        }
+
+        address signer = ecrecover(
+            _hash,
+            uint8(_signature[64]),
+            bytes32(_signature[0:32]),
+            bytes32(_signature[32:64])
+        );
+        return signer == owner ? MAGIC_VALUE : bytes4(0xffffffff);
+    }
+}
@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// A mintable ERC-20 token for the tests. Its behaviour can be switched to
+// that of non-standard tokens.
+contract MockERC20 {
+    enum Behaviour {
+        Standard,
+        // transfer and transferFrom return nothing, like USDT
+        NoReturnValue,
+        // transfer and transferFrom return false instead of reverting
+        ReturnsFalse,
+        // 1% of every transfer is burnt
+        TransferFee
+    }
+
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 18;
+    uint256 public totalSupply;
+    Behaviour public behaviour;
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(
+        address indexed owner,
+        address indexed spender,
+        uint256 value
+    );
+
+    constructor(string memory _name, string memory _symbol) {
+        name = _name;
+        symbol = _symbol;
+    }
+
+    function setBehaviour(Behaviour _behaviour) external {
+        behaviour = _behaviour;
+    }
+
+    function mint(address _to, uint256 _amount) external {
+        totalSupply += _amount;
+        balanceOf[_to] += _amount;
+        emit Transfer(address(0), _to, _amount);
+    }
+
+    function approve(address _spender, uint256 _amount) external returns (bool) {
+        allowance[msg.sender][_spender] = _amount;
+        emit Approval(msg.sender, _spender, _amount);
+        return true;
+    }
+
+    function transfer(address _to, uint256 _amount) external returns (bool) {
+        return _transfer(msg.sender, _to, _amount);
+    }
+
+    function transferFrom(
+        address _from,
+        address _to,
+        uint256 _amount
+    ) external returns (bool) {
+        if (behaviour == Behaviour.ReturnsFalse) {
+            return false;
+        }
+
+        require(allowance[_from][msg.sender] >= _amount, "Insufficient allowance");
+        allowance[_from][msg.sender] -= _amount;
+        return _transfer(_from, _to, _amount);
+    }
+
+    function _transfer(
+        address _from,
+        address _to,
+        uint256 _amount
+    ) private returns (bool) {
+        if (behaviour == Behaviour.ReturnsFalse) {
+            return false;
+        }
+
+        require(balanceOf[_from] >= _amount, "Insufficient balance");
+        uint256 fee = behaviour == Behaviour.TransferFee ? _amount / 100 : 0;
+        balanceOf[_from] -= _amount;
+        balanceOf[_to] += _amount - fee;
+        totalSupply -= fee;
+        emit Transfer(_from, _to, _amount - fee);
+
+        if (behaviour == Behaviour.NoReturnValue) {
+            assembly {
+                return(0, 0)
+            }
+        }
+        return true;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// A module that lists whatever selectors it's given, to check how
+// PrivateFeedback routes them. Only used by the tests.
+contract MockModule {
+    bytes4[] private selectors;
+
+    function setSelectors(bytes4[] calldata _selectors) external {
+        selectors = _selectors;
+    }
+
+    function moduleSelectors() external view returns (bytes4[] memory) {
+        return selectors;
+    }
+}
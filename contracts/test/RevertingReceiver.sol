@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Rejects every ETH transfer, like a contract wallet without a receive
+// function. Only used by the tests.
+contract RevertingReceiver {
+    receive() external payable {
+        revert("RevertingReceiver: ETH not accepted");
+    }
+}
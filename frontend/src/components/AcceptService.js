@@ -0,0 +1,42 @@
+import React from "react";
+
+export function AcceptService({ acceptService }) {
+  return (
+    <div>
+      <h4>Accept a service</h4>
+      <p>
+        Take over a service that its owner offered to you. It's listed with your
+        services once you accept it.
+      </p>
+      <form
+        onSubmit={(event) => {
+          // This function just calls the acceptService callback with the
+          // form's data.
+          event.preventDefault();
+
+          const formData = new FormData(event.target);
+          const serviceId = formData.get("serviceId");
+
+          if (serviceId) {
+            acceptService(serviceId);
+            event.target.reset();
+          }
+        }}
+      >
+        <div className="form-group">
+          <label>Service id</label>
+          <input
+            className="form-control"
+            type="number"
+            name="serviceId"
+            min="1"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <input className="btn btn-primary" type="submit" value="Accept" />
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React from "react";
+import { ethers } from "ethers";
+
+export function ClaimRewards({ rewardBalances, claimRewards }) {
+  if (rewardBalances === undefined) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h4>Claim rewards</h4>
+      {rewardBalances.length === 0 ? (
+        <p>You don't have any rewards yet.</p>
+      ) : (
+        <>
+          <p>
+            These are the rewards you can claim, for the feedback you left and
+            any surplus from the rewards you paid.
+          </p>
+          <ul className="list-unstyled">
+            {rewardBalances.map(({ asset, amount, symbol, decimals }) => (
+              <li key={asset} className="mb-2">
+                <b>
+                  {ethers.utils.formatUnits(amount, decimals)} {symbol}
+                </b>{" "}
+                <button
+                  className="btn btn-primary btn-sm ml-2"
+                  type="button"
+                  disabled={amount.isZero()}
+                  onClick={() => claimRewards(asset)}
+                >
+                  Claim
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,13 @@
 import React from "react";
 
-// We'll use ethers to interact with the Ethereum network and our contract
+// We'll use ethers to interact with the Ethereum network, and the SDK to
+// interact with our contract
 import { ethers } from "ethers";
+import { PrivateFeedbackClient } from "@privatefeedback/sdk";
 
 // We import the contract's artifacts and address here, as we are going to be
 // using them with ethers
-import TokenArtifact from "../contracts/Token.json";
+import PrivateFeedbackArtifact from "../contracts/PrivateFeedback.json";
 import contractAddress from "../contracts/contract-address.json";
 
 // All the logic of this dapp is contained in the Dapp component.
@@ -14,39 +16,89 @@ import contractAddress from "../contracts/contract-address.json";
 import { NoWalletDetected } from "./NoWalletDetected";
 import { ConnectWallet } from "./ConnectWallet";
 import { Loading } from "./Loading";
-import { Transfer } from "./Transfer";
+import { RegisterService } from "./RegisterService";
+import { ServiceList } from "./ServiceList";
+import { FeedbackList } from "./FeedbackList";
+import { FeedbackFlow } from "./FeedbackFlow";
+import { IssueVoucher } from "./IssueVoucher";
+import { ClaimRewards } from "./ClaimRewards";
+import { RewardCampaigns } from "./RewardCampaigns";
+import { ManageService } from "./ManageService";
+import { AcceptService } from "./AcceptService";
+import { ServiceRoles } from "./ServiceRoles";
+import { ServiceStats } from "./ServiceStats";
+import { ModerationQueue } from "./ModerationQueue";
 import { TransactionErrorMessage } from "./TransactionErrorMessage";
 import { WaitingForTransactionMessage } from "./WaitingForTransactionMessage";
-import { NoTokensMessage } from "./NoTokensMessage";
 
 // This is the default id used by the Hardhat Network
-const HARDHAT_NETWORK_ID = '31337';
+const HARDHAT_NETWORK_ID = 31337;
+
+// The chain the contract was deployed to, as exported by scripts/deploy.js
+const NETWORK_ID = contractAddress.chainId || HARDHAT_NETWORK_ID;
+
+// The number of feedback entries the dashboard shows at a time
+const FEEDBACK_PAGE_SIZE = 20;
+
+// Where the user's sign-in is kept between reloads, per contract and account
+const SIGN_IN_STORAGE_KEY = "privatefeedback:signIn";
+
+// The relayer that sends sponsored interactions and feedback, if any, as
+// started with `npx hardhat pf:relayer`
+const RELAYER_URL = process.env.REACT_APP_RELAYER_URL;
 
 // This is an error code that indicates that the user canceled a transaction
 const ERROR_CODE_TX_REJECTED_BY_USER = 4001;
 
 // This component is in charge of doing these things:
 //   1. It connects to the user's wallet
-//   2. Initializes ethers and the Token contract
-//   3. Polls the user balance to keep it updated.
-//   4. Transfers tokens by sending transactions
-//   5. Renders the whole application
-//
-// Note that (3) and (4) are specific of this sample application, but they show
-// you how to keep your Dapp and contract's state in sync,  and how to send a
-// transaction.
+//   2. Initializes ethers and the PrivateFeedback contract
+//   3. Polls the services owned by the user to keep them updated.
+//   4. Registers new services by sending transactions
+//   5. Lets the user record interactions with a service and leave feedback,
+//      signing both as EIP-712 typed data
+//   6. Lets owners escrow reward campaigns, and users claim the rewards
+//      credited to them
+//   7. Lets owners flag abusive feedback, reviewers contest the flags and the
+//      arbiter settle the disputes
+//   8. Renders the whole application
 export class Dapp extends React.Component {
   constructor(props) {
     super(props);
 
     // We store multiple things in Dapp's state.
-    // You don't need to follow this pattern, but it's an useful example.
     this.initialState = {
-      // The info of the token (i.e. It's Name and symbol)
-      tokenData: undefined,
-      // The user's address and balance
+      // The user's address and the services they own
       selectedAddress: undefined,
-      balance: undefined,
+      services: undefined,
+      // The user's sign-in, which proves to the contract that they're the one
+      // reading their services' feedback
+      signIn: undefined,
+      // The service whose feedback is being displayed, and the page of that
+      // feedback starting at feedbackOffset
+      selectedServiceId: undefined,
+      feedbacks: undefined,
+      feedbackOffset: 0,
+      // The versions of the feedback entry at `position` the user opened, as
+      // { position, versions }, and whether the service lets reviewers edit
+      // their feedback
+      feedbackHistory: undefined,
+      editPolicy: undefined,
+      // The last voucher the user issued for that service
+      issuedVoucher: undefined,
+      // The reward campaigns of that service, its rating stats and the staff
+      // accounts it delegated roles to
+      campaigns: undefined,
+      stats: undefined,
+      roles: undefined,
+      // The service the user is leaving feedback for
+      userService: undefined,
+      // The disputes about flagged feedback, which are only loaded when the
+      // user is the contract's arbiter and signed in
+      disputes: undefined,
+      // The rewards the user can withdraw, one { asset, amount, symbol,
+      // decimals } entry per asset
+      rewardBalances: undefined,
       // The ID about transactions being sent, and any possible error with them
       txBeingSent: undefined,
       transactionError: undefined,
@@ -54,6 +106,8 @@ export class Dapp extends React.Component {
     };
 
     this.state = this.initialState;
+    // The symbol and decimals of the reward assets, which never change
+    this._assetInfo = {};
   }
 
   render() {
@@ -67,39 +121,34 @@ export class Dapp extends React.Component {
     // When the wallet gets connected, we are going to save the users's address
     // in the component's state. So, if it hasn't been saved yet, we have
     // to show the ConnectWallet component.
-    //
-    // Note that we pass it a callback that is going to be called when the user
-    // clicks a button. This callback just calls the _connectWallet method.
     if (!this.state.selectedAddress) {
       return (
-        <ConnectWallet 
-          connectWallet={() => this._connectWallet()} 
+        <ConnectWallet
+          connectWallet={() => this._connectWallet()}
           networkError={this.state.networkError}
           dismiss={() => this._dismissNetworkError()}
         />
       );
     }
 
-    // If the token data or the user's balance hasn't loaded yet, we show
-    // a loading component.
-    if (!this.state.tokenData || !this.state.balance) {
+    // If the user's services haven't loaded yet, we show a loading component.
+    if (!this.state.services) {
       return <Loading />;
     }
 
+    const selectedService = this.state.services.find((service) =>
+      service.id.eq(this.state.selectedServiceId || 0)
+    );
+
     // If everything is loaded, we render the application.
     return (
       <div className="container p-4">
         <div className="row">
           <div className="col-12">
-            <h1>
-              {this.state.tokenData.name} ({this.state.tokenData.symbol})
-            </h1>
+            <h1>PrivateFeedback</h1>
             <p>
-              Welcome <b>{this.state.selectedAddress}</b>, you have{" "}
-              <b>
-                {this.state.balance.toString()} {this.state.tokenData.symbol}
-              </b>
-              .
+              Welcome <b>{this.state.selectedAddress}</b>, you own{" "}
+              <b>{this.state.services.length}</b> service(s).
             </p>
           </div>
         </div>
@@ -108,7 +157,7 @@ export class Dapp extends React.Component {
 
         <div className="row">
           <div className="col-12">
-            {/* 
+            {/*
               Sending a transaction isn't an immediate action. You have to wait
               for it to be mined.
               If we are waiting for one, we show a message here.
@@ -117,8 +166,8 @@ export class Dapp extends React.Component {
               <WaitingForTransactionMessage txHash={this.state.txBeingSent} />
             )}
 
-            {/* 
-              Sending a transaction can fail in multiple ways. 
+            {/*
+              Sending a transaction can fail in multiple ways.
               If that happened, we show a message here.
             */}
             {this.state.transactionError && (
@@ -132,27 +181,141 @@ export class Dapp extends React.Component {
 
         <div className="row">
           <div className="col-12">
-            {/*
-              If the user has no tokens, we don't show the Transfer form
-            */}
-            {this.state.balance.eq(0) && (
-              <NoTokensMessage selectedAddress={this.state.selectedAddress} />
-            )}
+            <ServiceList
+              services={this.state.services}
+              selectedServiceId={this.state.selectedServiceId}
+              selectService={(serviceId) => this._selectService(serviceId)}
+            />
+          </div>
+        </div>
 
-            {/*
-              This component displays a form that the user can use to send a 
-              transaction and transfer some tokens.
-              The component doesn't have logic, it just calls the transferTokens
-              callback.
-            */}
-            {this.state.balance.gt(0) && (
-              <Transfer
-                transferTokens={(to, amount) =>
-                  this._transferTokens(to, amount)
+        {selectedService && (
+          <div className="row">
+            <div className="col-12">
+              <FeedbackList
+                service={selectedService}
+                feedbacks={this.state.feedbacks}
+                signedIn={isSignInValid(this.state.signIn)}
+                signIn={() => this._signIn()}
+                offset={this.state.feedbackOffset}
+                pageSize={FEEDBACK_PAGE_SIZE}
+                showPage={(offset) => this._showFeedbackPage(offset)}
+                history={this.state.feedbackHistory}
+                showHistory={(position) => this._showFeedbackHistory(position)}
+                replyToFeedback={(position, text) =>
+                  this._replyToFeedback(position, text)
                 }
-                tokenSymbol={this.state.tokenData.symbol}
+                dismiss={() => this._selectService(undefined)}
               />
-            )}
+              <ServiceStats stats={this.state.stats} />
+              <ModerationQueue
+                service={selectedService}
+                feedbacks={this.state.feedbacks}
+                offset={this.state.feedbackOffset}
+                flagFeedback={(position, reason) =>
+                  this._flagFeedback(position, reason)
+                }
+              />
+              <ManageService
+                service={selectedService}
+                updateMetadata={(name, description) =>
+                  this._updateServiceMetadata(name, description)
+                }
+                transferOwnership={(newOwner) =>
+                  this._transferService(newOwner)
+                }
+                cancelTransfer={() => this._cancelServiceTransfer()}
+                setStatus={(status) => this._setServiceStatus(status)}
+                editPolicy={this.state.editPolicy}
+                setEditPolicy={(policy, window) =>
+                  this._setEditPolicy(policy, window)
+                }
+              />
+              <ServiceRoles
+                roles={this.state.roles}
+                grantRole={(role, account) => this._grantRole(role, account)}
+                revokeRole={(role, account) => this._revokeRole(role, account)}
+              />
+              <IssueVoucher
+                voucher={this.state.issuedVoucher}
+                issueVoucher={(user) => this._issueVoucher(user)}
+              />
+              <RewardCampaigns
+                campaigns={this.state.campaigns}
+                createCampaign={(campaign) => this._createCampaign(campaign)}
+                reclaimCampaign={(campaignId) =>
+                  this._reclaimCampaign(campaignId)
+                }
+              />
+            </div>
+          </div>
+        )}
+
+        {this.state.disputes && (
+          <>
+            <hr />
+
+            <div className="row">
+              <div className="col-12">
+                <ModerationQueue
+                  disputes={this.state.disputes}
+                  resolveDispute={(disputeId, uphold) =>
+                    this._resolveDispute(disputeId, uphold)
+                  }
+                />
+              </div>
+            </div>
+          </>
+        )}
+
+        <hr />
+
+        <div className="row">
+          <div className="col-12">
+            <FeedbackFlow
+              service={this.state.userService}
+              lookupService={(serviceId) => this._lookupService(serviceId)}
+              registerInteraction={(voucher, gasless) =>
+                this._registerInteraction(voucher, gasless)
+              }
+              submitFeedback={(feedback, interactionIndex, gasless) =>
+                this._submitFeedback(feedback, interactionIndex, gasless)
+              }
+              signedIn={isSignInValid(this.state.signIn)}
+              signIn={() => this._signIn()}
+              followUpOnReply={(interactionIndex, text) =>
+                this._followUpOnReply(interactionIndex, text)
+              }
+              contestFlag={(interactionIndex) =>
+                this._contestFlag(interactionIndex)
+              }
+            />
+          </div>
+        </div>
+
+        <hr />
+
+        <div className="row">
+          <div className="col-12">
+            <ClaimRewards
+              rewardBalances={this.state.rewardBalances}
+              claimRewards={(asset) => this._claimRewards(asset)}
+            />
+          </div>
+        </div>
+
+        <hr />
+
+        <div className="row">
+          <div className="col-12">
+            <RegisterService
+              registerService={(name, description) =>
+                this._registerService(name, description)
+              }
+            />
+            <AcceptService
+              acceptService={(serviceId) => this._acceptService(serviceId)}
+            />
           </div>
         </div>
       </div>
@@ -160,7 +323,7 @@ export class Dapp extends React.Component {
   }
 
   componentWillUnmount() {
-    // We poll the user's balance, so we have to stop doing that when Dapp
+    // We poll the user's services, so we have to stop doing that when Dapp
     // gets unmounted
     this._stopPollingData();
   }
@@ -171,7 +334,9 @@ export class Dapp extends React.Component {
 
     // To connect to the user's wallet, we have to run this method.
     // It returns a promise that will resolve to the user's address.
-    const [selectedAddress] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+    const [selectedAddress] = await window.ethereum.request({
+      method: "eth_requestAccounts",
+    });
 
     // Once we have the address, we can initialize the application.
 
@@ -186,11 +351,11 @@ export class Dapp extends React.Component {
       // `accountsChanged` event can be triggered with an undefined newAddress.
       // This happens when the user removes the Dapp from the "Connected
       // list of sites allowed access to your addresses" (Metamask > Settings > Connections)
-      // To avoid errors, we reset the dapp state 
+      // To avoid errors, we reset the dapp state
       if (newAddress === undefined) {
         return this._resetState();
       }
-      
+
       this._initialize(newAddress);
     });
   }
@@ -198,46 +363,44 @@ export class Dapp extends React.Component {
   _initialize(userAddress) {
     // This method initializes the dapp
 
-    // We first store the user's address in the component's state
+    // We first store the user's address in the component's state, dropping
+    // anything we loaded for the previous account.
+    // We also restore the account's sign-in, if it hasn't expired, so that
+    // reloading the page doesn't ask the user to sign in again.
+    const signIn = loadSignIn(userAddress);
     this.setState({
+      ...this.initialState,
       selectedAddress: userAddress,
+      signIn,
     });
 
-    // Then, we initialize ethers, fetch the token's data, and start polling
-    // for the user's balance.
-
-    // Fetching the token data and the user's balance are specific to this
-    // sample project, but you can reuse the same initialization pattern.
-    this._initializeEthers();
-    this._getTokenData();
+    // Then, we initialize ethers and start polling for the user's services.
+    this._initializeEthers(signIn);
     this._startPollingData();
   }
 
-  async _initializeEthers() {
+  async _initializeEthers(signIn) {
     // We first initialize ethers by creating a provider using window.ethereum
     this._provider = new ethers.providers.Web3Provider(window.ethereum);
 
-    // Then, we initialize the contract using that provider and the token's
-    // artifact. You can do this same thing with your contracts.
-    this._token = new ethers.Contract(
-      contractAddress.Token,
-      TokenArtifact.abi,
-      this._provider.getSigner(0)
+    // Then, we initialize the SDK's client using that provider and the
+    // PrivateFeedback artifact. The client takes care of building and signing
+    // the contract's EIP-712 typed data.
+    this._client = new PrivateFeedbackClient(
+      contractAddress.PrivateFeedback,
+      this._provider.getSigner(0),
+      { abi: PrivateFeedbackArtifact.abi, signIn, relayer: RELAYER_URL }
     );
   }
 
-  // The next two methods are needed to start and stop polling data. While
-  // the data being polled here is specific to this example, you can use this
-  // pattern to read any data from your contracts.
-  //
-  // Note that if you don't need it to update in near real time, you probably
-  // don't need to poll it. If that's the case, you can just fetch it when you
-  // initialize the app, as we do with the token data.
+  // The next two methods are needed to start and stop polling data. Services
+  // can receive interactions and feedback at any time, so we keep their
+  // counters up to date.
   _startPollingData() {
-    this._pollDataInterval = setInterval(() => this._updateBalance(), 1000);
+    this._pollDataInterval = setInterval(() => this._updateData(), 5000);
 
     // We run it once immediately so we don't have to wait for it
-    this._updateBalance();
+    this._updateData();
   }
 
   _stopPollingData() {
@@ -245,62 +408,539 @@ export class Dapp extends React.Component {
     this._pollDataInterval = undefined;
   }
 
-  // The next two methods just read from the contract and store the results
-  // in the component state.
-  async _getTokenData() {
-    const name = await this._token.name();
-    const symbol = await this._token.symbol();
+  // The next methods just read from the contract and store the results in
+  // the component state.
+  async _updateData() {
+    await Promise.all([
+      this._updateServices(),
+      this._updateRewardBalances(),
+      this._updateDisputes(),
+    ]);
+  }
+
+  async _updateRewardBalances() {
+    const balances = await this._client.getRewardBalances();
 
-    this.setState({ tokenData: { name, symbol } });
+    const rewardBalances = await Promise.all(
+      balances.map(async ({ asset, amount }) => ({
+        asset,
+        amount,
+        ...(await this._getAssetInfo(asset)),
+      }))
+    );
+    this.setState({ rewardBalances });
   }
 
-  async _updateBalance() {
-    const balance = await this._token.balanceOf(this.state.selectedAddress);
-    this.setState({ balance });
+  // The arbiter's dispute queue. Like feedback, disputes need a sign-in.
+  async _updateDisputes() {
+    const arbiter = await this._client.getArbiter();
+    if (
+      arbiter.toLowerCase() !== this.state.selectedAddress.toLowerCase() ||
+      !isSignInValid(this.state.signIn)
+    ) {
+      this.setState({ disputes: undefined });
+      return;
+    }
+
+    const disputes = await this._client.getDisputes();
+    this.setState({ disputes });
   }
 
-  // This method sends an ethereum transaction to transfer tokens.
-  // While this action is specific to this application, it illustrates how to
-  // send a transaction.
-  async _transferTokens(to, amount) {
-    // Sending a transaction is a complex operation:
-    //   - The user can reject it
-    //   - It can fail before reaching the ethereum network (i.e. if the user
-    //     doesn't have ETH for paying for the tx's gas)
-    //   - It has to be mined, so it isn't immediately confirmed.
-    //     Note that some testing networks, like Hardhat Network, do mine
-    //     transactions immediately, but your dapp should be prepared for
-    //     other networks.
-    //   - It can fail once mined.
-    //
-    // This method handles all of those things, so keep reading to learn how to
-    // do it.
+  async _getAssetInfo(asset) {
+    if (this._assetInfo[asset] === undefined) {
+      this._assetInfo[asset] = await this._client.getAssetInfo(asset);
+    }
+
+    return this._assetInfo[asset];
+  }
+
+  async _updateServices() {
+    const services = await this._client.listServicesByOwner(
+      this.state.selectedAddress
+    );
+
+    this.setState({ services });
+
+    if (this.state.selectedServiceId) {
+      await Promise.all([
+        this._updateFeedbacks(this.state.selectedServiceId),
+        this._updateCampaigns(this.state.selectedServiceId),
+        this._updateStats(this.state.selectedServiceId),
+        this._updateRoles(this.state.selectedServiceId),
+        this._updateEditPolicy(this.state.selectedServiceId),
+      ]);
+    }
+  }
+
+  // Services can receive a lot of feedback, so we only load the page that
+  // is displayed.
+  async _updateFeedbacks(serviceId, offset = this.state.feedbackOffset) {
+    // Only signed in users can read feedback, see _signIn.
+    if (!isSignInValid(this.state.signIn)) {
+      return;
+    }
+
+    const feedbacks = await this._client.getFeedbackPage(serviceId, {
+      offset,
+      limit: FEEDBACK_PAGE_SIZE,
+    });
+
+    // The user may have selected another service or page while we were
+    // waiting.
+    if (
+      this.state.selectedServiceId &&
+      this.state.selectedServiceId.eq(serviceId) &&
+      this.state.feedbackOffset === offset
+    ) {
+      this.setState({ feedbacks });
+    }
+  }
+
+  _showFeedbackPage(feedbackOffset) {
+    this.setState(
+      { feedbackOffset, feedbacks: undefined, feedbackHistory: undefined },
+      () => this._updateFeedbacks(this.state.selectedServiceId)
+    );
+  }
+
+  // Shows every version of the feedback entry at `position`, or hides the
+  // history when it's undefined. Like the feedback, it needs a sign-in.
+  async _showFeedbackHistory(position) {
+    if (position === undefined) {
+      this.setState({ feedbackHistory: undefined });
+      return;
+    }
+
+    const serviceId = this.state.selectedServiceId;
+    this.setState({ feedbackHistory: { position, versions: undefined } });
+    const versions = await this._client.getFeedbackHistory(serviceId, position);
+
+    // The user may have opened another entry while we were waiting.
+    if (
+      this.state.selectedServiceId &&
+      this.state.selectedServiceId.eq(serviceId) &&
+      this.state.feedbackHistory &&
+      this.state.feedbackHistory.position === position
+    ) {
+      this.setState({ feedbackHistory: { position, versions } });
+    }
+  }
+
+  async _updateCampaigns(serviceId) {
+    const campaigns = await Promise.all(
+      (
+        await this._client.listRewardCampaigns(serviceId)
+      ).map(async (campaign) => ({
+        ...campaign,
+        ...(await this._getAssetInfo(campaign.asset)),
+      }))
+    );
+
+    if (
+      this.state.selectedServiceId &&
+      this.state.selectedServiceId.eq(serviceId)
+    ) {
+      this.setState({ campaigns });
+    }
+  }
+
+  // Anyone can read a service's stats once enough users reviewed it, so
+  // they don't need a sign-in.
+  async _updateStats(serviceId) {
+    const stats = await this._client.getServiceStats(serviceId);
+
+    if (
+      this.state.selectedServiceId &&
+      this.state.selectedServiceId.eq(serviceId)
+    ) {
+      this.setState({ stats });
+    }
+  }
+
+  async _updateEditPolicy(serviceId) {
+    const editPolicy = await this._client.getEditPolicy(serviceId);
+
+    if (
+      this.state.selectedServiceId &&
+      this.state.selectedServiceId.eq(serviceId)
+    ) {
+      this.setState({ editPolicy });
+    }
+  }
+
+  async _updateRoles(serviceId) {
+    const roles = await this._client.listRoles(serviceId);
+
+    if (
+      this.state.selectedServiceId &&
+      this.state.selectedServiceId.eq(serviceId)
+    ) {
+      this.setState({ roles });
+    }
+  }
 
+  _selectService(serviceId) {
+    this.setState({
+      selectedServiceId: serviceId,
+      feedbacks: undefined,
+      feedbackOffset: 0,
+      feedbackHistory: undefined,
+      editPolicy: undefined,
+      issuedVoucher: undefined,
+      campaigns: undefined,
+      stats: undefined,
+      roles: undefined,
+    });
+
+    if (serviceId) {
+      this._updateFeedbacks(serviceId, 0);
+      this._updateCampaigns(serviceId);
+      this._updateStats(serviceId);
+      this._updateRoles(serviceId);
+      this._updateEditPolicy(serviceId);
+    }
+  }
+
+  // Raw feedback can only be read by the service owner and its analysts,
+  // who prove who they are by signing an EIP-712 SignIn. It lasts a day, and
+  // the client passes it along with every feedback read. Like vouchers,
+  // signing it is done offline.
+  async _signIn() {
+    try {
+      this._dismissTransactionError();
+
+      const signIn = await this._client.signIn();
+      saveSignIn(signIn);
+      this.setState({ signIn }, () => {
+        if (this.state.selectedServiceId) {
+          this._updateFeedbacks(this.state.selectedServiceId);
+        }
+        if (this.state.userService) {
+          this._lookupService(this.state.userService.id);
+        }
+        this._updateDisputes();
+      });
+    } catch (error) {
+      if (error.code === ERROR_CODE_TX_REJECTED_BY_USER) {
+        return;
+      }
+
+      console.error(error);
+      this.setState({ transactionError: error });
+    }
+  }
+
+  async _registerService(name, description) {
+    await this._sendTransaction((options) =>
+      this._client.registerService({ name, description }, options)
+    );
+  }
+
+  async _updateServiceMetadata(name, description) {
+    const serviceId = this.state.selectedServiceId;
+
+    await this._sendTransaction((options) =>
+      this._client.updateServiceMetadata(
+        serviceId,
+        { name, description },
+        options
+      )
+    );
+  }
+
+  // Transferring a service only offers it to the new owner. It stays ours
+  // until they accept it, and then leaves our list of services.
+  async _transferService(newOwner) {
+    const serviceId = this.state.selectedServiceId;
+
+    await this._sendTransaction((options) =>
+      this._client.transferServiceOwnership(serviceId, newOwner, options)
+    );
+  }
+
+  async _cancelServiceTransfer() {
+    const serviceId = this.state.selectedServiceId;
+
+    await this._sendTransaction((options) =>
+      this._client.cancelServiceOwnershipTransfer(serviceId, options)
+    );
+  }
+
+  // Owners delegate parts of managing a service to staff accounts, so that
+  // they don't have to share the owner's key.
+  async _grantRole(role, account) {
+    const serviceId = this.state.selectedServiceId;
+
+    await this._sendTransaction((options) =>
+      this._client.grantRole(serviceId, role, account, options)
+    );
+  }
+
+  async _revokeRole(role, account) {
+    const serviceId = this.state.selectedServiceId;
+
+    await this._sendTransaction((options) =>
+      this._client.revokeRole(serviceId, role, account, options)
+    );
+  }
+
+  async _setEditPolicy(policy, window) {
+    const serviceId = this.state.selectedServiceId;
+
+    await this._sendTransaction((options) =>
+      this._client.setEditPolicy(serviceId, policy, { window, ...options })
+    );
+  }
+
+  async _acceptService(serviceId) {
+    await this._sendTransaction((options) =>
+      this._client.acceptServiceOwnership(serviceId, options)
+    );
+  }
+
+  // Paused services can be resumed, but closing a service is final.
+  async _setServiceStatus(status) {
+    const serviceId = this.state.selectedServiceId;
+    const actions = {
+      pause: (options) => this._client.pauseService(serviceId, options),
+      resume: (options) => this._client.resumeService(serviceId, options),
+      close: (options) => this._client.closeService(serviceId, options),
+    };
+
+    await this._sendTransaction(actions[status]);
+  }
+
+  async _lookupService(serviceId) {
+    const [service, interactionCount, replies, sponsorship] = await Promise.all(
+      [
+        this._client.getService(serviceId),
+        this._client.getInteractionCount(serviceId),
+        // Anyone can read the service's replies, without the feedback
+        this._client.getReplies(serviceId),
+        // Without a relayer, or when it's down, users pay their own gas
+        RELAYER_URL
+          ? this._client.getSponsorship(serviceId).catch(() => undefined)
+          : undefined,
+      ]
+    );
+
+    // Which replies answer the user's feedback about each visit, and the
+    // flags on it, which only they can read, with their sign-in
+    let threads;
+    let flags;
+    if (isSignInValid(this.state.signIn)) {
+      const visits = [...Array(interactionCount.toNumber()).keys()];
+      [threads, flags] = await Promise.all([
+        Promise.all(
+          visits.map((interactionIndex) =>
+            this._client.getReviewerThread(serviceId, { interactionIndex })
+          )
+        ),
+        Promise.all(
+          visits.map((interactionIndex) =>
+            this._client.getReviewerFlag(serviceId, { interactionIndex })
+          )
+        ),
+      ]);
+    }
+
+    this.setState({
+      userService: {
+        ...service,
+        interactionCount: interactionCount.toNumber(),
+        replies,
+        sponsorship,
+        threads,
+        flags,
+      },
+    });
+  }
+
+  // Owners hand vouchers to the users who interacted with their services.
+  // Signing one is done offline, so it doesn't need a transaction.
+  async _issueVoucher(user) {
+    try {
+      this._dismissTransactionError();
+
+      const issuedVoucher = await this._client.issueVoucher(
+        user,
+        this.state.selectedServiceId
+      );
+      this.setState({ issuedVoucher });
+    } catch (error) {
+      if (error.code === ERROR_CODE_TX_REJECTED_BY_USER) {
+        return;
+      }
+
+      console.error(error);
+      this.setState({ transactionError: error });
+    }
+  }
+
+  // Recording an interaction and submitting feedback both need an EIP-712
+  // signature from the user. The wallet asks the user to sign the typed data
+  // first, and then to send the transaction that carries the signature.
+  //
+  // When the service sponsors them, the relayer sends the transaction
+  // instead, so the user only signs and doesn't need any ETH.
+  async _registerInteraction(voucherJson, gasless) {
+    const serviceId = this.state.userService.id;
+
+    await this._sendTransaction((options) =>
+      gasless
+        ? this._client.relayInteraction(serviceId, JSON.parse(voucherJson))
+        : this._client.recordInteraction(
+            serviceId,
+            JSON.parse(voucherJson),
+            options
+          )
+    );
+  }
+
+  // Users can record several interactions with a service, and leave
+  // feedback about each one of them.
+  async _submitFeedback(feedback, interactionIndex, gasless) {
+    const serviceId = this.state.userService.id;
+
+    // The SDK validates and encodes the feedback before signing it, so
+    // invalid input is reported like any other transaction error.
+    await this._sendTransaction((options) =>
+      gasless
+        ? this._client.relayFeedback(serviceId, feedback, { interactionIndex })
+        : this._client.submitFeedback(serviceId, feedback, {
+            ...options,
+            interactionIndex,
+          })
+    );
+  }
+
+  // Service staff reply once to each feedback entry, and reviewers answer
+  // the reply once.
+  async _replyToFeedback(position, text) {
+    const serviceId = this.state.selectedServiceId;
+
+    await this._sendTransaction((options) =>
+      this._client.replyToFeedback(serviceId, position, { text }, options)
+    );
+  }
+
+  // Follow-ups go through the relayer too when the service sponsors them
+  async _followUpOnReply(interactionIndex, text) {
+    const { id: serviceId, sponsorship } = this.state.userService;
+
+    await this._sendTransaction((options) =>
+      sponsorship && sponsorship.followUps
+        ? this._client.relayFollowUp(serviceId, { text }, { interactionIndex })
+        : this._client.followUpOnReply(
+            serviceId,
+            { text },
+            { ...options, interactionIndex }
+          )
+    );
+  }
+
+  // Flagging an entry hides it from the service's stats and rewards. Its
+  // reviewer can contest the flag, and the contract's arbiter then decides
+  // whether the entry stays hidden.
+  async _flagFeedback(position, reason) {
+    const serviceId = this.state.selectedServiceId;
+
+    await this._sendTransaction((options) =>
+      this._client.flagFeedback(serviceId, position, reason, options)
+    );
+  }
+
+  // The relayer sends the contest when the service sponsors it, since
+  // reviewers may have no ETH left to pay for it
+  async _contestFlag(interactionIndex) {
+    const { id: serviceId, sponsorship } = this.state.userService;
+
+    await this._sendTransaction((options) =>
+      sponsorship && sponsorship.contests
+        ? this._client.relayContestFlag(serviceId, { interactionIndex })
+        : this._client.contestFlag(serviceId, { ...options, interactionIndex })
+    );
+  }
+
+  async _resolveDispute(disputeId, uphold) {
+    await this._sendTransaction((options) =>
+      this._client.resolveDispute(disputeId, uphold, options)
+    );
+  }
+
+  // A campaign escrows the rewards of the next reviewers of the selected
+  // service. Amounts are entered in whole units of the asset, so we look up
+  // its decimals first.
+  async _createCampaign({ rewardAmount, maxRewards, days, token }) {
+    const serviceId = this.state.selectedServiceId;
+
+    await this._sendTransaction(async (options) => {
+      const { decimals } = await this._getAssetInfo(
+        token || ethers.constants.AddressZero
+      );
+      const { timestamp } = await this._provider.getBlock("latest");
+
+      return this._client.createRewardCampaign(
+        serviceId,
+        {
+          rewardAmount: ethers.utils.parseUnits(rewardAmount, decimals),
+          maxRewards,
+          expiry: timestamp + days * 24 * 60 * 60,
+          token,
+        },
+        options
+      );
+    });
+  }
+
+  async _reclaimCampaign(campaignId) {
+    await this._sendTransaction((options) =>
+      this._client.reclaimRewardCampaign(campaignId, options)
+    );
+  }
+
+  // Rewards are credited to the users who left feedback, who withdraw them
+  // when they want to, one asset at a time.
+  async _claimRewards(asset) {
+    await this._sendTransaction((options) =>
+      this._client.claimRewards({ ...options, token: asset })
+    );
+  }
+
+  // This method sends a transaction through the SDK call made by `sendTx`,
+  // which waits for it to be mined. Sending a transaction is a complex
+  // operation:
+  //   - The user can reject it
+  //   - It can fail before reaching the ethereum network (i.e. if the user
+  //     doesn't have ETH for paying for the tx's gas)
+  //   - It has to be mined, so it isn't immediately confirmed.
+  //     Note that some testing networks, like Hardhat Network, do mine
+  //     transactions immediately, but your dapp should be prepared for
+  //     other networks.
+  //   - It can fail once mined.
+  async _sendTransaction(sendTx) {
     try {
       // If a transaction fails, we save that error in the component's state.
       // We only save one such error, so before sending a second transaction, we
       // clear it.
       this._dismissTransactionError();
 
-      // We send the transaction, and save its hash in the Dapp's state. This
-      // way we can indicate that we are waiting for it to be mined.
-      const tx = await this._token.transfer(to, amount);
-      this.setState({ txBeingSent: tx.hash });
+      // We send the transaction, and save its hash in the Dapp's state as soon
+      // as the SDK reports it. This way we can indicate that we are waiting
+      // for it to be mined. The SDK rejects if the transaction fails once
+      // mined.
+      await sendTx({
+        onTransaction: (tx) => this.setState({ txBeingSent: tx.hash }),
+      });
 
-      // We use .wait() to wait for the transaction to be mined. This method
-      // returns the transaction's receipt.
-      const receipt = await tx.wait();
+      // If we got here, the transaction was successful, so we refresh the
+      // user's services, their rewards and the service they are leaving
+      // feedback for.
+      await this._updateData();
 
-      // The receipt, contains a status flag, which is 0 to indicate an error.
-      if (receipt.status === 0) {
-        // We can't know the exact error that made the transaction fail when it
-        // was mined, so we throw this generic one.
-        throw new Error("Transaction failed");
+      if (this.state.userService) {
+        await this._lookupService(this.state.userService.id);
       }
-
-      // If we got here, the transaction was successful, so you may want to
-      // update your state. Here, we update the user's balance.
-      await this._updateBalance();
     } catch (error) {
       // We check the error code to see if this error was produced because the
       // user rejected a tx. If that's the case, we do nothing.
@@ -345,7 +985,7 @@ export class Dapp extends React.Component {
   }
 
   async _switchChain() {
-    const chainIdHex = `0x${HARDHAT_NETWORK_ID.toString(16)}`
+    const chainIdHex = `0x${NETWORK_ID.toString(16)}`;
     await window.ethereum.request({
       method: "wallet_switchEthereumChain",
       params: [{ chainId: chainIdHex }],
@@ -353,10 +993,37 @@ export class Dapp extends React.Component {
     await this._initialize(this.state.selectedAddress);
   }
 
-  // This method checks if the selected network is Localhost:8545
+  // This method checks if the selected network is the one the contract was
+  // deployed to
   _checkNetwork() {
-    if (window.ethereum.networkVersion !== HARDHAT_NETWORK_ID) {
+    if (window.ethereum.networkVersion !== NETWORK_ID.toString()) {
       this._switchChain();
     }
   }
 }
+
+function isSignInValid(signIn) {
+  return signIn !== undefined && signIn.expiry > Date.now() / 1000;
+}
+
+function signInStorageKey(userAddress) {
+  return [
+    SIGN_IN_STORAGE_KEY,
+    contractAddress.PrivateFeedback,
+    userAddress.toLowerCase(),
+  ].join(":");
+}
+
+function loadSignIn(userAddress) {
+  const stored = window.sessionStorage.getItem(signInStorageKey(userAddress));
+  const signIn = stored ? JSON.parse(stored) : undefined;
+
+  return isSignInValid(signIn) ? signIn : undefined;
+}
+
+function saveSignIn(signIn) {
+  window.sessionStorage.setItem(
+    signInStorageKey(signIn.user),
+    JSON.stringify(signIn)
+  );
+}
@@ -0,0 +1,387 @@
+import React from "react";
+
+import { FEEDBACK_CATEGORIES, FEEDBACK_TAGS } from "@privatefeedback/sdk";
+
+export function FeedbackFlow({
+  service,
+  lookupService,
+  registerInteraction,
+  submitFeedback,
+  signedIn,
+  signIn,
+  followUpOnReply,
+  contestFlag,
+}) {
+  return (
+    <div>
+      <h4>Leave feedback</h4>
+      <form
+        className="form-inline mb-3"
+        onSubmit={(event) => {
+          // This function just calls the lookupService callback with the
+          // form's data.
+          event.preventDefault();
+
+          const formData = new FormData(event.target);
+          const serviceId = formData.get("serviceId");
+
+          if (serviceId) {
+            lookupService(serviceId);
+          }
+        }}
+      >
+        <label className="mr-2">Service id</label>
+        <input
+          className="form-control mr-2"
+          type="number"
+          step="1"
+          min="1"
+          name="serviceId"
+          required
+        />
+        <input className="btn btn-secondary" type="submit" value="Select" />
+      </form>
+
+      {service && (
+        <div>
+          <p>
+            <b>{service.name || `Service #${service.id.toString()}`}</b>
+            {service.description && <> &mdash; {service.description}</>}
+          </p>
+
+          <PublicReplies replies={service.replies} />
+
+          {/* The contract rejects interactions and feedback until then */}
+          {service.status !== "active" && (
+            <div className="alert alert-warning">
+              This service is {service.status}, it doesn't accept interactions
+              or feedback{service.status === "paused" && " for now"}.
+            </div>
+          )}
+
+          {service.interactionCount === 0 ? (
+            <p>
+              You don't have an interaction recorded for this service yet. Paste
+              the voucher the service gave you to record one and be able to
+              leave feedback.
+            </p>
+          ) : (
+            <p>
+              You have {service.interactionCount} interaction(s) recorded for
+              this service. Paste a new voucher to record another visit.
+            </p>
+          )}
+          <form
+            onSubmit={(event) => {
+              // This function just calls the registerInteraction callback
+              // with the form's data.
+              event.preventDefault();
+
+              const formData = new FormData(event.target);
+              const voucher = formData.get("voucher");
+
+              if (voucher) {
+                registerInteraction(voucher, formData.get("gasless") !== null);
+                event.target.reset();
+              }
+            }}
+          >
+            <div className="form-group">
+              <label>Voucher</label>
+              <textarea
+                className="form-control text-monospace"
+                name="voucher"
+                rows="4"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <input
+                className="btn btn-primary"
+                type="submit"
+                value="Record interaction"
+              />
+            </div>
+            {service.sponsorship && service.sponsorship.interactions && (
+              <GaslessOption id="interaction-gasless" />
+            )}
+          </form>
+
+          {service.interactionCount > 0 && (
+            <>
+              <h5>Your feedback</h5>
+              <form
+                // Re-created when a visit is recorded, so that the latest
+                // visit is selected
+                key={service.interactionCount}
+                onSubmit={(event) => {
+                  // This function just calls the submitFeedback callback with
+                  // the form's data, in the SDK's structured feedback format.
+                  event.preventDefault();
+
+                  const formData = new FormData(event.target);
+                  const scores = {};
+                  for (const category of FEEDBACK_CATEGORIES) {
+                    const score = Number(formData.get(category));
+                    if (score) {
+                      scores[category] = score;
+                    }
+                  }
+                  const text = formData.get("text");
+
+                  submitFeedback(
+                    {
+                      rating: Number(formData.get("rating")),
+                      scores,
+                      tags: formData.getAll("tags"),
+                      text: text || undefined,
+                    },
+                    Number(formData.get("interactionIndex")),
+                    formData.get("gasless") !== null
+                  );
+                  event.target.reset();
+                }}
+              >
+                <div className="form-group">
+                  <label>Visit</label>
+                  <select
+                    className="form-control"
+                    name="interactionIndex"
+                    defaultValue={service.interactionCount - 1}
+                  >
+                    {[...Array(service.interactionCount).keys()].map(
+                      (index) => (
+                        <option key={index} value={index}>
+                          Visit #{index + 1}
+                        </option>
+                      )
+                    )}
+                  </select>
+                </div>
+                <div className="form-row">
+                  <div className="form-group col">
+                    <label>Rating</label>
+                    <ScoreSelect name="rating" required />
+                  </div>
+                  {FEEDBACK_CATEGORIES.map((category) => (
+                    <div className="form-group col" key={category}>
+                      <label className="text-capitalize">{category}</label>
+                      <ScoreSelect name={category} />
+                    </div>
+                  ))}
+                </div>
+                <div className="form-group">
+                  {FEEDBACK_TAGS.map((tag) => (
+                    <div className="form-check form-check-inline" key={tag}>
+                      <input
+                        className="form-check-input"
+                        type="checkbox"
+                        name="tags"
+                        value={tag}
+                        id={`tag-${tag}`}
+                      />
+                      <label
+                        className="form-check-label"
+                        htmlFor={`tag-${tag}`}
+                      >
+                        {tag}
+                      </label>
+                    </div>
+                  ))}
+                </div>
+                <div className="form-group">
+                  <label>Comment</label>
+                  <input
+                    className="form-control"
+                    type="text"
+                    name="text"
+                    maxLength="31"
+                  />
+                </div>
+                <div className="form-group">
+                  <input
+                    className="btn btn-primary"
+                    type="submit"
+                    value="Submit feedback"
+                  />
+                </div>
+                {service.sponsorship && service.sponsorship.feedback && (
+                  <GaslessOption id="feedback-gasless" />
+                )}
+              </form>
+
+              <h5>Replies and flags</h5>
+              {/*
+                Only the reviewer can tell which replies answer their feedback,
+                and read its flags, with a sign-in like the service's staff
+                read feedback
+              */}
+              {!signedIn ? (
+                <p>
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    type="button"
+                    onClick={signIn}
+                  >
+                    Sign in to see the replies to your feedback
+                  </button>
+                </p>
+              ) : service.threads === undefined ? (
+                <p>Loading replies...</p>
+              ) : (
+                <>
+                  <ReplyList
+                    threads={service.threads}
+                    followUpOnReply={followUpOnReply}
+                  />
+                  <FlagList flags={service.flags} contestFlag={contestFlag} />
+                </>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The service's replies to everyone's feedback, which anyone can read. The
+// feedback they answer stays private, and follow-ups don't name the reviewer.
+function PublicReplies({ replies }) {
+  if (replies.length === 0) {
+    return null;
+  }
+
+  return (
+    <>
+      <h5>Replies from the service</h5>
+      <ul className="list-unstyled">
+        {replies.map(({ position, reply, followUp }) => (
+          <li className="mb-2" key={position}>
+            {reply.text}
+            {followUp !== null && (
+              <div className="text-muted">
+                The reviewer answered: {followUp.text}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
+// The service's replies to the user's feedback about each visit. The user can
+// answer each reply once.
+function ReplyList({ threads, followUpOnReply }) {
+  const replied = threads.filter(({ reply }) => reply !== null);
+  if (replied.length === 0) {
+    return <p>The service hasn't replied to your feedback.</p>;
+  }
+
+  return (
+    <ul className="list-unstyled">
+      {threads.map(
+        ({ reply, followUp }, index) =>
+          reply !== null && (
+            <li className="mb-2" key={index}>
+              <b>Visit #{index + 1}:</b> {reply.text}
+              {followUp !== null ? (
+                <div className="text-muted">You answered: {followUp.text}</div>
+              ) : (
+                <form
+                  className="form-inline mt-1"
+                  onSubmit={(event) => {
+                    // This function just calls the followUpOnReply callback
+                    // with the form's data.
+                    event.preventDefault();
+
+                    const formData = new FormData(event.target);
+                    const text = formData.get("text");
+
+                    if (text) {
+                      followUpOnReply(index, text);
+                    }
+                  }}
+                >
+                  <input
+                    className="form-control form-control-sm mr-1"
+                    type="text"
+                    name="text"
+                    maxLength="31"
+                    required
+                  />
+                  <input
+                    className="btn btn-outline-primary btn-sm"
+                    type="submit"
+                    value="Answer"
+                  />
+                </form>
+              )}
+            </li>
+          )
+      )}
+    </ul>
+  );
+}
+
+// The user's feedback that the service flagged, which is hidden from its
+// stats until the arbiter overturns the flag, and can't be edited anymore.
+// The user can contest each flag once.
+function FlagList({ flags, contestFlag }) {
+  return (
+    <ul className="list-unstyled">
+      {flags.map(
+        (flag, index) =>
+          flag !== null && (
+            <li className="mb-2" key={index}>
+              <b>Visit #{index + 1}:</b> your feedback was flagged as{" "}
+              {flag.reason}{" "}
+              <span className="badge badge-warning">{flag.status}</span>
+              {flag.status === "flagged" && (
+                <button
+                  className="btn btn-outline-secondary btn-sm ml-2"
+                  type="button"
+                  onClick={() => contestFlag(index)}
+                >
+                  Contest
+                </button>
+              )}
+            </li>
+          )
+      )}
+    </ul>
+  );
+}
+
+// Lets the user sign and have the service's relayer send the transaction,
+// when it pays for it
+function GaslessOption({ id }) {
+  return (
+    <div className="form-group form-check">
+      <input
+        className="form-check-input"
+        type="checkbox"
+        name="gasless"
+        id={id}
+        defaultChecked
+      />
+      <label className="form-check-label" htmlFor={id}>
+        Let the service pay the gas, you'll only sign
+      </label>
+    </div>
+  );
+}
+
+function ScoreSelect({ name, required }) {
+  return (
+    <select className="form-control" name={name} required={required}>
+      <option value="">{required ? "Choose..." : "—"}</option>
+      {[5, 4, 3, 2, 1].map((score) => (
+        <option key={score} value={score}>
+          {score}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,273 @@
+import React from "react";
+
+export function FeedbackList({
+  service,
+  feedbacks,
+  signedIn,
+  signIn,
+  offset,
+  pageSize,
+  showPage,
+  history,
+  showHistory,
+  replyToFeedback,
+  dismiss,
+}) {
+  // Hidden entries are listed too, so we page through all of them
+  const total = service.feedbackEntries.toNumber();
+
+  return (
+    <div>
+      <h4>
+        Feedback for {service.name || `service #${service.id.toString()}`}
+        <button
+          type="button"
+          className="close"
+          aria-label="Close"
+          onClick={dismiss}
+        >
+          <span aria-hidden="true">&times;</span>
+        </button>
+      </h4>
+
+      {/* Reading feedback needs a sign-in, which the wallet signs offline */}
+      {!signedIn && (
+        <p>
+          Only the service owner and its analysts can read its feedback.{" "}
+          <button
+            className="btn btn-primary btn-sm"
+            type="button"
+            onClick={signIn}
+          >
+            Sign in to read feedback
+          </button>
+        </p>
+      )}
+
+      {signedIn && feedbacks === undefined && <p>Loading feedback...</p>}
+
+      {feedbacks !== undefined && feedbacks.length === 0 && (
+        <p>This service hasn't received any feedback yet.</p>
+      )}
+
+      {feedbacks !== undefined && feedbacks.length > 0 && (
+        <table className="table table-sm">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Rating</th>
+              <th>Scores</th>
+              <th>Tags</th>
+              <th>Comment</th>
+              <th>Reply</th>
+            </tr>
+          </thead>
+          <tbody>
+            {feedbacks.map((feedback, index) => (
+              <tr
+                key={index}
+                className={feedback.hidden ? "text-muted" : undefined}
+              >
+                <td>
+                  {offset + index + 1}
+                  {/*
+                    Edited entries show their latest version, and their
+                    history on demand
+                  */}
+                  {feedback.edited && (
+                    <button
+                      className="btn btn-link btn-sm p-0 ml-1"
+                      type="button"
+                      onClick={() => showHistory(offset + index)}
+                    >
+                      <span className="badge badge-info">edited</span>
+                    </button>
+                  )}
+                  {/*
+                    Flagged entries don't count towards the service's stats
+                    unless the arbiter overturned the flag
+                  */}
+                  {feedback.flag && (
+                    <span
+                      className={`badge ml-1 ${
+                        feedback.hidden ? "badge-warning" : "badge-light"
+                      }`}
+                      title={`${feedback.flag.reason}, ${feedback.flag.status}`}
+                    >
+                      {feedback.hidden ? "hidden" : "flag overturned"}
+                    </span>
+                  )}
+                </td>
+                {feedback.decoded ? (
+                  <>
+                    <td>{feedback.decoded.rating} / 5</td>
+                    <td>
+                      {Object.entries(feedback.decoded.scores)
+                        .map(([category, score]) => `${category}: ${score}`)
+                        .join(", ")}
+                    </td>
+                    <td>
+                      {feedback.decoded.tags.map((tag) => (
+                        <span className="badge badge-secondary mr-1" key={tag}>
+                          {tag}
+                        </span>
+                      ))}
+                    </td>
+                    <td>
+                      {feedback.decoded.text}
+                      {feedback.decoded.contentHash && (
+                        <code>{feedback.decoded.contentHash}</code>
+                      )}
+                    </td>
+                  </>
+                ) : (
+                  // Entries that don't follow the feedback schema are shown
+                  // as their raw values.
+                  <td colSpan="4">
+                    <code>{feedback.feedback_p1.toHexString()}</code>{" "}
+                    <code>{feedback.feedback_p2.toHexString()}</code>
+                  </td>
+                )}
+                <td>
+                  <ReplyThread
+                    feedback={feedback}
+                    reply={(text) => replyToFeedback(offset + index, text)}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {history !== undefined && (
+        <FeedbackHistory
+          history={history}
+          dismiss={() => showHistory(undefined)}
+        />
+      )}
+
+      {/* Feedback is loaded one page at a time */}
+      {signedIn && total > pageSize && (
+        <nav className="mb-3">
+          <button
+            className="btn btn-outline-secondary btn-sm mr-2"
+            type="button"
+            disabled={offset === 0}
+            onClick={() => showPage(Math.max(offset - pageSize, 0))}
+          >
+            Previous
+          </button>
+          {offset + 1}-{Math.min(offset + pageSize, total)} of {total}
+          <button
+            className="btn btn-outline-secondary btn-sm ml-2"
+            type="button"
+            disabled={offset + pageSize >= total}
+            onClick={() => showPage(offset + pageSize)}
+          >
+            Next
+          </button>
+        </nav>
+      )}
+    </div>
+  );
+}
+
+// The service's reply to a feedback entry and the reviewer's follow-up, or a
+// form to reply when there is none yet. Each entry gets a single reply.
+function ReplyThread({ feedback, reply }) {
+  if (!feedback.reply) {
+    return (
+      <form
+        className="form-inline"
+        onSubmit={(event) => {
+          // This function just calls the reply callback with the form's
+          // data.
+          event.preventDefault();
+
+          const formData = new FormData(event.target);
+          const text = formData.get("text");
+
+          if (text) {
+            reply(text);
+          }
+        }}
+      >
+        <input
+          className="form-control form-control-sm mr-1"
+          type="text"
+          name="text"
+          maxLength="31"
+          required
+        />
+        <input
+          className="btn btn-outline-primary btn-sm"
+          type="submit"
+          value="Reply"
+        />
+      </form>
+    );
+  }
+
+  return (
+    <>
+      <div>
+        {feedback.reply.text}
+        {feedback.reply.author && (
+          <small className="text-muted text-monospace">
+            {" "}
+            &mdash; {feedback.reply.author}
+          </small>
+        )}
+      </div>
+      {feedback.followUp && (
+        <div className="text-muted">Reviewer: {feedback.followUp.text}</div>
+      )}
+    </>
+  );
+}
+
+// Every version of a feedback entry, oldest first, with the time of the block
+// it was submitted in
+function FeedbackHistory({ history, dismiss }) {
+  return (
+    <div className="card mb-3">
+      <div className="card-body">
+        <h6>
+          History of #{history.position + 1}
+          <button
+            type="button"
+            className="close"
+            aria-label="Close"
+            onClick={dismiss}
+          >
+            <span aria-hidden="true">&times;</span>
+          </button>
+        </h6>
+
+        {history.versions === undefined ? (
+          <p>Loading history...</p>
+        ) : (
+          <ol className="mb-0">
+            {history.versions.map((version, index) => (
+              <li key={index}>
+                {new Date(version.timestamp * 1000).toLocaleString()}:{" "}
+                {version.decoded ? (
+                  <>
+                    {version.decoded.rating} / 5
+                    {version.decoded.text && <> "{version.decoded.text}"</>}
+                  </>
+                ) : (
+                  <>
+                    <code>{version.feedback_p1.toHexString()}</code>{" "}
+                    <code>{version.feedback_p2.toHexString()}</code>
+                  </>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React from "react";
+
+export function IssueVoucher({ voucher, issueVoucher }) {
+  return (
+    <div>
+      <h5>Issue an interaction voucher</h5>
+      <form
+        className="form-inline mb-3"
+        onSubmit={(event) => {
+          // This function just calls the issueVoucher callback with the
+          // form's data.
+          event.preventDefault();
+
+          const formData = new FormData(event.target);
+          const user = formData.get("user");
+
+          if (user) {
+            issueVoucher(user);
+          }
+        }}
+      >
+        <label className="mr-2">User address</label>
+        <input
+          className="form-control mr-2"
+          type="text"
+          name="user"
+          placeholder="0x..."
+          required
+        />
+        <input className="btn btn-secondary" type="submit" value="Issue" />
+      </form>
+
+      {voucher && (
+        <>
+          <p>Send this voucher to the user:</p>
+          <pre className="border p-2">{JSON.stringify(voucher, null, 2)}</pre>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+import React from "react";
+import { ethers } from "ethers";
+
+export function ManageService({
+  service,
+  updateMetadata,
+  transferOwnership,
+  cancelTransfer,
+  setStatus,
+  editPolicy,
+  setEditPolicy,
+}) {
+  // A closed service can't be managed anymore, its feedback can only be read
+  if (service.status === "closed") {
+    return (
+      <div>
+        <h5>Manage service</h5>
+        <p>
+          This service is closed. It no longer accepts interactions or feedback.
+        </p>
+      </div>
+    );
+  }
+
+  const hasPendingOwner = service.pendingOwner !== ethers.constants.AddressZero;
+
+  return (
+    <div>
+      <h5>Manage service</h5>
+
+      {/*
+        The form is keyed by the service, so that its default values are
+        reset when another service is selected.
+      */}
+      <form
+        key={service.id.toString()}
+        className="mb-3"
+        onSubmit={(event) => {
+          // This function just calls the updateMetadata callback with the
+          // form's data.
+          event.preventDefault();
+
+          const formData = new FormData(event.target);
+          updateMetadata(formData.get("name"), formData.get("description"));
+        }}
+      >
+        <div className="form-row">
+          <div className="form-group col-md-5">
+            <label>Name</label>
+            <input
+              className="form-control"
+              type="text"
+              name="name"
+              maxLength="31"
+              defaultValue={service.name}
+              required
+            />
+          </div>
+          <div className="form-group col-md-5">
+            <label>Description</label>
+            <input
+              className="form-control"
+              type="text"
+              name="description"
+              maxLength="31"
+              defaultValue={service.description}
+            />
+          </div>
+          <div className="form-group col-md-2 d-flex align-items-end">
+            <input className="btn btn-secondary" type="submit" value="Update" />
+          </div>
+        </div>
+      </form>
+
+      {/*
+        Reviewers can submit new feedback for an interaction they already
+        reviewed. Every version is kept, and the service decides whether
+        they can: always, never, or for some time after their first version.
+        The form is keyed by the current policy, so that it shows it once
+        it's loaded.
+      */}
+      {editPolicy && (
+        <form
+          key={`${service.id}-${editPolicy.policy}-${editPolicy.window}`}
+          className="mb-3"
+          onSubmit={(event) => {
+            event.preventDefault();
+
+            const formData = new FormData(event.target);
+            const policy = formData.get("policy");
+            const hours = Number(formData.get("hours"));
+            setEditPolicy(policy, policy === "window" ? hours * 3600 : 0);
+          }}
+        >
+          <div className="form-row">
+            <div className="form-group col-md-5">
+              <label>Feedback edits</label>
+              <select
+                className="form-control"
+                name="policy"
+                defaultValue={editPolicy.policy}
+              >
+                <option value="allow">Allowed</option>
+                <option value="deny">Not allowed</option>
+                <option value="window">Allowed for a while</option>
+              </select>
+            </div>
+            <div className="form-group col-md-5">
+              <label>Hours after the first version</label>
+              <input
+                className="form-control"
+                type="number"
+                name="hours"
+                min="0"
+                step="any"
+                defaultValue={editPolicy.window / 3600 || 24}
+              />
+            </div>
+            <div className="form-group col-md-2 d-flex align-items-end">
+              <input className="btn btn-secondary" type="submit" value="Set" />
+            </div>
+          </div>
+        </form>
+      )}
+
+      {/*
+        Ownership changes in two steps: the owner offers the service to
+        another account, which has to accept it. Until then the owner can
+        take the offer back.
+      */}
+      {hasPendingOwner ? (
+        <p>
+          This service is offered to <b>{service.pendingOwner}</b>.{" "}
+          <button
+            className="btn btn-link btn-sm"
+            type="button"
+            onClick={() => cancelTransfer()}
+          >
+            Cancel transfer
+          </button>
+        </p>
+      ) : (
+        <form
+          className="mb-3"
+          onSubmit={(event) => {
+            event.preventDefault();
+
+            const formData = new FormData(event.target);
+            transferOwnership(formData.get("newOwner"));
+            event.target.reset();
+          }}
+        >
+          <div className="form-row">
+            <div className="form-group col-md-10">
+              <label>Transfer to</label>
+              <input
+                className="form-control"
+                type="text"
+                name="newOwner"
+                placeholder="0x..."
+                required
+              />
+            </div>
+            <div className="form-group col-md-2 d-flex align-items-end">
+              <input
+                className="btn btn-secondary"
+                type="submit"
+                value="Transfer"
+              />
+            </div>
+          </div>
+        </form>
+      )}
+
+      <p>
+        {service.status === "paused"
+          ? "This service is paused, users can't record interactions or leave feedback."
+          : "This service accepts interactions and feedback."}
+      </p>
+      <div className="mb-3">
+        {service.status === "active" ? (
+          <button
+            className="btn btn-outline-secondary mr-2"
+            type="button"
+            onClick={() => setStatus("pause")}
+          >
+            Pause
+          </button>
+        ) : (
+          <button
+            className="btn btn-outline-secondary mr-2"
+            type="button"
+            onClick={() => setStatus("resume")}
+          >
+            Resume
+          </button>
+        )}
+        <button
+          className="btn btn-outline-danger"
+          type="button"
+          onClick={() => {
+            if (
+              window.confirm(
+                "Closing a service can't be undone. Close it anyway?"
+              )
+            ) {
+              setStatus("close");
+            }
+          }}
+        >
+          Close service
+        </button>
+      </div>
+    </div>
+  );
+}
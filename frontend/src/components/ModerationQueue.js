@@ -0,0 +1,188 @@
+import React from "react";
+import { FLAG_REASONS } from "@privatefeedback/sdk";
+
+// The moderation of feedback. Service owners and admins flag abusive entries
+// of the selected service, which hides them from its stats and rewards, and
+// the arbiter settles the flags reviewers contest.
+export function ModerationQueue({
+  service,
+  feedbacks,
+  offset,
+  flagFeedback,
+  disputes,
+  resolveDispute,
+}) {
+  if (service === undefined && disputes === undefined) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h4>Moderation</h4>
+
+      {service !== undefined && (
+        <FlagForm
+          feedbacks={feedbacks}
+          offset={offset}
+          flagFeedback={flagFeedback}
+        />
+      )}
+
+      {/* Only the arbiter can read the disputes, with their feedback */}
+      {disputes !== undefined && (
+        <DisputeQueue disputes={disputes} resolveDispute={resolveDispute} />
+      )}
+    </div>
+  );
+}
+
+// The flagged entries of the feedback page that is displayed, once it's
+// loaded, and a form to flag another one by its number in the feedback list
+function FlagForm({ feedbacks, offset, flagFeedback }) {
+  const flagged = (feedbacks || [])
+    .map((feedback, index) => ({ ...feedback, number: offset + index + 1 }))
+    .filter(({ flag }) => flag !== null);
+
+  return (
+    <>
+      <h5>Flagged feedback</h5>
+      {feedbacks === undefined ? null : flagged.length === 0 ? (
+        <p>No entry on this page is flagged.</p>
+      ) : (
+        <table className="table table-sm">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Reason</th>
+              <th>Flagged</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {flagged.map(({ number, flag }) => (
+              <tr key={number}>
+                <td>{number}</td>
+                <td>{flag.reason}</td>
+                <td>{new Date(flag.flaggedAt * 1000).toLocaleString()}</td>
+                <td>
+                  {flag.status}
+                  {flag.disputeId !== null && ` (dispute #${flag.disputeId})`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form
+        className="mb-3"
+        onSubmit={(event) => {
+          // This function just calls the flagFeedback callback with the
+          // form's data. Entries are numbered from 1 in the feedback list.
+          event.preventDefault();
+
+          const formData = new FormData(event.target);
+          flagFeedback(
+            Number(formData.get("entry")) - 1,
+            formData.get("reason")
+          );
+          event.target.reset();
+        }}
+      >
+        <div className="form-row">
+          <div className="form-group col-md-3">
+            <label>Entry #</label>
+            <input
+              className="form-control"
+              type="number"
+              name="entry"
+              min="1"
+              required
+            />
+          </div>
+          <div className="form-group col-md-7">
+            <label>Reason</label>
+            <select className="form-control" name="reason">
+              {FLAG_REASONS.map((reason) => (
+                <option key={reason} value={reason}>
+                  {reason}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group col-md-2 d-flex align-items-end">
+            <input className="btn btn-warning" type="submit" value="Flag" />
+          </div>
+        </div>
+      </form>
+    </>
+  );
+}
+
+// The disputes that await the arbiter, with the feedback they're about.
+// Upholding a flag keeps the entry hidden, overturning it shows it again.
+function DisputeQueue({ disputes, resolveDispute }) {
+  const open = disputes.filter(({ status }) => status === "contested");
+
+  return (
+    <>
+      <h5>Disputes</h5>
+      <p>
+        {open.length} of {disputes.length} dispute(s) await your decision.
+      </p>
+      {open.length > 0 && (
+        <table className="table table-sm">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Service</th>
+              <th>Entry</th>
+              <th>Reason</th>
+              <th>Feedback</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {open.map((dispute) => (
+              <tr key={dispute.disputeId}>
+                <td>{dispute.disputeId}</td>
+                <td>{dispute.serviceId.toString()}</td>
+                <td>{dispute.position + 1}</td>
+                <td>{dispute.reason}</td>
+                <td>
+                  {dispute.decoded ? (
+                    <>
+                      {dispute.decoded.rating} / 5
+                      {dispute.decoded.text && <> "{dispute.decoded.text}"</>}
+                    </>
+                  ) : (
+                    <>
+                      <code>{dispute.feedback_p1.toHexString()}</code>{" "}
+                      <code>{dispute.feedback_p2.toHexString()}</code>
+                    </>
+                  )}
+                </td>
+                <td>
+                  <button
+                    className="btn btn-outline-danger btn-sm mr-1"
+                    type="button"
+                    onClick={() => resolveDispute(dispute.disputeId, true)}
+                  >
+                    Uphold
+                  </button>
+                  <button
+                    className="btn btn-outline-success btn-sm"
+                    type="button"
+                    onClick={() => resolveDispute(dispute.disputeId, false)}
+                  >
+                    Overturn
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,48 @@
+import React from "react";
+
+export function RegisterService({ registerService }) {
+  return (
+    <div>
+      <h4>Register a service</h4>
+      <form
+        onSubmit={(event) => {
+          // This function just calls the registerService callback with the
+          // form's data.
+          event.preventDefault();
+
+          const formData = new FormData(event.target);
+          const name = formData.get("name");
+          const description = formData.get("description");
+
+          if (name) {
+            registerService(name, description);
+            event.target.reset();
+          }
+        }}
+      >
+        <div className="form-group">
+          <label>Name</label>
+          <input
+            className="form-control"
+            type="text"
+            name="name"
+            maxLength="31"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label>Description</label>
+          <input
+            className="form-control"
+            type="text"
+            name="description"
+            maxLength="31"
+          />
+        </div>
+        <div className="form-group">
+          <input className="btn btn-primary" type="submit" value="Register" />
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React from "react";
+import { ethers } from "ethers";
+
+export function RewardCampaigns({
+  campaigns,
+  createCampaign,
+  reclaimCampaign,
+}) {
+  if (campaigns === undefined) {
+    return null;
+  }
+
+  const now = Date.now() / 1000;
+
+  return (
+    <div>
+      <h5>Reward campaigns</h5>
+      {campaigns.length === 0 ? (
+        <p>This service hasn't run any reward campaigns yet.</p>
+      ) : (
+        <table className="table table-sm">
+          <thead>
+            <tr>
+              <th>Id</th>
+              <th>Reward</th>
+              <th>Rewarded</th>
+              <th>Remaining budget</th>
+              <th>Expires</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {campaigns.map((campaign) => (
+              <tr key={campaign.id.toString()}>
+                <td>{campaign.id.toString()}</td>
+                <td>
+                  {ethers.utils.formatUnits(
+                    campaign.rewardAmount,
+                    campaign.decimals
+                  )}{" "}
+                  {campaign.symbol}
+                </td>
+                <td>
+                  {campaign.rewarded.toString()} /{" "}
+                  {campaign.maxRewards.toString()}
+                </td>
+                <td>
+                  {ethers.utils.formatUnits(
+                    campaign.remainingBudget,
+                    campaign.decimals
+                  )}{" "}
+                  {campaign.symbol}
+                </td>
+                <td>
+                  {new Date(campaign.expiry.toNumber() * 1000).toLocaleString()}
+                </td>
+                <td>
+                  {campaign.active && "Running"}
+                  {/* The unspent budget can be reclaimed once it expires */}
+                  {!campaign.active &&
+                    campaign.expiry.toNumber() < now &&
+                    !campaign.remainingBudget.isZero() && (
+                      <button
+                        className="btn btn-link btn-sm"
+                        type="button"
+                        onClick={() => reclaimCampaign(campaign.id)}
+                      >
+                        Reclaim
+                      </button>
+                    )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form
+        className="mb-3"
+        onSubmit={(event) => {
+          // This function just calls the createCampaign callback with the
+          // form's data.
+          event.preventDefault();
+
+          const formData = new FormData(event.target);
+          createCampaign({
+            rewardAmount: formData.get("rewardAmount"),
+            maxRewards: Number(formData.get("maxRewards")),
+            days: Number(formData.get("days")),
+            token: formData.get("token") || undefined,
+          });
+        }}
+      >
+        <p>
+          Escrow a budget to reward the first feedback of each new reviewer
+          automatically. Whatever isn't spent by the end of the campaign can be
+          reclaimed.
+        </p>
+        <div className="form-row">
+          <div className="form-group col-md-3">
+            <label>Reward per reviewer</label>
+            <input
+              className="form-control"
+              type="text"
+              name="rewardAmount"
+              placeholder="0.01"
+              required
+            />
+          </div>
+          <div className="form-group col-md-2">
+            <label>Reviewers</label>
+            <input
+              className="form-control"
+              type="number"
+              name="maxRewards"
+              min="1"
+              required
+            />
+          </div>
+          <div className="form-group col-md-2">
+            <label>Days</label>
+            <input
+              className="form-control"
+              type="number"
+              name="days"
+              min="1"
+              defaultValue="30"
+              required
+            />
+          </div>
+          <div className="form-group col-md-5">
+            <label>ERC-20 token (ETH if empty)</label>
+            <input
+              className="form-control"
+              type="text"
+              name="token"
+              placeholder="0x..."
+            />
+          </div>
+        </div>
+        <input
+          className="btn btn-secondary"
+          type="submit"
+          value="Start campaign"
+        />
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React from "react";
+
+export function ServiceList({ services, selectedServiceId, selectService }) {
+  if (services.length === 0) {
+    return <p>You haven't registered any services yet.</p>;
+  }
+
+  return (
+    <table className="table table-sm">
+      <thead>
+        <tr>
+          <th>Id</th>
+          <th>Name</th>
+          <th>Description</th>
+          <th>Interactions</th>
+          <th>Feedbacks</th>
+          <th>Status</th>
+          <th />
+        </tr>
+      </thead>
+      <tbody>
+        {services.map((service) => (
+          <tr
+            key={service.id.toString()}
+            className={
+              service.id.eq(selectedServiceId || 0) ? "table-active" : undefined
+            }
+          >
+            <td>{service.id.toString()}</td>
+            <td>{service.name}</td>
+            <td>{service.description}</td>
+            <td>{service.totalInteractions.toString()}</td>
+            <td>{service.totalFeedbacks.toString()}</td>
+            <td>{service.status}</td>
+            <td>
+              <button
+                className="btn btn-link btn-sm"
+                type="button"
+                onClick={() => selectService(service.id)}
+              >
+                View feedback
+              </button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,96 @@
+import React from "react";
+import { SERVICE_ROLES } from "@privatefeedback/sdk";
+
+// What each role lets its members do, besides the owner who holds them all
+const ROLE_DESCRIPTIONS = {
+  admin: "Manage the service and its staff, except admins",
+  attester: "Issue interaction vouchers",
+  analyst: "Read the raw feedback",
+  treasurer: "Fund rewards and reward campaigns",
+  responder: "Reply to feedback",
+};
+
+export function ServiceRoles({ roles, grantRole, revokeRole }) {
+  if (roles === undefined) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h5>Staff</h5>
+      <table className="table table-sm">
+        <thead>
+          <tr>
+            <th>Role</th>
+            <th>Accounts</th>
+          </tr>
+        </thead>
+        <tbody>
+          {SERVICE_ROLES.map((role) => (
+            <tr key={role}>
+              <td>
+                {role}
+                <br />
+                <small className="text-muted">{ROLE_DESCRIPTIONS[role]}</small>
+              </td>
+              <td>
+                {roles[role].length === 0 && "-"}
+                {roles[role].map((account) => (
+                  <div key={account}>
+                    <span className="text-monospace">{account}</span>
+                    <button
+                      className="btn btn-link btn-sm"
+                      type="button"
+                      onClick={() => revokeRole(role, account)}
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form
+        className="mb-3"
+        onSubmit={(event) => {
+          // This function just calls the grantRole callback with the form's
+          // data.
+          event.preventDefault();
+
+          const formData = new FormData(event.target);
+          grantRole(formData.get("role"), formData.get("account"));
+          event.target.reset();
+        }}
+      >
+        <div className="form-row">
+          <div className="form-group col-md-3">
+            <label>Role</label>
+            <select className="form-control" name="role">
+              {SERVICE_ROLES.map((role) => (
+                <option key={role} value={role}>
+                  {role}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group col-md-7">
+            <label>Account</label>
+            <input
+              className="form-control"
+              type="text"
+              name="account"
+              placeholder="0x..."
+              required
+            />
+          </div>
+          <div className="form-group col-md-2 d-flex align-items-end">
+            <input className="btn btn-secondary" type="submit" value="Grant" />
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
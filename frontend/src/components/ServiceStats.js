@@ -0,0 +1,56 @@
+import React from "react";
+
+export function ServiceStats({ stats }) {
+  if (stats === undefined) {
+    return null;
+  }
+
+  // Below the threshold, the contract keeps the stats to itself so that
+  // they can't single out a reviewer's rating.
+  if (!stats.published) {
+    return (
+      <div>
+        <h5>Ratings</h5>
+        <p>
+          Ratings are summarised here once {stats.threshold} users have reviewed
+          this service.
+        </p>
+      </div>
+    );
+  }
+
+  const maxCount = Math.max(...stats.ratingHistogram, 1);
+
+  return (
+    <div className="mb-3">
+      <h5>Ratings</h5>
+      <p>
+        {stats.reviewers} reviewers, {stats.ratingCount} ratings
+        {stats.averageRating !== null && (
+          <>
+            , averaging <b>{stats.averageRating.toFixed(1)} / 5</b>
+          </>
+        )}
+      </p>
+      {/* One bar per rating, from 5 down to 1, scaled to the most common */}
+      {[...stats.ratingHistogram.entries()].reverse().map(([index, count]) => (
+        <div className="d-flex align-items-center mb-1" key={index}>
+          <span className="mr-2" style={{ width: "2em" }}>
+            {index + 1}★
+          </span>
+          <div className="progress flex-grow-1 mr-2">
+            <div
+              className="progress-bar"
+              role="progressbar"
+              style={{ width: `${(100 * count) / maxCount}%` }}
+              aria-valuenow={count}
+              aria-valuemin="0"
+              aria-valuemax={maxCount}
+            />
+          </div>
+          <span style={{ width: "3em" }}>{count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
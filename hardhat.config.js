@@ -6,11 +6,24 @@ require('@oasisprotocol/sapphire-hardhat');
 // testing the frontend.
 require("./tasks/faucet");
 
+// pf:* tasks to operate a PrivateFeedback deployment, see tasks/privateFeedback.js
+require("./tasks/privateFeedback");
+
 require('dotenv').config();
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.17",
+  solidity: {
+    version: "0.8.17",
+    // PrivateFeedback doesn't fit in the 24 KB contract size limit without
+    // the optimizer
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
   networks: {
     'sapphire-testnet': {
       // This is Testnet! If you want Mainnet, add a new network config item.
@@ -21,12 +34,12 @@ module.exports = {
       chainId: 0x5aff,
     },
     'sapphire-localnet': {
-      // This is Testnet! If you want Mainnet, add a new network config item.
+      // A local sapphire-localnet node, e.g. the ghcr.io/oasisprotocol/sapphire-localnet image
       url: "http://localhost:8545",
       accounts: process.env.LOCALNET_PRIVATE_KEY
         ? [process.env.LOCALNET_PRIVATE_KEY]
         : [],
-      chainId: 0x5aff,
+      chainId: 0x5afd,
     },
   },
 };
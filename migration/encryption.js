@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+
+// Exported states name who reviewed each service, so pf:export-state only
+// writes them encrypted, with a key derived from a passphrase.
+const CIPHER = "aes-256-gcm";
+const KDF = "scrypt";
+
+/**
+ * Encrypts a state exportState read, as a JSON-friendly object:
+ *
+ *   { cipher: "aes-256-gcm", kdf: "scrypt", salt, iv, tag, data }
+ *
+ * where the key is derived from `passphrase` and the salt, and every value
+ * but the names is base64.
+ */
+function encryptState(state, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(state), "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    cipher: CIPHER,
+    kdf: KDF,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+/**
+ * Decrypts a state encryptState wrote. Throws if the passphrase is wrong or
+ * the file was tampered with.
+ */
+function decryptState(encrypted, passphrase) {
+  if (encrypted.cipher !== CIPHER || encrypted.kdf !== KDF) {
+    throw new Error("The state isn't encrypted by pf:export-state");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    deriveKey(passphrase, Buffer.from(encrypted.salt, "base64")),
+    Buffer.from(encrypted.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(encrypted.tag, "base64"));
+  let json;
+  try {
+    json = Buffer.concat([
+      decipher.update(Buffer.from(encrypted.data, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch (error) {
+    throw new Error("Couldn't decrypt the state, check the passphrase");
+  }
+
+  return JSON.parse(json);
+}
+
+function deriveKey(passphrase, salt) {
+  if (!passphrase) {
+    throw new Error("A passphrase is required to encrypt or decrypt the state");
+  }
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+module.exports = { decryptState, encryptState };
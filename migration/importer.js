@@ -0,0 +1,219 @@
+const { ethers } = require("ethers");
+const {
+  EDIT_POLICIES,
+  FLAG_REASONS,
+  FLAG_STATUSES,
+  SERVICE_ROLES,
+  SERVICE_STATUSES,
+} = require("../sdk");
+const { MIGRATION_STATE_VERSION } = require("./state");
+
+// Interactions, feedback positions, replies, flags and disputes per import
+// call. A call importing 25 interactions with one version of feedback each
+// uses about 5M gas, and every further version about 70K more.
+const DEFAULT_IMPORT_CHUNK = 25;
+
+/**
+ * Lists the import calls that replay an exported state, in order, as the
+ * `{ method, args }` calls PrivateFeedbackClient#batch takes.
+ */
+function importCalls(state, { chunkSize = DEFAULT_IMPORT_CHUNK } = {}) {
+  if (state.version !== MIGRATION_STATE_VERSION) {
+    throw new Error(`Unsupported migration state version ${state.version}`);
+  }
+
+  const calls = [];
+  for (const service of state.services) {
+    calls.push({
+      method: "importService",
+      args: [
+        service.id,
+        ...service.metadata,
+        service.owner,
+        service.pendingOwner,
+        SERVICE_STATUSES.indexOf(service.status),
+        service.statsThreshold,
+        EDIT_POLICIES.indexOf(service.editPolicy),
+        service.editWindow,
+      ],
+    });
+
+    calls.push({
+      method: "importPublishedStats",
+      args: [service.id, service.publishedStats],
+    });
+
+    for (const [index, role] of SERVICE_ROLES.entries()) {
+      for (const accounts of chunks(service.roles[role], chunkSize)) {
+        calls.push({
+          method: "importRoles",
+          args: [service.id, index, accounts],
+        });
+      }
+    }
+
+    for (const interactions of chunks(service.interactions, chunkSize)) {
+      calls.push({
+        method: "importInteractions",
+        args: [
+          service.id,
+          interactions.map(({ user }) => user),
+          interactions.map(({ versions }) => versions.length),
+          interactions.flatMap(({ versions }) =>
+            versions.flatMap(({ feedback, timestamp }) => [
+              ...feedback,
+              timestamp,
+            ])
+          ),
+        ],
+      });
+    }
+
+    for (const positions of chunks(service.feedbackOrder, chunkSize)) {
+      calls.push({
+        method: "importFeedbackOrder",
+        args: [service.id, positions],
+      });
+    }
+
+    const noFollowUp = {
+      contentHash: ethers.constants.HashZero,
+      text: ethers.constants.HashZero,
+      author: ethers.constants.AddressZero,
+      timestamp: 0,
+    };
+    for (const replies of chunks(service.replies, chunkSize)) {
+      calls.push({
+        method: "importReplies",
+        args: [
+          service.id,
+          replies.map(({ position }) => position),
+          replies.map(({ reply }) => reply),
+          replies.map(({ followUp }) => followUp || noFollowUp),
+        ],
+      });
+    }
+
+    for (const flags of chunks(service.flags, chunkSize)) {
+      calls.push({
+        method: "importFlags",
+        args: [
+          service.id,
+          flags.map((flag) => ({
+            status: FLAG_STATUSES.indexOf(flag.status),
+            reason: FLAG_REASONS.indexOf(flag.reason),
+            position: flag.position,
+            flaggedAt: flag.flaggedAt,
+            disputeId: flag.disputeId || 0,
+          })),
+        ],
+      });
+    }
+  }
+
+  // Disputes come last, once every service's flags are imported
+  for (const disputes of chunks(state.disputes, chunkSize)) {
+    calls.push({ method: "importDisputes", args: [disputes] });
+  }
+
+  return calls;
+}
+
+/**
+ * The importDigest a deployment reaches after each prefix of `calls`:
+ * digests[n] is the digest once the first n calls are imported.
+ */
+function importDigests(client, calls) {
+  const digests = [ethers.constants.HashZero];
+  for (const call of calls) {
+    const data = client.contract.interface.encodeFunctionData(
+      call.method,
+      call.args
+    );
+    digests.push(
+      ethers.utils.solidityKeccak256(
+        ["bytes32", "bytes32"],
+        [digests[digests.length - 1], ethers.utils.keccak256(data)]
+      )
+    );
+  }
+
+  return digests;
+}
+
+/**
+ * Imports an exported state into a new deployment with the client's signer,
+ * which must be its migrator, in batches of import calls that fit `maxGas`.
+ *
+ * The deployment counts the import calls it applied and chains their
+ * calldata into its importDigest. Before sending anything, the digest must
+ * match the calls of this state that were already imported, so that an
+ * interrupted import resumes where it stopped rather than importing twice;
+ * once done, it must match all of them.
+ *
+ * Resolves to `{ receipts, importedCalls, importDigest }`.
+ */
+async function importState(
+  client,
+  state,
+  { chunkSize, maxGas, onTransaction } = {}
+) {
+  const migrator = await client.contract.migrator();
+  if ((await client.signer.getAddress()) !== migrator) {
+    throw new Error(
+      `Only the migrator, ${migrator}, can import into ${client.address}`
+    );
+  }
+  if (await client.contract.importFinished()) {
+    throw new Error(
+      `The import into ${client.address} is finished, or it wasn't deployed to import a state`
+    );
+  }
+
+  const calls = importCalls(state, { chunkSize });
+  const digests = importDigests(client, calls);
+
+  const done = (await client.contract.importedCalls()).toNumber();
+  if (
+    done > calls.length ||
+    (await client.contract.importDigest()) !== digests[done]
+  ) {
+    throw new Error(
+      `${client.address} imported calls that aren't part of this state`
+    );
+  }
+
+  const { receipts } = await client.batch(calls.slice(done), {
+    maxGas,
+    onTransaction,
+  });
+
+  const importedCalls = (await client.contract.importedCalls()).toNumber();
+  const importDigest = await client.contract.importDigest();
+  if (
+    importedCalls !== calls.length ||
+    importDigest !== digests[calls.length]
+  ) {
+    throw new Error(
+      `The import into ${client.address} doesn't match the state`
+    );
+  }
+
+  return { receipts, importedCalls, importDigest };
+}
+
+function chunks(list, size) {
+  const result = [];
+  for (let i = 0; i < list.length; i += size) {
+    result.push(list.slice(i, i + size));
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_IMPORT_CHUNK,
+  importCalls,
+  importDigests,
+  importState,
+};
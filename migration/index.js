@@ -0,0 +1,24 @@
+const {
+  MIGRATION_STATE_VERSION,
+  compareStates,
+  exportState,
+} = require("./state");
+const { decryptState, encryptState } = require("./encryption");
+const {
+  DEFAULT_IMPORT_CHUNK,
+  importCalls,
+  importDigests,
+  importState,
+} = require("./importer");
+
+module.exports = {
+  DEFAULT_IMPORT_CHUNK,
+  MIGRATION_STATE_VERSION,
+  compareStates,
+  decryptState,
+  encryptState,
+  exportState,
+  importCalls,
+  importDigests,
+  importState,
+};
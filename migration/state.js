@@ -0,0 +1,348 @@
+const { ethers } = require("ethers");
+const {
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_SIGN_IN_TTL,
+  EDIT_POLICIES,
+  FLAG_REASONS,
+  FLAG_STATUSES,
+  SERVICE_ROLES,
+  SERVICE_STATUSES,
+  packSignature,
+  signSignIn,
+} = require("../sdk");
+
+// Format of the files exportState writes, bumped when it changes
+const MIGRATION_STATE_VERSION = 5;
+
+/**
+ * Reads the state of a deployment that a new version of the contract can
+ * import, as a JSON-friendly object:
+ *
+ *   {
+ *     version: 5,
+ *     source: { chainId, address, blockNumber },
+ *     services: [
+ *       {
+ *         id, metadata: [p1, p2], owner, pendingOwner, status,
+ *         statsThreshold, editPolicy, editWindow,
+ *         publishedStats: {
+ *           reviewers, ratingCount, ratingSum, ratingHistogram: [...],
+ *         },
+ *         roles: { admin: [...], attester: [...], ... },
+ *         interactions: [
+ *           { user, versions: [{ feedback: [p1, p2], timestamp }, ...] },
+ *           ...
+ *         ],
+ *         feedbackOrder: [...],
+ *         replies: [{ position, reply, followUp }, ...],
+ *         flags: [
+ *           { position, status, reason, flaggedAt, disputeId }, ...
+ *         ],
+ *       },
+ *     ],
+ *     disputes: [{ serviceId, position }, ...],
+ *   }
+ *
+ * Interactions are listed in the order they were registered, with every
+ * version of their feedback, oldest first, and none for those without
+ * feedback. feedbackOrder lists the positions of those with feedback in the
+ * order it was first submitted. replies lists the feedback entries the
+ * service replied to by their position in that order, with the reply and
+ * the reviewer's follow-up, or null, as `{ contentHash, text, author,
+ * timestamp }`. flags lists the moderated entries the same way, with
+ * their status and reason named as in FLAG_STATUSES and FLAG_REASONS, and
+ * the id of the dispute about them, or null if uncontested. publishedStats
+ * are the stats getServiceStats returns, all zero while they aren't
+ * published. disputes lists every dispute in the order of their ids.
+ * Numbers are decimal strings.
+ *
+ * Everything is read at one block, the latest unless `blockTag` is given,
+ * so that activity during the export doesn't make it inconsistent. The
+ * client's signer must be the deployment's migrator, which signs in to read
+ * the interactions, and every service's owner must have allowed the
+ * migration. The state names who reviewed what: keep it private,
+ * e.g. encrypted with encryptState.
+ */
+async function exportState(
+  client,
+  { blockTag, pageSize = DEFAULT_PAGE_SIZE } = {}
+) {
+  const block = await client.provider.getBlock(blockTag);
+  const overrides = { blockTag: block.number };
+  const { chainId } = await client.getDomain();
+
+  const migrator = await client.contract.migrator(overrides);
+  const signer = await client.signer.getAddress();
+  if (signer !== migrator) {
+    throw new Error(
+      `Only the migrator, ${migrator}, can export the state of ${client.address}`
+    );
+  }
+  // The contract checks the sign-in's expiry against the time of the block
+  // it reads at, so an older block needs a sign-in that expires soon after
+  // it. It may have expired by now, so it isn't kept as the client's session.
+  const signIn = toSignInStruct(
+    await signSignIn(client.signer, await client.getDomain(), {
+      expiry: block.timestamp + DEFAULT_SIGN_IN_TTL,
+    })
+  );
+
+  const services = [];
+  const notAllowed = [];
+  // Service ids are given out in sequence from 1 and never removed
+  for (let id = 1; ; id++) {
+    const owner = await client.contract.getServiceOwner(id, overrides);
+    if (owner === ethers.constants.AddressZero) {
+      break;
+    }
+    if (!(await client.contract.isMigrationAllowed(id, overrides))) {
+      notAllowed.push(id);
+      continue;
+    }
+
+    const [metadata, pendingOwner, status, statsThreshold, editPolicy, stats] =
+      await Promise.all([
+        client.contract.getServiceMetadata(id, overrides),
+        client.contract.getPendingServiceOwner(id, overrides),
+        client.contract.getServiceStatus(id, overrides),
+        client.contract.getStatsThreshold(id, overrides),
+        client.contract.getEditPolicy(id, overrides),
+        client.contract.getServiceStats(id, overrides),
+      ]);
+
+    const roles = {};
+    for (const [index, role] of SERVICE_ROLES.entries()) {
+      roles[role] = await client.contract.getRoleMembers(id, index, overrides);
+    }
+
+    const interactions = [];
+    const positions = new Map();
+    const interactionCounts = new Map();
+    await forEachPage(
+      await client.contract.getTotalInteractions(id, overrides),
+      pageSize,
+      async (offset) => {
+        const { users, versionCounts, versions } =
+          await client.contract.exportInteractions(
+            id,
+            offset,
+            pageSize,
+            signIn,
+            overrides
+          );
+        // versions holds [p1, p2, timestamp] for each version in turn
+        let next = 0;
+        users.forEach((user, i) => {
+          // Users' interactions are indexed in the order they registered them
+          const index = interactionCounts.get(user) || 0;
+          interactionCounts.set(user, index + 1);
+          positions.set(interactionId(user, id, index), interactions.length);
+          const history = [];
+          for (let j = 0; j < versionCounts[i].toNumber(); j++, next += 3) {
+            history.push({
+              feedback: [
+                versions[next].toString(),
+                versions[next + 1].toString(),
+              ],
+              timestamp: versions[next + 2].toString(),
+            });
+          }
+          interactions.push({ user, versions: history });
+        });
+      }
+    );
+
+    const feedbackOrder = [];
+    await forEachPage(
+      await client.contract.getFeedbackEntryCount(id, overrides),
+      pageSize,
+      async (offset) => {
+        const interactionIds = await client.contract.exportFeedbackOrder(
+          id,
+          offset,
+          pageSize,
+          signIn,
+          overrides
+        );
+        feedbackOrder.push(
+          ...interactionIds.map((interaction) => positions.get(interaction))
+        );
+      }
+    );
+
+    const replies = [];
+    await forEachPage(feedbackOrder.length, pageSize, async (offset) => {
+      const { entryReplies, entryFollowUps } =
+        await client.contract.exportReplies(
+          id,
+          offset,
+          pageSize,
+          signIn,
+          overrides
+        );
+      entryReplies.forEach((reply, i) => {
+        if (!reply.timestamp.isZero()) {
+          replies.push({
+            position: offset + i,
+            reply: toReply(reply),
+            followUp: entryFollowUps[i].timestamp.isZero()
+              ? null
+              : toReply(entryFollowUps[i]),
+          });
+        }
+      });
+    });
+
+    const flags = [];
+    await forEachPage(feedbackOrder.length, pageSize, async (offset) => {
+      const page = await client.contract.exportFlags(
+        id,
+        offset,
+        pageSize,
+        signIn,
+        overrides
+      );
+      for (const flag of page) {
+        if (flag.status !== 0) {
+          flags.push({
+            position: flag.position.toNumber(),
+            status: FLAG_STATUSES[flag.status],
+            reason: FLAG_REASONS[flag.reason],
+            flaggedAt: flag.flaggedAt.toString(),
+            disputeId: flag.disputeId.isZero()
+              ? null
+              : flag.disputeId.toString(),
+          });
+        }
+      }
+    });
+
+    services.push({
+      id: String(id),
+      metadata: metadata.map(String),
+      owner,
+      pendingOwner,
+      status: SERVICE_STATUSES[status],
+      statsThreshold: statsThreshold.toString(),
+      editPolicy: EDIT_POLICIES[editPolicy.policy],
+      editWindow: editPolicy.window.toString(),
+      publishedStats: {
+        reviewers: stats.reviewers.toString(),
+        ratingCount: stats.ratingCount.toString(),
+        ratingSum: stats.ratingSum.toString(),
+        ratingHistogram: stats.ratingHistogram.map(String),
+      },
+      roles,
+      interactions,
+      feedbackOrder,
+      replies,
+      flags,
+    });
+  }
+
+  if (notAllowed.length > 0) {
+    throw new Error(
+      `The owners of services ${notAllowed.join(", ")} of ${client.address} ` +
+        "haven't allowed their migration, see allowMigration"
+    );
+  }
+
+  const disputes = [];
+  await forEachPage(
+    await client.contract.getDisputeCount(overrides),
+    pageSize,
+    async (offset) => {
+      const page = await client.contract.exportDisputes(
+        offset,
+        pageSize,
+        signIn,
+        overrides
+      );
+      disputes.push(
+        ...page.map(({ serviceId, position }) => ({
+          serviceId: serviceId.toString(),
+          position: position.toNumber(),
+        }))
+      );
+    }
+  );
+
+  return {
+    version: MIGRATION_STATE_VERSION,
+    source: {
+      chainId,
+      address: client.address,
+      blockNumber: block.number,
+    },
+    services,
+    disputes,
+  };
+}
+
+/**
+ * Lists how two exported states differ, ignoring where they were exported
+ * from, e.g. a deployment's state and the state exported from the
+ * deployment it was imported into. Returns an empty list when they match.
+ */
+function compareStates(expected, actual) {
+  const differences = [];
+  const count = Math.max(expected.services.length, actual.services.length);
+
+  for (let i = 0; i < count; i++) {
+    const want = expected.services[i];
+    const got = actual.services[i];
+    if (!want || !got) {
+      differences.push(
+        `Service ${(want || got).id} is ${want ? "missing" : "unexpected"}`
+      );
+      continue;
+    }
+
+    for (const key of Object.keys(want)) {
+      if (JSON.stringify(want[key]) !== JSON.stringify(got[key])) {
+        differences.push(`Service ${want.id} has different ${key}`);
+      }
+    }
+  }
+
+  const disputes = Math.max(expected.disputes.length, actual.disputes.length);
+  for (let i = 0; i < disputes; i++) {
+    if (
+      JSON.stringify(expected.disputes[i]) !==
+      JSON.stringify(actual.disputes[i])
+    ) {
+      differences.push(`Dispute ${i + 1} is different`);
+    }
+  }
+
+  return differences;
+}
+
+// The id PrivateFeedback stores a user's interaction with a service under
+function interactionId(user, serviceId, index) {
+  return ethers.utils.solidityKeccak256(
+    ["address", "uint256", "uint256"],
+    [user, serviceId, index]
+  );
+}
+
+// Calls `fetchPage(offset)` for each page of a list of `count` items
+async function forEachPage(count, pageSize, fetchPage) {
+  for (let offset = 0; offset < count; offset += pageSize) {
+    await fetchPage(offset);
+  }
+}
+
+function toReply({ contentHash, text, author, timestamp }) {
+  return { contentHash, text, author, timestamp: timestamp.toString() };
+}
+
+function toSignInStruct(signIn) {
+  return {
+    user: signIn.user,
+    expiry: signIn.expiry,
+    signature: packSignature(signIn),
+  };
+}
+
+module.exports = { MIGRATION_STATE_VERSION, compareStates, exportState };
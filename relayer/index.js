@@ -0,0 +1,4 @@
+const { SponsorshipPolicy } = require("./policy");
+const { createRelayerServer } = require("./server");
+
+module.exports = { SponsorshipPolicy, createRelayerServer };
@@ -0,0 +1,143 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Decides which relay requests a relayer pays the gas for. The policy is
+ * configured per service, with "*" applying to services that aren't listed;
+ * services without rules aren't sponsored:
+ *
+ *   {
+ *     "services": {
+ *       "1": {
+ *         "interactions": true,      relay registerInteractionFor
+ *         "feedback": true,          relay submitFeedbackFor
+ *         "contests": true,          relay contestFlagFor
+ *         "followUps": true,         relay followUpOnReplyFor
+ *         "dailyLimit": 500,         requests per day for the service
+ *         "userDailyLimit": 10       requests per day for each user
+ *       }
+ *     }
+ *   }
+ *
+ * Every field is optional: interactions, feedback, contests and follow-ups
+ * are relayed unless set to false, and there's no limit unless one is set.
+ * Usage is counted in memory per UTC day, so it starts over when the
+ * relayer restarts. Service ids are compared in decimal.
+ */
+class SponsorshipPolicy {
+  constructor({ services = {} } = {}) {
+    // Keyed by the ids in decimal, since the contract reads "1", "01" and
+    // "0x1" as the same service
+    this.services = Object.fromEntries(
+      Object.entries(services).map(([id, rules]) => [
+        id === "*" ? id : canonicalId(id),
+        rules,
+      ])
+    );
+    this.usage = new Map();
+  }
+
+  static fromFile(file) {
+    return new SponsorshipPolicy(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+
+  /**
+   * The rules for a service, or undefined when it isn't sponsored.
+   */
+  rulesFor(serviceId) {
+    const rules = this.services[canonicalId(serviceId)] || this.services["*"];
+
+    return rules
+      ? {
+          interactions: true,
+          feedback: true,
+          contests: true,
+          followUps: true,
+          ...rules,
+        }
+      : undefined;
+  }
+
+  /**
+   * Returns why a request can't be relayed at `now` (in seconds), or
+   * undefined when it can.
+   */
+  check(request, now = currentTime()) {
+    const serviceId = canonicalId(request.serviceId);
+    const rules = this.rulesFor(serviceId);
+    if (!rules) {
+      return `Service ${serviceId} isn't sponsored`;
+    }
+    if (request.type === "interaction" && !rules.interactions) {
+      return `Interactions with service ${serviceId} aren't sponsored`;
+    }
+    if (request.type === "feedback" && !rules.feedback) {
+      return `Feedback about service ${serviceId} isn't sponsored`;
+    }
+    if (request.type === "contest-flag" && !rules.contests) {
+      return `Contesting flags of service ${serviceId} isn't sponsored`;
+    }
+    if (request.type === "follow-up" && !rules.followUps) {
+      return `Follow-ups to service ${serviceId} aren't sponsored`;
+    }
+
+    const usage = this._usage(request, now);
+    if (rules.dailyLimit !== undefined && usage.service >= rules.dailyLimit) {
+      return `Service ${serviceId} reached its daily limit`;
+    }
+    if (
+      rules.userDailyLimit !== undefined &&
+      usage.user >= rules.userDailyLimit
+    ) {
+      return "You reached your daily limit for this service";
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Counts a request the relayer sent towards the limits.
+   */
+  record(request, now = currentTime()) {
+    const day = Math.floor(now / DAY);
+    for (const key of usageKeys(request, day)) {
+      this.usage.set(key, (this.usage.get(key) || 0) + 1);
+    }
+    // Forget the previous days
+    for (const key of this.usage.keys()) {
+      if (!key.startsWith(`${day}:`)) {
+        this.usage.delete(key);
+      }
+    }
+  }
+
+  _usage(request, now) {
+    const [serviceKey, userKey] = usageKeys(request, Math.floor(now / DAY));
+
+    return {
+      service: this.usage.get(serviceKey) || 0,
+      user: this.usage.get(userKey) || 0,
+    };
+  }
+}
+
+function usageKeys(request, day) {
+  const serviceId = canonicalId(request.serviceId);
+
+  return [
+    `${day}:${serviceId}`,
+    `${day}:${serviceId}:${request.user.toLowerCase()}`,
+  ];
+}
+
+function canonicalId(serviceId) {
+  return ethers.BigNumber.from(serviceId).toString();
+}
+
+function currentTime() {
+  return Math.floor(Date.now() / 1000);
+}
+
+module.exports = { SponsorshipPolicy };
@@ -0,0 +1,158 @@
+const http = require("http");
+const { relayRequestCall, revertReason } = require("../sdk");
+
+// Relay requests are a few hundred bytes, anything much larger is refused
+const MAX_BODY_SIZE = 16 * 1024;
+
+/**
+ * Creates an HTTP server that sends the relay requests users post to it,
+ * paying the gas with the signer of `client`, a PrivateFeedbackClient. The
+ * server doesn't listen until `server.listen()` is called.
+ *
+ *   POST /relay                  a relay request, see sdk/src/relay.js.
+ *                                Responds { transactionHash, blockNumber }
+ *                                once the transaction is mined.
+ *   GET  /services/:serviceId    { sponsored, interactions, feedback,
+ *                                contests, followUps }
+ *
+ * Requests are checked against `policy`, a SponsorshipPolicy, and simulated
+ * before they're sent, so that the relayer doesn't pay for transactions
+ * that revert. They're sent one at a time to keep the relayer's nonces in
+ * order. Errors are returned as { error } with a 4xx or 5xx status.
+ *
+ * The log never names users: the relayer learns who reviews which service,
+ * but doesn't need to keep it.
+ */
+function createRelayerServer({ client, policy, log = console.log }) {
+  let queue = Promise.resolve();
+
+  // Runs `task` once the previous ones are done
+  function enqueue(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+
+    return result;
+  }
+
+  function rejectUnsponsored(request) {
+    const reason = policy.check(request);
+    if (reason) {
+      throw httpError(403, reason);
+    }
+  }
+
+  async function relay(request) {
+    try {
+      relayRequestCall(request);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+
+    // Rejected early when possible, and checked again in the queue, where
+    // the usage is up to date
+    rejectUnsponsored(request);
+
+    return enqueue(async () => {
+      rejectUnsponsored(request);
+
+      try {
+        await client.checkRelayRequest(request);
+      } catch (error) {
+        throw httpError(400, revertReason(error));
+      }
+
+      const receipt = await client.sendRelayRequest(request);
+      policy.record(request);
+      log(
+        `Relayed ${request.type} for service ${request.serviceId} in ${receipt.transactionHash}`
+      );
+
+      return {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+      };
+    });
+  }
+
+  async function handle(req, res) {
+    // The dapp posts from another origin
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (req.method === "OPTIONS") {
+      return respond(res, 204);
+    }
+
+    const url = new URL(req.url, "http://relayer");
+    const service = url.pathname.match(/^\/services\/(\d+)$/);
+
+    if (req.method === "POST" && url.pathname === "/relay") {
+      let request;
+      try {
+        request = JSON.parse(await readBody(req));
+      } catch (error) {
+        throw error.status ? error : httpError(400, "Invalid JSON");
+      }
+
+      return respond(res, 200, await relay(request));
+    }
+    if (req.method === "GET" && service) {
+      const rules = policy.rulesFor(service[1]);
+
+      return respond(res, 200, {
+        sponsored: rules !== undefined,
+        interactions: rules !== undefined && rules.interactions,
+        feedback: rules !== undefined && rules.feedback,
+        contests: rules !== undefined && rules.contests,
+        followUps: rules !== undefined && rules.followUps,
+      });
+    }
+
+    throw httpError(404, "Not found");
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      if (!error.status) {
+        log(`Relaying failed: ${error.message}`);
+      }
+      respond(res, error.status || 500, {
+        error: error.status ? error.message : "Relaying failed",
+      });
+    });
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(httpError(413, "Request too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function respond(res, status, body) {
+  if (body === undefined) {
+    res.writeHead(status);
+    return res.end();
+  }
+
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+
+  return error;
+}
+
+module.exports = { createRelayerServer };
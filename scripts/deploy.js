@@ -1,80 +1,118 @@
-// // This is a script for deploying your contracts. You can adapt it to deploy
-// // yours, or create new ones.
-
-// const path = require("path");
-
-// async function main() {
-//   // This is just a convenience check
-//   if (network.name === "hardhat") {
-//     console.warn(
-//       "You are trying to deploy a contract to the Hardhat Network, which" +
-//         "gets automatically created and destroyed every time. Use the Hardhat" +
-//         " option '--network localhost'"
-//     );
-//   }
-
-//   // ethers is available in the global scope
-//   const [deployer] = await ethers.getSigners();
-//   console.log(
-//     "Deploying the contracts with the account:",
-//     await deployer.getAddress()
-//   );
-
-//   console.log("Account balance:", (await deployer.getBalance()).toString());
-
-//   const Token = await ethers.getContractFactory("Token");
-//   const token = await Token.deploy();
-//   await token.deployed();
-
-//   console.log("Token address:", token.address);
-
-//   const POI = await ethers.getContractFactory("POI");
-//   const poi = await POI.deploy();
-//   await poi.deployed();
-
-//   console.log("POI address:", poi.address);
-
-//   // We also save the contract's artifacts and address in the frontend directory
-//   saveFrontendFiles(token);
-// }
-
-// function saveFrontendFiles(token) {
-//   const fs = require("fs");
-//   const contractsDir = path.join(__dirname, "..", "frontend", "src", "contracts");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const {
+    abiHash,
+    deployPrivateFeedback,
+    deploymentFile,
+    readDeployment,
+    readPrivateFeedbackAbi,
+    writeDeployment,
+} = require("../tasks/deployments");
+
+// Deploys PrivateFeedback to the network given with --network, records it in
+// deployments/<network>.json and exports it to the frontend.
+//
+// If the network's deployment file points to a contract that's still there,
+// the script refuses to deploy a new one unless FORCE_DEPLOY is set:
+//
+//   FORCE_DEPLOY=1 npx hardhat run scripts/deploy.js --network sapphire-testnet
+//
+// The new contract only accepts the import of a previous deployment's state,
+// see pf:import-state, if IMPORT_STATE is set. Otherwise the import is closed
+// from the start, so that the migrator can't write to the contract's state.
+async function main() {
+    const networkName = hre.network.name;
+
+    const [deployer] = await hre.ethers.getSigners();
+    if (deployer === undefined) {
+        throw new Error(
+            `No account is configured for ${networkName}, set its private key in .env`
+        );
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    const existing = readDeployment(networkName);
+    if (existing && !process.env.FORCE_DEPLOY && (await isDeployed(existing, chainId))) {
+        throw new Error(
+            `PrivateFeedback is already deployed to ${existing.address} on ${networkName}, ` +
+                `see ${path.relative(hre.config.paths.root, deploymentFile(networkName))}. ` +
+                "Set FORCE_DEPLOY=1 to deploy a new instance."
+        );
+    }
+
+    // PrivateFeedback is deployed after the external libraries it's linked to
+    // and its modules
+    const importing = Boolean(process.env.IMPORT_STATE);
+    const { contract, libraries, modules } = await deployPrivateFeedback(hre.ethers, deployer, {
+        importing,
+    });
+    const abi = await readPrivateFeedbackAbi(hre.artifacts);
+    const receipt = await contract.deployTransaction.wait();
+    console.log("PrivateFeedback deployed to:", contract.address);
+    if (importing) {
+        console.log(
+            "The contract can only be used once pf:import-state --finish closes the import"
+        );
+    }
+
+    // The pf:* tasks find the contract through the network's deployment file.
+    // The in-process Hardhat network is gone once this script exits, so there's
+    // nothing to record for it.
+    if (networkName !== "hardhat") {
+        writeDeployment(networkName, {
+            address: contract.address,
+            chainId,
+            blockNumber: receipt.blockNumber,
+            transactionHash: receipt.transactionHash,
+            deployer: deployer.address,
+            abiHash: abiHash(abi),
+            libraries,
+            modules,
+        });
+        console.log(
+            "Recorded in",
+            path.relative(hre.config.paths.root, deploymentFile(networkName))
+        );
+    }
+
+    // We also save the contract's artifact and address in the frontend directory
+    saveFrontendFiles(contract, chainId, abi);
+}
 
-//   if (!fs.existsSync(contractsDir)) {
-//     fs.mkdirSync(contractsDir);
-//   }
+// Whether a recorded deployment is still live, e.g. a local node may have
+// been restarted since.
+async function isDeployed(deployment, chainId) {
+    return (
+        deployment.chainId === chainId &&
+        (await hre.ethers.provider.getCode(deployment.address)) !== "0x"
+    );
+}
 
-//   fs.writeFileSync(
-//     path.join(contractsDir, "contract-address.json"),
-//     JSON.stringify({ Token: token.address }, undefined, 2)
-//   );
+function saveFrontendFiles(contract, chainId, abi) {
+    const contractsDir = path.join(__dirname, "..", "frontend", "src", "contracts");
 
-//   const TokenArtifact = artifacts.readArtifactSync("Token");
+    if (!fs.existsSync(contractsDir)) {
+        fs.mkdirSync(contractsDir);
+    }
 
-//   fs.writeFileSync(
-//     path.join(contractsDir, "Token.json"),
-//     JSON.stringify(TokenArtifact, null, 2)
-//   );
-// }
+    // The dapp asks the wallet to switch to the chain the contract is on
+    fs.writeFileSync(
+        path.join(contractsDir, "contract-address.json"),
+        JSON.stringify({ PrivateFeedback: contract.address, chainId }, undefined, 2)
+    );
 
-// main()
-//   .then(() => process.exit(0))
-//   .catch((error) => {
-//     console.error(error);
-//     process.exit(1);
-//   });
-const hre = require("hardhat");
+    // The dapp calls the modules' functions at PrivateFeedback's address too
+    const PrivateFeedbackArtifact = hre.artifacts.readArtifactSync("PrivateFeedback");
 
-async function main() {
-    const PrivateFeedback = await hre.ethers.getContractFactory("PrivateFeedback");
-    const contract = await PrivateFeedback.deploy();
-    await contract.deployed();
-    console.log("PrivateFeedback deployed to:", contract.address);
+    fs.writeFileSync(
+        path.join(contractsDir, "PrivateFeedback.json"),
+        JSON.stringify({ ...PrivateFeedbackArtifact, abi }, null, 2)
+    );
 }
 
 main().catch((error) => {
     console.error(error);
     process.exitCode = 1;
-});
\ No newline at end of file
+});
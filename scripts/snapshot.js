@@ -0,0 +1,81 @@
+// Replays a PrivateFeedback deployment's events into a JSON snapshot and
+// checks it against the contract's view functions.
+//
+//   node scripts/snapshot.js --address <contract> [--rpc <url>]
+//     [--from-block <n>] [--to-block <n>] [--out <file>]
+//
+// If the output file already holds a snapshot of the same deployment, only
+// the blocks after it are replayed. The script exits with a non-zero status
+// when the snapshot doesn't match the contract.
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { PrivateFeedbackClient, createSnapshot, syncSnapshot, verifySnapshot } = require("../sdk");
+
+const USAGE =
+    "Usage: node scripts/snapshot.js --address <contract> [--rpc <url>] " +
+    "[--from-block <n>] [--to-block <n>] [--out <file>]";
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.address) {
+        throw new Error(USAGE);
+    }
+
+    const rpc = options.rpc || "http://127.0.0.1:8545";
+    const out = options.out || "snapshot.json";
+    const provider = new ethers.providers.JsonRpcProvider(rpc);
+    const client = new PrivateFeedbackClient(options.address, provider);
+    const { chainId } = await provider.getNetwork();
+
+    let snapshot;
+    if (fs.existsSync(out)) {
+        snapshot = JSON.parse(fs.readFileSync(out, "utf8"));
+        if (snapshot.chainId !== chainId || snapshot.address !== client.address) {
+            throw new Error(`${out} holds a snapshot of another deployment`);
+        }
+        console.log(`Resuming ${out} from block ${snapshot.lastBlock + 1}`);
+    } else {
+        snapshot = createSnapshot({
+            address: client.address,
+            chainId,
+            fromBlock: Number(options["from-block"] || 0),
+        });
+    }
+
+    await syncSnapshot(client, snapshot, {
+        toBlock: options["to-block"] === undefined ? undefined : Number(options["to-block"]),
+    });
+    fs.writeFileSync(out, JSON.stringify(snapshot, undefined, 2));
+    console.log(
+        `Replayed up to block ${snapshot.lastBlock}: ` +
+            `${Object.keys(snapshot.services).length} service(s), saved to ${out}`
+    );
+
+    const mismatches = await verifySnapshot(client, snapshot);
+    if (mismatches.length > 0) {
+        mismatches.forEach((mismatch) => console.error(mismatch));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log("The snapshot matches the contract");
+}
+
+// Parses `--name value` pairs
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        if (!args[i].startsWith("--") || args[i + 1] === undefined) {
+            throw new Error(USAGE);
+        }
+        options[args[i].slice(2)] = args[i + 1];
+    }
+
+    return options;
+}
+
+main().catch((error) => {
+    console.error(error.message || error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,1736 @@
+const { ethers } = require("ethers");
+
+const { ERC20_ABI, PRIVATE_FEEDBACK_ABI } = require("./abi");
+const {
+  buildDomain,
+  packSignature,
+  signContestFlag,
+  signFeedback,
+  signFollowUp,
+  signInteraction,
+  signSignIn,
+} = require("./typedData");
+const { decodeServiceMetadata, encodeServiceMetadata } = require("./metadata");
+const { encodeFeedback, tryDecodeFeedback } = require("./feedback");
+const { decodeReply, encodeReply } = require("./replies");
+const { VoucherIssuer } = require("./vouchers");
+const {
+  getRelayerSponsorship,
+  postRelayRequest,
+  relayRequestCall,
+  toVoucherStruct,
+} = require("./relay");
+const { decodeRevertData, revertReason } = require("./errors");
+
+// The asset rewards paid in ETH are credited under
+const ETH_ASSET = ethers.constants.AddressZero;
+
+// The contract's ServiceStatus values, by index
+const SERVICE_STATUSES = ["active", "paused", "closed"];
+
+// The contract's Role values, by index. Admins manage the service and the
+// other roles, attesters issue vouchers, analysts read feedback, treasurers
+// fund rewards and responders reply to feedback.
+const SERVICE_ROLES = [
+  "admin",
+  "attester",
+  "analyst",
+  "treasurer",
+  "responder",
+];
+
+// The contract's EditPolicy values, by index: whether reviewers can edit
+// their feedback always, never, or within the service's edit window.
+const EDIT_POLICIES = ["allow", "deny", "window"];
+
+// The contract's FlagStatus values, by index: a flagged entry is hidden
+// until the arbiter overturns the flag, which its reviewer can contest.
+const FLAG_STATUSES = ["none", "flagged", "contested", "upheld", "overturned"];
+
+// The contract's FlagReason values, by index
+const FLAG_REASONS = ["spam", "abuse", "off-topic", "personal-data", "other"];
+
+// Sign-ins last a day unless the caller sets an expiry.
+const DEFAULT_SIGN_IN_TTL = 24 * 60 * 60;
+
+// Number of entries the client requests per call when it pages through a
+// list, so that large services don't exceed RPC nodes' limits.
+const DEFAULT_PAGE_SIZE = 100;
+
+// Gas the client lets a batch use before it splits the calls into several
+// transactions, a third of a 30M gas block.
+const DEFAULT_BATCH_GAS = 10000000;
+
+// Signed interactions and feedback expire an hour after they are signed
+// unless the caller sets a deadline.
+const DEFAULT_SIGNATURE_TTL = 60 * 60;
+
+/**
+ * Client for a PrivateFeedback deployment. It works with any ethers v5
+ * signer or provider; methods that send transactions or sign typed data
+ * require a signer.
+ *
+ * Methods that send a transaction wait for it to be mined. They accept an
+ * `onTransaction(tx)` option that is called as soon as the transaction has
+ * been sent, e.g. to display its hash.
+ *
+ * Methods that sign an Interaction or Feedback use the signer's current
+ * nonce, and a deadline DEFAULT_SIGNATURE_TTL seconds after the latest block
+ * unless a `deadline` option is given.
+ *
+ * Methods that read raw feedback need a sign-in from the service owner or
+ * one of its analysts: call signIn() first, or pass a stored sign-in as
+ * `options.signIn` or to those methods.
+ *
+ * Methods that go through a relayer post to `options.relayer`, the URL of a
+ * relayer such as relayer/server.js, unless they're given another.
+ *
+ * The client uses the SDK's own ABI unless `options.abi` is given, e.g. the
+ * ABI from the deployment's Hardhat artifact.
+ */
+class PrivateFeedbackClient {
+  constructor(
+    address,
+    signerOrProvider,
+    { abi = PRIVATE_FEEDBACK_ABI, signIn, relayer } = {}
+  ) {
+    this.address = ethers.utils.getAddress(address);
+    this.abi = abi;
+    this.contract = new ethers.Contract(this.address, abi, signerOrProvider);
+    this.session = signIn;
+    this.relayer = relayer;
+  }
+
+  get signer() {
+    return this.contract.signer;
+  }
+
+  get provider() {
+    return this.contract.provider;
+  }
+
+  /**
+   * Returns a new client for the same deployment using another signer or
+   * provider.
+   */
+  connect(signerOrProvider) {
+    return new PrivateFeedbackClient(this.address, signerOrProvider, {
+      abi: this.abi,
+      relayer: this.relayer,
+    });
+  }
+
+  /**
+   * Returns the EIP-712 domain of the deployment, as its eip712Domain()
+   * (EIP-5267) describes it the first time it's needed. Deployments that
+   * predate eip712Domain() get the SDK's domain for the provider's chain.
+   */
+  async getDomain() {
+    if (this._domain === undefined) {
+      this._domain = await this._readDomain();
+    }
+
+    return this._domain;
+  }
+
+  /**
+   * Registers a service owned by the signer and resolves to its id.
+   * `metadata` is either `{ name, description }` or the raw
+   * `[metadata_p1, metadata_p2]` values.
+   */
+  async registerService(metadata, { onTransaction } = {}) {
+    this._requireSigner("register a service");
+
+    const [metadata_p1, metadata_p2] = Array.isArray(metadata)
+      ? metadata
+      : encodeServiceMetadata(metadata);
+
+    const receipt = await send(
+      this.contract.registerService(metadata_p1, metadata_p2),
+      onTransaction
+    );
+    const event = receipt.events.find(
+      ({ event }) => event === "ServiceRegistered"
+    );
+
+    return event.args.serviceId;
+  }
+
+  /**
+   * Registers several services owned by the signer, in as few transactions
+   * as batch() needs, and resolves to their ids. Each metadata takes the
+   * same forms as in registerService.
+   */
+  async registerServices(metadataList, { maxGas, onTransaction } = {}) {
+    this._requireSigner("register services");
+
+    const { receipts } = await this.batch(
+      metadataList.map((metadata) => ({
+        method: "registerService",
+        args: Array.isArray(metadata)
+          ? metadata
+          : encodeServiceMetadata(metadata),
+      })),
+      { maxGas, onTransaction }
+    );
+
+    return receipts.flatMap((receipt) =>
+      receipt.events
+        .filter(({ event }) => event === "ServiceRegistered")
+        .map(({ args }) => args.serviceId)
+    );
+  }
+
+  /**
+   * Replaces the metadata of a service owned by the signer. `metadata` takes
+   * the same forms as in registerService. Resolves to the transaction
+   * receipt.
+   */
+  async updateServiceMetadata(serviceId, metadata, { onTransaction } = {}) {
+    this._requireSigner("update a service");
+
+    const [metadata_p1, metadata_p2] = Array.isArray(metadata)
+      ? metadata
+      : encodeServiceMetadata(metadata);
+
+    return send(
+      this.contract.updateServiceMetadata(serviceId, metadata_p1, metadata_p2),
+      onTransaction
+    );
+  }
+
+  /**
+   * Offers a service owned by the signer to `newOwner`, who takes it over
+   * with acceptServiceOwnership. Resolves to the transaction receipt.
+   */
+  async transferServiceOwnership(serviceId, newOwner, { onTransaction } = {}) {
+    this._requireSigner("transfer a service");
+
+    return send(
+      this.contract.transferServiceOwnership(serviceId, newOwner),
+      onTransaction
+    );
+  }
+
+  /**
+   * Withdraws a pending ownership transfer. Resolves to the transaction
+   * receipt.
+   */
+  async cancelServiceOwnershipTransfer(serviceId, { onTransaction } = {}) {
+    return this.transferServiceOwnership(
+      serviceId,
+      ethers.constants.AddressZero,
+      { onTransaction }
+    );
+  }
+
+  /**
+   * Makes the signer the owner of a service that was offered to them.
+   * Resolves to the transaction receipt.
+   */
+  async acceptServiceOwnership(serviceId, { onTransaction } = {}) {
+    this._requireSigner("accept a service");
+
+    return send(this.contract.acceptServiceOwnership(serviceId), onTransaction);
+  }
+
+  /**
+   * Stops a service owned by the signer from accepting interactions and
+   * feedback until resumeService. Resolves to the transaction receipt.
+   */
+  async pauseService(serviceId, { onTransaction } = {}) {
+    this._requireSigner("pause a service");
+
+    return send(this.contract.pauseService(serviceId), onTransaction);
+  }
+
+  /**
+   * Lets a paused service accept interactions and feedback again. Resolves
+   * to the transaction receipt.
+   */
+  async resumeService(serviceId, { onTransaction } = {}) {
+    this._requireSigner("resume a service");
+
+    return send(this.contract.resumeService(serviceId), onTransaction);
+  }
+
+  /**
+   * Closes a service owned by the signer for good. Its feedback can still be
+   * read, but it can't be changed or managed anymore. Resolves to the
+   * transaction receipt.
+   */
+  async closeService(serviceId, { onTransaction } = {}) {
+    this._requireSigner("close a service");
+
+    return send(this.contract.closeService(serviceId), onTransaction);
+  }
+
+  /**
+   * Grants one of SERVICE_ROLES of a service to `account`. The owner grants
+   * the admin role, the owner and admins the others. Resolves to the
+   * transaction receipt.
+   */
+  async grantRole(serviceId, role, account, { onTransaction } = {}) {
+    this._requireSigner("manage roles");
+
+    return send(
+      this.contract.grantRole(serviceId, roleIndex(role), account),
+      onTransaction
+    );
+  }
+
+  /**
+   * Revokes one of SERVICE_ROLES of a service from `account`. Resolves to the
+   * transaction receipt.
+   */
+  async revokeRole(serviceId, role, account, { onTransaction } = {}) {
+    this._requireSigner("manage roles");
+
+    return send(
+      this.contract.revokeRole(serviceId, roleIndex(role), account),
+      onTransaction
+    );
+  }
+
+  /**
+   * Whether `account` holds a role of a service, which its owner always does.
+   */
+  async hasRole(serviceId, role, account) {
+    return this.contract.hasRole(serviceId, roleIndex(role), account);
+  }
+
+  /**
+   * Returns the accounts granted a role of a service, without its owner.
+   */
+  async getRoleMembers(serviceId, role) {
+    return this.contract.getRoleMembers(serviceId, roleIndex(role));
+  }
+
+  /**
+   * Returns the members of every role of a service, as
+   * `{ admin, attester, analyst, treasurer }` lists of addresses.
+   */
+  async listRoles(serviceId) {
+    const members = await Promise.all(
+      SERVICE_ROLES.map((role) => this.getRoleMembers(serviceId, role))
+    );
+
+    return Object.fromEntries(
+      SERVICE_ROLES.map((role, i) => [role, members[i]])
+    );
+  }
+
+  /**
+   * Grants or revokes the attester role, which issues interaction vouchers
+   * for the service. Resolves to the transaction receipt.
+   */
+  async setAttester(serviceId, attester, authorised, { onTransaction } = {}) {
+    this._requireSigner("manage attesters");
+
+    return send(
+      this.contract.setAttester(serviceId, attester, authorised),
+      onTransaction
+    );
+  }
+
+  /**
+   * Grants or revokes the analyst role, which reads the service's raw
+   * feedback. Resolves to the transaction receipt.
+   */
+  async setAnalyst(serviceId, analyst, authorised, { onTransaction } = {}) {
+    this._requireSigner("manage analysts");
+
+    return send(
+      this.contract.setAnalyst(serviceId, analyst, authorised),
+      onTransaction
+    );
+  }
+
+  /**
+   * Lets the deployment's migrator export the reviewers and feedback of a
+   * service the signer owns, to move them to a new deployment, or stops it
+   * if `allowed` is false. Resolves to the transaction receipt.
+   */
+  async allowMigration(serviceId, allowed = true, { onTransaction } = {}) {
+    this._requireSigner("allow migration");
+
+    return send(
+      this.contract.allowMigration(serviceId, allowed),
+      onTransaction
+    );
+  }
+
+  /**
+   * Whether the service's owner lets the migrator export its reviewers and
+   * feedback.
+   */
+  async isMigrationAllowed(serviceId) {
+    return this.contract.isMigrationAllowed(serviceId);
+  }
+
+  /**
+   * Whether `account` can read the service's raw feedback.
+   */
+  async isAnalyst(serviceId, account) {
+    return this.contract.isAnalyst(serviceId, account);
+  }
+
+  /**
+   * Signs a SignIn that proves to the contract's feedback views that the
+   * signer is reading, and keeps it as the client's session. It lasts `ttl`
+   * seconds from the latest block (DEFAULT_SIGN_IN_TTL) unless an `expiry`
+   * is given. Resolves to the sign-in, which can be stored as JSON and given
+   * back to a client with the `signIn` option. Anyone holding it can read
+   * what the signer can until it expires, and the contract rejects it if
+   * it expires more than 7 days ahead.
+   */
+  async signIn({ expiry, ttl = DEFAULT_SIGN_IN_TTL } = {}) {
+    const signer = this._requireSigner("sign in");
+
+    if (expiry === undefined) {
+      const { timestamp } = await this.provider.getBlock("latest");
+      expiry = timestamp + ttl;
+    }
+    this.session = await signSignIn(signer, await this.getDomain(), {
+      expiry,
+    });
+
+    return this.session;
+  }
+
+  /**
+   * Whether `account` can issue interaction vouchers for the service.
+   */
+  async isAttester(serviceId, account) {
+    return this.contract.isAttester(serviceId, account);
+  }
+
+  /**
+   * Issues a voucher stating that `user` interacted with the service, signed
+   * by the client's signer. See VoucherIssuer#issue for the options.
+   */
+  async issueVoucher(user, serviceId, { expiry, nonce, ttl } = {}) {
+    const signer = this._requireSigner("issue a voucher");
+    const { chainId } = await this.getDomain();
+
+    const issuer = new VoucherIssuer(signer, {
+      chainId,
+      contractAddress: this.address,
+      ttl,
+    });
+    return issuer.issue({ user, serviceId, expiry, nonce });
+  }
+
+  /**
+   * Signs an Interaction for the signer's address and sends it through
+   * registerInteraction, along with the voucher the service issued to the
+   * signer. Every call records a new interaction. Resolves to the
+   * transaction receipt.
+   */
+  async recordInteraction(
+    serviceId,
+    voucher,
+    { deadline, onTransaction } = {}
+  ) {
+    const request = await this.signInteractionRequest(serviceId, voucher, {
+      deadline,
+    });
+    // The signer sends it themselves, so it doesn't name them
+    const [, ...args] = relayRequestCall(request).args;
+
+    return send(this.contract.registerInteraction(...args), onTransaction);
+  }
+
+  /**
+   * Signs a Feedback for the signer's address and sends it through
+   * submitFeedback. `feedback` is either structured feedback, as taken by
+   * encodeFeedback, or the raw `[feedback_p1, feedback_p2]` values. The
+   * feedback is about the signer's latest interaction with the service unless
+   * an `interactionIndex` option is given. Resolves to the transaction
+   * receipt.
+   */
+  async submitFeedback(
+    serviceId,
+    feedback,
+    { interactionIndex, deadline, onTransaction } = {}
+  ) {
+    const request = await this.signFeedbackRequest(serviceId, feedback, {
+      interactionIndex,
+      deadline,
+    });
+    const [, ...args] = relayRequestCall(request).args;
+
+    return send(this.contract.submitFeedback(...args), onTransaction);
+  }
+
+  /**
+   * Signs an Interaction like recordInteraction, but resolves to a relay
+   * request for a relayer to send instead of sending it.
+   */
+  async signInteractionRequest(serviceId, voucher, { deadline } = {}) {
+    const signer = this._requireSigner("record an interaction");
+    if (!voucher) {
+      throw new Error("An interaction voucher is required");
+    }
+
+    const params = await this._signingParams(signer, deadline);
+    const { signature } = await signInteraction(
+      signer,
+      await this.getDomain(),
+      { serviceId, ...params }
+    );
+
+    return {
+      type: "interaction",
+      user: await signer.getAddress(),
+      serviceId: ethers.BigNumber.from(serviceId).toString(),
+      nonce: params.nonce.toString(),
+      deadline: ethers.BigNumber.from(params.deadline).toString(),
+      signature,
+      voucher: toVoucherStruct(voucher),
+    };
+  }
+
+  /**
+   * Signs a Feedback like submitFeedback, but resolves to a relay request
+   * for a relayer to send instead of sending it.
+   */
+  async signFeedbackRequest(
+    serviceId,
+    feedback,
+    { interactionIndex, deadline } = {}
+  ) {
+    const signer = this._requireSigner("submit feedback");
+    const [feedback_p1, feedback_p2] = Array.isArray(feedback)
+      ? feedback
+      : encodeFeedback(feedback);
+
+    if (interactionIndex === undefined) {
+      interactionIndex = await this._latestInteraction(serviceId);
+    }
+
+    const params = await this._signingParams(signer, deadline);
+    const { signature } = await signFeedback(signer, await this.getDomain(), {
+      serviceId,
+      interactionIndex,
+      feedback_p1,
+      feedback_p2,
+      ...params,
+    });
+
+    return {
+      type: "feedback",
+      user: await signer.getAddress(),
+      serviceId: ethers.BigNumber.from(serviceId).toString(),
+      interactionIndex: ethers.BigNumber.from(interactionIndex).toString(),
+      feedback_p1: ethers.BigNumber.from(feedback_p1).toString(),
+      feedback_p2: ethers.BigNumber.from(feedback_p2).toString(),
+      nonce: params.nonce.toString(),
+      deadline: ethers.BigNumber.from(params.deadline).toString(),
+      signature,
+    };
+  }
+
+  /**
+   * Records an interaction through a relayer, which pays the gas. Takes the
+   * same arguments as recordInteraction, and the relayer's URL as the
+   * `relayer` option unless the client was created with one. Resolves to
+   * `{ transactionHash, blockNumber }` once the relayer's transaction is
+   * mined.
+   */
+  async relayInteraction(
+    serviceId,
+    voucher,
+    { deadline, relayer = this.relayer } = {}
+  ) {
+    return postRelayRequest(
+      requireRelayer(relayer),
+      await this.signInteractionRequest(serviceId, voucher, { deadline })
+    );
+  }
+
+  /**
+   * Submits feedback through a relayer, like relayInteraction.
+   */
+  async relayFeedback(
+    serviceId,
+    feedback,
+    { interactionIndex, deadline, relayer = this.relayer } = {}
+  ) {
+    return postRelayRequest(
+      requireRelayer(relayer),
+      await this.signFeedbackRequest(serviceId, feedback, {
+        interactionIndex,
+        deadline,
+      })
+    );
+  }
+
+  /**
+   * Asks the relayer whether it pays the gas of a service's interactions,
+   * feedback, contested flags and follow-ups. Resolves to `{ sponsored,
+   * interactions, feedback, contests, followUps }`.
+   */
+  async getSponsorship(serviceId, { relayer = this.relayer } = {}) {
+    return getRelayerSponsorship(
+      requireRelayer(relayer),
+      ethers.BigNumber.from(serviceId).toString()
+    );
+  }
+
+  /**
+   * Sends a relay request signed by another user, paying the gas with the
+   * signer's account. Resolves to the transaction receipt.
+   */
+  async sendRelayRequest(request, { onTransaction } = {}) {
+    this._requireSigner("relay requests");
+    const { method, args } = relayRequestCall(request);
+
+    return send(this.contract[method](...args), onTransaction);
+  }
+
+  /**
+   * Simulates a relay request without sending it, and rejects with the
+   * contract's reason when it would revert, e.g. for a used nonce.
+   */
+  async checkRelayRequest(request) {
+    const { method, args } = relayRequestCall(request);
+
+    await this.contract.callStatic[method](...args);
+  }
+
+  /**
+   * Sends several relay requests in batches, paying the gas with the
+   * signer's account. Requests that fail, e.g. because they were already
+   * sent, are skipped without failing the others. Resolves to the same
+   * `{ receipts, failures }` as batch().
+   */
+  async sendRelayRequests(requests, { maxGas, onTransaction } = {}) {
+    this._requireSigner("relay requests");
+
+    return this.batch(requests, { allowFailures: true, maxGas, onTransaction });
+  }
+
+  /**
+   * Sends contract calls with multicall, in as few transactions as `maxGas`
+   * allows: when the calls don't fit in one, the client looks for the
+   * longest batch that does and starts a new transaction with the next
+   * call. Each call is either `{ method, args }`, a contract function and
+   * its arguments, or a relay request. Batches can't carry ETH, so ETH
+   * rewards can't be part of one.
+   *
+   * By default a transaction reverts as a whole when one of its calls fails.
+   * The client rejects before sending a transaction whose calls wouldn't all
+   * succeed, naming the first one that fails; the transactions of the
+   * previous batches are already mined by then. With `allowFailures`, calls
+   * that fail are skipped instead and reported in `failures` as
+   * `{ index, reason }`.
+   *
+   * Resolves to `{ receipts, failures }`, one receipt per transaction.
+   */
+  async batch(
+    calls,
+    { allowFailures = false, maxGas = DEFAULT_BATCH_GAS, onTransaction } = {}
+  ) {
+    this._requireSigner("send batches");
+    const method = allowFailures ? "tryMulticall" : "multicall";
+    const data = calls.map((call, index) => this._encodeCall(call, index));
+
+    const receipts = [];
+    const failures = [];
+    for (let start = 0; start < data.length; ) {
+      const end = await this._batchEnd(method, calls, data, start, maxGas);
+      const receipt = await send(
+        this.contract[method](data.slice(start, end)),
+        onTransaction
+      );
+
+      for (const { event, args } of receipt.events) {
+        if (event === "CallFailed") {
+          failures.push({
+            index: start + args.index.toNumber(),
+            reason: decodeRevertData(args.reason),
+          });
+        }
+      }
+      receipts.push(receipt);
+      start = end;
+    }
+
+    return { receipts, failures };
+  }
+
+  /**
+   * Returns the nonce `user` must sign into their next Interaction,
+   * Feedback, ContestFlag or FollowUp.
+   */
+  async getNonce(user) {
+    return this.contract.nonces(user);
+  }
+
+  /**
+   * Credits `rewardAmount` to the user behind every feedback a service owned
+   * by the signer received, sending exactly the total needed. Users withdraw
+   * their rewards with claimRewards. Resolves to the transaction receipt.
+   *
+   * Rewards are paid in ETH, with `rewardAmount` in wei, unless a `token`
+   * option gives the address of an ERC-20 token, with `rewardAmount` in its
+   * smallest unit. The client first approves the contract to spend the total
+   * if its allowance is too low, reporting that transaction to
+   * `onTransaction` too.
+   *
+   * With `start` and `end` options, only the feedback of the service's
+   * interactions from `start` up to but excluding `end` is rewarded, to split
+   * the rewards of large services over several transactions. The client then
+   * sends, or approves, enough for every interaction in the range. The
+   * contract credits the ETH that isn't needed back to the signer, and only
+   * pulls the tokens it needs.
+   */
+  async rewardFeedback(
+    serviceId,
+    rewardAmount,
+    { token, start, end, onTransaction } = {}
+  ) {
+    const signer = this._requireSigner("reward feedback");
+    rewardAmount = ethers.BigNumber.from(rewardAmount);
+
+    const isRange = start !== undefined || end !== undefined;
+    if (isRange && (start === undefined || end === undefined)) {
+      throw new Error("Both start and end are required to reward a range");
+    }
+
+    const count = isRange
+      ? ethers.BigNumber.from(end).sub(start)
+      : await this.contract.getTotalFeedbacks(serviceId);
+    const total = rewardAmount.mul(count);
+
+    if (token === undefined) {
+      return send(
+        isRange
+          ? this.contract.rewardUsersForFeedbackRange(
+              serviceId,
+              rewardAmount,
+              start,
+              end,
+              { value: total }
+            )
+          : this.contract.rewardUsersForFeedback(serviceId, rewardAmount, {
+              value: total,
+            }),
+        onTransaction
+      );
+    }
+
+    await this._approveToken(signer, token, total, onTransaction);
+    return send(
+      isRange
+        ? this.contract.rewardUsersForFeedbackWithTokenRange(
+            serviceId,
+            token,
+            rewardAmount,
+            start,
+            end
+          )
+        : this.contract.rewardUsersForFeedbackWithToken(
+            serviceId,
+            token,
+            rewardAmount
+          ),
+      onTransaction
+    );
+  }
+
+  /**
+   * Escrows a budget of `rewardAmount * maxRewards` for a service owned by
+   * the signer, from which the first feedback each reviewer submits before
+   * `expiry` (a timestamp) is credited `rewardAmount` automatically, up to
+   * `maxRewards` reviewers. Resolves to the campaign id.
+   *
+   * As with rewardFeedback, the budget is in ETH unless a `token` option is
+   * given, in which case the client approves the contract to spend it first
+   * if needed. A service runs one campaign at a time.
+   */
+  async createRewardCampaign(
+    serviceId,
+    { rewardAmount, maxRewards, expiry, token },
+    { onTransaction } = {}
+  ) {
+    const signer = this._requireSigner("create a reward campaign");
+    const budget = ethers.BigNumber.from(rewardAmount).mul(maxRewards);
+
+    let txPromise;
+    if (token === undefined) {
+      txPromise = this.contract.createRewardCampaign(
+        serviceId,
+        rewardAmount,
+        maxRewards,
+        expiry,
+        { value: budget }
+      );
+    } else {
+      await this._approveToken(signer, token, budget, onTransaction);
+      txPromise = this.contract.createTokenRewardCampaign(
+        serviceId,
+        token,
+        rewardAmount,
+        maxRewards,
+        expiry
+      );
+    }
+
+    const receipt = await send(txPromise, onTransaction);
+    const event = receipt.events.find(
+      ({ event }) => event === "RewardCampaignCreated"
+    );
+
+    return event.args.campaignId;
+  }
+
+  /**
+   * Returns a reward campaign with its `remainingBudget`, and whether it's
+   * `active`: not expired and with budget left.
+   */
+  async getRewardCampaign(campaignId) {
+    const [campaign, { timestamp }] = await Promise.all([
+      this.contract.getRewardCampaign(campaignId),
+      this.provider.getBlock("latest"),
+    ]);
+    const remainingRewards = campaign.maxRewards.sub(campaign.rewarded);
+
+    return {
+      id: ethers.BigNumber.from(campaignId),
+      serviceId: campaign.serviceId,
+      asset: campaign.asset,
+      funder: campaign.funder,
+      rewardAmount: campaign.rewardAmount,
+      maxRewards: campaign.maxRewards,
+      rewarded: campaign.rewarded,
+      expiry: campaign.expiry,
+      reclaimed: campaign.reclaimed,
+      remainingBudget: campaign.reclaimed
+        ? ethers.constants.Zero
+        : campaign.rewardAmount.mul(remainingRewards),
+      active: campaign.expiry.gte(timestamp) && !remainingRewards.isZero(),
+    };
+  }
+
+  /**
+   * Returns every campaign a service ran, oldest first, as returned by
+   * getRewardCampaign.
+   */
+  async listRewardCampaigns(serviceId) {
+    const campaignIds = await this.contract.getServiceCampaignIds(serviceId);
+
+    return Promise.all(
+      campaignIds.map((campaignId) => this.getRewardCampaign(campaignId))
+    );
+  }
+
+  /**
+   * Credits the budget an expired campaign didn't spend back to the signer,
+   * who funded it. Resolves to the transaction receipt.
+   */
+  async reclaimRewardCampaign(campaignId, { onTransaction } = {}) {
+    this._requireSigner("reclaim a reward campaign");
+
+    return send(this.contract.reclaimRewardCampaign(campaignId), onTransaction);
+  }
+
+  /**
+   * Rewards credited to the signer, in wei, or in the smallest unit of the
+   * ERC-20 `token` if one is given.
+   */
+  async getClaimableRewards(token) {
+    return token === undefined
+      ? this.contract.getClaimableRewards()
+      : this.contract.getClaimableTokenRewards(token);
+  }
+
+  /**
+   * Returns the rewards credited to the signer in every asset, as
+   * `{ asset, amount }` objects where `asset` is a token address or
+   * ETH_ASSET.
+   */
+  async getRewardBalances() {
+    const [assets, amounts] = await this.contract.getRewardBalances();
+
+    return assets.map((asset, index) => ({ asset, amount: amounts[index] }));
+  }
+
+  /**
+   * Returns `{ symbol, decimals }` for a reward asset, to display amounts.
+   */
+  async getAssetInfo(asset) {
+    if (asset === ETH_ASSET) {
+      return { symbol: "ETH", decimals: 18 };
+    }
+
+    const erc20 = new ethers.Contract(asset, ERC20_ABI, this.provider);
+    const [symbol, decimals] = await Promise.all([
+      erc20.symbol(),
+      erc20.decimals(),
+    ]);
+    return { symbol, decimals };
+  }
+
+  /**
+   * Withdraws the ETH rewards credited to the signer, or those in the ERC-20
+   * token given with the `token` option. Resolves to the transaction receipt.
+   */
+  async claimRewards({ token, onTransaction } = {}) {
+    this._requireSigner("claim rewards");
+
+    return send(
+      token === undefined || token === ETH_ASSET
+        ? this.contract.claimRewards()
+        : this.contract.claimTokenRewards(token),
+      onTransaction
+    );
+  }
+
+  /**
+   * Whether the signer has an interaction recorded for the service.
+   */
+  async hasInteraction(serviceId) {
+    return this.contract.hasInteraction(serviceId);
+  }
+
+  /**
+   * Number of interactions the signer has recorded for the service. Their
+   * indexes, as taken by submitFeedback, run from 0 to this number minus one.
+   */
+  async getInteractionCount(serviceId) {
+    return this.contract.getInteractionCount(serviceId);
+  }
+
+  /**
+   * Returns a service's metadata, both raw and decoded, its owner, pending
+   * owner (the zero address when there is none), status and counters.
+   * `status` is one of SERVICE_STATUSES. `totalFeedbacks` doesn't count
+   * hidden feedback, which `feedbackEntries` does.
+   */
+  async getService(serviceId) {
+    const [
+      [metadata_p1, metadata_p2],
+      owner,
+      pendingOwner,
+      status,
+      totalInteractions,
+      totalFeedbacks,
+      feedbackEntries,
+    ] = await Promise.all([
+      this.contract.getServiceMetadata(serviceId),
+      this.contract.getServiceOwner(serviceId),
+      this.contract.getPendingServiceOwner(serviceId),
+      this.contract.getServiceStatus(serviceId),
+      this.contract.getTotalInteractions(serviceId),
+      this.contract.getTotalFeedbacks(serviceId),
+      this.contract.getFeedbackEntryCount(serviceId),
+    ]);
+
+    return {
+      id: ethers.BigNumber.from(serviceId),
+      metadata_p1,
+      metadata_p2,
+      ...decodeServiceMetadata(metadata_p1, metadata_p2),
+      owner,
+      pendingOwner,
+      status: SERVICE_STATUSES[status],
+      totalInteractions,
+      totalFeedbacks,
+      feedbackEntries,
+    };
+  }
+
+  /**
+   * Returns the aggregates of the ratings a service received. Anyone can
+   * read them, but they're only `published` once `reviewers` reaches the
+   * service's `threshold`; until then every aggregate is zero. They're then
+   * updated once every `threshold` changes, not after each review.
+   * `ratingHistogram[i]` counts the ratings of `i + 1`, and `averageRating`
+   * is null while there are no ratings.
+   */
+  async getServiceStats(serviceId) {
+    const stats = await this.contract.getServiceStats(serviceId);
+    const ratingCount = stats.ratingCount.toNumber();
+
+    return {
+      published: stats.published,
+      threshold: stats.threshold.toNumber(),
+      reviewers: stats.reviewers.toNumber(),
+      ratingCount,
+      ratingSum: stats.ratingSum.toNumber(),
+      averageRating:
+        ratingCount > 0 ? stats.ratingSum.toNumber() / ratingCount : null,
+      ratingHistogram: stats.ratingHistogram.map((count) => count.toNumber()),
+    };
+  }
+
+  /**
+   * Sets how many reviewers a service owned by the signer needs before its
+   * stats are published. Resolves to the transaction receipt.
+   */
+  async setStatsThreshold(serviceId, threshold, { onTransaction } = {}) {
+    this._requireSigner("set the stats threshold");
+
+    return send(
+      this.contract.setStatsThreshold(serviceId, threshold),
+      onTransaction
+    );
+  }
+
+  /**
+   * Sets whether reviewers can edit their feedback about a service the
+   * signer administers: `policy` is one of EDIT_POLICIES, and "window" takes
+   * the `window` option, the seconds from an entry's first version during
+   * which it can be edited. Resolves to the transaction receipt.
+   */
+  async setEditPolicy(serviceId, policy, { window = 0, onTransaction } = {}) {
+    this._requireSigner("set the edit policy");
+    const index = EDIT_POLICIES.indexOf(policy);
+    if (index === -1) {
+      throw new Error(
+        `Unknown edit policy "${policy}", use one of ${EDIT_POLICIES.join(
+          ", "
+        )}`
+      );
+    }
+
+    return send(
+      this.contract.setEditPolicy(serviceId, index, window),
+      onTransaction
+    );
+  }
+
+  /**
+   * Returns a service's edit policy as `{ policy, window }`, where `policy`
+   * is one of EDIT_POLICIES and `window` is in seconds, 0 unless the policy
+   * is "window".
+   */
+  async getEditPolicy(serviceId) {
+    const { policy, window } = await this.contract.getEditPolicy(serviceId);
+
+    return { policy: EDIT_POLICIES[policy], window: window.toNumber() };
+  }
+
+  /**
+   * Returns every service owned by `owner`, as returned by getService.
+   */
+  async listServicesByOwner(owner, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const count = await this.contract.getServiceCountByOwner(owner);
+    const serviceIds = await fetchPages(count, pageSize, (offset, limit) =>
+      this.contract.getServiceIdsByOwnerPage(owner, offset, limit)
+    );
+
+    return Promise.all(
+      serviceIds.map((serviceId) => this.getService(serviceId))
+    );
+  }
+
+  /**
+   * Returns a service's feedback as `{ feedback_p1, feedback_p2, decoded,
+   * versions, edited, reply, followUp, flag, hidden }` objects. `decoded`
+   * is the structured feedback, or null when the entry doesn't follow the
+   * feedback schema. `versions` counts the times the reviewer submitted the
+   * entry, and `edited` is true once they changed it, see
+   * getFeedbackHistory.
+   * `reply` and `followUp` are the service's reply and the reviewer's
+   * follow-up as returned by decodeReply, null when there is none. `flag`
+   * is the entry's moderation flag, as returned by getReviewerFlag, and
+   * `hidden` is true while the flag hides the entry from the counters,
+   * stats and rewards. Hidden entries are listed all the same.
+   */
+  async getFeedbacks(
+    serviceId,
+    { pageSize = DEFAULT_PAGE_SIZE, signIn = this.session } = {}
+  ) {
+    const session = this._requireSession(signIn);
+    const count = await this.contract.getFeedbackEntryCount(serviceId);
+    const [values, versionCounts, threads, flags] = await Promise.all([
+      fetchPages(count, pageSize, (offset, limit) =>
+        this.contract.getFeedbackPage(serviceId, offset, limit, session)
+      ),
+      fetchPages(count, pageSize, (offset, limit) =>
+        this.contract.getFeedbackVersionCounts(
+          serviceId,
+          offset,
+          limit,
+          session
+        )
+      ),
+      fetchPages(count, pageSize, async (offset, limit) =>
+        pairThreads(
+          await this.contract.getFeedbackReplies(serviceId, offset, limit)
+        )
+      ),
+      fetchPages(count, pageSize, (offset, limit) =>
+        this.contract.getFeedbackFlags(serviceId, offset, limit, session)
+      ),
+    ]);
+
+    return withFlags(
+      withThreads(
+        withVersionCounts(pairFeedbacks(values), versionCounts),
+        threads
+      ),
+      flags
+    );
+  }
+
+  /**
+   * Returns up to `limit` of a service's feedback entries from position
+   * `offset` on, as returned by getFeedbacks. Entries are ordered by when
+   * their feedback was first submitted, and an offset past the end rejects.
+   */
+  async getFeedbackPage(
+    serviceId,
+    { offset = 0, limit = DEFAULT_PAGE_SIZE, signIn = this.session } = {}
+  ) {
+    const session = this._requireSession(signIn);
+    const [values, versionCounts, replies, flags] = await Promise.all([
+      this.contract.getFeedbackPage(serviceId, offset, limit, session),
+      this.contract.getFeedbackVersionCounts(serviceId, offset, limit, session),
+      this.contract.getFeedbackReplies(serviceId, offset, limit),
+      this.contract.getFeedbackFlags(serviceId, offset, limit, session),
+    ]);
+
+    return withFlags(
+      withThreads(
+        withVersionCounts(pairFeedbacks(values), versionCounts),
+        pairThreads(replies)
+      ),
+      flags
+    );
+  }
+
+  /**
+   * Returns every version of the feedback entry at `position`, in the order
+   * of getFeedbacks, oldest first, as `{ feedback_p1, feedback_p2, decoded,
+   * timestamp }` objects, where `timestamp` is the Unix time of the block
+   * the version was submitted in.
+   */
+  async getFeedbackHistory(
+    serviceId,
+    position,
+    { signIn = this.session } = {}
+  ) {
+    const versions = await this.contract.getFeedbackHistory(
+      serviceId,
+      position,
+      this._requireSession(signIn)
+    );
+
+    return versions.map(({ feedback_p1, feedback_p2, timestamp }) => ({
+      feedback_p1,
+      feedback_p2,
+      decoded: tryDecodeFeedback(feedback_p1, feedback_p2),
+      timestamp: timestamp.toNumber(),
+    }));
+  }
+
+  /**
+   * Replies to the feedback entry at `position`, in the order of
+   * getFeedbacks, as the service's owner or one of its admins or
+   * responders. `reply` is `{ text, content, contentHash }` as encodeReply
+   * takes, or the encoded [contentHash, text]. Each entry gets one reply.
+   * Resolves to the transaction receipt.
+   */
+  async replyToFeedback(serviceId, position, reply, { onTransaction } = {}) {
+    this._requireSigner("reply to feedback");
+    const [contentHash, text] = Array.isArray(reply)
+      ? reply
+      : encodeReply(reply);
+
+    return send(
+      this.contract.replyToFeedback(serviceId, position, contentHash, text),
+      onTransaction
+    );
+  }
+
+  /**
+   * Follows up, once, on the service's reply to the signer's feedback about
+   * their interaction `interactionIndex`, their latest by default. `reply`
+   * is given like replyToFeedback's. Resolves to the transaction receipt.
+   */
+  async followUpOnReply(
+    serviceId,
+    reply,
+    { interactionIndex, onTransaction } = {}
+  ) {
+    this._requireSigner("follow up on a reply");
+    const [contentHash, text] = Array.isArray(reply)
+      ? reply
+      : encodeReply(reply);
+    if (interactionIndex === undefined) {
+      interactionIndex = await this._latestInteraction(serviceId);
+    }
+
+    return send(
+      this.contract.followUpOnReply(
+        serviceId,
+        interactionIndex,
+        contentHash,
+        text
+      ),
+      onTransaction
+    );
+  }
+
+  /**
+   * Signs a FollowUp like followUpOnReply, but resolves to a relay request
+   * for a relayer to send with followUpOnReplyFor instead of sending it.
+   */
+  async signFollowUpRequest(
+    serviceId,
+    reply,
+    { interactionIndex, deadline } = {}
+  ) {
+    const signer = this._requireSigner("follow up on a reply");
+    const [contentHash, text] = Array.isArray(reply)
+      ? reply
+      : encodeReply(reply);
+    if (interactionIndex === undefined) {
+      interactionIndex = await this._latestInteraction(serviceId);
+    }
+
+    const params = await this._signingParams(signer, deadline);
+    const { signature } = await signFollowUp(signer, await this.getDomain(), {
+      serviceId,
+      interactionIndex,
+      contentHash,
+      text,
+      ...params,
+    });
+
+    return {
+      type: "follow-up",
+      user: await signer.getAddress(),
+      serviceId: ethers.BigNumber.from(serviceId).toString(),
+      interactionIndex: ethers.BigNumber.from(interactionIndex).toString(),
+      contentHash: ethers.utils.hexlify(contentHash),
+      text: ethers.utils.hexlify(text),
+      nonce: params.nonce.toString(),
+      deadline: ethers.BigNumber.from(params.deadline).toString(),
+      signature,
+    };
+  }
+
+  /**
+   * Follows up on a reply through a relayer, like relayInteraction.
+   */
+  async relayFollowUp(
+    serviceId,
+    reply,
+    { interactionIndex, deadline, relayer = this.relayer } = {}
+  ) {
+    return postRelayRequest(
+      requireRelayer(relayer),
+      await this.signFollowUpRequest(serviceId, reply, {
+        interactionIndex,
+        deadline,
+      })
+    );
+  }
+
+  /**
+   * Returns the service's replies, which anyone can read without a sign-in,
+   * as `{ position, reply, followUp }` for each feedback entry it replied
+   * to, with its position in the order of getFeedbacks and the reply and
+   * follow-up as returned by decodeReply. The feedback itself isn't listed.
+   */
+  async getReplies(serviceId, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const count = await this.contract.getFeedbackEntryCount(serviceId);
+    const threads = await fetchPages(count, pageSize, async (offset, limit) =>
+      pairThreads(
+        await this.contract.getFeedbackReplies(serviceId, offset, limit)
+      )
+    );
+
+    return threads
+      .map(([reply, followUp], position) => ({
+        position,
+        reply: decodeReply(reply),
+        followUp: decodeReply(followUp),
+      }))
+      .filter(({ reply }) => reply !== null);
+  }
+
+  /**
+   * Returns the service's reply to the signed-in user's feedback about
+   * their interaction `interactionIndex`, their latest by default, and their
+   * follow-up, as `{ reply, followUp }`, each as returned by decodeReply.
+   */
+  async getReviewerThread(
+    serviceId,
+    { interactionIndex, signIn = this.session } = {}
+  ) {
+    const session = this._requireSession(signIn);
+    if (interactionIndex === undefined) {
+      interactionIndex = await this._latestInteraction(serviceId);
+    }
+    const { reply, followUp } = await this.contract.getReviewerThread(
+      serviceId,
+      interactionIndex,
+      session
+    );
+
+    return { reply: decodeReply(reply), followUp: decodeReply(followUp) };
+  }
+
+  /**
+   * Flags the feedback entry at `position`, in the order of getFeedbacks,
+   * of a service the signer administers, with one of FLAG_REASONS. The
+   * entry is hidden from the service's counters, stats and rewards unless
+   * the arbiter overturns the flag. Resolves to the transaction receipt.
+   */
+  async flagFeedback(serviceId, position, reason, { onTransaction } = {}) {
+    this._requireSigner("flag feedback");
+    const index = FLAG_REASONS.indexOf(reason);
+    if (index === -1) {
+      throw new Error(
+        `Unknown flag reason "${reason}", use one of ${FLAG_REASONS.join(", ")}`
+      );
+    }
+
+    return send(
+      this.contract.flagFeedback(serviceId, position, index),
+      onTransaction
+    );
+  }
+
+  /**
+   * Contests the flag on the signer's feedback about their interaction
+   * `interactionIndex`, their latest by default, for the arbiter to settle.
+   * Resolves to the dispute id.
+   */
+  async contestFlag(serviceId, { interactionIndex, onTransaction } = {}) {
+    this._requireSigner("contest a flag");
+    if (interactionIndex === undefined) {
+      interactionIndex = await this._latestInteraction(serviceId);
+    }
+
+    const receipt = await send(
+      this.contract.contestFlag(serviceId, interactionIndex),
+      onTransaction
+    );
+    const event = receipt.events.find(({ event }) => event === "FlagContested");
+    return event.args.disputeId;
+  }
+
+  /**
+   * Signs a ContestFlag like contestFlag, but resolves to a relay request
+   * for a relayer to send with contestFlagFor instead of sending it.
+   */
+  async signContestFlagRequest(serviceId, { interactionIndex, deadline } = {}) {
+    const signer = this._requireSigner("contest a flag");
+    if (interactionIndex === undefined) {
+      interactionIndex = await this._latestInteraction(serviceId);
+    }
+
+    const params = await this._signingParams(signer, deadline);
+    const { signature } = await signContestFlag(
+      signer,
+      await this.getDomain(),
+      { serviceId, interactionIndex, ...params }
+    );
+
+    return {
+      type: "contest-flag",
+      user: await signer.getAddress(),
+      serviceId: ethers.BigNumber.from(serviceId).toString(),
+      interactionIndex: ethers.BigNumber.from(interactionIndex).toString(),
+      nonce: params.nonce.toString(),
+      deadline: ethers.BigNumber.from(params.deadline).toString(),
+      signature,
+    };
+  }
+
+  /**
+   * Contests a flag through a relayer, like relayInteraction, so that
+   * reviewers without ETH can contest too.
+   */
+  async relayContestFlag(
+    serviceId,
+    { interactionIndex, deadline, relayer = this.relayer } = {}
+  ) {
+    return postRelayRequest(
+      requireRelayer(relayer),
+      await this.signContestFlagRequest(serviceId, {
+        interactionIndex,
+        deadline,
+      })
+    );
+  }
+
+  /**
+   * Returns the moderation flag on the signed-in user's feedback about their
+   * interaction `interactionIndex`, their latest by default, as `{ status,
+   * reason, position, flaggedAt, disputeId }`, where `status` is one of
+   * FLAG_STATUSES and `reason` one of FLAG_REASONS, or null when it isn't
+   * flagged. `disputeId` is null until the flag is contested.
+   */
+  async getReviewerFlag(
+    serviceId,
+    { interactionIndex, signIn = this.session } = {}
+  ) {
+    const session = this._requireSession(signIn);
+    if (interactionIndex === undefined) {
+      interactionIndex = await this._latestInteraction(serviceId);
+    }
+
+    return decodeFlag(
+      await this.contract.getReviewerFlag(serviceId, interactionIndex, session)
+    );
+  }
+
+  /**
+   * Returns the account that settles contested flags.
+   */
+  async getArbiter() {
+    return this.contract.arbiter();
+  }
+
+  /**
+   * Returns every dispute, oldest first, as `{ disputeId, serviceId,
+   * position, status, reason, feedback_p1, feedback_p2, decoded }`. Only the
+   * arbiter, signed in, can read them. Disputes that are still "contested"
+   * await resolveDispute.
+   */
+  async getDisputes({
+    pageSize = DEFAULT_PAGE_SIZE,
+    signIn = this.session,
+  } = {}) {
+    const session = this._requireSession(signIn);
+    const disputes = await fetchPages(
+      await this.contract.getDisputeCount(),
+      pageSize,
+      (offset, limit) => this.contract.getDisputes(offset, limit, session)
+    );
+
+    return disputes.map((dispute, index) => ({
+      disputeId: index + 1,
+      serviceId: dispute.serviceId,
+      position: dispute.position.toNumber(),
+      status: FLAG_STATUSES[dispute.status],
+      reason: FLAG_REASONS[dispute.reason],
+      feedback_p1: dispute.feedback_p1,
+      feedback_p2: dispute.feedback_p2,
+      decoded: tryDecodeFeedback(dispute.feedback_p1, dispute.feedback_p2),
+    }));
+  }
+
+  /**
+   * Settles a contested flag as the arbiter: the entry stays hidden if
+   * `uphold` is true, and is shown again otherwise. Resolves to the
+   * transaction receipt.
+   */
+  async resolveDispute(disputeId, uphold, { onTransaction } = {}) {
+    this._requireSigner("resolve a dispute");
+
+    return send(this.contract.resolveDispute(disputeId, uphold), onTransaction);
+  }
+
+  /**
+   * Returns the feedback of up to `limit` of a service's interactions from
+   * position `offset` on, in the order they were recorded: an entry as
+   * returned by getFeedbacks, or null for an interaction without feedback.
+   * Positions are those rewardFeedback's `start` and `end` options take.
+   */
+  async getInteractionFeedbackPage(
+    serviceId,
+    { offset = 0, limit = DEFAULT_PAGE_SIZE, signIn = this.session } = {}
+  ) {
+    const values = await this.contract.getInteractionFeedbackPage(
+      serviceId,
+      offset,
+      limit,
+      this._requireSession(signIn)
+    );
+
+    return pairFeedbacks(values).map((entry) =>
+      entry.feedback_p1.isZero() && entry.feedback_p2.isZero() ? null : entry
+    );
+  }
+
+  async _readDomain() {
+    try {
+      const { name, version, chainId, verifyingContract } =
+        await this.contract.eip712Domain();
+
+      return {
+        name,
+        version,
+        chainId: chainId.toNumber(),
+        verifyingContract,
+      };
+    } catch (error) {
+      if (error.code !== ethers.errors.CALL_EXCEPTION) {
+        throw error;
+      }
+      const { chainId } = await this.provider.getNetwork();
+
+      return buildDomain(chainId, this.address);
+    }
+  }
+
+  // Index of the signer's latest interaction with a service
+  async _latestInteraction(serviceId) {
+    const count = await this.getInteractionCount(serviceId);
+    if (count.isZero()) {
+      throw new Error("No interaction recorded for this service");
+    }
+
+    return count.sub(1);
+  }
+
+  // The nonce and deadline to sign into an Interaction, Feedback,
+  // ContestFlag or FollowUp. The default deadline follows the chain's clock
+  // rather than the local one.
+  async _signingParams(signer, deadline) {
+    const nonce = await this.getNonce(await signer.getAddress());
+
+    if (deadline === undefined) {
+      const { timestamp } = await this.provider.getBlock("latest");
+      deadline = timestamp + DEFAULT_SIGNATURE_TTL;
+    }
+
+    return { nonce, deadline };
+  }
+
+  // The calldata of a batch() call
+  _encodeCall(call, index) {
+    try {
+      const { method, args } = call.type ? relayRequestCall(call) : call;
+
+      return this.contract.interface.encodeFunctionData(method, args);
+    } catch (error) {
+      throw new Error(
+        `Invalid call ${index}: ${error.reason || error.message}`
+      );
+    }
+  }
+
+  // Where the batch of calls starting at `start` ends. The gas of all the
+  // calls left is estimated first, and if they don't fit in maxGas, a binary
+  // search finds the longest batch that does, so a batch takes a handful of
+  // estimates however many calls it holds. A batch holds at least one call,
+  // even one that needs more.
+  async _batchEnd(method, calls, data, start, maxGas) {
+    // The gas of the batch ending at `end`, or why it would fail
+    const estimates = new Map();
+    const estimate = async (end) => {
+      if (!estimates.has(end)) {
+        try {
+          const gas = await this.contract.estimateGas[method](
+            data.slice(start, end)
+          );
+          estimates.set(end, { gas });
+        } catch (error) {
+          estimates.set(end, { error });
+        }
+      }
+      return estimates.get(end);
+    };
+    const fits = async (end) => {
+      const { gas } = await estimate(end);
+      return gas !== undefined && gas.lte(maxGas);
+    };
+
+    let end = data.length;
+    if (!(await fits(end))) {
+      // A batch doesn't fit if a shorter one doesn't, and fails if a
+      // shorter one does
+      let low = start + 1;
+      let high = end - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (await fits(mid)) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      end = low;
+    }
+
+    // The batch only has to succeed, which a batch of one call hasn't been
+    // checked for yet. If it was cut short by a call that fails, the calls
+    // before that one succeed, so it's the culprit.
+    await estimate(end);
+    const failed = [end, end + 1].find(
+      (index) =>
+        estimates.has(index) && estimates.get(index).error !== undefined
+    );
+    if (failed !== undefined) {
+      const index = failed - 1;
+      const { method: name } = calls[index].type
+        ? relayRequestCall(calls[index])
+        : calls[index];
+      throw new Error(
+        `Call ${index} (${name}) would fail: ${revertReason(
+          estimates.get(failed).error
+        )}`
+      );
+    }
+
+    return end;
+  }
+
+  // Approves the contract to spend `amount` of the signer's tokens, unless
+  // it already can
+  async _approveToken(signer, token, amount, onTransaction) {
+    const erc20 = new ethers.Contract(token, ERC20_ABI, signer);
+    const allowance = await erc20.allowance(
+      await signer.getAddress(),
+      this.address
+    );
+    if (allowance.lt(amount)) {
+      await send(erc20.approve(this.address, amount), onTransaction);
+    }
+  }
+
+  // The SignIn struct the feedback views take
+  _requireSession(signIn) {
+    if (!signIn) {
+      throw new Error("A sign-in is required to read feedback, see signIn()");
+    }
+
+    return {
+      user: signIn.user,
+      expiry: signIn.expiry,
+      signature: packSignature(signIn),
+    };
+  }
+
+  _requireSigner(action) {
+    if (!ethers.Signer.isSigner(this.signer)) {
+      throw new Error(`A signer is required to ${action}`);
+    }
+
+    return this.signer;
+  }
+}
+
+// Waits for a transaction to be sent, reports it and waits for it to be mined.
+// tx.wait() rejects if the transaction reverts.
+async function send(txPromise, onTransaction) {
+  const tx = await txPromise;
+  if (onTransaction) {
+    onTransaction(tx);
+  }
+
+  return tx.wait();
+}
+
+function roleIndex(role) {
+  const index = SERVICE_ROLES.indexOf(role);
+  if (index === -1) {
+    throw new Error(
+      `Unknown role "${role}", use one of ${SERVICE_ROLES.join(", ")}`
+    );
+  }
+
+  return index;
+}
+
+function requireRelayer(relayer) {
+  if (!relayer) {
+    throw new Error("A relayer URL is required, see options.relayer");
+  }
+
+  return relayer;
+}
+
+// Fetches the `count` items of a paginated view `pageSize` at a time with
+// `fetchPage(offset, limit)`, and concatenates the pages. The first page is
+// always fetched, even if empty, so that the view's access checks apply.
+async function fetchPages(count, pageSize, fetchPage) {
+  count = ethers.BigNumber.from(count).toNumber();
+
+  const values = [];
+  for (let offset = 0; offset === 0 || offset < count; offset += pageSize) {
+    values.push(...(await fetchPage(offset, pageSize)));
+  }
+
+  return values;
+}
+
+// Adds the number of versions of each feedback entry, as returned by
+// getFeedbackVersionCounts
+function withVersionCounts(feedbacks, versionCounts) {
+  return feedbacks.map((feedback, i) => ({
+    ...feedback,
+    versions: versionCounts[i].toNumber(),
+    edited: versionCounts[i].gt(1),
+  }));
+}
+
+// Pairs the replies and follow-ups getFeedbackReplies returns
+function pairThreads([replies, followUps]) {
+  return replies.map((reply, i) => [reply, followUps[i]]);
+}
+
+// Adds the reply to each feedback entry and the reviewer's follow-up, null
+// when there is none
+function withThreads(feedbacks, threads) {
+  return feedbacks.map((feedback, i) => ({
+    ...feedback,
+    reply: decodeReply(threads[i][0]),
+    followUp: decodeReply(threads[i][1]),
+  }));
+}
+
+// Adds the moderation flag of each feedback entry, as returned by
+// getFeedbackFlags
+function withFlags(feedbacks, flags) {
+  return feedbacks.map((feedback, i) => {
+    const flag = decodeFlag(flags[i]);
+    return {
+      ...feedback,
+      flag,
+      hidden: flag !== null && flag.status !== "overturned",
+    };
+  });
+}
+
+function decodeFlag({ status, reason, position, flaggedAt, disputeId }) {
+  if (status === 0) {
+    return null;
+  }
+
+  return {
+    status: FLAG_STATUSES[status],
+    reason: FLAG_REASONS[reason],
+    position: position.toNumber(),
+    flaggedAt: flaggedAt.toNumber(),
+    disputeId: disputeId.isZero() ? null : disputeId.toNumber(),
+  };
+}
+
+// getAllFeedbacks returns a flat [p1, p2, p1, p2, ...] array.
+function pairFeedbacks(values) {
+  const feedbacks = [];
+  for (let i = 0; i + 1 < values.length; i += 2) {
+    feedbacks.push({
+      feedback_p1: values[i],
+      feedback_p2: values[i + 1],
+      decoded: tryDecodeFeedback(values[i], values[i + 1]),
+    });
+  }
+
+  return feedbacks;
+}
+
+module.exports = {
+  DEFAULT_BATCH_GAS,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_SIGN_IN_TTL,
+  DEFAULT_SIGNATURE_TTL,
+  EDIT_POLICIES,
+  ETH_ASSET,
+  FLAG_REASONS,
+  FLAG_STATUSES,
+  PrivateFeedbackClient,
+  SERVICE_ROLES,
+  SERVICE_STATUSES,
+};
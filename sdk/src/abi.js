@@ -0,0 +1,137 @@
+// Human-readable ABI of the PrivateFeedback contract. It only lists the
+// members the SDK uses, and must be kept in sync with
+// contracts/PrivateFeedback.sol and the modules it routes calls to.
+const PRIVATE_FEEDBACK_ABI = [
+  "event ServiceRegistered(address indexed owner, uint256 serviceId)",
+  "event ServiceMetadataUpdated(uint256 indexed serviceId)",
+  "event ServiceOwnershipTransferStarted(uint256 indexed serviceId, address indexed owner, address indexed pendingOwner)",
+  "event ServiceOwnershipTransferred(uint256 indexed serviceId, address indexed previousOwner, address indexed newOwner)",
+  "event ServicePaused(uint256 indexed serviceId)",
+  "event ServiceResumed(uint256 indexed serviceId)",
+  "event ServiceClosed(uint256 indexed serviceId)",
+  "event RewardCampaignCreated(uint256 indexed serviceId, uint256 campaignId, address indexed asset, uint256 rewardAmount, uint256 maxRewards, uint256 expiry)",
+  "event RewardCampaignReclaimed(uint256 indexed serviceId, uint256 campaignId, uint256 amount)",
+  "event RoleUpdated(uint256 indexed serviceId, uint8 indexed role, address indexed account, bool granted)",
+  "event StatsThresholdUpdated(uint256 indexed serviceId, uint256 threshold)",
+  "event EditPolicyUpdated(uint256 indexed serviceId, uint8 policy, uint256 window)",
+  "event FeedbackReplied(uint256 indexed serviceId)",
+  "event ReplyFollowedUp(uint256 indexed serviceId)",
+  "event FeedbackFlagged(uint256 indexed serviceId, uint8 reason)",
+  "event FlagContested(uint256 indexed serviceId, uint256 disputeId)",
+  "event DisputeResolved(uint256 indexed serviceId, uint256 disputeId, bool upheld)",
+  "event CallFailed(uint256 index, bytes reason)",
+  "event MigrationAllowed(uint256 indexed serviceId, bool allowed)",
+  "event InteractionRegistered(uint256 indexed serviceId, uint256 totalInteractions)",
+  "event FeedbackSubmitted(uint256 indexed serviceId)",
+  "event FeedbackUpdated(uint256 indexed serviceId)",
+  "event RewardPaid(uint256 indexed serviceId, address indexed asset, uint256 rewardAmount, uint256 recipients)",
+
+  "function multicall(bytes[] _calls) returns (bytes[] results)",
+  "function tryMulticall(bytes[] _calls) returns (bool[] successes, bytes[] results)",
+  "function registerService(uint256 _metadata_p1, uint256 _metadata_p2) returns (uint256)",
+  "function updateServiceMetadata(uint256 _serviceId, uint256 _metadata_p1, uint256 _metadata_p2)",
+  "function transferServiceOwnership(uint256 _serviceId, address _newOwner)",
+  "function acceptServiceOwnership(uint256 _serviceId)",
+  "function pauseService(uint256 _serviceId)",
+  "function resumeService(uint256 _serviceId)",
+  "function closeService(uint256 _serviceId)",
+  "function grantRole(uint256 _serviceId, uint8 _role, address _account)",
+  "function revokeRole(uint256 _serviceId, uint8 _role, address _account)",
+  "function setAttester(uint256 _serviceId, address _attester, bool _authorised)",
+  "function setAnalyst(uint256 _serviceId, address _analyst, bool _authorised)",
+  "function setStatsThreshold(uint256 _serviceId, uint256 _threshold)",
+  "function setEditPolicy(uint256 _serviceId, uint8 _policy, uint256 _window)",
+  "function replyToFeedback(uint256 _serviceId, uint256 _position, bytes32 _contentHash, bytes32 _text)",
+  "function followUpOnReply(uint256 _serviceId, uint256 _interactionIndex, bytes32 _contentHash, bytes32 _text)",
+  "function followUpOnReplyFor(address _user, uint256 _serviceId, uint256 _interactionIndex, bytes32 _contentHash, bytes32 _text, bytes _signature, uint256 _nonce, uint256 _deadline)",
+  "function flagFeedback(uint256 _serviceId, uint256 _position, uint8 _reason)",
+  "function contestFlag(uint256 _serviceId, uint256 _interactionIndex)",
+  "function contestFlagFor(address _user, uint256 _serviceId, uint256 _interactionIndex, bytes _signature, uint256 _nonce, uint256 _deadline)",
+  "function resolveDispute(uint256 _disputeId, bool _uphold)",
+  "function setArbiter(address _arbiter)",
+  "function registerInteraction(uint256 _serviceId, bytes _signature, uint256 _nonce, uint256 _deadline, tuple(uint256 expiry, uint256 nonce, address signer, bytes signature) _voucher) returns (uint256)",
+  "function submitFeedback(uint256 _serviceId, uint256 _interactionIndex, bytes _signature, uint256 _nonce, uint256 _deadline, uint256 _feedback_p1, uint256 _feedback_p2)",
+  "function registerInteractionFor(address _user, uint256 _serviceId, bytes _signature, uint256 _nonce, uint256 _deadline, tuple(uint256 expiry, uint256 nonce, address signer, bytes signature) _voucher) returns (uint256)",
+  "function submitFeedbackFor(address _user, uint256 _serviceId, uint256 _interactionIndex, bytes _signature, uint256 _nonce, uint256 _deadline, uint256 _feedback_p1, uint256 _feedback_p2)",
+  "function rewardUsersForFeedback(uint256 _serviceId, uint256 _rewardAmount) payable",
+  "function rewardUsersForFeedbackRange(uint256 _serviceId, uint256 _rewardAmount, uint256 _start, uint256 _end) payable",
+  "function rewardUsersForFeedbackWithToken(uint256 _serviceId, address _token, uint256 _rewardAmount)",
+  "function rewardUsersForFeedbackWithTokenRange(uint256 _serviceId, address _token, uint256 _rewardAmount, uint256 _start, uint256 _end)",
+  "function createRewardCampaign(uint256 _serviceId, uint256 _rewardAmount, uint256 _maxRewards, uint256 _expiry) payable returns (uint256)",
+  "function createTokenRewardCampaign(uint256 _serviceId, address _token, uint256 _rewardAmount, uint256 _maxRewards, uint256 _expiry) returns (uint256)",
+  "function reclaimRewardCampaign(uint256 _campaignId)",
+  "function claimRewards()",
+  "function claimTokenRewards(address _token)",
+  "function setMigrator(address _migrator)",
+  "function allowMigration(uint256 _serviceId, bool _allowed)",
+  "function isMigrationAllowed(uint256 _serviceId) view returns (bool)",
+  "function finishImport()",
+  "function importService(uint256 _serviceId, uint256 _metadata_p1, uint256 _metadata_p2, address _owner, address _pendingOwner, uint8 _status, uint256 _statsThreshold, uint8 _editPolicy, uint256 _editWindow)",
+  "function importRoles(uint256 _serviceId, uint8 _role, address[] _accounts)",
+  "function importInteractions(uint256 _serviceId, address[] _users, uint256[] _versionCounts, uint256[] _versions)",
+  "function importFeedbackOrder(uint256 _serviceId, uint256[] _positions)",
+  "function importFlags(uint256 _serviceId, tuple(uint8 status, uint8 reason, uint256 position, uint256 flaggedAt, uint256 disputeId)[] _flags)",
+  "function importDisputes(tuple(uint256 serviceId, uint256 position)[] _disputes)",
+  "function importPublishedStats(uint256 _serviceId, tuple(uint256 reviewers, uint256 ratingCount, uint256 ratingSum, uint256[5] ratingHistogram) _stats)",
+  "function importReplies(uint256 _serviceId, uint256[] _positions, tuple(bytes32 contentHash, bytes32 text, address author, uint256 timestamp)[] _replies, tuple(bytes32 contentHash, bytes32 text, address author, uint256 timestamp)[] _followUps)",
+
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function nonces(address) view returns (uint256)",
+  "function migrator() view returns (address)",
+  "function importFinished() view returns (bool)",
+  "function importedCalls() view returns (uint256)",
+  "function importDigest() view returns (bytes32)",
+  "function hasRole(uint256 _serviceId, uint8 _role, address _account) view returns (bool)",
+  "function getRoleMembers(uint256 _serviceId, uint8 _role) view returns (address[])",
+  "function isAttester(uint256 _serviceId, address _account) view returns (bool)",
+  "function isAnalyst(uint256 _serviceId, address _account) view returns (bool)",
+  "function hasInteraction(uint256 _serviceId) view returns (bool)",
+  "function getInteractionCount(uint256 _serviceId) view returns (uint256)",
+  "function getClaimableRewards() view returns (uint256)",
+  "function getClaimableTokenRewards(address _token) view returns (uint256)",
+  "function getRewardBalances() view returns (address[] assets, uint256[] amounts)",
+  "function getRewardCampaign(uint256 _campaignId) view returns (tuple(uint256 serviceId, address asset, address funder, uint256 rewardAmount, uint256 maxRewards, uint256 rewarded, uint256 expiry, bool reclaimed))",
+  "function getServiceCampaignIds(uint256 _serviceId) view returns (uint256[])",
+  "function getActiveCampaignId(uint256 _serviceId) view returns (uint256)",
+  "function getServiceIdsByOwner(address _owner) view returns (uint256[])",
+  "function getServiceCountByOwner(address _owner) view returns (uint256)",
+  "function getServiceIdsByOwnerPage(address _owner, uint256 _offset, uint256 _limit) view returns (uint256[] serviceIds)",
+  "function getServiceMetadata(uint256 _serviceId) view returns (uint256, uint256)",
+  "function getServiceOwner(uint256 _serviceId) view returns (address)",
+  "function getPendingServiceOwner(uint256 _serviceId) view returns (address)",
+  "function getServiceStatus(uint256 _serviceId) view returns (uint8)",
+  "function getTotalInteractions(uint256 _serviceId) view returns (uint256)",
+  "function getTotalFeedbacks(uint256 _serviceId) view returns (uint256)",
+  "function getFeedbackEntryCount(uint256 _serviceId) view returns (uint256)",
+  "function getServiceStats(uint256 _serviceId) view returns (tuple(bool published, uint256 threshold, uint256 reviewers, uint256 ratingCount, uint256 ratingSum, uint256[5] ratingHistogram) stats)",
+  "function getStatsThreshold(uint256 _serviceId) view returns (uint256)",
+  "function MIN_STATS_THRESHOLD() view returns (uint256)",
+  "function getEditPolicy(uint256 _serviceId) view returns (uint8 policy, uint256 window)",
+  "function getAllFeedbacks(uint256 _serviceId, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (uint256[])",
+  "function getFeedbackPage(uint256 _serviceId, uint256 _offset, uint256 _limit, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (uint256[])",
+  "function getInteractionFeedbackPage(uint256 _serviceId, uint256 _offset, uint256 _limit, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (uint256[])",
+  "function getFeedbackHistory(uint256 _serviceId, uint256 _position, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (tuple(uint256 feedback_p1, uint256 feedback_p2, uint256 timestamp)[])",
+  "function getFeedbackVersionCounts(uint256 _serviceId, uint256 _offset, uint256 _limit, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (uint256[] counts)",
+  "function getFeedbackReplies(uint256 _serviceId, uint256 _offset, uint256 _limit) view returns (tuple(bytes32 contentHash, bytes32 text, address author, uint256 timestamp)[] entryReplies, tuple(bytes32 contentHash, bytes32 text, address author, uint256 timestamp)[] entryFollowUps)",
+  "function getReviewerThread(uint256 _serviceId, uint256 _interactionIndex, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (tuple(bytes32 contentHash, bytes32 text, address author, uint256 timestamp) reply, tuple(bytes32 contentHash, bytes32 text, address author, uint256 timestamp) followUp)",
+  "function getFeedbackFlags(uint256 _serviceId, uint256 _offset, uint256 _limit, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (tuple(uint8 status, uint8 reason, uint256 position, uint256 flaggedAt, uint256 disputeId)[])",
+  "function getReviewerFlag(uint256 _serviceId, uint256 _interactionIndex, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (tuple(uint8 status, uint8 reason, uint256 position, uint256 flaggedAt, uint256 disputeId))",
+  "function arbiter() view returns (address)",
+  "function getDisputeCount() view returns (uint256)",
+  "function getDisputes(uint256 _offset, uint256 _limit, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (tuple(uint256 serviceId, uint256 position, uint8 status, uint8 reason, uint256 feedback_p1, uint256 feedback_p2)[] details)",
+  "function exportInteractions(uint256 _serviceId, uint256 _offset, uint256 _limit, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (address[] users, uint256[] versionCounts, uint256[] versions)",
+  "function exportFeedbackOrder(uint256 _serviceId, uint256 _offset, uint256 _limit, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (bytes32[] interactionIds)",
+  "function exportReplies(uint256 _serviceId, uint256 _offset, uint256 _limit, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (tuple(bytes32 contentHash, bytes32 text, address author, uint256 timestamp)[] entryReplies, tuple(bytes32 contentHash, bytes32 text, address author, uint256 timestamp)[] entryFollowUps)",
+  "function exportFlags(uint256 _serviceId, uint256 _offset, uint256 _limit, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (tuple(uint8 status, uint8 reason, uint256 position, uint256 flaggedAt, uint256 disputeId)[])",
+  "function exportDisputes(uint256 _offset, uint256 _limit, tuple(address user, uint256 expiry, bytes signature) _signIn) view returns (tuple(uint256 serviceId, uint256 position)[] page)",
+];
+
+// The ERC-20 members the SDK uses to pay and display token rewards
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+module.exports = { PRIVATE_FEEDBACK_ABI, ERC20_ABI };
@@ -0,0 +1,46 @@
+const { ethers } = require("ethers");
+
+// Selectors of the revert data Solidity produces for require() and for
+// panics such as overflows
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+/**
+ * Decodes revert data, e.g. the reason of a CallFailed event, into a
+ * readable message.
+ */
+function decodeRevertData(data) {
+  const hex = ethers.utils.hexlify(data);
+  const payload = `0x${hex.slice(10)}`;
+
+  try {
+    if (hex.startsWith(ERROR_SELECTOR)) {
+      return ethers.utils.defaultAbiCoder.decode(["string"], payload)[0];
+    }
+    if (hex.startsWith(PANIC_SELECTOR)) {
+      const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], payload);
+      return `Panic ${code.toHexString()}`;
+    }
+  } catch (error) {
+    // Not what the selector announced, reported as raw data below
+  }
+
+  return hex === "0x" ? "Reverted without a reason" : `Reverted with ${hex}`;
+}
+
+/**
+ * The contract's revert reason behind an error thrown by ethers when a call,
+ * gas estimate or transaction reverts.
+ */
+function revertReason(error) {
+  // Calls report the revert data on the error, gas estimates on the
+  // provider's error. Their reason is the provider's whole message.
+  const data = error.data || (error.error && error.error.data);
+  if (typeof data === "string" && ethers.utils.isHexString(data)) {
+    return decodeRevertData(data);
+  }
+
+  return error.reason || "The transaction would revert";
+}
+
+module.exports = { decodeRevertData, revertReason };
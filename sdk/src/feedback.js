@@ -0,0 +1,229 @@
+const { ethers } = require("ethers");
+
+// Feedback is submitted to the contract as two uint256 words. Version 1 of
+// the schema packs them as follows, from the least significant bit up:
+//
+//   feedback_p1
+//     bits   0-7    schema version (1)
+//     bits   8-15   overall rating, 1-5
+//     bits  16-47   category sub-scores, 8 bits each in FEEDBACK_CATEGORIES
+//                   order: 0 when not rated, 1-5 otherwise
+//     bits  48-111  tag bitflags, bit N set for FEEDBACK_TAGS[N]
+//     bits 112-119  content type, see FeedbackContentType
+//     bits 120-255  reserved, must be zero
+//
+//   feedback_p2
+//     the content: a bytes32 string of up to 31 bytes of UTF-8 text, a
+//     32-byte content hash (e.g. the digest of a longer review stored off
+//     chain), or zero when there is no content.
+//
+// The version byte is never zero, so encoded feedback is never mistaken for
+// a missing entry by the contract.
+
+const FEEDBACK_SCHEMA_VERSION = 1;
+
+const FEEDBACK_CATEGORIES = ["quality", "value", "service", "speed"];
+
+// Tags without a name here can still be set and read as "tag<N>".
+const FEEDBACK_TAGS = [
+  "friendly",
+  "fast",
+  "clean",
+  "good-value",
+  "recommended",
+  "accessible",
+  "knowledgeable",
+  "would-return",
+];
+
+const FeedbackContentType = Object.freeze({ None: 0, Text: 1, Hash: 2 });
+
+const MAX_TAGS = 64;
+const MIN_SCORE = 1;
+const MAX_SCORE = 5;
+
+const VERSION_OFFSET = 0;
+const RATING_OFFSET = 8;
+const SCORES_OFFSET = 16;
+const TAGS_OFFSET = 48;
+const CONTENT_TYPE_OFFSET = 112;
+const RESERVED_OFFSET = 120;
+
+/**
+ * Encodes structured feedback into `[feedback_p1, feedback_p2]`.
+ *
+ * `feedback` is `{ rating, scores, tags, text, contentHash }`: `rating` is
+ * required, `scores` maps category names to 1-5, `tags` lists tag names, and
+ * at most one of `text` and `contentHash` may be given. Throws if any value
+ * is out of range.
+ */
+function encodeFeedback({ rating, scores = {}, tags = [], text, contentHash }) {
+  checkScore("rating", rating);
+
+  let p1 = field(FEEDBACK_SCHEMA_VERSION, VERSION_OFFSET).or(
+    field(rating, RATING_OFFSET)
+  );
+
+  for (const category of Object.keys(scores)) {
+    const index = FEEDBACK_CATEGORIES.indexOf(category);
+    if (index === -1) {
+      throw new Error(`Unknown feedback category "${category}"`);
+    }
+
+    const score = scores[category];
+    if (score === undefined || score === null || score === 0) {
+      continue;
+    }
+
+    checkScore(`${category} score`, score);
+    p1 = p1.or(field(score, SCORES_OFFSET + 8 * index));
+  }
+
+  for (const tag of tags) {
+    p1 = p1.or(field(1, TAGS_OFFSET + tagIndex(tag)));
+  }
+
+  let p2 = ethers.constants.Zero;
+  if (text !== undefined && contentHash !== undefined) {
+    throw new Error("Feedback can't have both text and a content hash");
+  }
+
+  if (text !== undefined) {
+    p1 = p1.or(field(FeedbackContentType.Text, CONTENT_TYPE_OFFSET));
+    p2 = encodeText(text);
+  } else if (contentHash !== undefined) {
+    if (!ethers.utils.isHexString(contentHash, 32)) {
+      throw new Error("Feedback content hash must be 32 bytes of hex");
+    }
+
+    p1 = p1.or(field(FeedbackContentType.Hash, CONTENT_TYPE_OFFSET));
+    p2 = ethers.BigNumber.from(contentHash);
+  }
+
+  return [p1, p2];
+}
+
+/**
+ * Decodes `[feedback_p1, feedback_p2]` written by encodeFeedback. Throws if
+ * the words don't hold valid feedback of a known schema version.
+ */
+function decodeFeedback(feedback_p1, feedback_p2) {
+  const p1 = ethers.BigNumber.from(feedback_p1);
+  const p2 = ethers.BigNumber.from(feedback_p2);
+
+  const version = byteAt(p1, VERSION_OFFSET);
+  if (version !== FEEDBACK_SCHEMA_VERSION) {
+    throw new Error(`Unsupported feedback schema version ${version}`);
+  }
+
+  if (!p1.shr(RESERVED_OFFSET).isZero()) {
+    throw new Error("Feedback reserved bits must be zero");
+  }
+
+  const rating = byteAt(p1, RATING_OFFSET);
+  checkScore("rating", rating);
+
+  const scores = {};
+  FEEDBACK_CATEGORIES.forEach((category, index) => {
+    const score = byteAt(p1, SCORES_OFFSET + 8 * index);
+    if (score !== 0) {
+      checkScore(`${category} score`, score);
+      scores[category] = score;
+    }
+  });
+
+  const tagBits = p1.shr(TAGS_OFFSET).mask(MAX_TAGS);
+  const tags = [];
+  for (let index = 0; index < MAX_TAGS; index++) {
+    if (!tagBits.shr(index).and(1).isZero()) {
+      tags.push(tagName(index));
+    }
+  }
+
+  const feedback = { version, rating, scores, tags };
+
+  const contentType = byteAt(p1, CONTENT_TYPE_OFFSET);
+  if (contentType === FeedbackContentType.Text) {
+    feedback.text = decodeText(p2);
+  } else if (contentType === FeedbackContentType.Hash) {
+    feedback.contentHash = ethers.utils.hexZeroPad(p2.toHexString(), 32);
+  } else if (contentType !== FeedbackContentType.None || !p2.isZero()) {
+    throw new Error(`Invalid feedback content type ${contentType}`);
+  }
+
+  return feedback;
+}
+
+/**
+ * Like decodeFeedback, but returns null instead of throwing, for feedback
+ * written by other tools.
+ */
+function tryDecodeFeedback(feedback_p1, feedback_p2) {
+  try {
+    return decodeFeedback(feedback_p1, feedback_p2);
+  } catch (error) {
+    return null;
+  }
+}
+
+function checkScore(name, value) {
+  if (!Number.isInteger(value) || value < MIN_SCORE || value > MAX_SCORE) {
+    throw new Error(
+      `Feedback ${name} must be an integer from ${MIN_SCORE} to ${MAX_SCORE}`
+    );
+  }
+}
+
+function tagIndex(tag) {
+  const index = FEEDBACK_TAGS.indexOf(tag);
+  if (index !== -1) {
+    return index;
+  }
+
+  const match = /^tag(\d+)$/.exec(tag);
+  if (match && Number(match[1]) < MAX_TAGS) {
+    return Number(match[1]);
+  }
+
+  throw new Error(`Unknown feedback tag "${tag}"`);
+}
+
+function tagName(index) {
+  return FEEDBACK_TAGS[index] || `tag${index}`;
+}
+
+function encodeText(text) {
+  if (ethers.utils.toUtf8Bytes(text).length > 31) {
+    throw new Error("Feedback text must be at most 31 bytes of UTF-8");
+  }
+
+  return ethers.BigNumber.from(ethers.utils.formatBytes32String(text));
+}
+
+function decodeText(value) {
+  try {
+    return ethers.utils.parseBytes32String(
+      ethers.utils.hexZeroPad(value.toHexString(), 32)
+    );
+  } catch (error) {
+    throw new Error("Feedback text isn't a valid bytes32 string");
+  }
+}
+
+function field(value, offset) {
+  return ethers.BigNumber.from(value).shl(offset);
+}
+
+function byteAt(value, offset) {
+  return value.shr(offset).mask(8).toNumber();
+}
+
+module.exports = {
+  FEEDBACK_SCHEMA_VERSION,
+  FEEDBACK_CATEGORIES,
+  FEEDBACK_TAGS,
+  FeedbackContentType,
+  encodeFeedback,
+  decodeFeedback,
+  tryDecodeFeedback,
+};
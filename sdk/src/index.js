@@ -0,0 +1,46 @@
+const { ERC20_ABI, PRIVATE_FEEDBACK_ABI } = require("./abi");
+const {
+  DEFAULT_BATCH_GAS,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_SIGN_IN_TTL,
+  DEFAULT_SIGNATURE_TTL,
+  EDIT_POLICIES,
+  ETH_ASSET,
+  FLAG_REASONS,
+  FLAG_STATUSES,
+  PrivateFeedbackClient,
+  SERVICE_ROLES,
+  SERVICE_STATUSES,
+} = require("./PrivateFeedbackClient");
+const typedData = require("./typedData");
+const metadata = require("./metadata");
+const feedback = require("./feedback");
+const replies = require("./replies");
+const vouchers = require("./vouchers");
+const snapshot = require("./snapshot");
+const relay = require("./relay");
+const errors = require("./errors");
+
+module.exports = {
+  PRIVATE_FEEDBACK_ABI,
+  ERC20_ABI,
+  DEFAULT_BATCH_GAS,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_SIGN_IN_TTL,
+  DEFAULT_SIGNATURE_TTL,
+  EDIT_POLICIES,
+  ETH_ASSET,
+  FLAG_REASONS,
+  FLAG_STATUSES,
+  PrivateFeedbackClient,
+  SERVICE_ROLES,
+  SERVICE_STATUSES,
+  ...typedData,
+  ...metadata,
+  ...feedback,
+  ...replies,
+  ...vouchers,
+  ...snapshot,
+  ...relay,
+  ...errors,
+};
@@ -0,0 +1,56 @@
+const { ethers } = require("ethers");
+
+// Service metadata is stored on-chain as two uint256 values. By convention the
+// name goes into metadata_p1 and the description into metadata_p2, each as a
+// bytes32 string (up to 31 bytes of UTF-8).
+
+/**
+ * Encodes a short string into a uint256 slot.
+ */
+function encodeBytes32Field(text) {
+  return ethers.BigNumber.from(ethers.utils.formatBytes32String(text || ""));
+}
+
+/**
+ * Decodes a uint256 slot written by encodeBytes32Field. Values written by
+ * other tools may hold arbitrary numbers, so this falls back to the decimal
+ * value when the slot doesn't hold a valid bytes32 string.
+ */
+function decodeBytes32Field(value) {
+  const bigValue = ethers.BigNumber.from(value);
+  if (bigValue.isZero()) {
+    return "";
+  }
+
+  const bytes = ethers.utils.arrayify(ethers.utils.hexZeroPad(bigValue, 32));
+
+  // bytes32 strings are left-aligned and null-terminated, so a value with a
+  // leading zero byte or without a trailing one is just a number.
+  if (bytes[0] === 0 || bytes[31] !== 0) {
+    return bigValue.toString();
+  }
+
+  try {
+    return ethers.utils.parseBytes32String(bytes);
+  } catch (error) {
+    return bigValue.toString();
+  }
+}
+
+function encodeServiceMetadata({ name, description }) {
+  return [encodeBytes32Field(name), encodeBytes32Field(description)];
+}
+
+function decodeServiceMetadata(metadata_p1, metadata_p2) {
+  return {
+    name: decodeBytes32Field(metadata_p1),
+    description: decodeBytes32Field(metadata_p2),
+  };
+}
+
+module.exports = {
+  encodeBytes32Field,
+  decodeBytes32Field,
+  encodeServiceMetadata,
+  decodeServiceMetadata,
+};
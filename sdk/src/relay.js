@@ -0,0 +1,169 @@
+const { ethers } = require("ethers");
+const { packSignature } = require("./typedData");
+
+// A relay request is an Interaction, Feedback, ContestFlag or FollowUp a
+// user signed for a relayer to send with registerInteractionFor,
+// submitFeedbackFor, contestFlagFor or followUpOnReplyFor, so that the user
+// doesn't pay the gas. It only holds strings and numbers:
+//
+//   { type: "interaction", user, serviceId, nonce, deadline, signature,
+//     voucher: { expiry, nonce, signer, signature } }
+//   { type: "feedback", user, serviceId, interactionIndex, feedback_p1,
+//     feedback_p2, nonce, deadline, signature }
+//   { type: "contest-flag", user, serviceId, interactionIndex, nonce,
+//     deadline, signature }
+//   { type: "follow-up", user, serviceId, interactionIndex, contentHash,
+//     text, nonce, deadline, signature }
+//
+// Service ids are decimal strings and signatures hex strings, see
+// packSignature. Requests of contract wallets, and vouchers they signed, set
+// `contractWallet: true` so that their signature is passed as it is. The
+// user's nonce and the deadline keep a relayer from replaying it or sending
+// it late.
+
+/**
+ * Returns the contract function that sends a relay request, and its
+ * arguments. Throws on malformed requests.
+ */
+function relayRequestCall(request) {
+  if (!request || typeof request !== "object") {
+    throw new Error("Invalid relay request");
+  }
+
+  try {
+    const user = ethers.utils.getAddress(request.user);
+    const serviceId = canonicalServiceId(request.serviceId);
+    const signature = packSignature(request);
+
+    switch (request.type) {
+      case "interaction": {
+        return {
+          method: "registerInteractionFor",
+          args: [
+            user,
+            serviceId,
+            signature,
+            request.nonce,
+            request.deadline,
+            toVoucherStruct(request.voucher),
+          ],
+        };
+      }
+      case "feedback":
+        return {
+          method: "submitFeedbackFor",
+          args: [
+            user,
+            serviceId,
+            request.interactionIndex,
+            signature,
+            request.nonce,
+            request.deadline,
+            request.feedback_p1,
+            request.feedback_p2,
+          ],
+        };
+      case "contest-flag":
+        return {
+          method: "contestFlagFor",
+          args: [
+            user,
+            serviceId,
+            request.interactionIndex,
+            signature,
+            request.nonce,
+            request.deadline,
+          ],
+        };
+      case "follow-up":
+        return {
+          method: "followUpOnReplyFor",
+          args: [
+            user,
+            serviceId,
+            request.interactionIndex,
+            request.contentHash,
+            request.text,
+            signature,
+            request.nonce,
+            request.deadline,
+          ],
+        };
+    }
+  } catch (error) {
+    throw new Error(`Invalid relay request: ${error.reason || error.message}`);
+  }
+
+  throw new Error(`Unknown relay request type "${request.type}"`);
+}
+
+// The contract reads "1", "01" and "0x1" as the same service, so that a
+// relayer counting requests per service id could be fooled by aliases of
+// one: requests only name services in decimal, without leading zeros
+function canonicalServiceId(serviceId) {
+  const canonical = ethers.BigNumber.from(serviceId).toString();
+  if (String(serviceId) !== canonical) {
+    throw new Error(`serviceId must be a decimal number, not ${serviceId}`);
+  }
+
+  return canonical;
+}
+
+/**
+ * Returns a voucher, as VoucherIssuer#issue returns it, as the
+ * InteractionVoucher struct the contract takes.
+ */
+function toVoucherStruct(voucher) {
+  return {
+    expiry: voucher.expiry,
+    nonce: voucher.nonce,
+    signer: ethers.utils.getAddress(voucher.signer),
+    signature: packSignature(voucher),
+  };
+}
+
+/**
+ * Posts a relay request to a relayer's `/relay` endpoint. Resolves to the
+ * relayer's response, `{ transactionHash, blockNumber }`, once the
+ * transaction is mined, and rejects with the relayer's error otherwise.
+ */
+async function postRelayRequest(relayerUrl, request) {
+  const response = await fetch(new URL("relay", withSlash(relayerUrl)), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request),
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(body.error || `Relayer responded with ${response.status}`);
+  }
+
+  return body;
+}
+
+/**
+ * Asks a relayer whether it sponsors a service. Resolves to
+ * `{ sponsored, interactions, feedback, contests, followUps }`.
+ */
+async function getRelayerSponsorship(relayerUrl, serviceId) {
+  const response = await fetch(
+    new URL(`services/${serviceId}`, withSlash(relayerUrl))
+  );
+  if (!response.ok) {
+    throw new Error(`Relayer responded with ${response.status}`);
+  }
+
+  return response.json();
+}
+
+function withSlash(url) {
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+module.exports = {
+  getRelayerSponsorship,
+  postRelayRequest,
+  relayRequestCall,
+  toVoucherStruct,
+};
@@ -0,0 +1,48 @@
+const { ethers } = require("ethers");
+const { decodeBytes32Field } = require("./metadata");
+
+// Replies to feedback, and reviewers' follow-ups, are stored on-chain as a
+// bytes32 hash of their full content, which is kept off chain, and a short
+// text, as a bytes32 string (up to 31 bytes of UTF-8). Either may be left
+// empty, but not both.
+
+/**
+ * Encodes a reply into the [contentHash, text] words replyToFeedback and
+ * followUpOnReply take. The hash is `contentHash` if given, otherwise the
+ * keccak256 hash of `content`, the reply's full text, if given.
+ */
+function encodeReply({ text = "", content, contentHash } = {}) {
+  if (ethers.utils.toUtf8Bytes(text).length > 31) {
+    throw new Error("Reply text must be at most 31 bytes of UTF-8");
+  }
+  if (contentHash === undefined) {
+    contentHash = content
+      ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(content))
+      : ethers.constants.HashZero;
+  }
+
+  return [
+    ethers.utils.hexZeroPad(contentHash, 32),
+    ethers.utils.formatBytes32String(text),
+  ];
+}
+
+/**
+ * Decodes a FeedbackReply struct into `{ text, contentHash, author,
+ * timestamp }`, or null when there is none. `author` is the staff account
+ * that replied, and null for a reviewer's follow-up.
+ */
+function decodeReply({ contentHash, text, author, timestamp }) {
+  if (ethers.BigNumber.from(timestamp).isZero()) {
+    return null;
+  }
+
+  return {
+    text: decodeBytes32Field(text),
+    contentHash,
+    author: author === ethers.constants.AddressZero ? null : author,
+    timestamp: ethers.BigNumber.from(timestamp).toNumber(),
+  };
+}
+
+module.exports = { encodeReply, decodeReply };
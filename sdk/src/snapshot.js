@@ -0,0 +1,226 @@
+const { ethers } = require("ethers");
+
+// A snapshot is a JSON-friendly summary of a deployment's activity, rebuilt
+// from its event logs:
+//
+//   {
+//     version: 1,
+//     address, chainId,
+//     fromBlock,          first block replayed
+//     lastBlock,          last block replayed, or fromBlock - 1 if none
+//     services: {
+//       [serviceId]: {
+//         owner,
+//         interactions,   number of InteractionRegistered events
+//         feedbacks,      number of FeedbackSubmitted events
+//         feedbackUpdates,
+//         hiddenFeedbacks, feedbacks flagged and not overturned
+//         rewardedFeedbacks,
+//         rewardsPaid,    total paid out per asset, address(0) for ETH,
+//                         as decimal strings in the asset's smallest unit
+//       },
+//     },
+//   }
+//
+// Like the events themselves, snapshots don't hold users or feedback content.
+
+const SNAPSHOT_VERSION = 1;
+
+// Number of blocks requested per eth_getLogs call. Public RPC endpoints
+// often limit the range of a single call.
+const DEFAULT_BLOCK_RANGE = 5000;
+
+/**
+ * Returns an empty snapshot that starts replaying at `fromBlock`, e.g. the
+ * deployment block.
+ */
+function createSnapshot({ address, chainId, fromBlock = 0 }) {
+  return {
+    version: SNAPSHOT_VERSION,
+    address: ethers.utils.getAddress(address),
+    chainId,
+    fromBlock,
+    lastBlock: fromBlock - 1,
+    services: {},
+  };
+}
+
+/**
+ * Applies a parsed PrivateFeedback event, `{ name, args }`, to a snapshot in
+ * place. Events that don't change the snapshot are ignored.
+ */
+function applyEvent(snapshot, { name, args }) {
+  switch (name) {
+    case "ServiceRegistered":
+      snapshot.services[args.serviceId.toString()] = {
+        owner: args.owner,
+        interactions: 0,
+        feedbacks: 0,
+        feedbackUpdates: 0,
+        hiddenFeedbacks: 0,
+        rewardedFeedbacks: 0,
+        rewardsPaid: {},
+      };
+      break;
+    case "ServiceOwnershipTransferred":
+      serviceOf(snapshot, args).owner = args.newOwner;
+      break;
+    case "InteractionRegistered":
+      serviceOf(snapshot, args).interactions++;
+      break;
+    case "FeedbackSubmitted":
+      serviceOf(snapshot, args).feedbacks++;
+      break;
+    case "FeedbackUpdated":
+      serviceOf(snapshot, args).feedbackUpdates++;
+      break;
+    case "FeedbackFlagged":
+      serviceOf(snapshot, args).hiddenFeedbacks++;
+      break;
+    case "DisputeResolved":
+      if (!args.upheld) {
+        serviceOf(snapshot, args).hiddenFeedbacks--;
+      }
+      break;
+    case "RewardPaid": {
+      const service = serviceOf(snapshot, args);
+      service.rewardedFeedbacks += args.recipients.toNumber();
+      service.rewardsPaid[args.asset] = ethers.BigNumber.from(
+        service.rewardsPaid[args.asset] || 0
+      )
+        .add(args.rewardAmount.mul(args.recipients))
+        .toString();
+      break;
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Replays the client's deployment logs from the block after
+ * `snapshot.lastBlock` up to `toBlock` (the latest block by default) into the
+ * snapshot, in place. Resolves to the snapshot.
+ */
+async function syncSnapshot(
+  client,
+  snapshot,
+  { toBlock, blockRange = DEFAULT_BLOCK_RANGE } = {}
+) {
+  if (ethers.utils.getAddress(snapshot.address) !== client.address) {
+    throw new Error("The snapshot is for another deployment");
+  }
+
+  if (toBlock === undefined) {
+    toBlock = await client.provider.getBlockNumber();
+  }
+
+  const iface = new ethers.utils.Interface(client.abi);
+
+  for (let from = snapshot.lastBlock + 1; from <= toBlock; from += blockRange) {
+    const to = Math.min(from + blockRange - 1, toBlock);
+    const logs = await client.provider.getLogs({
+      address: client.address,
+      fromBlock: from,
+      toBlock: to,
+    });
+
+    for (const log of logs) {
+      let event;
+      try {
+        event = iface.parseLog(log);
+      } catch (error) {
+        // An event the ABI doesn't know about
+        continue;
+      }
+      applyEvent(snapshot, event);
+    }
+
+    snapshot.lastBlock = to;
+  }
+
+  return snapshot;
+}
+
+/**
+ * Checks a snapshot against the contract's view functions at the snapshot's
+ * last block. Resolves to a list of mismatch descriptions, empty when the
+ * snapshot is consistent. Needs a provider that serves historical state, or
+ * a snapshot synced to the latest block.
+ */
+async function verifySnapshot(client, snapshot) {
+  const overrides = { blockTag: snapshot.lastBlock };
+  const mismatches = [];
+
+  const owners = new Set(
+    Object.values(snapshot.services).map(({ owner }) => owner)
+  );
+  for (const owner of owners) {
+    // Transfers reorder the contract's index, so compare the ids sorted.
+    // Object.keys already lists the snapshot's in ascending order.
+    const onChain = (
+      await client.contract.getServiceIdsByOwner(owner, overrides)
+    )
+      .map((id) => id.toNumber())
+      .sort((a, b) => a - b)
+      .map(String);
+    const replayed = Object.keys(snapshot.services).filter(
+      (id) => snapshot.services[id].owner === owner
+    );
+
+    if (onChain.join() !== replayed.join()) {
+      mismatches.push(
+        `Services of ${owner}: contract has [${onChain}], snapshot has [${replayed}]`
+      );
+    }
+  }
+
+  for (const [id, service] of Object.entries(snapshot.services)) {
+    const [interactions, feedbacks, visibleFeedbacks] = await Promise.all([
+      client.contract.getTotalInteractions(id, overrides),
+      client.contract.getFeedbackEntryCount(id, overrides),
+      client.contract.getTotalFeedbacks(id, overrides),
+    ]);
+    const hidden = feedbacks.sub(visibleFeedbacks);
+
+    if (!interactions.eq(service.interactions)) {
+      mismatches.push(
+        `Service ${id} interactions: contract has ${interactions}, snapshot has ${service.interactions}`
+      );
+    }
+    if (!feedbacks.eq(service.feedbacks)) {
+      mismatches.push(
+        `Service ${id} feedbacks: contract has ${feedbacks}, snapshot has ${service.feedbacks}`
+      );
+    }
+    // Snapshots taken before moderation have no hiddenFeedbacks
+    if (!hidden.eq(service.hiddenFeedbacks || 0)) {
+      mismatches.push(
+        `Service ${id} hidden feedbacks: contract has ${hidden}, snapshot has ${
+          service.hiddenFeedbacks || 0
+        }`
+      );
+    }
+  }
+
+  return mismatches;
+}
+
+function serviceOf(snapshot, { serviceId }) {
+  const service = snapshot.services[serviceId.toString()];
+  if (service === undefined) {
+    throw new Error(
+      `Event for service ${serviceId}, which isn't in the snapshot. Was it synced from the deployment block?`
+    );
+  }
+
+  return service;
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  createSnapshot,
+  applyEvent,
+  syncSnapshot,
+  verifySnapshot,
+};
@@ -0,0 +1,404 @@
+const { ethers } = require("ethers");
+
+// These must match the values PrivateFeedback hashes into its EIP-712 domain
+// separator and type hashes.
+const DOMAIN_NAME = "PrivateFeedback";
+const DOMAIN_VERSION = "1";
+
+const INTERACTION_TYPES = {
+  Interaction: [
+    { name: "user", type: "address" },
+    { name: "serviceId", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const VOUCHER_TYPES = {
+  InteractionVoucher: [
+    { name: "user", type: "address" },
+    { name: "serviceId", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+const FEEDBACK_TYPES = {
+  Feedback: [
+    { name: "user", type: "address" },
+    { name: "serviceId", type: "uint256" },
+    { name: "interactionIndex", type: "uint256" },
+    { name: "feedback_p1", type: "uint256" },
+    { name: "feedback_p2", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const CONTEST_FLAG_TYPES = {
+  ContestFlag: [
+    { name: "user", type: "address" },
+    { name: "serviceId", type: "uint256" },
+    { name: "interactionIndex", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const FOLLOW_UP_TYPES = {
+  FollowUp: [
+    { name: "user", type: "address" },
+    { name: "serviceId", type: "uint256" },
+    { name: "interactionIndex", type: "uint256" },
+    { name: "contentHash", type: "bytes32" },
+    { name: "text", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Largest s the contract accepts in an ECDSA signature, half the secp256k1
+// order: of the two s values that make a signature valid, only the lower one
+const SECP256K1_HALF_ORDER = ethers.BigNumber.from(
+  "0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0"
+);
+
+const SIGN_IN_TYPES = {
+  SignIn: [
+    { name: "user", type: "address" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+/**
+ * Builds the EIP-712 domain of a PrivateFeedback deployment.
+ */
+function buildDomain(chainId, verifyingContract) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: ethers.BigNumber.from(chainId).toNumber(),
+    verifyingContract: ethers.utils.getAddress(verifyingContract),
+  };
+}
+
+/**
+ * Builds the typed data registerInteraction expects the user to sign.
+ * `nonce` must be the user's current nonce on the contract, and the
+ * signature is rejected once the `deadline` timestamp has passed.
+ */
+function buildInteractionTypedData(
+  domain,
+  { user, serviceId, nonce, deadline }
+) {
+  return {
+    domain,
+    types: INTERACTION_TYPES,
+    value: { user, serviceId, nonce, deadline },
+  };
+}
+
+/**
+ * Builds the typed data a service owner or attester signs to vouch that a
+ * user interacted with the service.
+ */
+function buildVoucherTypedData(domain, { user, serviceId, expiry, nonce }) {
+  return {
+    domain,
+    types: VOUCHER_TYPES,
+    value: { user, serviceId, expiry, nonce },
+  };
+}
+
+/**
+ * Builds the typed data submitFeedback expects the user to sign.
+ * `interactionIndex` selects which of the user's interactions with the
+ * service the feedback is about. `nonce` and `deadline` work as in
+ * buildInteractionTypedData.
+ */
+function buildFeedbackTypedData(
+  domain,
+  {
+    user,
+    serviceId,
+    interactionIndex,
+    feedback_p1,
+    feedback_p2,
+    nonce,
+    deadline,
+  }
+) {
+  return {
+    domain,
+    types: FEEDBACK_TYPES,
+    value: {
+      user,
+      serviceId,
+      interactionIndex,
+      feedback_p1,
+      feedback_p2,
+      nonce,
+      deadline,
+    },
+  };
+}
+
+/**
+ * Builds the typed data contestFlagFor expects the user to sign to contest
+ * the flag on their feedback about interaction `interactionIndex`. `nonce`
+ * and `deadline` work as in buildInteractionTypedData.
+ */
+function buildContestFlagTypedData(
+  domain,
+  { user, serviceId, interactionIndex, nonce, deadline }
+) {
+  return {
+    domain,
+    types: CONTEST_FLAG_TYPES,
+    value: { user, serviceId, interactionIndex, nonce, deadline },
+  };
+}
+
+/**
+ * Builds the typed data followUpOnReplyFor expects the user to sign to
+ * follow up on the reply to their feedback about interaction
+ * `interactionIndex`, with the [contentHash, text] words encodeReply returns.
+ * `nonce` and `deadline` work as in buildInteractionTypedData.
+ */
+function buildFollowUpTypedData(
+  domain,
+  { user, serviceId, interactionIndex, contentHash, text, nonce, deadline }
+) {
+  return {
+    domain,
+    types: FOLLOW_UP_TYPES,
+    value: {
+      user,
+      serviceId,
+      interactionIndex,
+      contentHash,
+      text,
+      nonce,
+      deadline,
+    },
+  };
+}
+
+/**
+ * Builds the typed data a user signs to prove who they are to the view
+ * functions that return raw feedback, until the `expiry` timestamp.
+ */
+function buildSignInTypedData(domain, { user, expiry }) {
+  return {
+    domain,
+    types: SIGN_IN_TYPES,
+    value: { user, expiry },
+  };
+}
+
+/**
+ * Returns the EIP-712 digest the contract recovers the signer from.
+ */
+function hashTypedData({ domain, types, value }) {
+  return ethers.utils._TypedDataEncoder.hash(domain, types, value);
+}
+
+/**
+ * Signs typed data with an ethers v5 signer. The result holds both the full
+ * signature, which is what the contract takes, and its v/r/s components.
+ */
+async function signTypedData(signer, { domain, types, value }) {
+  const signature = await signer._signTypedData(domain, types, value);
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+
+  return { signature, v, r, s };
+}
+
+/**
+ * Returns a signature as the bytes the contract takes. `signature` can be a
+ * packed 65-byte signature, its v/r/s components, or an object with either
+ * in its `signature` property. ECDSA signatures are normalized to a v of 27
+ * or 28, and 64-byte EIP-2098 signatures expanded, while signatures of any
+ * other length are taken to be a contract wallet's EIP-1271 signature and
+ * passed as they are.
+ *
+ * A contract wallet's signature can also be 65 bytes with a v that isn't an
+ * ECDSA one, like Safe's 0 and 1, which normalizing would break: with the
+ * `contractWallet` option, or a `contractWallet: true` property next to the
+ * `signature`, the bytes are passed as they are whatever their length.
+ */
+function packSignature(signature, { contractWallet = false } = {}) {
+  if (signature && signature.signature !== undefined) {
+    contractWallet = contractWallet || signature.contractWallet === true;
+    signature = signature.signature;
+  }
+
+  if (typeof signature === "string") {
+    const length = ethers.utils.hexDataLength(signature);
+    // hexDataLength is null for anything that isn't hex data
+    if (length === null) {
+      throw new Error(`Invalid signature ${signature}`);
+    }
+    if (contractWallet || (length !== 64 && length !== 65)) {
+      return ethers.utils.hexlify(signature);
+    }
+  }
+
+  return ethers.utils.joinSignature(signature);
+}
+
+/**
+ * Returns the address that signed the typed data. `signature` can be a full
+ * signature or its v/r/s components.
+ */
+function recoverTypedDataSigner({ domain, types, value }, signature) {
+  return ethers.utils.verifyTypedData(domain, types, value, signature);
+}
+
+/**
+ * Checks offline whether `signature` is `expectedSigner`'s ECDSA signature of
+ * the typed data, and one the contract accepts. Contract wallets' signatures
+ * can only be checked by the wallet, on chain.
+ */
+function verifyTypedDataSignature(typedData, signature, expectedSigner) {
+  try {
+    const { s } = ethers.utils.splitSignature(signature);
+    return (
+      ethers.BigNumber.from(s).lte(SECP256K1_HALF_ORDER) &&
+      recoverTypedDataSigner(typedData, signature) ===
+        ethers.utils.getAddress(expectedSigner)
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Builds and signs an Interaction for the signer's own address.
+ */
+async function signInteraction(signer, domain, { serviceId, nonce, deadline }) {
+  const typedData = buildInteractionTypedData(domain, {
+    user: await signer.getAddress(),
+    serviceId,
+    nonce,
+    deadline,
+  });
+
+  return {
+    ...(await signTypedData(signer, typedData)),
+    value: typedData.value,
+  };
+}
+
+/**
+ * Builds and signs a Feedback for the signer's own address.
+ */
+async function signFeedback(
+  signer,
+  domain,
+  { serviceId, interactionIndex, feedback_p1, feedback_p2, nonce, deadline }
+) {
+  const typedData = buildFeedbackTypedData(domain, {
+    user: await signer.getAddress(),
+    serviceId,
+    interactionIndex,
+    feedback_p1,
+    feedback_p2,
+    nonce,
+    deadline,
+  });
+
+  return {
+    ...(await signTypedData(signer, typedData)),
+    value: typedData.value,
+  };
+}
+
+/**
+ * Builds and signs a ContestFlag for the signer's own address.
+ */
+async function signContestFlag(
+  signer,
+  domain,
+  { serviceId, interactionIndex, nonce, deadline }
+) {
+  const typedData = buildContestFlagTypedData(domain, {
+    user: await signer.getAddress(),
+    serviceId,
+    interactionIndex,
+    nonce,
+    deadline,
+  });
+
+  return {
+    ...(await signTypedData(signer, typedData)),
+    value: typedData.value,
+  };
+}
+
+/**
+ * Builds and signs a FollowUp for the signer's own address.
+ */
+async function signFollowUp(
+  signer,
+  domain,
+  { serviceId, interactionIndex, contentHash, text, nonce, deadline }
+) {
+  const typedData = buildFollowUpTypedData(domain, {
+    user: await signer.getAddress(),
+    serviceId,
+    interactionIndex,
+    contentHash,
+    text,
+    nonce,
+    deadline,
+  });
+
+  return {
+    ...(await signTypedData(signer, typedData)),
+    value: typedData.value,
+  };
+}
+
+/**
+ * Signs a SignIn for the signer's own address. The result only holds strings
+ * and numbers, so it can be stored as JSON and passed to the contract's view
+ * functions as it is.
+ */
+async function signSignIn(signer, domain, { expiry }) {
+  const value = { user: await signer.getAddress(), expiry };
+  const { signature, v, r, s } = await signTypedData(
+    signer,
+    buildSignInTypedData(domain, value)
+  );
+
+  return { ...value, signature, v, r, s };
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  INTERACTION_TYPES,
+  VOUCHER_TYPES,
+  FEEDBACK_TYPES,
+  CONTEST_FLAG_TYPES,
+  FOLLOW_UP_TYPES,
+  SIGN_IN_TYPES,
+  buildDomain,
+  buildInteractionTypedData,
+  buildVoucherTypedData,
+  buildFeedbackTypedData,
+  buildContestFlagTypedData,
+  buildFollowUpTypedData,
+  buildSignInTypedData,
+  hashTypedData,
+  signTypedData,
+  packSignature,
+  recoverTypedDataSigner,
+  verifyTypedDataSignature,
+  signInteraction,
+  signFeedback,
+  signContestFlag,
+  signFollowUp,
+  signSignIn,
+};
@@ -0,0 +1,78 @@
+const { ethers } = require("ethers");
+
+const {
+  buildDomain,
+  buildVoucherTypedData,
+  signTypedData,
+  verifyTypedDataSignature,
+} = require("./typedData");
+
+// Vouchers are valid for a day unless the issuer says otherwise.
+const DEFAULT_VOUCHER_TTL = 24 * 60 * 60;
+
+/**
+ * Issues interaction vouchers for a PrivateFeedback deployment. Service
+ * backends create one with the key of the service owner, or of an attester
+ * the owner authorised with setAttester, and hand the vouchers to their
+ * users, who pass them to registerInteraction.
+ *
+ * Issuing is done offline, so the issuer doesn't need a provider.
+ */
+class VoucherIssuer {
+  constructor(signer, { chainId, contractAddress, ttl = DEFAULT_VOUCHER_TTL }) {
+    this.signer = signer;
+    this.domain = buildDomain(chainId, contractAddress);
+    this.ttl = ttl;
+  }
+
+  /**
+   * Signs a voucher stating that `user` interacted with `serviceId`. The
+   * expiry defaults to `ttl` seconds from now and the nonce to a random
+   * value; a nonce can only be used once per service. The result only holds
+   * strings and numbers, so it can be sent to the user as JSON. It names the
+   * signer's address, which the contract checks the signature against.
+   */
+  async issue({ user, serviceId, expiry, nonce }) {
+    const value = {
+      user: ethers.utils.getAddress(user),
+      serviceId: ethers.BigNumber.from(serviceId).toString(),
+      expiry: expiry !== undefined ? expiry : now() + this.ttl,
+      nonce: ethers.BigNumber.from(
+        nonce !== undefined ? nonce : ethers.utils.randomBytes(32)
+      ).toString(),
+    };
+
+    const { signature, v, r, s } = await signTypedData(
+      this.signer,
+      buildVoucherTypedData(this.domain, value)
+    );
+
+    return {
+      ...value,
+      signer: await this.signer.getAddress(),
+      signature,
+      v,
+      r,
+      s,
+    };
+  }
+}
+
+/**
+ * Checks offline whether a voucher was signed by `expectedSigner` for the
+ * given domain. It doesn't check the expiry or whether the nonce was used,
+ * nor vouchers signed by contract wallets, see verifyTypedDataSignature.
+ */
+function verifyVoucher(domain, voucher, expectedSigner) {
+  return verifyTypedDataSignature(
+    buildVoucherTypedData(domain, voucher),
+    voucher.signature || voucher,
+    expectedSigner
+  );
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+module.exports = { DEFAULT_VOUCHER_TTL, VoucherIssuer, verifyVoucher };
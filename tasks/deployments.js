@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Each network's PrivateFeedback deployment is recorded in
+// deployments/<network>.json, which scripts/deploy.js writes and the pf:*
+// tasks read:
+//
+//   {
+//     address, chainId,
+//     blockNumber, transactionHash,   where the contract was created
+//     deployer,                       the account that deployed it
+//     abiHash,                        see abiHash() below
+//     libraries,                      addresses of the linked libraries
+//     modules                         addresses of the modules, see below
+//   }
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+function deploymentFile(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+// Returns the network's deployment, or undefined if it has none.
+function readDeployment(networkName) {
+  const file = deploymentFile(networkName);
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeDeployment(networkName, deployment) {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+    fs.mkdirSync(DEPLOYMENTS_DIR);
+  }
+
+  fs.writeFileSync(
+    deploymentFile(networkName),
+    JSON.stringify(deployment, undefined, 2) + "\n"
+  );
+}
+
+// Identifies the ABI a deployment was made with, to notice when the compiled
+// contract no longer matches it.
+function abiHash(abi) {
+  return ethers.utils.id(JSON.stringify(abi));
+}
+
+// External libraries PrivateFeedback and its modules are linked to, deployed
+// before them
+const PRIVATE_FEEDBACK_LIBRARIES = ["FeedbackRewards", "SignatureChecker"];
+
+// Modules PrivateFeedback hands the functions it doesn't implement to, with
+// the libraries each one is linked to. They're deployed before PrivateFeedback,
+// which takes their addresses.
+const PRIVATE_FEEDBACK_MODULES = {
+  PrivateFeedbackMigration: ["SignatureChecker"],
+  PrivateFeedbackReplies: ["SignatureChecker"],
+  PrivateFeedbackModeration: ["SignatureChecker"],
+};
+
+// Deploys PrivateFeedback, its modules and the libraries they're linked to
+// with `hreEthers`, Hardhat's ethers plugin, from `signer` or the first
+// account. Resolves to the contract once it's deployed, and the addresses of
+// the libraries and modules. The contract only accepts the import of a
+// previous deployment's state if `importing` is set, see migration/.
+async function deployPrivateFeedback(
+  hreEthers,
+  signer,
+  { importing = false } = {}
+) {
+  const libraries = {};
+  for (const name of PRIVATE_FEEDBACK_LIBRARIES) {
+    const library = await (
+      await hreEthers.getContractFactory(name, signer)
+    ).deploy();
+    libraries[name] = (await library.deployed()).address;
+  }
+
+  const modules = {};
+  for (const [name, linked] of Object.entries(PRIVATE_FEEDBACK_MODULES)) {
+    const factory = await hreEthers.getContractFactory(name, {
+      signer,
+      libraries: pick(libraries, linked),
+    });
+    modules[name] = (await (await factory.deploy()).deployed()).address;
+  }
+
+  const PrivateFeedback = await hreEthers.getContractFactory(
+    "PrivateFeedback",
+    { signer, libraries }
+  );
+  const contract = await (
+    await PrivateFeedback.deploy(Object.values(modules), importing)
+  ).deployed();
+
+  return { contract, libraries, modules };
+}
+
+// The ABI of PrivateFeedback with its modules' functions, which is what its
+// address answers to
+async function readPrivateFeedbackAbi(artifacts) {
+  const { abi } = await artifacts.readArtifact("PrivateFeedback");
+  const seen = new Set(abi.map((fragment) => JSON.stringify(fragment)));
+  for (const name of Object.keys(PRIVATE_FEEDBACK_MODULES)) {
+    // Modules share PrivateFeedback's events and public getters, and only
+    // serve moduleSelectors to PrivateFeedback itself
+    for (const fragment of (await artifacts.readArtifact(name)).abi) {
+      const key = JSON.stringify(fragment);
+      if (fragment.name !== "moduleSelectors" && !seen.has(key)) {
+        seen.add(key);
+        abi.push(fragment);
+      }
+    }
+  }
+
+  return abi;
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.map((key) => [key, object[key]]));
+}
+
+module.exports = {
+  PRIVATE_FEEDBACK_LIBRARIES,
+  PRIVATE_FEEDBACK_MODULES,
+  deploymentFile,
+  readDeployment,
+  writeDeployment,
+  abiHash,
+  deployPrivateFeedback,
+  readPrivateFeedbackAbi,
+};
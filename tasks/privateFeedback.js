@@ -0,0 +1,1186 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const {
+  ETH_ASSET,
+  PrivateFeedbackClient,
+  FEEDBACK_CATEGORIES,
+  FLAG_REASONS,
+  SERVICE_ROLES,
+  encodeServiceMetadata,
+} = require("../sdk");
+const {
+  abiHash,
+  deploymentFile,
+  readDeployment,
+  readPrivateFeedbackAbi,
+} = require("./deployments");
+const { SponsorshipPolicy, createRelayerServer } = require("../relayer");
+const {
+  compareStates,
+  decryptState,
+  encryptState,
+  exportState,
+  importState,
+} = require("../migration");
+
+// Tasks to operate a PrivateFeedback deployment from the command line. They
+// find the contract in deployments/<network>.json unless --address is given,
+// and send transactions and sign typed data with the account chosen with
+// --from: an index into the network's accounts, or one of their addresses.
+//
+// Every task prints its result and also returns it, so it can be used with
+// hre.run().
+
+const PLUGIN_NAME = "pf";
+
+// Declares a pf:* task with the options all of them share.
+function pfTask(name, description) {
+  return task(`pf:${name}`, description)
+    .addOptionalParam(
+      "address",
+      "The PrivateFeedback contract address. Defaults to the network's deployment"
+    )
+    .addOptionalParam(
+      "from",
+      "The account to use, as an index into the network's accounts or an address",
+      "0"
+    );
+}
+
+pfTask("register-service", "Registers a service owned by the --from account")
+  .addOptionalParam("name", "The service name, up to 31 bytes", "")
+  .addOptionalParam(
+    "description",
+    "The service description, up to 31 bytes",
+    ""
+  )
+  .addOptionalParam(
+    "metadata",
+    "The raw metadata values as 'p1,p2', instead of a name and description"
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const metadata = args.metadata
+      ? parseList(args.metadata)
+      : encodeServiceMetadata({
+          name: args.name,
+          description: args.description,
+        });
+    if (metadata.length !== 2) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        "--metadata must be two comma-separated values"
+      );
+    }
+
+    const serviceId = await client.registerService(metadata, {
+      onTransaction: logTransaction,
+    });
+    console.log(`Registered service ${serviceId}`);
+
+    return serviceId;
+  });
+
+pfTask(
+  "register-services",
+  "Registers several services owned by the --from account, in batches"
+)
+  .addParam(
+    "file",
+    'JSON file with a list of services, as { "name": ..., "description": ... }'
+  )
+  .addOptionalParam(
+    "maxGas",
+    "The gas each transaction may use",
+    undefined,
+    types.int
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const services = readJsonList(args.file);
+
+    const serviceIds = await client.registerServices(services, {
+      maxGas: args.maxGas,
+      onTransaction: logTransaction,
+    });
+    console.log(`Registered services ${serviceIds.join(", ")}`);
+
+    return serviceIds;
+  });
+
+pfTask("services", "Lists the services owned by an account")
+  .addOptionalParam(
+    "owner",
+    "The owner's address. Defaults to the --from account"
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const owner = args.owner || (await client.signer.getAddress());
+
+    const services = await client.listServicesByOwner(owner);
+    if (services.length === 0) {
+      console.log(`${owner} doesn't own any services`);
+    }
+    for (const service of services) {
+      console.log(
+        `#${service.id} ${service.name}` +
+          (service.description ? ` - ${service.description}` : "") +
+          ` (${service.totalInteractions} interactions, ` +
+          `${service.totalFeedbacks} feedbacks)` +
+          (service.status !== "active" ? ` [${service.status}]` : "")
+      );
+    }
+
+    return services;
+  });
+
+pfTask(
+  "update-service",
+  "Replaces the name and description of a service owned by the --from account"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addParam("name", "The service's name")
+  .addOptionalParam("description", "A short description", "")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const receipt = await client.updateServiceMetadata(
+      args.service,
+      { name: args.name, description: args.description },
+      { onTransaction: logTransaction }
+    );
+    console.log(`Updated service ${args.service}`);
+
+    return receipt;
+  });
+
+pfTask(
+  "transfer-service",
+  "Offers a service owned by the --from account to another account, which takes it over with pf:accept-service"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addOptionalParam("to", "The new owner's address")
+  .addFlag("cancel", "Withdraws the pending transfer instead")
+  .setAction(async (args, hre) => {
+    if (!args.to === !args.cancel) {
+      throw new HardhatPluginError(PLUGIN_NAME, "Pass either --to or --cancel");
+    }
+
+    const client = await getClient(hre, args);
+
+    const receipt = args.cancel
+      ? await client.cancelServiceOwnershipTransfer(args.service, {
+          onTransaction: logTransaction,
+        })
+      : await client.transferServiceOwnership(args.service, args.to, {
+          onTransaction: logTransaction,
+        });
+    console.log(
+      args.cancel
+        ? `Cancelled the transfer of service ${args.service}`
+        : `Service ${args.service} is offered to ${args.to}`
+    );
+
+    return receipt;
+  });
+
+pfTask(
+  "accept-service",
+  "Makes the --from account the owner of a service that was offered to it"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const receipt = await client.acceptServiceOwnership(args.service, {
+      onTransaction: logTransaction,
+    });
+    console.log(
+      `${await client.signer.getAddress()} now owns service ${args.service}`
+    );
+
+    return receipt;
+  });
+
+pfTask(
+  "service-status",
+  "Pauses, resumes or closes a service owned by the --from account"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addParam("status", "One of pause, resume or close")
+  .setAction(async (args, hre) => {
+    const actions = {
+      pause: "pauseService",
+      resume: "resumeService",
+      close: "closeService",
+    };
+    if (!actions[args.status]) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `Unknown status change "${args.status}", use pause, resume or close`
+      );
+    }
+
+    const client = await getClient(hre, args);
+
+    const receipt = await client[actions[args.status]](args.service, {
+      onTransaction: logTransaction,
+    });
+    const { status } = await client.getService(args.service);
+    console.log(`Service ${args.service} is ${status}`);
+
+    return receipt;
+  });
+
+pfTask(
+  "analyst",
+  "Authorises an account to read the raw feedback of a service owned by the --from account"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addParam("account", "The analyst's address")
+  .addFlag("revoke", "Revokes the account's access instead")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const receipt = await client.setAnalyst(
+      args.service,
+      args.account,
+      !args.revoke,
+      { onTransaction: logTransaction }
+    );
+    console.log(
+      args.revoke
+        ? `${args.account} can no longer read the feedback of service ${args.service}`
+        : `${args.account} can now read the feedback of service ${args.service}`
+    );
+
+    return receipt;
+  });
+
+pfTask(
+  "role",
+  "Grants a role of a service to an account: admin, attester, analyst, treasurer or responder"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addParam("role", `One of ${SERVICE_ROLES.join(", ")}`)
+  .addParam("account", "The staff account's address")
+  .addFlag("revoke", "Revokes the role instead")
+  .setAction(async (args, hre) => {
+    if (!SERVICE_ROLES.includes(args.role)) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `Unknown role "${args.role}", use one of ${SERVICE_ROLES.join(", ")}`
+      );
+    }
+
+    const client = await getClient(hre, args);
+
+    const receipt = args.revoke
+      ? await client.revokeRole(args.service, args.role, args.account, {
+          onTransaction: logTransaction,
+        })
+      : await client.grantRole(args.service, args.role, args.account, {
+          onTransaction: logTransaction,
+        });
+    console.log(
+      args.revoke
+        ? `${args.account} is no longer ${args.role} of service ${args.service}`
+        : `${args.account} is now ${args.role} of service ${args.service}`
+    );
+
+    return receipt;
+  });
+
+pfTask("roles", "Lists the staff accounts of a service by role")
+  .addParam("service", "The service id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const [{ owner }, roles] = await Promise.all([
+      client.getService(args.service),
+      client.listRoles(args.service),
+    ]);
+    console.log(`owner: ${owner}`);
+    for (const role of SERVICE_ROLES) {
+      console.log(
+        `${role}: ${roles[role].length > 0 ? roles[role].join(", ") : "-"}`
+      );
+    }
+
+    return roles;
+  });
+
+pfTask(
+  "voucher",
+  "Issues an interaction voucher signed by the --from account, which must own the service or be one of its attesters"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addParam("user", "The address of the user who interacted with the service")
+  .addOptionalParam(
+    "ttl",
+    "Seconds the voucher is valid for",
+    undefined,
+    types.int
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const voucher = await client.issueVoucher(args.user, args.service, {
+      ttl: args.ttl,
+    });
+    console.log(JSON.stringify(voucher));
+
+    return voucher;
+  });
+
+pfTask(
+  "interact",
+  "Records an interaction of the --from account with a service"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addParam(
+    "voucher",
+    "The voucher the service issued, as JSON or the path of a JSON file"
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const voucher = JSON.parse(
+      fs.existsSync(args.voucher)
+        ? fs.readFileSync(args.voucher, "utf8")
+        : args.voucher
+    );
+
+    await client.recordInteraction(args.service, voucher, {
+      onTransaction: logTransaction,
+    });
+    const count = await client.getInteractionCount(args.service);
+    console.log(
+      `Recorded interaction #${count.sub(1)} with service ${args.service}`
+    );
+
+    return count.sub(1);
+  });
+
+pfTask("feedback", "Submits feedback from the --from account about a service")
+  .addParam("service", "The service id", undefined, types.int)
+  .addOptionalParam("rating", "The overall rating, 1-5", undefined, types.int)
+  .addOptionalParam(
+    "scores",
+    `Category scores as 'category=score,...'. Categories: ${FEEDBACK_CATEGORIES.join(
+      ", "
+    )}`
+  )
+  .addOptionalParam("tags", "Comma-separated tags")
+  .addOptionalParam("text", "A comment, up to 31 bytes")
+  .addOptionalParam(
+    "contentHash",
+    "The 32-byte hash of a longer review stored elsewhere, instead of --text"
+  )
+  .addOptionalParam(
+    "raw",
+    "The raw feedback values as 'p1,p2', instead of structured feedback"
+  )
+  .addOptionalParam(
+    "interaction",
+    "The index of the interaction the feedback is about. Defaults to the latest",
+    undefined,
+    types.int
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    let feedback;
+    if (args.raw) {
+      feedback = parseList(args.raw);
+      if (feedback.length !== 2) {
+        throw new HardhatPluginError(
+          PLUGIN_NAME,
+          "--raw must be two comma-separated values"
+        );
+      }
+    } else {
+      if (args.rating === undefined) {
+        throw new HardhatPluginError(
+          PLUGIN_NAME,
+          "--rating is required unless --raw is given"
+        );
+      }
+      feedback = {
+        rating: args.rating,
+        scores: parseScores(args.scores),
+        tags: args.tags ? parseList(args.tags) : [],
+        text: args.text,
+        contentHash: args.contentHash,
+      };
+    }
+
+    const receipt = await client.submitFeedback(args.service, feedback, {
+      interactionIndex: args.interaction,
+      onTransaction: logTransaction,
+    });
+    console.log(`Submitted feedback about service ${args.service}`);
+
+    return receipt;
+  });
+
+pfTask(
+  "feedbacks",
+  "Lists the feedback a service received, decoded. The --from account must own the service or be one of its analysts"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    // Only the service owner and its analysts can read the feedback
+    await client.signIn();
+    const feedbacks = await client.getFeedbacks(args.service);
+    if (feedbacks.length === 0) {
+      console.log(`Service ${args.service} has no feedback yet`);
+    }
+    feedbacks.forEach((feedback, index) => {
+      console.log(
+        `${index + 1}. ${formatFeedback(feedback)}` +
+          (feedback.edited ? ` (edited, ${feedback.versions} versions)` : "")
+      );
+      if (feedback.flag) {
+        console.log(`   ${formatFlag(feedback.flag)}`);
+      }
+      if (feedback.reply) {
+        console.log(`   Reply: ${formatReply(feedback.reply)}`);
+      }
+      if (feedback.followUp) {
+        console.log(`   Follow-up: ${formatReply(feedback.followUp)}`);
+      }
+    });
+
+    return feedbacks;
+  });
+
+pfTask(
+  "reply",
+  "Replies to a feedback entry. The --from account must own the service or be one of its admins or responders"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addParam(
+    "entry",
+    "The entry's number, as listed by pf:feedbacks",
+    undefined,
+    types.int
+  )
+  .addOptionalParam("text", "The reply, up to 31 bytes")
+  .addOptionalParam(
+    "contentHash",
+    "The 32-byte hash of a longer reply stored elsewhere"
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const receipt = await client.replyToFeedback(
+      args.service,
+      args.entry - 1,
+      { text: args.text, contentHash: args.contentHash },
+      { onTransaction: logTransaction }
+    );
+    console.log(`Replied to entry ${args.entry} of service ${args.service}`);
+
+    return receipt;
+  });
+
+pfTask(
+  "follow-up",
+  "Follows up, once, on the service's reply to the --from account's feedback"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addOptionalParam("text", "The follow-up, up to 31 bytes")
+  .addOptionalParam(
+    "contentHash",
+    "The 32-byte hash of a longer follow-up stored elsewhere"
+  )
+  .addOptionalParam(
+    "interaction",
+    "The index of the interaction the feedback is about. Defaults to the latest",
+    undefined,
+    types.int
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const receipt = await client.followUpOnReply(
+      args.service,
+      { text: args.text, contentHash: args.contentHash },
+      { interactionIndex: args.interaction, onTransaction: logTransaction }
+    );
+    console.log(`Followed up on the reply from service ${args.service}`);
+
+    return receipt;
+  });
+
+pfTask(
+  "flag",
+  "Flags a feedback entry, which hides it from the service's counters, stats and rewards. The --from account must own the service or be one of its admins"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addParam(
+    "entry",
+    "The entry's number, as listed by pf:feedbacks",
+    undefined,
+    types.int
+  )
+  .addParam("reason", `One of ${FLAG_REASONS.join(", ")}`)
+  .setAction(async (args, hre) => {
+    if (!FLAG_REASONS.includes(args.reason)) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `Unknown flag reason "${args.reason}", use one of ${FLAG_REASONS.join(
+          ", "
+        )}`
+      );
+    }
+
+    const client = await getClient(hre, args);
+
+    const receipt = await client.flagFeedback(
+      args.service,
+      args.entry - 1,
+      args.reason,
+      { onTransaction: logTransaction }
+    );
+    console.log(
+      `Flagged entry ${args.entry} of service ${args.service} as ${args.reason}`
+    );
+
+    return receipt;
+  });
+
+pfTask(
+  "contest",
+  "Contests the flag on the --from account's feedback, for the arbiter to settle with pf:resolve"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addOptionalParam(
+    "interaction",
+    "The index of the interaction the feedback is about. Defaults to the latest",
+    undefined,
+    types.int
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const disputeId = await client.contestFlag(args.service, {
+      interactionIndex: args.interaction,
+      onTransaction: logTransaction,
+    });
+    console.log(`Opened dispute ${disputeId}`);
+
+    return disputeId;
+  });
+
+pfTask(
+  "disputes",
+  "Lists the disputes about flagged feedback. The --from account must be the arbiter"
+)
+  .addFlag("open", "Only lists the disputes that await a resolution")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    await client.signIn();
+    const disputes = (await client.getDisputes()).filter(
+      ({ status }) => !args.open || status === "contested"
+    );
+    if (disputes.length === 0) {
+      console.log("No disputes");
+    }
+    for (const dispute of disputes) {
+      console.log(
+        `${dispute.disputeId}. Service ${dispute.serviceId}, entry ${
+          dispute.position + 1
+        }, ${dispute.reason}, ${dispute.status}: ${formatFeedback(dispute)}`
+      );
+    }
+
+    return disputes;
+  });
+
+pfTask(
+  "resolve",
+  "Settles a dispute, showing the feedback again unless --uphold is given. The --from account must be the arbiter"
+)
+  .addParam("dispute", "The dispute id", undefined, types.int)
+  .addFlag("uphold", "Keeps the feedback hidden")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const receipt = await client.resolveDispute(args.dispute, args.uphold, {
+      onTransaction: logTransaction,
+    });
+    console.log(
+      args.uphold
+        ? `Upheld the flag of dispute ${args.dispute}`
+        : `Overturned the flag of dispute ${args.dispute}`
+    );
+
+    return receipt;
+  });
+
+pfTask(
+  "stats",
+  "Prints a service's rating stats, published once enough users reviewed it"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const stats = await client.getServiceStats(args.service);
+    if (!stats.published) {
+      console.log(
+        `Service ${args.service}'s stats are published once ${stats.threshold} users reviewed it`
+      );
+      return stats;
+    }
+
+    console.log(
+      `${stats.reviewers} reviewers, ${stats.ratingCount} ratings` +
+        (stats.averageRating === null
+          ? ""
+          : `, average ${stats.averageRating.toFixed(2)}/5`)
+    );
+    stats.ratingHistogram.forEach((count, index) =>
+      console.log(`${index + 1}: ${count}`)
+    );
+
+    return stats;
+  });
+
+pfTask(
+  "reward",
+  "Credits a reward for every feedback a service received, paid by the service owner's --from account"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addParam(
+    "amount",
+    "The reward per feedback, in ETH or in whole units of the --token"
+  )
+  .addOptionalParam(
+    "token",
+    "The address of an ERC-20 token to pay the rewards in instead of ETH"
+  )
+  .addOptionalParam(
+    "start",
+    "Only reward the feedback of interactions from this position on",
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    "end",
+    "Only reward the feedback of interactions before this position",
+    undefined,
+    types.int
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const { symbol, decimals } = await client.getAssetInfo(
+      args.token || ETH_ASSET
+    );
+    const rewardAmount = hre.ethers.utils.parseUnits(args.amount, decimals);
+
+    const receipt = await client.rewardFeedback(args.service, rewardAmount, {
+      token: args.token,
+      start: args.start,
+      end: args.end,
+      onTransaction: logTransaction,
+    });
+    const { recipients } = receipt.events.find(
+      ({ event }) => event === "RewardPaid"
+    ).args;
+    console.log(
+      `Credited ${args.amount} ${symbol} for each of ${recipients} feedbacks`
+    );
+
+    return receipt;
+  });
+
+pfTask("claim", "Withdraws the rewards credited to the --from account")
+  .addOptionalParam(
+    "token",
+    "The address of the ERC-20 token to claim rewards in instead of ETH"
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const { symbol, decimals } = await client.getAssetInfo(
+      args.token || ETH_ASSET
+    );
+
+    const amount = await client.getClaimableRewards(args.token);
+    if (amount.isZero()) {
+      console.log(`There are no ${symbol} rewards to claim`);
+      return amount;
+    }
+
+    await client.claimRewards({
+      token: args.token,
+      onTransaction: logTransaction,
+    });
+    console.log(
+      `Claimed ${hre.ethers.utils.formatUnits(amount, decimals)} ${symbol}`
+    );
+
+    return amount;
+  });
+
+pfTask(
+  "campaign",
+  "Escrows a reward campaign for a service owned by the --from account, crediting the first feedback of each new reviewer"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addParam(
+    "amount",
+    "The reward per reviewer, in ETH or in whole units of the --token"
+  )
+  .addParam("max", "The number of reviewers to reward", undefined, types.int)
+  .addOptionalParam("days", "Days the campaign runs for", 30, types.int)
+  .addOptionalParam(
+    "token",
+    "The address of an ERC-20 token to fund the campaign with instead of ETH"
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const { symbol, decimals } = await client.getAssetInfo(
+      args.token || ETH_ASSET
+    );
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+
+    const campaignId = await client.createRewardCampaign(
+      args.service,
+      {
+        rewardAmount: hre.ethers.utils.parseUnits(args.amount, decimals),
+        maxRewards: args.max,
+        expiry: timestamp + args.days * 24 * 60 * 60,
+        token: args.token,
+      },
+      { onTransaction: logTransaction }
+    );
+    console.log(
+      `Started campaign ${campaignId}: ${args.amount} ${symbol} for each of up to ${args.max} reviewers`
+    );
+
+    return campaignId;
+  });
+
+pfTask("campaigns", "Lists the reward campaigns of a service")
+  .addParam("service", "The service id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const campaigns = await client.listRewardCampaigns(args.service);
+    if (campaigns.length === 0) {
+      console.log(`Service ${args.service} hasn't run any campaigns`);
+    }
+    for (const campaign of campaigns) {
+      const { symbol, decimals } = await client.getAssetInfo(campaign.asset);
+      const format = (amount) =>
+        `${hre.ethers.utils.formatUnits(amount, decimals)} ${symbol}`;
+      console.log(
+        `#${campaign.id} ${format(campaign.rewardAmount)} per reviewer, ` +
+          `${campaign.rewarded}/${campaign.maxRewards} rewarded, ` +
+          `${format(campaign.remainingBudget)} left` +
+          (campaign.active ? "" : " (ended)")
+      );
+    }
+
+    return campaigns;
+  });
+
+pfTask(
+  "reclaim",
+  "Credits the budget an expired campaign didn't spend back to its funder, the --from account"
+)
+  .addParam("campaign", "The campaign id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const receipt = await client.reclaimRewardCampaign(args.campaign, {
+      onTransaction: logTransaction,
+    });
+    const { amount } = receipt.events.find(
+      ({ event }) => event === "RewardCampaignReclaimed"
+    ).args;
+    const { symbol, decimals } = await client.getAssetInfo(
+      (
+        await client.getRewardCampaign(args.campaign)
+      ).asset
+    );
+    console.log(
+      `Reclaimed ${hre.ethers.utils.formatUnits(
+        amount,
+        decimals
+      )} ${symbol}, withdraw it with pf:claim`
+    );
+
+    return amount;
+  });
+
+pfTask(
+  "batch",
+  "Sends contract calls and relay requests from the --from account with multicall, in batches"
+)
+  .addParam(
+    "file",
+    'JSON file with a list of calls, as { "method": ..., "args": [...] }, or relay requests'
+  )
+  .addOptionalParam(
+    "maxGas",
+    "The gas each transaction may use",
+    undefined,
+    types.int
+  )
+  .addFlag(
+    "allowFailures",
+    "Skip the calls that fail instead of reverting their whole batch"
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const calls = readJsonList(args.file);
+
+    const result = await client.batch(calls, {
+      allowFailures: args.allowFailures,
+      maxGas: args.maxGas,
+      onTransaction: logTransaction,
+    });
+
+    for (const { index, reason } of result.failures) {
+      const name = calls[index].method || `${calls[index].type} request`;
+      console.log(`Call ${index} (${name}) failed: ${reason}`);
+    }
+    const sent = calls.length - result.failures.length;
+    console.log(
+      `Sent ${sent} of ${calls.length} calls in ${result.receipts.length} transaction(s)`
+    );
+
+    return result;
+  });
+
+pfTask(
+  "relayer",
+  "Runs a relayer that sends users' signed interactions and feedback, paying the gas with the --from account"
+)
+  .addParam(
+    "policy",
+    "JSON file with the sponsoring policy, see relayer/policy.example.json"
+  )
+  .addOptionalParam("host", "The interface to listen on", "127.0.0.1")
+  .addOptionalParam("port", "The port to listen on", 8546, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const policy = SponsorshipPolicy.fromFile(args.policy);
+    const server = createRelayerServer({ client, policy });
+
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(args.port, args.host, resolve);
+    });
+    console.log(
+      `Relaying to ${
+        client.address
+      } from ${await client.signer.getAddress()} ` +
+        `on http://${args.host}:${args.port}`
+    );
+
+    // Runs until the process is stopped
+    await new Promise((resolve) => server.once("close", resolve));
+    return server;
+  });
+
+pfTask(
+  "allow-migration",
+  "Lets the deployment's migrator export the reviewers and feedback of a service owned by the --from account, to move them to a new deployment"
+)
+  .addParam("service", "The service id", undefined, types.int)
+  .addFlag("revoke", "Stops the migrator from exporting it instead")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+
+    const receipt = await client.allowMigration(args.service, !args.revoke, {
+      onTransaction: logTransaction,
+    });
+    console.log(
+      args.revoke
+        ? `The migrator can no longer export service ${args.service}`
+        : `The migrator can now export service ${args.service}`
+    );
+
+    return receipt;
+  });
+
+pfTask(
+  "export-state",
+  "Exports the services, roles, interactions and feedback of a deployment, signing in as its migrator, encrypted with PF_STATE_PASSPHRASE"
+)
+  .addParam("out", "The encrypted JSON file to write")
+  .addOptionalParam(
+    "block",
+    "The block to export at. Defaults to the latest",
+    undefined,
+    types.int
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const passphrase = statePassphrase();
+
+    const state = await exportState(client, { blockTag: args.block });
+    fs.writeFileSync(
+      args.out,
+      JSON.stringify(encryptState(state, passphrase), null, 2)
+    );
+    console.log(
+      `Exported ${state.services.length} services of ${client.address} ` +
+        `at block ${state.source.blockNumber} to ${args.out}`
+    );
+    console.log(
+      "The file names who reviewed each service: it's encrypted, but keep it and the passphrase private"
+    );
+
+    return state;
+  });
+
+pfTask(
+  "import-state",
+  "Imports a state written by pf:export-state into a deployment made to import it, as its migrator"
+)
+  .addParam("file", "The file pf:export-state wrote")
+  .addOptionalParam(
+    "maxGas",
+    "The gas each transaction may use",
+    undefined,
+    types.int
+  )
+  .addFlag(
+    "finish",
+    "Close the import for good once the imported state is verified"
+  )
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const state = readState(args.file);
+
+    const result = await importState(client, state, {
+      maxGas: args.maxGas,
+      onTransaction: logTransaction,
+    });
+    console.log(
+      `Imported ${result.importedCalls} calls into ${client.address}, digest ${result.importDigest}`
+    );
+
+    await verifyImport(client, state);
+    if (args.finish) {
+      const tx = await client.contract.finishImport();
+      logTransaction(tx);
+      await tx.wait();
+      console.log("Finished the import");
+    }
+
+    return result;
+  });
+
+pfTask(
+  "verify-state",
+  "Checks that a deployment holds a state written by pf:export-state, signing in as its migrator"
+)
+  .addParam("file", "The file pf:export-state wrote")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const state = readState(args.file);
+
+    await verifyImport(client, state);
+
+    return true;
+  });
+
+// The passphrase exported states are encrypted with, which is taken from the
+// environment, or .env, rather than a parameter that would end up in the
+// shell's history
+function statePassphrase() {
+  const passphrase = process.env.PF_STATE_PASSPHRASE;
+  if (!passphrase) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      "Set PF_STATE_PASSPHRASE to the passphrase of the exported state"
+    );
+  }
+  return passphrase;
+}
+
+// Reads and decrypts a state pf:export-state wrote
+function readState(file) {
+  const encrypted = JSON.parse(fs.readFileSync(file, "utf8"));
+  try {
+    return decryptState(encrypted, statePassphrase());
+  } catch (error) {
+    if (error instanceof HardhatPluginError) {
+      throw error;
+    }
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `Couldn't read ${file}: ${error.message}`
+    );
+  }
+}
+
+// Exports the state of the deployment an exported state was imported into,
+// and compares both
+async function verifyImport(client, state) {
+  const differences = compareStates(state, await exportState(client));
+  if (differences.length > 0) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `${client.address} doesn't hold the state of ${state.source.address}:\n` +
+        differences.join("\n")
+    );
+  }
+  console.log(
+    `${client.address} holds the ${state.services.length} services of ${state.source.address}`
+  );
+}
+
+async function getClient(hre, { address, from }) {
+  const networkName = hre.network.name;
+  const abi = await readPrivateFeedbackAbi(hre.artifacts);
+  const file = path.relative(
+    hre.config.paths.root,
+    deploymentFile(networkName)
+  );
+
+  if (!address) {
+    const deployment = readDeployment(networkName);
+    if (!deployment) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `${file} not found. Deploy PrivateFeedback with scripts/deploy.js or pass --address`
+      );
+    }
+    if (
+      deployment.abiHash !== undefined &&
+      deployment.abiHash !== abiHash(abi)
+    ) {
+      console.warn(
+        `Warning: PrivateFeedback has changed since the deployment in ${file}, ` +
+          "some calls may fail until it's redeployed"
+      );
+    }
+    address = deployment.address;
+  }
+
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `There is no contract at ${address} on ${networkName}`
+    );
+  }
+
+  return new PrivateFeedbackClient(address, await getAccount(hre, from), {
+    abi,
+  });
+}
+
+async function getAccount(hre, from) {
+  if (hre.ethers.utils.isAddress(from)) {
+    return hre.ethers.getSigner(from);
+  }
+
+  const signers = await hre.ethers.getSigners();
+  const signer = signers[Number(from)];
+  if (!/^\d+$/.test(from) || signer === undefined) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `--from must be an address or an account index below ${signers.length}`
+    );
+  }
+
+  return signer;
+}
+
+// Reads a JSON file that holds a list
+function readJsonList(file) {
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `Couldn't read ${file}: ${error.message}`
+    );
+  }
+  if (!Array.isArray(list)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `${file} must hold a JSON list`);
+  }
+
+  return list;
+}
+
+function parseList(value) {
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+}
+
+// Parses 'quality=5,speed=4' into { quality: 5, speed: 4 }
+function parseScores(value) {
+  const scores = {};
+  for (const entry of value ? parseList(value) : []) {
+    const [category, score] = entry.split("=");
+    scores[category.trim()] = Number(score);
+  }
+
+  return scores;
+}
+
+function formatFeedback({ feedback_p1, feedback_p2, decoded }) {
+  if (decoded === null) {
+    return `raw ${feedback_p1.toHexString()} ${feedback_p2.toHexString()}`;
+  }
+
+  const parts = [`rating ${decoded.rating}/5`];
+  for (const [category, score] of Object.entries(decoded.scores)) {
+    parts.push(`${category} ${score}/5`);
+  }
+  if (decoded.tags.length > 0) {
+    parts.push(`tags: ${decoded.tags.join(", ")}`);
+  }
+  if (decoded.text !== undefined) {
+    parts.push(`"${decoded.text}"`);
+  }
+  if (decoded.contentHash !== undefined) {
+    parts.push(`content ${decoded.contentHash}`);
+  }
+
+  return parts.join("; ");
+}
+
+function formatReply({ text, contentHash, author }) {
+  const parts = [];
+  if (text) {
+    parts.push(`"${text}"`);
+  }
+  if (contentHash !== ethers.constants.HashZero) {
+    parts.push(`content ${contentHash}`);
+  }
+  if (author) {
+    parts.push(`by ${author}`);
+  }
+
+  return parts.join("; ");
+}
+
+function formatFlag({ status, reason, disputeId }) {
+  return (
+    `Flagged as ${reason}, ${status}` +
+    (disputeId === null ? "" : ` (dispute ${disputeId})`)
+  );
+}
+
+function logTransaction(tx) {
+  console.log(`Sent transaction ${tx.hash}`);
+}
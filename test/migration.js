@@ -0,0 +1,281 @@
+const { expect } = require("chai");
+const {
+  takeSnapshot,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { ethers } = require("hardhat");
+const { PrivateFeedbackClient } = require("../sdk");
+const {
+  compareStates,
+  exportState,
+  importCalls,
+  importState,
+} = require("../migration");
+const { deployPrivateFeedback } = require("../tasks/deployments");
+
+describe("Migration", function () {
+  let owner, user1, user2, staff;
+  let source, target, userClient;
+
+  async function deploy(options) {
+    const { contract } = await deployPrivateFeedback(ethers, owner, options);
+
+    return new PrivateFeedbackClient(contract.address, owner);
+  }
+
+  async function interact(client, serviceId) {
+    await client.recordInteraction(
+      serviceId,
+      await source.issueVoucher(await client.signer.getAddress(), serviceId)
+    );
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, staff] = await ethers.getSigners();
+    source = await deploy();
+    target = await deploy({ importing: true });
+    userClient = source.connect(user1);
+
+    await source.registerService({ name: "Coffee shop" });
+    await source.registerService({ name: "Bakery", description: "Market" });
+    await source.grantRole(1, "analyst", staff.address);
+    await source.grantRole(1, "attester", staff.address);
+    await source.setStatsThreshold(1, 3);
+    await source.setEditPolicy(1, "window", { window: 3600 });
+    await source.transferServiceOwnership(2, user2.address);
+    await source.pauseService(2);
+
+    // user1 reviews their second visit before their first
+    await interact(userClient, 1);
+    await interact(userClient, 1);
+    await interact(source.connect(user2), 1);
+    await userClient.submitFeedback(1, { rating: 4 }, { interactionIndex: 1 });
+    await userClient.submitFeedback(1, { rating: 2 }, { interactionIndex: 0 });
+    await source.connect(user2).submitFeedback(1, { rating: 5 });
+    await source.connect(user2).submitFeedback(1, { rating: 3 });
+    await source.replyToFeedback(1, 0, { text: "Thank you!" });
+    await source.replyToFeedback(1, 2, { text: "Sorry", content: "Sorry!" });
+    await source.connect(user2).followUpOnReply(1, { text: "No worries" });
+    // One flag is overturned, the other awaits the arbiter
+    await source.flagFeedback(1, 1, "spam");
+    await source.flagFeedback(1, 2, "abuse");
+    await userClient.contestFlag(1, { interactionIndex: 0 });
+    await source.connect(user2).contestFlag(1);
+    await source.resolveDispute(1, false);
+    await source.allowMigration(1);
+    await source.allowMigration(2);
+  });
+
+  it("Should move the state to a new deployment", async function () {
+    const state = await exportState(source, { pageSize: 2 });
+    expect(state.services.map(({ status }) => status)).to.deep.equal([
+      "active",
+      "paused",
+    ]);
+    expect(state.services[0].feedbackOrder).to.deep.equal([1, 0, 2]);
+    expect(state.services[0].roles.analyst).to.deep.equal([staff.address]);
+    expect(state.services[0].editPolicy).to.equal("window");
+    expect(
+      state.services[0].replies.map(({ position, followUp }) => [
+        position,
+        followUp !== null,
+      ])
+    ).to.deep.equal([
+      [0, false],
+      [2, true],
+    ]);
+    expect(
+      state.services[0].interactions.map(({ versions }) => versions.length)
+    ).to.deep.equal([1, 1, 2]);
+    expect(
+      state.services[0].flags.map(({ position, status, disputeId }) => [
+        position,
+        status,
+        disputeId,
+      ])
+    ).to.deep.equal([
+      [1, "overturned", "1"],
+      [2, "contested", "2"],
+    ]);
+    expect(state.disputes).to.deep.equal([
+      { serviceId: "1", position: 1 },
+      { serviceId: "1", position: 2 },
+    ]);
+
+    const { receipts } = await importState(target, state, {
+      chunkSize: 2,
+      maxGas: 500000,
+    });
+    expect(receipts).to.have.length.above(1);
+    expect(compareStates(state, await exportState(target))).to.be.empty;
+
+    expect(await target.getServiceStats(1)).to.deep.equal(
+      await source.getServiceStats(1)
+    );
+    expect((await target.getService(2)).pendingOwner).to.equal(user2.address);
+    // Edits keep their history and the time of each version
+    await source.signIn();
+    await target.signIn();
+    expect(await target.getFeedbackHistory(1, 2)).to.deep.equal(
+      await source.getFeedbackHistory(1, 2)
+    );
+    expect(await target.getFeedbacks(1)).to.deep.equal(
+      await source.getFeedbacks(1)
+    );
+    expect(await target.getEditPolicy(1)).to.deep.equal({
+      policy: "window",
+      window: 3600,
+    });
+    // The new deployment's arbiter settles the open dispute
+    await target.resolveDispute(2, true);
+
+    // Users carry on where they left off, signing for the new deployment,
+    // once the migrator finished the import
+    await target.contract.finishImport();
+    const movedUser = target.connect(user1);
+    expect((await movedUser.getInteractionCount(1)).toNumber()).to.equal(2);
+    await movedUser.submitFeedback(1, { rating: 5 }, { interactionIndex: 1 });
+    expect(await target.registerService({ name: "New shop" })).to.equal(3);
+  });
+
+  it("Should resume an interrupted import", async function () {
+    const state = await exportState(source);
+    const calls = importCalls(state, { chunkSize: 1 });
+
+    await target.batch(calls.slice(0, 3));
+    const { importedCalls } = await importState(target, state, {
+      chunkSize: 1,
+    });
+    expect(importedCalls).to.equal(calls.length);
+    expect(compareStates(state, await exportState(target))).to.be.empty;
+
+    // Importing again would duplicate the state
+    await expect(importState(target, state)).to.be.rejectedWith(
+      "imported calls that aren't part of this state"
+    );
+  });
+
+  it("Should export the state at an older block", async function () {
+    const state = await exportState(source);
+    await interact(userClient, 1);
+    await source.registerService({ name: "Florist" });
+    await source.allowMigration(3);
+
+    // Vouchers expire in real time, so later tests need the clock back
+    const snapshot = await takeSnapshot();
+    try {
+      // Longer than the 7 days a sign-in can last at the block read at
+      await time.increase(8 * 24 * 60 * 60);
+
+      const older = await exportState(source, {
+        blockTag: state.source.blockNumber,
+      });
+      expect(older).to.deep.equal(state);
+      expect(compareStates(state, await exportState(source))).to.not.be.empty;
+    } finally {
+      await snapshot.restore();
+    }
+  });
+
+  it("Should only export services whose owner allowed it", async function () {
+    await expect(userClient.allowMigration(1, false)).to.be.rejectedWith(
+      "Only service owner can allow migration"
+    );
+    await source.allowMigration(2, false);
+    expect(await source.isMigrationAllowed(1)).to.be.true;
+    expect(await source.isMigrationAllowed(2)).to.be.false;
+
+    await expect(exportState(source)).to.be.rejectedWith(
+      `The owners of services 2 of ${source.address} haven't allowed their migration`
+    );
+    const { user, expiry, signature } = await source.signIn();
+    await expect(
+      source.contract.exportInteractions(2, 0, 10, { user, expiry, signature })
+    ).to.be.rejectedWith("Migration not allowed");
+
+    // A service without reviews the migrator may not see
+    await source.registerService({ name: "Florist" });
+    await source.allowMigration(2);
+    await expect(exportState(source)).to.be.rejectedWith(
+      `The owners of services 3 of ${source.address}`
+    );
+  });
+
+  it("Should only let the migrator export and import", async function () {
+    const state = await exportState(source);
+
+    await expect(exportState(userClient)).to.be.rejectedWith(
+      `Only the migrator, ${owner.address}, can export the state`
+    );
+    await expect(
+      target.connect(user1).batch(importCalls(state))
+    ).to.be.rejectedWith("Only the migrator can do this");
+
+    await target.contract.setMigrator(user1.address);
+    await importState(target.connect(user1), state);
+    await target.contract.connect(user1).finishImport();
+    await expect(
+      target.connect(user1).batch(importCalls(state).slice(0, 1))
+    ).to.be.rejectedWith("Import finished");
+  });
+
+  it("Should only import into a deployment made to import", async function () {
+    const state = await exportState(source);
+
+    // The source wasn't deployed to import a state
+    await expect(importState(source, state)).to.be.rejectedWith(
+      `The import into ${source.address} is finished`
+    );
+    await expect(source.batch(importCalls(state))).to.be.rejectedWith(
+      "Import finished"
+    );
+
+    // Import calls only write to the services they imported
+    await expect(
+      target.batch([{ method: "importRoles", args: [1, 1, [staff.address]] }])
+    ).to.be.rejectedWith("Service not imported");
+
+    // Nobody can use the new deployment, and so close the import, before
+    // the migrator finishes it
+    await expect(
+      target.connect(user2).registerService({ name: "New shop" })
+    ).to.be.rejectedWith("Import in progress");
+    await expect(
+      target.registerService({ name: "New shop" })
+    ).to.be.rejectedWith("Import in progress");
+    expect(await target.contract.importFinished()).to.be.false;
+    await importState(target, state);
+
+    await target.contract.finishImport();
+    await target.connect(user2).registerService({ name: "New shop" });
+    await expect(target.batch(importCalls(state))).to.be.rejectedWith(
+      "Import finished"
+    );
+  });
+
+  it("Should report states that differ", async function () {
+    const state = await exportState(source);
+    await importState(target, {
+      ...state,
+      services: [
+        {
+          ...state.services[0],
+          interactions: state.services[0].interactions.slice(0, 2),
+          feedbackOrder: [1, 0],
+          replies: state.services[0].replies.slice(0, 1),
+          flags: state.services[0].flags.slice(0, 1),
+        },
+      ],
+      disputes: state.disputes.slice(0, 1),
+    });
+
+    expect(compareStates(state, await exportState(target))).to.deep.equal([
+      "Service 1 has different interactions",
+      "Service 1 has different feedbackOrder",
+      "Service 1 has different replies",
+      "Service 1 has different flags",
+      "Service 2 is missing",
+      "Dispute 2 is different",
+    ]);
+  });
+});
@@ -1,15 +1,268 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { artifacts, ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  VoucherIssuer,
+  buildDomain,
+  buildFeedbackTypedData,
+  buildInteractionTypedData,
+  buildSignInTypedData,
+  hashTypedData,
+  signContestFlag,
+  signFeedback,
+  signFollowUp,
+  signInteraction,
+  signSignIn,
+  signTypedData,
+  toVoucherStruct,
+} = require("../sdk");
+const {
+  deployPrivateFeedback,
+  readPrivateFeedbackAbi,
+} = require("../tasks/deployments");
+
+// The contract's Role values
+const Role = {
+  Admin: 0,
+  Attester: 1,
+  Analyst: 2,
+  Treasurer: 3,
+  Responder: 4,
+};
+// The contract's EditPolicy values
+const EditPolicy = { Allow: 0, Deny: 1, Window: 2 };
+// The contract's FlagStatus and FlagReason values
+const FlagStatus = {
+  None: 0,
+  Flagged: 1,
+  Contested: 2,
+  Upheld: 3,
+  Overturned: 4,
+};
+const FlagReason = { Spam: 0, Abuse: 1, OffTopic: 2, PersonalData: 3 };
 
 describe("PrivateFeedback Contract", function () {
-  let PrivateFeedback, privateFeedback, owner, user1, user2;
+  let privateFeedback, domain, owner, user1, user2;
+  let ownerVouchers;
 
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
 
-    PrivateFeedback = await ethers.getContractFactory("PrivateFeedback");
-    privateFeedback = await PrivateFeedback.deploy();
-    await privateFeedback.deployed();
+    ({ contract: privateFeedback } = await deployPrivateFeedback(ethers));
+
+    const { chainId } = await ethers.provider.getNetwork();
+    domain = buildDomain(chainId, privateFeedback.address);
+    ownerVouchers = new VoucherIssuer(owner, {
+      chainId,
+      contractAddress: privateFeedback.address,
+    });
+  });
+
+  // The user's current nonce and a deadline an hour after the latest block,
+  // unless given.
+  async function signingParams(user, { nonce, deadline } = {}) {
+    if (nonce === undefined) {
+      nonce = await privateFeedback.nonces(user.address);
+    }
+    if (deadline === undefined) {
+      const latest = await ethers.provider.getBlock("latest");
+      deadline = latest.timestamp + 3600;
+    }
+
+    return { nonce, deadline };
+  }
+
+  // A sign-in for the feedback views, valid for an hour unless an expiry is
+  // given
+  async function signIn(account, { expiry } = {}) {
+    if (expiry === undefined) {
+      expiry = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    }
+    const { user, signature } = await signSignIn(account, domain, { expiry });
+
+    return { user, expiry, signature };
+  }
+
+  // Registers an interaction backed by a voucher, issued by the service
+  // owner unless one is given.
+  async function registerInteraction(user, serviceId, voucher, options) {
+    if (voucher === undefined) {
+      voucher = await ownerVouchers.issue({ user: user.address, serviceId });
+    }
+    const { nonce, deadline } = await signingParams(user, options);
+    const { signature } = await signInteraction(user, domain, {
+      serviceId,
+      nonce,
+      deadline,
+    });
+
+    return privateFeedback
+      .connect(user)
+      .registerInteraction(
+        serviceId,
+        signature,
+        nonce,
+        deadline,
+        toVoucherStruct(voucher)
+      );
+  }
+
+  // Submits feedback about the user's latest interaction with the service
+  // unless `options.interactionIndex` is given.
+  async function submitFeedback(
+    user,
+    serviceId,
+    feedback_p1,
+    feedback_p2,
+    options = {}
+  ) {
+    let { interactionIndex } = options;
+    if (interactionIndex === undefined) {
+      const count = await privateFeedback
+        .connect(user)
+        .getInteractionCount(serviceId);
+      interactionIndex = count.sub(1);
+    }
+    const { nonce, deadline } = await signingParams(user, options);
+    const { signature } = await signFeedback(user, domain, {
+      serviceId,
+      interactionIndex,
+      feedback_p1,
+      feedback_p2,
+      nonce,
+      deadline,
+    });
+
+    return privateFeedback
+      .connect(user)
+      .submitFeedback(
+        serviceId,
+        interactionIndex,
+        signature,
+        nonce,
+        deadline,
+        feedback_p1,
+        feedback_p2
+      );
+  }
+
+  describe("EIP-712 Domain", function () {
+    it("Should describe the domain it verifies signatures with", async function () {
+      const described = await privateFeedback.eip712Domain();
+
+      expect(described.fields).to.equal("0x0f");
+      expect({
+        name: described.name,
+        version: described.version,
+        chainId: described.chainId.toNumber(),
+        verifyingContract: described.verifyingContract,
+      }).to.deep.equal(domain);
+      expect(described.salt).to.equal(ethers.constants.HashZero);
+      expect(described.extensions).to.be.empty;
+    });
+
+    it("Should reject signatures for another chain id", async function () {
+      // A deployment whose chain id can change, as after a fork. The helpers
+      // above sign for it.
+      const { libraries, modules } = await deployPrivateFeedback(ethers);
+      const ChainIdHarness = await ethers.getContractFactory("ChainIdHarness", {
+        libraries,
+      });
+      privateFeedback = await ChainIdHarness.deploy(Object.values(modules));
+      const { chainId } = domain;
+      domain = buildDomain(chainId, privateFeedback.address);
+      await privateFeedback.registerService(12345, 67890);
+
+      async function signOn(forkChainId) {
+        const forkDomain = buildDomain(forkChainId, privateFeedback.address);
+        const { nonce, deadline } = await signingParams(user1);
+        const { signature } = await signInteraction(user1, forkDomain, {
+          serviceId: 1,
+          nonce,
+          deadline,
+        });
+        const voucher = await new VoucherIssuer(owner, {
+          chainId: forkChainId,
+          contractAddress: privateFeedback.address,
+        }).issue({ user: user1.address, serviceId: 1 });
+
+        return [1, signature, nonce, deadline, toVoucherStruct(voucher)];
+      }
+
+      const original = await signOn(chainId);
+      await privateFeedback.setChainId(chainId + 1);
+      expect((await privateFeedback.eip712Domain()).chainId).to.equal(
+        chainId + 1
+      );
+      await expect(
+        privateFeedback.connect(user1).registerInteraction(...original)
+      ).to.be.revertedWith("Invalid Signature");
+      await privateFeedback
+        .connect(user1)
+        .registerInteraction(...(await signOn(chainId + 1)));
+
+      // Back on the original chain, its cached domain applies again
+      await privateFeedback.setChainId(0);
+      await privateFeedback
+        .connect(user1)
+        .registerInteraction(...(await signOn(chainId)));
+      expect(
+        await privateFeedback.connect(user1).getInteractionCount(1)
+      ).to.equal(2);
+    });
+  });
+
+  describe("Modules", function () {
+    it("Should run module functions on the contract's state", async function () {
+      const routed = new ethers.Contract(
+        privateFeedback.address,
+        await readPrivateFeedbackAbi(artifacts),
+        owner
+      );
+
+      await routed.setMigrator(user1.address);
+      expect(await privateFeedback.migrator()).to.equal(user1.address);
+      await expect(routed.setMigrator(owner.address)).to.be.revertedWith(
+        "Only the migrator can do this"
+      );
+    });
+
+    it("Should reject unknown functions", async function () {
+      await expect(
+        owner.sendTransaction({
+          to: privateFeedback.address,
+          data: "0x12345678",
+        })
+      ).to.be.revertedWith("Unknown function");
+    });
+
+    it("Should reject module functions the contract already has", async function () {
+      const { libraries } = await deployPrivateFeedback(ethers);
+      const PrivateFeedback = await ethers.getContractFactory(
+        "PrivateFeedback",
+        { libraries }
+      );
+      const MockModule = await ethers.getContractFactory("MockModule");
+      const mock = await MockModule.deploy();
+
+      for (const fragment of Object.values(
+        privateFeedback.interface.functions
+      )) {
+        await mock.setSelectors([
+          privateFeedback.interface.getSighash(fragment),
+        ]);
+        await expect(
+          PrivateFeedback.deploy([mock.address], false),
+          fragment.name
+        ).to.be.revertedWith("Module function clashes");
+      }
+
+      await mock.setSelectors(["0x12345678"]);
+      await expect(
+        PrivateFeedback.deploy([mock.address, mock.address], false)
+      ).to.be.revertedWith("Duplicate module function");
+      await PrivateFeedback.deploy([mock.address], false);
+    });
   });
 
   describe("Service Registration", function () {
@@ -20,281 +273,2563 @@ describe("PrivateFeedback Contract", function () {
     });
   });
 
-  describe("Interaction and Feedback", function () {
+  describe("Service Lifecycle", function () {
+    const serviceId = 1;
+
+    // ServiceStatus
+    const Active = 0;
+    const Paused = 1;
+    const Closed = 2;
+
     beforeEach(async function () {
       await privateFeedback.connect(owner).registerService(12345, 67890);
     });
 
-    it("Should register an interaction", async function () {
-      const serviceId = 1;
-      const timestamp = Math.floor(Date.now() / 1000);
-
-      const domain = {
-        name: "PrivateFeedback",
-        version: "1",
-        chainId: (await ethers.provider.getNetwork()).chainId,
-        verifyingContract: privateFeedback.address,
-      };
-
-      const types = {
-        Interaction: [
-          { name: "user", type: "address" },
-          { name: "serviceId", type: "uint256" },
-          { name: "timestamp", type: "uint256" },
-        ],
-      };
+    it("Should update the metadata", async function () {
+      await expect(
+        privateFeedback.connect(owner).updateServiceMetadata(serviceId, 1, 2)
+      )
+        .to.emit(privateFeedback, "ServiceMetadataUpdated")
+        .withArgs(serviceId);
 
-      const value = {
-        user: user1.address,
-        serviceId: serviceId,
-        timestamp: timestamp,
-      };
+      expect(
+        (await privateFeedback.getServiceMetadata(serviceId)).map(Number)
+      ).to.deep.equal([1, 2]);
+      await expect(
+        privateFeedback.connect(user1).updateServiceMetadata(serviceId, 3, 4)
+      ).to.be.revertedWith(
+        "Only service owner or admins can manage the service"
+      );
+    });
 
-      const signature = await user1._signTypedData(domain, types, value);
-      const { v, r, s } = ethers.utils.splitSignature(signature);
+    it("Should transfer ownership in two steps", async function () {
+      await privateFeedback.connect(owner).registerService(1, 2);
 
       await expect(
         privateFeedback
-          .connect(user1)
-          .registerInteraction(serviceId, v, r, s, timestamp)
-      ).to.not.be.reverted;
-    });
+          .connect(owner)
+          .transferServiceOwnership(serviceId, user1.address)
+      )
+        .to.emit(privateFeedback, "ServiceOwnershipTransferStarted")
+        .withArgs(serviceId, owner.address, user1.address);
+      expect(await privateFeedback.getServiceOwner(serviceId)).to.equal(
+        owner.address
+      );
+      expect(await privateFeedback.getPendingServiceOwner(serviceId)).to.equal(
+        user1.address
+      );
 
-    it("Should submit feedback", async function () {
-      const serviceId = 1;
-      const timestamp = Math.floor(Date.now() / 1000);
+      await expect(
+        privateFeedback.connect(user2).acceptServiceOwnership(serviceId)
+      ).to.be.revertedWith("Not the pending owner");
+      await expect(
+        privateFeedback.connect(user1).acceptServiceOwnership(serviceId)
+      )
+        .to.emit(privateFeedback, "ServiceOwnershipTransferred")
+        .withArgs(serviceId, owner.address, user1.address);
 
-      // First, register an interaction
-      const interactionSignature = await user1._signTypedData(
-        {
-          name: "PrivateFeedback",
-          version: "1",
-          chainId: (await ethers.provider.getNetwork()).chainId,
-          verifyingContract: privateFeedback.address,
-        },
-        {
-          Interaction: [
-            { name: "user", type: "address" },
-            { name: "serviceId", type: "uint256" },
-            { name: "timestamp", type: "uint256" },
-          ],
-        },
-        {
-          user: user1.address,
-          serviceId: serviceId,
-          timestamp: timestamp,
-        }
+      expect(await privateFeedback.getServiceOwner(serviceId)).to.equal(
+        user1.address
+      );
+      expect(await privateFeedback.getPendingServiceOwner(serviceId)).to.equal(
+        ethers.constants.AddressZero
       );
-      const {
-        v: iv,
-        r: ir,
-        s: is,
-      } = ethers.utils.splitSignature(interactionSignature);
+      expect(
+        (await privateFeedback.getServiceIdsByOwner(owner.address)).map(Number)
+      ).to.deep.equal([2]);
+      expect(
+        (await privateFeedback.getServiceIdsByOwner(user1.address)).map(Number)
+      ).to.deep.equal([1]);
+
+      // The new owner manages the service, the previous one doesn't
       await privateFeedback
         .connect(user1)
-        .registerInteraction(serviceId, iv, ir, is, timestamp);
+        .setAttester(serviceId, user2.address, true);
+      await expect(
+        privateFeedback.connect(owner).pauseService(serviceId)
+      ).to.be.revertedWith(
+        "Only service owner or admins can manage the service"
+      );
+    });
 
-      // Now, submit feedback
-      const feedbackSignature = await user1._signTypedData(
-        {
-          name: "PrivateFeedback",
-          version: "1",
-          chainId: (await ethers.provider.getNetwork()).chainId,
-          verifyingContract: privateFeedback.address,
-        },
-        {
-          Feedback: [
-            { name: "user", type: "address" },
-            { name: "serviceId", type: "uint256" },
-            { name: "timestamp", type: "uint256" },
-            { name: "feedback_p1", type: "uint256" },
-            { name: "feedback_p2", type: "uint256" },
-          ],
-        },
-        {
-          user: user1.address,
-          serviceId: serviceId,
-          timestamp: timestamp,
-          feedback_p1: 9876,
-          feedback_p2: 5432,
-        }
+    it("Should cancel a pending transfer", async function () {
+      await privateFeedback
+        .connect(owner)
+        .transferServiceOwnership(serviceId, user1.address);
+      await privateFeedback
+        .connect(owner)
+        .transferServiceOwnership(serviceId, ethers.constants.AddressZero);
+
+      await expect(
+        privateFeedback.connect(user1).acceptServiceOwnership(serviceId)
+      ).to.be.revertedWith("Not the pending owner");
+    });
+
+    it("Should pause and resume interactions and feedback", async function () {
+      await registerInteraction(user1, serviceId);
+
+      await expect(privateFeedback.connect(owner).pauseService(serviceId))
+        .to.emit(privateFeedback, "ServicePaused")
+        .withArgs(serviceId);
+      expect(await privateFeedback.getServiceStatus(serviceId)).to.equal(
+        Paused
+      );
+      await expect(registerInteraction(user2, serviceId)).to.be.revertedWith(
+        "Service paused"
       );
-      const {
-        v: fv,
-        r: fr,
-        s: fs,
-      } = ethers.utils.splitSignature(feedbackSignature);
+      await expect(
+        submitFeedback(user1, serviceId, 9876, 5432)
+      ).to.be.revertedWith("Service paused");
+      await expect(
+        privateFeedback.connect(owner).pauseService(serviceId)
+      ).to.be.revertedWith("Service not active");
 
+      await expect(privateFeedback.connect(owner).resumeService(serviceId))
+        .to.emit(privateFeedback, "ServiceResumed")
+        .withArgs(serviceId);
+      expect(await privateFeedback.getServiceStatus(serviceId)).to.equal(
+        Active
+      );
       await expect(
-        privateFeedback
-          .connect(user1)
-          .submitFeedback(serviceId, fv, fr, fs, timestamp, 9876, 5432)
-      ).to.not.be.reverted;
+        privateFeedback.connect(owner).resumeService(serviceId)
+      ).to.be.revertedWith("Service not paused");
+      await submitFeedback(user1, serviceId, 9876, 5432);
+    });
+
+    it("Should close a service for good", async function () {
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+      await privateFeedback.connect(owner).pauseService(serviceId);
+      await privateFeedback
+        .connect(owner)
+        .transferServiceOwnership(serviceId, user1.address);
+
+      await expect(privateFeedback.connect(owner).closeService(serviceId))
+        .to.emit(privateFeedback, "ServiceClosed")
+        .withArgs(serviceId);
+      expect(await privateFeedback.getServiceStatus(serviceId)).to.equal(
+        Closed
+      );
+
+      await expect(registerInteraction(user2, serviceId)).to.be.revertedWith(
+        "Service closed"
+      );
+      await expect(submitFeedback(user1, serviceId, 1, 2)).to.be.revertedWith(
+        "Service closed"
+      );
+      for (const call of [
+        privateFeedback.connect(owner).resumeService(serviceId),
+        privateFeedback.connect(owner).updateServiceMetadata(serviceId, 1, 2),
+        privateFeedback.connect(owner).closeService(serviceId),
+        privateFeedback.connect(user1).acceptServiceOwnership(serviceId),
+      ]) {
+        await expect(call).to.be.reverted;
+      }
+
+      // Its feedback can still be read and rewarded
+      expect(
+        await privateFeedback.getAllFeedbacks(serviceId, await signIn(owner))
+      ).to.have.length(2);
+      await privateFeedback
+        .connect(owner)
+        .rewardUsersForFeedback(serviceId, 1, { value: 1 });
     });
   });
 
-  describe("Reward Distribution", function () {
+  describe("Roles", function () {
+    const serviceId = 1;
+    let staff;
+
     beforeEach(async function () {
+      staff = (await ethers.getSigners())[3];
       await privateFeedback.connect(owner).registerService(12345, 67890);
     });
 
-    it("Should distribute rewards to users who provided feedback", async function () {
-      const serviceId = 1;
-      const timestamp = Math.floor(Date.now() / 1000);
+    it("Should grant, list and revoke roles", async function () {
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .grantRole(serviceId, Role.Treasurer, user1.address)
+      )
+        .to.emit(privateFeedback, "RoleUpdated")
+        .withArgs(serviceId, Role.Treasurer, user1.address, true);
+      await privateFeedback
+        .connect(owner)
+        .grantRole(serviceId, Role.Treasurer, user2.address);
+      await privateFeedback
+        .connect(owner)
+        .grantRole(serviceId, Role.Treasurer, staff.address);
+      // Granting a role twice changes nothing
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .grantRole(serviceId, Role.Treasurer, user1.address)
+      ).to.not.emit(privateFeedback, "RoleUpdated");
 
-      // Register interaction and submit feedback for user1
-      const interactionSignature = await user1._signTypedData(
-        {
-          name: "PrivateFeedback",
-          version: "1",
-          chainId: (await ethers.provider.getNetwork()).chainId,
-          verifyingContract: privateFeedback.address,
-        },
-        {
-          Interaction: [
-            { name: "user", type: "address" },
-            { name: "serviceId", type: "uint256" },
-            { name: "timestamp", type: "uint256" },
-          ],
-        },
-        {
-          user: user1.address,
-          serviceId: serviceId,
-          timestamp: timestamp,
-        }
-      );
-      const {
-        v: iv,
-        r: ir,
-        s: is,
-      } = ethers.utils.splitSignature(interactionSignature);
+      expect(
+        await privateFeedback.hasRole(serviceId, Role.Treasurer, user1.address)
+      ).to.be.true;
+      expect(
+        await privateFeedback.hasRole(serviceId, Role.Analyst, user1.address)
+      ).to.be.false;
+      // The owner holds every role without being listed
+      expect(
+        await privateFeedback.hasRole(serviceId, Role.Analyst, owner.address)
+      ).to.be.true;
+      expect(
+        await privateFeedback.getRoleMembers(serviceId, Role.Treasurer)
+      ).to.deep.equal([user1.address, user2.address, staff.address]);
+
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .revokeRole(serviceId, Role.Treasurer, user1.address)
+      )
+        .to.emit(privateFeedback, "RoleUpdated")
+        .withArgs(serviceId, Role.Treasurer, user1.address, false);
+      expect(
+        await privateFeedback.hasRole(serviceId, Role.Treasurer, user1.address)
+      ).to.be.false;
+      expect(
+        await privateFeedback.getRoleMembers(serviceId, Role.Treasurer)
+      ).to.deep.equal([staff.address, user2.address]);
+    });
+
+    it("Should only let the owner manage admins, and admins the other roles", async function () {
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .grantRole(serviceId, Role.Analyst, user1.address)
+      ).to.be.revertedWith("Only service owner or admins can manage roles");
+
+      await privateFeedback
+        .connect(owner)
+        .grantRole(serviceId, Role.Admin, user1.address);
       await privateFeedback
         .connect(user1)
-        .registerInteraction(serviceId, iv, ir, is, timestamp);
-
-      const feedbackSignature = await user1._signTypedData(
-        {
-          name: "PrivateFeedback",
-          version: "1",
-          chainId: (await ethers.provider.getNetwork()).chainId,
-          verifyingContract: privateFeedback.address,
-        },
-        {
-          Feedback: [
-            { name: "user", type: "address" },
-            { name: "serviceId", type: "uint256" },
-            { name: "timestamp", type: "uint256" },
-            { name: "feedback_p1", type: "uint256" },
-            { name: "feedback_p2", type: "uint256" },
-          ],
-        },
-        {
-          user: user1.address,
-          serviceId: serviceId,
-          timestamp: timestamp,
-          feedback_p1: 9876,
-          feedback_p2: 5432,
-        }
+        .grantRole(serviceId, Role.Analyst, user2.address);
+      await privateFeedback
+        .connect(user1)
+        .setAttester(serviceId, user2.address, true);
+      expect(await privateFeedback.isAnalyst(serviceId, user2.address)).to.be
+        .true;
+      expect(await privateFeedback.isAttester(serviceId, user2.address)).to.be
+        .true;
+
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .grantRole(serviceId, Role.Admin, user2.address)
+      ).to.be.revertedWith("Only service owner can manage admins");
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .revokeRole(serviceId, Role.Admin, user1.address)
+      ).to.be.revertedWith("Only service owner can manage admins");
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .grantRole(serviceId, Role.Analyst, ethers.constants.AddressZero)
+      ).to.be.revertedWith("Invalid account");
+    });
+
+    it("Should let admins manage the service but not transfer or close it", async function () {
+      await privateFeedback
+        .connect(owner)
+        .grantRole(serviceId, Role.Admin, user1.address);
+
+      await privateFeedback
+        .connect(user1)
+        .updateServiceMetadata(serviceId, 1, 2);
+      await privateFeedback.connect(user1).setStatsThreshold(serviceId, 10);
+      await privateFeedback.connect(user1).pauseService(serviceId);
+      await privateFeedback.connect(user1).resumeService(serviceId);
+
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .transferServiceOwnership(serviceId, user1.address)
+      ).to.be.revertedWith(
+        "Only service owner can transfer or close the service"
+      );
+      await expect(
+        privateFeedback.connect(user1).closeService(serviceId)
+      ).to.be.revertedWith(
+        "Only service owner can transfer or close the service"
+      );
+
+      // Other roles don't include the admin's powers
+      await privateFeedback
+        .connect(owner)
+        .grantRole(serviceId, Role.Treasurer, user2.address);
+      await expect(
+        privateFeedback.connect(user2).pauseService(serviceId)
+      ).to.be.revertedWith(
+        "Only service owner or admins can manage the service"
+      );
+    });
+
+    it("Should let treasurers fund rewards and campaigns", async function () {
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+      await privateFeedback
+        .connect(owner)
+        .grantRole(serviceId, Role.Treasurer, staff.address);
+
+      // The surplus is credited back to the treasurer who sent it
+      await privateFeedback
+        .connect(staff)
+        .rewardUsersForFeedback(serviceId, 10, { value: 15 });
+      expect(
+        await privateFeedback.connect(user1).getClaimableRewards()
+      ).to.equal(10);
+      expect(
+        await privateFeedback.connect(staff).getClaimableRewards()
+      ).to.equal(5);
+
+      const expiry = (await time.latest()) + 3600;
+      await privateFeedback
+        .connect(staff)
+        .createRewardCampaign(serviceId, 10, 2, expiry, { value: 20 });
+      const campaign = await privateFeedback.getRewardCampaign(1);
+      expect(campaign.funder).to.equal(staff.address);
+
+      // Revoked treasurers can't fund rewards anymore
+      await privateFeedback
+        .connect(owner)
+        .revokeRole(serviceId, Role.Treasurer, staff.address);
+      await expect(
+        privateFeedback
+          .connect(staff)
+          .rewardUsersForFeedback(serviceId, 10, { value: 10 })
+      ).to.be.revertedWith(
+        "Only service owner or treasurers can distribute rewards"
       );
-      const {
-        v: fv,
-        r: fr,
-        s: fs,
-      } = ethers.utils.splitSignature(feedbackSignature);
+    });
+
+    it("Should keep roles when the service changes hands", async function () {
+      await privateFeedback
+        .connect(owner)
+        .grantRole(serviceId, Role.Analyst, staff.address);
+      await privateFeedback
+        .connect(owner)
+        .transferServiceOwnership(serviceId, user1.address);
+      await privateFeedback.connect(user1).acceptServiceOwnership(serviceId);
+
+      expect(await privateFeedback.isAnalyst(serviceId, staff.address)).to.be
+        .true;
+      expect(await privateFeedback.isAnalyst(serviceId, owner.address)).to.be
+        .false;
       await privateFeedback
         .connect(user1)
-        .submitFeedback(serviceId, fv, fr, fs, timestamp, 9876, 5432);
+        .revokeRole(serviceId, Role.Analyst, staff.address);
+      expect(
+        await privateFeedback.getRoleMembers(serviceId, Role.Analyst)
+      ).to.deep.equal([]);
+    });
+  });
+
+  describe("Interaction and Feedback", function () {
+    beforeEach(async function () {
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+    });
+
+    it("Should register an interaction", async function () {
+      const serviceId = 1;
+
+      await expect(registerInteraction(user1, serviceId)).to.not.be.reverted;
+    });
+
+    it("Should report whether the caller has an interaction", async function () {
+      const serviceId = 1;
+
+      expect(await privateFeedback.connect(user1).hasInteraction(serviceId)).to
+        .be.false;
+
+      await registerInteraction(user1, serviceId);
+
+      expect(await privateFeedback.connect(user1).hasInteraction(serviceId)).to
+        .be.true;
+      expect(await privateFeedback.connect(user2).hasInteraction(serviceId)).to
+        .be.false;
+    });
+
+    it("Should submit feedback", async function () {
+      const serviceId = 1;
+
+      // First, register an interaction
+      await registerInteraction(user1, serviceId);
+
+      // Now, submit feedback
+      await expect(submitFeedback(user1, serviceId, 9876, 5432)).to.not.be
+        .reverted;
+    });
+  });
+
+  describe("Events", function () {
+    const serviceId = 1;
+
+    beforeEach(async function () {
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+    });
+
+    it("Should emit InteractionRegistered with the service's total", async function () {
+      await expect(registerInteraction(user1, serviceId))
+        .to.emit(privateFeedback, "InteractionRegistered")
+        .withArgs(serviceId, 1);
+      await expect(registerInteraction(user2, serviceId))
+        .to.emit(privateFeedback, "InteractionRegistered")
+        .withArgs(serviceId, 2);
+    });
+
+    it("Should emit FeedbackSubmitted, then FeedbackUpdated on resubmission", async function () {
+      await registerInteraction(user1, serviceId);
+
+      await expect(submitFeedback(user1, serviceId, 9876, 5432))
+        .to.emit(privateFeedback, "FeedbackSubmitted")
+        .withArgs(serviceId)
+        .and.not.to.emit(privateFeedback, "FeedbackUpdated");
+      await expect(submitFeedback(user1, serviceId, 1234, 0))
+        .to.emit(privateFeedback, "FeedbackUpdated")
+        .withArgs(serviceId)
+        .and.not.to.emit(privateFeedback, "FeedbackSubmitted");
+    });
+
+    it("Should reject empty feedback", async function () {
+      await registerInteraction(user1, serviceId);
+
+      await expect(submitFeedback(user1, serviceId, 0, 0)).to.be.revertedWith(
+        "Empty feedback"
+      );
+    });
+
+    it("Should emit RewardPaid with the amount and number of recipients", async function () {
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+      await registerInteraction(user2, serviceId);
+      await submitFeedback(user2, serviceId, 9876, 5432);
 
-      // Distribute rewards
       const rewardAmount = ethers.utils.parseEther("0.1");
-      const initialBalance = await ethers.provider.getBalance(user1.address);
 
       await expect(
         privateFeedback
           .connect(owner)
           .rewardUsersForFeedback(serviceId, rewardAmount, {
-            value: rewardAmount,
+            value: rewardAmount.mul(2),
           })
-      ).to.not.be.reverted;
+      )
+        .to.emit(privateFeedback, "RewardPaid")
+        .withArgs(serviceId, ethers.constants.AddressZero, rewardAmount, 2);
+    });
+
+    it("Should not name users in interaction and feedback events", async function () {
+      await registerInteraction(user1, serviceId);
+      const tx = await submitFeedback(user1, serviceId, 9876, 5432);
+      const { logs } = await tx.wait();
 
-      const finalBalance = await ethers.provider.getBalance(user1.address);
-      expect(finalBalance.sub(initialBalance)).to.equal(rewardAmount);
+      const user = user1.address.slice(2).toLowerCase();
+      for (const log of logs) {
+        expect(log.data.toLowerCase()).to.not.include(user);
+        for (const topic of log.topics) {
+          expect(topic.toLowerCase()).to.not.include(user);
+        }
+      }
     });
+  });
+
+  describe("Multiple Interactions", function () {
+    const serviceId = 1;
+
+    beforeEach(async function () {
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+    });
+
+    it("Should count each interaction separately", async function () {
+      await registerInteraction(user1, serviceId);
+      await registerInteraction(user1, serviceId);
+
+      expect(
+        await privateFeedback.connect(user1).getInteractionCount(serviceId)
+      ).to.equal(2);
+      expect(
+        await privateFeedback.connect(user2).getInteractionCount(serviceId)
+      ).to.equal(0);
+      expect(await privateFeedback.getTotalInteractions(serviceId)).to.equal(2);
+    });
+
+    it("Should not count a user who interacted twice as two feedbacks", async function () {
+      await registerInteraction(user1, serviceId);
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+
+      expect(await privateFeedback.getTotalFeedbacks(serviceId)).to.equal(1);
+      expect(
+        await privateFeedback.getAllFeedbacks(serviceId, await signIn(owner))
+      ).to.deep.equal([
+        ethers.BigNumber.from(9876),
+        ethers.BigNumber.from(5432),
+      ]);
+    });
+
+    it("Should pay a user who interacted twice once per feedback", async function () {
+      await registerInteraction(user1, serviceId);
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
 
-    it("Should revert if insufficient funds are provided", async function () {
-      const serviceId = 1;
       const rewardAmount = ethers.utils.parseEther("0.1");
-      const timestamp = Math.floor(Date.now() / 1000);
 
-      // Register interaction and submit feedback for user1
-      const interactionSignature = await user1._signTypedData(
-        {
-          name: "PrivateFeedback",
-          version: "1",
-          chainId: (await ethers.provider.getNetwork()).chainId,
-          verifyingContract: privateFeedback.address,
-        },
-        {
-          Interaction: [
-            { name: "user", type: "address" },
-            { name: "serviceId", type: "uint256" },
-            { name: "timestamp", type: "uint256" },
-          ],
-        },
-        {
-          user: user1.address,
-          serviceId: serviceId,
-          timestamp: timestamp,
-        }
-      );
-      const {
-        v: iv,
-        r: ir,
-        s: is,
-      } = ethers.utils.splitSignature(interactionSignature);
-      await privateFeedback
-        .connect(user1)
-        .registerInteraction(serviceId, iv, ir, is, timestamp);
-
-      const feedbackSignature = await user1._signTypedData(
-        {
-          name: "PrivateFeedback",
-          version: "1",
-          chainId: (await ethers.provider.getNetwork()).chainId,
-          verifyingContract: privateFeedback.address,
-        },
-        {
-          Feedback: [
-            { name: "user", type: "address" },
-            { name: "serviceId", type: "uint256" },
-            { name: "timestamp", type: "uint256" },
-            { name: "feedback_p1", type: "uint256" },
-            { name: "feedback_p2", type: "uint256" },
-          ],
-        },
-        {
-          user: user1.address,
-          serviceId: serviceId,
-          timestamp: timestamp,
-          feedback_p1: 9876,
-          feedback_p2: 5432,
-        }
-      );
-      const {
-        v: fv,
-        r: fr,
-        s: fs,
-      } = ethers.utils.splitSignature(feedbackSignature);
-      await privateFeedback
-        .connect(user1)
-        .submitFeedback(serviceId, fv, fr, fs, timestamp, 9876, 5432);
       await expect(
         privateFeedback
           .connect(owner)
           .rewardUsersForFeedback(serviceId, rewardAmount, {
-            value: ethers.utils.parseEther("0.05"), // Providing less than the specified reward amount
+            value: rewardAmount,
           })
-      ).to.be.revertedWith("Insufficient funds");
+      ).to.not.be.reverted;
+
+      expect(
+        await privateFeedback.connect(user1).getClaimableRewards()
+      ).to.equal(rewardAmount);
+    });
+
+    it("Should keep separate feedback for each interaction", async function () {
+      await registerInteraction(user1, serviceId);
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 1, 2, { interactionIndex: 0 });
+      await submitFeedback(user1, serviceId, 3, 4, { interactionIndex: 1 });
+      // Resubmitting replaces the feedback for that interaction
+      await submitFeedback(user1, serviceId, 5, 6, { interactionIndex: 0 });
+
+      expect(await privateFeedback.getTotalFeedbacks(serviceId)).to.equal(2);
+      expect(
+        (
+          await privateFeedback.getAllFeedbacks(serviceId, await signIn(owner))
+        ).map(Number)
+      ).to.deep.equal([5, 6, 3, 4]);
+    });
+
+    it("Should reject feedback for an unregistered interaction", async function () {
+      await registerInteraction(user1, serviceId);
+
+      await expect(
+        submitFeedback(user1, serviceId, 9876, 5432, { interactionIndex: 1 })
+      ).to.be.revertedWith("Invalid Interaction");
+    });
+  });
+
+  describe("Pagination", function () {
+    const serviceId = 1;
+
+    beforeEach(async function () {
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+      await registerInteraction(user1, serviceId);
+      await registerInteraction(user2, serviceId);
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 3, 4, { interactionIndex: 1 });
+      await submitFeedback(user2, serviceId, 1, 2);
+    });
+
+    it("Should index services by owner", async function () {
+      await privateFeedback.connect(user1).registerService(1, 2);
+      await privateFeedback.connect(owner).registerService(3, 4);
+      await privateFeedback.connect(owner).registerService(5, 6);
+
+      expect(
+        (await privateFeedback.getServiceIdsByOwner(owner.address)).map(Number)
+      ).to.deep.equal([1, 3, 4]);
+      expect(
+        await privateFeedback.getServiceCountByOwner(owner.address)
+      ).to.equal(3);
+      expect(
+        (
+          await privateFeedback.getServiceIdsByOwnerPage(owner.address, 1, 5)
+        ).map(Number)
+      ).to.deep.equal([3, 4]);
+    });
+
+    it("Should list feedback in the order it was first submitted", async function () {
+      // Updating feedback doesn't move it
+      await submitFeedback(user1, serviceId, 5, 6, { interactionIndex: 1 });
+
+      expect(
+        (
+          await privateFeedback.getAllFeedbacks(serviceId, await signIn(owner))
+        ).map(Number)
+      ).to.deep.equal([5, 6, 1, 2]);
+      expect(
+        (
+          await privateFeedback.getFeedbackPage(
+            serviceId,
+            1,
+            1,
+            await signIn(owner)
+          )
+        ).map(Number)
+      ).to.deep.equal([1, 2]);
+      expect(
+        (
+          await privateFeedback.getFeedbackPage(
+            serviceId,
+            2,
+            10,
+            await signIn(owner)
+          )
+        ).map(Number)
+      ).to.deep.equal([]);
+    });
+
+    it("Should list the feedback of each interaction in order", async function () {
+      expect(
+        (
+          await privateFeedback.getInteractionFeedbackPage(
+            serviceId,
+            0,
+            10,
+            await signIn(owner)
+          )
+        ).map(Number)
+      ).to.deep.equal([0, 0, 1, 2, 3, 4]);
+      expect(
+        (
+          await privateFeedback.getInteractionFeedbackPage(
+            serviceId,
+            1,
+            1,
+            await signIn(owner)
+          )
+        ).map(Number)
+      ).to.deep.equal([1, 2]);
+    });
+
+    it("Should reject offsets past the end", async function () {
+      await expect(
+        privateFeedback.getFeedbackPage(serviceId, 3, 1, await signIn(owner))
+      ).to.be.revertedWith("Offset out of range");
+      await expect(
+        privateFeedback.getInteractionFeedbackPage(
+          serviceId,
+          4,
+          1,
+          await signIn(owner)
+        )
+      ).to.be.revertedWith("Offset out of range");
+    });
+  });
+
+  describe("Feedback Access", function () {
+    const serviceId = 1;
+
+    beforeEach(async function () {
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+    });
+
+    it("Should let the owner and authorised analysts read feedback", async function () {
+      await expect(
+        privateFeedback.getAllFeedbacks(serviceId, await signIn(user2))
+      ).to.be.revertedWith("Not authorised to read feedback");
+
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .setAnalyst(serviceId, user2.address, true)
+      )
+        .to.emit(privateFeedback, "RoleUpdated")
+        .withArgs(serviceId, Role.Analyst, user2.address, true);
+      expect(await privateFeedback.isAnalyst(serviceId, user2.address)).to.be
+        .true;
+      expect(
+        (
+          await privateFeedback.getAllFeedbacks(serviceId, await signIn(user2))
+        ).map(Number)
+      ).to.deep.equal([9876, 5432]);
+
+      await privateFeedback
+        .connect(owner)
+        .setAnalyst(serviceId, user2.address, false);
+      await expect(
+        privateFeedback.getFeedbackPage(serviceId, 0, 1, await signIn(user2))
+      ).to.be.revertedWith("Not authorised to read feedback");
+    });
+
+    it("Should only let the service owner and admins manage analysts", async function () {
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .setAnalyst(serviceId, user1.address, true)
+      ).to.be.revertedWith("Only service owner or admins can manage roles");
+    });
+
+    it("Should not trust the caller's address", async function () {
+      // A sign-in names its user, whoever sends the call
+      const token = await signIn(user1);
+      await expect(
+        privateFeedback.connect(owner).getAllFeedbacks(serviceId, token)
+      ).to.be.revertedWith("Not authorised to read feedback");
+
+      // and only its user can sign it
+      const forged = { ...(await signIn(user1)), user: owner.address };
+      await expect(
+        privateFeedback.connect(owner).getAllFeedbacks(serviceId, forged)
+      ).to.be.revertedWith("Invalid sign-in");
+    });
+
+    it("Should reject expired sign-ins", async function () {
+      const token = await signIn(owner, { expiry: (await time.latest()) + 10 });
+      await time.increase(11);
+
+      await expect(
+        privateFeedback.getAllFeedbacks(serviceId, token)
+      ).to.be.revertedWith("Sign-in expired");
+    });
+
+    it("Should reject sign-ins that expire too far ahead", async function () {
+      const week = 7 * 24 * 60 * 60;
+      const forever = await signIn(owner, {
+        expiry: ethers.constants.MaxUint256,
+      });
+      await expect(
+        privateFeedback.getAllFeedbacks(serviceId, forever)
+      ).to.be.revertedWith("Sign-in expiry too far");
+
+      // Up to the maximum
+      const token = await signIn(owner, {
+        expiry: (await time.latest()) + week,
+      });
+      expect(
+        (await privateFeedback.getAllFeedbacks(serviceId, token)).map(Number)
+      ).to.deep.equal([9876, 5432]);
+    });
+
+    it("Should keep the counters public", async function () {
+      expect(await privateFeedback.getTotalInteractions(serviceId)).to.equal(1);
+      expect(await privateFeedback.getTotalFeedbacks(serviceId)).to.equal(1);
+    });
+  });
+
+  describe("Feedback History", function () {
+    const serviceId = 1;
+
+    beforeEach(async function () {
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+      await registerInteraction(user1, serviceId);
+      await registerInteraction(user2, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+    });
+
+    async function history(position) {
+      const versions = await privateFeedback.getFeedbackHistory(
+        serviceId,
+        position,
+        await signIn(owner)
+      );
+      return versions.map(({ feedback_p1, feedback_p2, timestamp }) =>
+        [feedback_p1, feedback_p2, timestamp].map(Number)
+      );
+    }
+
+    it("Should keep every version of the feedback", async function () {
+      const first = await time.latest();
+      await submitFeedback(user2, serviceId, 1111, 0);
+      await submitFeedback(user1, serviceId, 1234, 0);
+      const second = await time.latest();
+
+      expect(await history(0)).to.deep.equal([
+        [9876, 5432, first],
+        [1234, 0, second],
+      ]);
+      expect(await history(1)).to.have.length(1);
+      expect(
+        (
+          await privateFeedback.getFeedbackVersionCounts(
+            serviceId,
+            0,
+            10,
+            await signIn(owner)
+          )
+        ).map(Number)
+      ).to.deep.equal([2, 1]);
+      // The latest version is the feedback
+      expect(
+        (
+          await privateFeedback.getAllFeedbacks(serviceId, await signIn(owner))
+        ).map(Number)
+      ).to.deep.equal([1234, 0, 1111, 0]);
+
+      await expect(history(2)).to.be.revertedWith("Offset out of range");
+      await expect(
+        privateFeedback.getFeedbackHistory(serviceId, 0, await signIn(user2))
+      ).to.be.revertedWith("Not authorised to read feedback");
+    });
+
+    it("Should let admins deny edits", async function () {
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .setEditPolicy(serviceId, EditPolicy.Deny, 0)
+      )
+        .to.emit(privateFeedback, "EditPolicyUpdated")
+        .withArgs(serviceId, EditPolicy.Deny, 0);
+
+      await expect(
+        submitFeedback(user1, serviceId, 1234, 0)
+      ).to.be.revertedWith("Feedback can't be edited");
+      // New feedback is still accepted
+      await submitFeedback(user2, serviceId, 1111, 0);
+      expect(await history(0)).to.have.length(1);
+    });
+
+    it("Should only accept edits within the edit window", async function () {
+      await privateFeedback
+        .connect(owner)
+        .setEditPolicy(serviceId, EditPolicy.Window, 3600);
+      const [policy, window] = await privateFeedback.getEditPolicy(serviceId);
+      expect([policy, Number(window)]).to.deep.equal([EditPolicy.Window, 3600]);
+
+      // The window runs from the first version, not the latest edit
+      await time.increase(1800);
+      await submitFeedback(user1, serviceId, 1234, 0);
+      await time.increase(1800);
+      await expect(
+        submitFeedback(user1, serviceId, 4321, 0)
+      ).to.be.revertedWith("Edit window closed");
+      expect(await history(0)).to.have.length(2);
+    });
+
+    it("Should validate the edit policy", async function () {
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .setEditPolicy(serviceId, EditPolicy.Window, 0)
+      ).to.be.revertedWith("Invalid edit window");
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .setEditPolicy(serviceId, EditPolicy.Allow, 3600)
+      ).to.be.revertedWith("Invalid edit window");
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .setEditPolicy(serviceId, EditPolicy.Deny, 0)
+      ).to.be.revertedWith(
+        "Only service owner or admins can manage the service"
+      );
+    });
+  });
+
+  describe("Replies", function () {
+    const serviceId = 1;
+    const text = ethers.utils.formatBytes32String("Thanks, see you soon");
+    const contentHash = ethers.utils.id("Thanks for the kind words!");
+    // The contract with the replies module's functions
+    let staff, routed;
+
+    beforeEach(async function () {
+      staff = (await ethers.getSigners())[3];
+      routed = new ethers.Contract(
+        privateFeedback.address,
+        await readPrivateFeedbackAbi(artifacts),
+        owner
+      );
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+      await privateFeedback
+        .connect(owner)
+        .grantRole(serviceId, Role.Responder, staff.address);
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+    });
+
+    // Anyone can read the replies, here someone who isn't staff
+    async function replies() {
+      const [entryReplies, entryFollowUps] = await routed
+        .connect(user2)
+        .getFeedbackReplies(serviceId, 0, 10);
+      return entryReplies.map((reply, i) => [
+        [reply.text, reply.author],
+        [entryFollowUps[i].text, entryFollowUps[i].author],
+      ]);
+    }
+
+    it("Should let staff reply and the reviewer follow up once", async function () {
+      await expect(
+        routed.connect(staff).replyToFeedback(serviceId, 0, contentHash, text)
+      )
+        .to.emit(routed, "FeedbackReplied")
+        .withArgs(serviceId);
+      await expect(
+        routed.connect(owner).replyToFeedback(serviceId, 0, contentHash, text)
+      ).to.be.revertedWith("Feedback already replied to");
+
+      const thread = await routed.getReviewerThread(
+        serviceId,
+        0,
+        await signIn(user1)
+      );
+      expect(thread.reply.contentHash).to.equal(contentHash);
+      expect(thread.reply.timestamp).to.equal(await time.latest());
+      expect(thread.followUp.timestamp).to.equal(0);
+
+      const followUp = ethers.utils.formatBytes32String("Will do!");
+      await expect(
+        routed
+          .connect(user1)
+          .followUpOnReply(serviceId, 0, ethers.constants.HashZero, followUp)
+      )
+        .to.emit(routed, "ReplyFollowedUp")
+        .withArgs(serviceId);
+      await expect(
+        routed
+          .connect(user1)
+          .followUpOnReply(serviceId, 0, ethers.constants.HashZero, followUp)
+      ).to.be.revertedWith("Reply already followed up");
+
+      // Follow-ups don't name the reviewer
+      expect(await replies()).to.deep.equal([
+        [
+          [text, staff.address],
+          [followUp, ethers.constants.AddressZero],
+        ],
+      ]);
+    });
+
+    it("Should let a relayer send a follow-up the reviewer signed", async function () {
+      const relayer = (await ethers.getSigners())[5];
+      await routed
+        .connect(staff)
+        .replyToFeedback(serviceId, 0, contentHash, text);
+      const followUp = ethers.utils.formatBytes32String("Will do!");
+      const { nonce, deadline } = await signingParams(user1);
+      const { signature } = await signFollowUp(user1, domain, {
+        serviceId,
+        interactionIndex: 0,
+        contentHash: ethers.constants.HashZero,
+        text: followUp,
+        nonce,
+        deadline,
+      });
+      const args = [
+        user1.address,
+        serviceId,
+        0,
+        ethers.constants.HashZero,
+        followUp,
+        signature,
+        nonce,
+        deadline,
+      ];
+
+      // The signature covers the follow-up's content
+      const altered = [...args];
+      altered[4] = text;
+      await expect(
+        routed.connect(relayer).followUpOnReplyFor(...altered)
+      ).to.be.revertedWith("Invalid Signature");
+
+      await expect(routed.connect(relayer).followUpOnReplyFor(...args))
+        .to.emit(routed, "ReplyFollowedUp")
+        .withArgs(serviceId);
+      expect((await replies())[0][1]).to.deep.equal([
+        followUp,
+        ethers.constants.AddressZero,
+      ]);
+      await expect(
+        routed.connect(relayer).followUpOnReplyFor(...args)
+      ).to.be.revertedWith("Signature already used");
+    });
+
+    it("Should validate replies and follow-ups", async function () {
+      await expect(
+        routed.connect(user2).replyToFeedback(serviceId, 0, contentHash, text)
+      ).to.be.revertedWith(
+        "Only service owner, admins or responders can reply"
+      );
+      await expect(
+        routed.connect(staff).replyToFeedback(serviceId, 1, contentHash, text)
+      ).to.be.revertedWith("Feedback not found");
+      await expect(
+        routed
+          .connect(staff)
+          .replyToFeedback(
+            serviceId,
+            0,
+            ethers.constants.HashZero,
+            ethers.constants.HashZero
+          )
+      ).to.be.revertedWith("Empty reply");
+      await expect(
+        routed.connect(user1).followUpOnReply(serviceId, 0, contentHash, text)
+      ).to.be.revertedWith("No reply to follow up");
+      expect(await replies()).to.deep.equal([
+        [
+          [ethers.constants.HashZero, ethers.constants.AddressZero],
+          [ethers.constants.HashZero, ethers.constants.AddressZero],
+        ],
+      ]);
+
+      await routed
+        .connect(staff)
+        .replyToFeedback(serviceId, 0, contentHash, text);
+      await privateFeedback.connect(owner).closeService(serviceId);
+      await expect(
+        routed.connect(user1).followUpOnReply(serviceId, 0, contentHash, text)
+      ).to.be.revertedWith("Service closed");
+    });
+  });
+
+  describe("Moderation", function () {
+    const serviceId = 1;
+    // The contract with the moderation module's functions
+    let reviewers, routed;
+
+    // Feedback following version 1 of the schema, with only a rating
+    const rated = (rating) => 1 + rating * 256;
+
+    beforeEach(async function () {
+      reviewers = [user1, user2, ...(await ethers.getSigners()).slice(3, 5)];
+      routed = new ethers.Contract(
+        privateFeedback.address,
+        await readPrivateFeedbackAbi(artifacts),
+        owner
+      );
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+      await privateFeedback.connect(owner).setStatsThreshold(serviceId, 3);
+      for (const [index, user] of reviewers.entries()) {
+        await registerInteraction(user, serviceId);
+        await submitFeedback(user, serviceId, rated(index + 2), 0);
+      }
+    });
+
+    it("Should hide flagged feedback from counts, stats and rewards", async function () {
+      await expect(
+        routed.connect(owner).flagFeedback(serviceId, 3, FlagReason.Abuse)
+      )
+        .to.emit(routed, "FeedbackFlagged")
+        .withArgs(serviceId, FlagReason.Abuse);
+
+      expect(await privateFeedback.getTotalFeedbacks(serviceId)).to.equal(3);
+      expect(await privateFeedback.getFeedbackEntryCount(serviceId)).to.equal(
+        4
+      );
+
+      // Hidden feedback stays readable, with its flag
+      const flags = await routed.getFeedbackFlags(
+        serviceId,
+        0,
+        10,
+        await signIn(owner)
+      );
+      expect(flags.map(({ status }) => status)).to.deep.equal([
+        FlagStatus.None,
+        FlagStatus.None,
+        FlagStatus.None,
+        FlagStatus.Flagged,
+      ]);
+      expect(flags[3].position).to.equal(3);
+      expect(
+        await privateFeedback.getFeedbackPage(
+          serviceId,
+          0,
+          10,
+          await signIn(owner)
+        )
+      ).to.have.length(8);
+
+      await expect(
+        submitFeedback(reviewers[3], serviceId, rated(1), 0)
+      ).to.be.revertedWith("Feedback moderated");
+
+      const rewardAmount = ethers.utils.parseEther("0.1");
+      await privateFeedback
+        .connect(owner)
+        .rewardUsersForFeedback(serviceId, rewardAmount, {
+          value: rewardAmount.mul(3),
+        });
+      expect(
+        await privateFeedback.connect(reviewers[3]).getClaimableRewards()
+      ).to.equal(0);
+      expect(
+        await privateFeedback.connect(user1).getClaimableRewards()
+      ).to.equal(rewardAmount);
+
+      // The stats leave it out from the next batch they publish, which the
+      // flag and a new review complete
+      const newcomer = (await ethers.getSigners())[5];
+      await registerInteraction(newcomer, serviceId);
+      await submitFeedback(newcomer, serviceId, rated(1), 0);
+      const stats = await privateFeedback.getServiceStats(serviceId);
+      expect(stats.reviewers).to.equal(4);
+      expect(stats.ratingSum).to.equal(1 + 2 + 3 + 4);
+      expect(stats.ratingHistogram.map(Number)).to.deep.equal([1, 1, 1, 1, 0]);
+    });
+
+    it("Should let the reviewer contest a flag and the arbiter settle it", async function () {
+      await routed.connect(owner).flagFeedback(serviceId, 1, FlagReason.Spam);
+      await expect(routed.connect(user2).contestFlag(serviceId, 0))
+        .to.emit(routed, "FlagContested")
+        .withArgs(serviceId, 1);
+      await expect(
+        routed.connect(user2).contestFlag(serviceId, 0)
+      ).to.be.revertedWith("Feedback not flagged");
+
+      const flag = await routed.getReviewerFlag(
+        serviceId,
+        0,
+        await signIn(user2)
+      );
+      expect(flag.status).to.equal(FlagStatus.Contested);
+      expect(flag.reason).to.equal(FlagReason.Spam);
+      expect(flag.disputeId).to.equal(1);
+
+      expect(await routed.getDisputeCount()).to.equal(1);
+      const [dispute] = await routed.getDisputes(0, 10, await signIn(owner));
+      expect(dispute.serviceId).to.equal(serviceId);
+      expect(dispute.position).to.equal(1);
+      expect(dispute.feedback_p1).to.equal(rated(3));
+
+      await expect(routed.connect(owner).resolveDispute(1, false))
+        .to.emit(routed, "DisputeResolved")
+        .withArgs(serviceId, 1, false);
+      await expect(
+        routed.connect(owner).resolveDispute(1, true)
+      ).to.be.revertedWith("Dispute resolved");
+
+      // Overturned flags show the feedback again, and can't be raised again
+      expect(await privateFeedback.getTotalFeedbacks(serviceId)).to.equal(4);
+      const stats = await privateFeedback.getServiceStats(serviceId);
+      expect(stats.reviewers).to.equal(4);
+      expect(stats.ratingSum).to.equal(2 + 3 + 4 + 5);
+      await expect(
+        routed.connect(owner).flagFeedback(serviceId, 1, FlagReason.Abuse)
+      ).to.be.revertedWith("Feedback already moderated");
+      // Nor can the reviewer edit the entry the arbiter cleared
+      await expect(
+        submitFeedback(user2, serviceId, rated(1), 0)
+      ).to.be.revertedWith("Feedback moderated");
+    });
+
+    it("Should keep upheld feedback hidden", async function () {
+      await routed
+        .connect(owner)
+        .flagFeedback(serviceId, 0, FlagReason.PersonalData);
+      await routed.connect(user1).contestFlag(serviceId, 0);
+      await routed.connect(owner).resolveDispute(1, true);
+
+      const flag = await routed.getReviewerFlag(
+        serviceId,
+        0,
+        await signIn(user1)
+      );
+      expect(flag.status).to.equal(FlagStatus.Upheld);
+      expect(await privateFeedback.getTotalFeedbacks(serviceId)).to.equal(3);
+    });
+
+    it("Should let a relayer contest a flag the reviewer signed", async function () {
+      const [, , , , , relayer] = await ethers.getSigners();
+      await routed.connect(owner).flagFeedback(serviceId, 0, FlagReason.Spam);
+      const { nonce, deadline } = await signingParams(user1);
+      const { signature } = await signContestFlag(user1, domain, {
+        serviceId,
+        interactionIndex: 0,
+        nonce,
+        deadline,
+      });
+      const args = [user1.address, serviceId, 0, signature, nonce, deadline];
+
+      // Only the reviewer's signature contests their flag
+      await expect(
+        routed.connect(relayer).contestFlagFor(user2.address, ...args.slice(1))
+      ).to.be.revertedWith("Invalid Signature");
+
+      await expect(routed.connect(relayer).contestFlagFor(...args))
+        .to.emit(routed, "FlagContested")
+        .withArgs(serviceId, 1);
+      const flag = await routed.getReviewerFlag(
+        serviceId,
+        0,
+        await signIn(user1)
+      );
+      expect(flag.status).to.equal(FlagStatus.Contested);
+      expect(await privateFeedback.nonces(user1.address)).to.equal(
+        nonce.add(1)
+      );
+      await expect(
+        routed.connect(relayer).contestFlagFor(...args)
+      ).to.be.revertedWith("Signature already used");
+    });
+
+    it("Should only count reviewers with visible feedback", async function () {
+      // A second visit from user1, whose first feedback is then hidden
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, rated(5), 0);
+      await routed.connect(owner).flagFeedback(serviceId, 0, FlagReason.Spam);
+      expect(
+        (await privateFeedback.getServiceStats(serviceId)).reviewers
+      ).to.equal(4);
+
+      // Two newcomers complete the next batch, without user1
+      await routed.connect(owner).flagFeedback(serviceId, 4, FlagReason.Spam);
+      for (const user of (await ethers.getSigners()).slice(5, 7)) {
+        await registerInteraction(user, serviceId);
+        await submitFeedback(user, serviceId, rated(3), 0);
+      }
+      expect(
+        (await privateFeedback.getServiceStats(serviceId)).reviewers
+      ).to.equal(5);
+    });
+
+    it("Should restrict moderation", async function () {
+      await expect(
+        routed.connect(user2).flagFeedback(serviceId, 0, FlagReason.Spam)
+      ).to.be.revertedWith(
+        "Only service owner or admins can manage the service"
+      );
+      await expect(
+        routed.connect(owner).flagFeedback(serviceId, 4, FlagReason.Spam)
+      ).to.be.revertedWith("Feedback not found");
+      await expect(
+        routed.getFeedbackFlags(serviceId, 0, 10, await signIn(user2))
+      ).to.be.revertedWith("Not authorised to read feedback");
+
+      await routed.connect(owner).flagFeedback(serviceId, 0, FlagReason.Spam);
+      await routed.connect(user1).contestFlag(serviceId, 0);
+      await expect(
+        routed.connect(user1).resolveDispute(1, false)
+      ).to.be.revertedWith("Only the arbiter can do this");
+      await expect(
+        routed.getDisputes(0, 10, await signIn(user1))
+      ).to.be.revertedWith("Only the arbiter can do this");
+      await expect(
+        routed.connect(owner).resolveDispute(2, false)
+      ).to.be.revertedWith("Dispute not found");
+
+      // The arbiter hands the role over
+      expect(await routed.arbiter()).to.equal(owner.address);
+      await routed.connect(owner).setArbiter(user2.address);
+      await expect(
+        routed.connect(owner).resolveDispute(1, false)
+      ).to.be.revertedWith("Only the arbiter can do this");
+      await routed.connect(user2).resolveDispute(1, false);
+
+      await privateFeedback.connect(owner).closeService(serviceId);
+      await expect(
+        routed.connect(owner).flagFeedback(serviceId, 1, FlagReason.Spam)
+      ).to.be.revertedWith("Service closed");
+    });
+  });
+
+  describe("Service Stats", function () {
+    const serviceId = 1;
+    let reviewers;
+
+    // Feedback following version 1 of the schema, with only a rating
+    const rated = (rating) => 1 + rating * 256;
+
+    beforeEach(async function () {
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+      reviewers = (await ethers.getSigners()).slice(3, 8);
+    });
+
+    async function review(user, feedback_p1) {
+      await registerInteraction(user, serviceId);
+      await submitFeedback(user, serviceId, feedback_p1, 0);
+    }
+
+    it("Should only publish stats once the threshold is reached", async function () {
+      for (const [index, user] of reviewers.slice(0, 4).entries()) {
+        await review(user, rated(index + 2));
+      }
+
+      let stats = await privateFeedback.getServiceStats(serviceId);
+      expect(stats.published).to.be.false;
+      expect(stats.threshold).to.equal(5);
+      expect(stats.reviewers).to.equal(0);
+      expect(stats.ratingSum).to.equal(0);
+
+      await review(reviewers[4], rated(5));
+
+      stats = await privateFeedback.getServiceStats(serviceId);
+      expect(stats.published).to.be.true;
+      expect(stats.reviewers).to.equal(5);
+      expect(stats.ratingCount).to.equal(5);
+      expect(stats.ratingSum).to.equal(2 + 3 + 4 + 5 + 5);
+      expect(stats.ratingHistogram.map(Number)).to.deep.equal([0, 1, 1, 1, 2]);
+    });
+
+    it("Should replace the rating of updated feedback", async function () {
+      await privateFeedback.connect(owner).setStatsThreshold(serviceId, 3);
+      for (const user of reviewers) {
+        await review(user, rated(4));
+      }
+      await submitFeedback(reviewers[0], serviceId, rated(1), 0);
+
+      const stats = await privateFeedback.getServiceStats(serviceId);
+      expect(stats.ratingCount).to.equal(5);
+      expect(stats.ratingSum).to.equal(17);
+      expect(stats.ratingHistogram.map(Number)).to.deep.equal([1, 0, 0, 4, 0]);
+    });
+
+    it("Should count reviewers once and skip unrated feedback", async function () {
+      await privateFeedback.connect(owner).setStatsThreshold(serviceId, 4);
+      for (const user of reviewers.slice(0, 3)) {
+        await review(user, rated(3));
+      }
+      // A second visit, and feedback that doesn't follow the schema
+      await review(reviewers[0], rated(5));
+      await review(reviewers[3], 9876);
+
+      const stats = await privateFeedback.getServiceStats(serviceId);
+      expect(stats.published).to.be.true;
+      expect(stats.reviewers).to.equal(4);
+      expect(stats.ratingCount).to.equal(4);
+      expect(stats.ratingHistogram.map(Number)).to.deep.equal([0, 0, 3, 0, 1]);
+    });
+
+    it("Should publish stats in batches of threshold changes", async function () {
+      await privateFeedback.connect(owner).setStatsThreshold(serviceId, 3);
+      for (const user of reviewers.slice(0, 3)) {
+        await review(user, rated(4));
+      }
+      const published = await privateFeedback.getServiceStats(serviceId);
+      expect(published.reviewers).to.equal(3);
+
+      // Two single submissions in a row can't be told apart from the stats
+      await review(reviewers[3], rated(1));
+      expect(await privateFeedback.getServiceStats(serviceId)).to.deep.equal(
+        published
+      );
+      await review(reviewers[4], rated(5));
+      expect(await privateFeedback.getServiceStats(serviceId)).to.deep.equal(
+        published
+      );
+
+      // Nor an update, which completes the batch
+      await submitFeedback(reviewers[0], serviceId, rated(2), 0);
+      const stats = await privateFeedback.getServiceStats(serviceId);
+      expect(stats.reviewers).to.equal(5);
+      expect(stats.ratingSum).to.equal(2 + 4 + 4 + 1 + 5);
+      expect(stats.ratingHistogram.map(Number)).to.deep.equal([1, 1, 0, 2, 1]);
+    });
+
+    it("Should let the owner configure the threshold", async function () {
+      await expect(
+        privateFeedback.connect(owner).setStatsThreshold(serviceId, 10)
+      )
+        .to.emit(privateFeedback, "StatsThresholdUpdated")
+        .withArgs(serviceId, 10);
+      expect(await privateFeedback.getStatsThreshold(serviceId)).to.equal(10);
+
+      await expect(
+        privateFeedback.connect(owner).setStatsThreshold(serviceId, 2)
+      ).to.be.revertedWith("Stats threshold too low");
+      await expect(
+        privateFeedback.connect(user1).setStatsThreshold(serviceId, 10)
+      ).to.be.revertedWith(
+        "Only service owner or admins can set the stats threshold"
+      );
+    });
+  });
+
+  describe("Interaction Vouchers", function () {
+    const serviceId = 1;
+
+    beforeEach(async function () {
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+    });
+
+    it("Should accept vouchers from an authorised attester", async function () {
+      const attesterVouchers = new VoucherIssuer(user2, {
+        chainId: domain.chainId,
+        contractAddress: privateFeedback.address,
+      });
+      const voucher = await attesterVouchers.issue({
+        user: user1.address,
+        serviceId,
+      });
+
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .setAttester(serviceId, user2.address, true)
+      )
+        .to.emit(privateFeedback, "RoleUpdated")
+        .withArgs(serviceId, Role.Attester, user2.address, true);
+      expect(await privateFeedback.isAttester(serviceId, user2.address)).to.be
+        .true;
+
+      await expect(registerInteraction(user1, serviceId, voucher)).to.not.be
+        .reverted;
+    });
+
+    it("Should reject vouchers from revoked attesters", async function () {
+      await privateFeedback
+        .connect(owner)
+        .setAttester(serviceId, user2.address, true);
+      await privateFeedback
+        .connect(owner)
+        .setAttester(serviceId, user2.address, false);
+
+      const voucher = await new VoucherIssuer(user2, {
+        chainId: domain.chainId,
+        contractAddress: privateFeedback.address,
+      }).issue({ user: user1.address, serviceId });
+
+      await expect(
+        registerInteraction(user1, serviceId, voucher)
+      ).to.be.revertedWith("Invalid voucher");
+    });
+
+    it("Should only let the service owner and admins manage attesters", async function () {
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .setAttester(serviceId, user1.address, true)
+      ).to.be.revertedWith("Only service owner or admins can manage roles");
+    });
+
+    it("Should reject forged vouchers", async function () {
+      // user1 vouches for themselves
+      const voucher = await new VoucherIssuer(user1, {
+        chainId: domain.chainId,
+        contractAddress: privateFeedback.address,
+      }).issue({ user: user1.address, serviceId });
+
+      await expect(
+        registerInteraction(user1, serviceId, voucher)
+      ).to.be.revertedWith("Invalid voucher");
+    });
+
+    it("Should reject vouchers issued to another user", async function () {
+      const voucher = await ownerVouchers.issue({
+        user: user2.address,
+        serviceId,
+      });
+
+      await expect(
+        registerInteraction(user1, serviceId, voucher)
+      ).to.be.revertedWith("Invalid voucher");
+    });
+
+    it("Should reject vouchers issued for another service", async function () {
+      await privateFeedback.connect(owner).registerService(1, 2);
+      const voucher = await ownerVouchers.issue({
+        user: user1.address,
+        serviceId: 2,
+      });
+
+      await expect(
+        registerInteraction(user1, serviceId, voucher)
+      ).to.be.revertedWith("Invalid voucher");
+    });
+
+    it("Should reject expired vouchers", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      const voucher = await ownerVouchers.issue({
+        user: user1.address,
+        serviceId,
+        expiry: latest.timestamp - 1,
+      });
+
+      await expect(
+        registerInteraction(user1, serviceId, voucher)
+      ).to.be.revertedWith("Voucher expired");
+    });
+
+    it("Should reject reused vouchers", async function () {
+      const voucher = await ownerVouchers.issue({
+        user: user1.address,
+        serviceId,
+      });
+
+      await registerInteraction(user1, serviceId, voucher);
+
+      await expect(
+        registerInteraction(user1, serviceId, voucher)
+      ).to.be.revertedWith("Voucher already used");
+    });
+  });
+
+  describe("Replay Protection", function () {
+    const serviceId = 1;
+
+    beforeEach(async function () {
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+    });
+
+    it("Should increment the user's nonce for every signature", async function () {
+      expect(await privateFeedback.nonces(user1.address)).to.equal(0);
+
+      await registerInteraction(user1, serviceId);
+      expect(await privateFeedback.nonces(user1.address)).to.equal(1);
+
+      await submitFeedback(user1, serviceId, 9876, 5432);
+      expect(await privateFeedback.nonces(user1.address)).to.equal(2);
+      expect(await privateFeedback.nonces(user2.address)).to.equal(0);
+    });
+
+    it("Should reject signatures past their deadline", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+
+      await expect(
+        registerInteraction(user1, serviceId, undefined, {
+          deadline: latest.timestamp - 1,
+        })
+      ).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should reject replayed interaction signatures", async function () {
+      const voucher = await ownerVouchers.issue({
+        user: user1.address,
+        serviceId,
+      });
+      const latest = await ethers.provider.getBlock("latest");
+      const deadline = latest.timestamp + 3600;
+      const { signature } = await signInteraction(user1, domain, {
+        serviceId,
+        nonce: 0,
+        deadline,
+      });
+      const voucherStruct = toVoucherStruct(voucher);
+
+      await privateFeedback
+        .connect(user1)
+        .registerInteraction(serviceId, signature, 0, deadline, voucherStruct);
+
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .registerInteraction(serviceId, signature, 0, deadline, voucherStruct)
+      ).to.be.revertedWith("Signature already used");
+    });
+
+    it("Should reject replayed feedback signatures", async function () {
+      await registerInteraction(user1, serviceId);
+
+      const latest = await ethers.provider.getBlock("latest");
+      const deadline = latest.timestamp + 3600;
+      const { signature } = await signFeedback(user1, domain, {
+        serviceId,
+        interactionIndex: 0,
+        feedback_p1: 9876,
+        feedback_p2: 5432,
+        nonce: 1,
+        deadline,
+      });
+
+      await privateFeedback
+        .connect(user1)
+        .submitFeedback(serviceId, 0, signature, 1, deadline, 9876, 5432);
+
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .submitFeedback(serviceId, 0, signature, 1, deadline, 9876, 5432)
+      ).to.be.revertedWith("Signature already used");
+    });
+
+    it("Should reject nonces ahead of the user's current nonce", async function () {
+      await expect(
+        registerInteraction(user1, serviceId, undefined, { nonce: 1 })
+      ).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should reject signatures over a different nonce", async function () {
+      const voucher = await ownerVouchers.issue({
+        user: user1.address,
+        serviceId,
+      });
+      const latest = await ethers.provider.getBlock("latest");
+      const deadline = latest.timestamp + 3600;
+      const { signature } = await signInteraction(user1, domain, {
+        serviceId,
+        nonce: 5,
+        deadline,
+      });
+
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .registerInteraction(
+            serviceId,
+            signature,
+            0,
+            deadline,
+            toVoucherStruct(voucher)
+          )
+      ).to.be.revertedWith("Invalid Signature");
+    });
+  });
+
+  describe("Relayed Submissions", function () {
+    const serviceId = 1;
+    let relayer;
+
+    beforeEach(async function () {
+      relayer = (await ethers.getSigners())[3];
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+    });
+
+    // Signs an interaction as `user` for the relayer to send
+    async function signRelayedInteraction(user, options) {
+      const voucher = await ownerVouchers.issue({
+        user: user.address,
+        serviceId,
+      });
+      const { nonce, deadline } = await signingParams(user, options);
+      const { signature } = await signInteraction(user, domain, {
+        serviceId,
+        nonce,
+        deadline,
+      });
+
+      return [
+        user.address,
+        serviceId,
+        signature,
+        nonce,
+        deadline,
+        toVoucherStruct(voucher),
+      ];
+    }
+
+    async function signRelayedFeedback(user, feedback_p1, feedback_p2) {
+      const interactionIndex = 0;
+      const { nonce, deadline } = await signingParams(user);
+      const { signature } = await signFeedback(user, domain, {
+        serviceId,
+        interactionIndex,
+        feedback_p1,
+        feedback_p2,
+        nonce,
+        deadline,
+      });
+
+      return [
+        user.address,
+        serviceId,
+        interactionIndex,
+        signature,
+        nonce,
+        deadline,
+        feedback_p1,
+        feedback_p2,
+      ];
+    }
+
+    it("Should record interactions and feedback sent by a relayer", async function () {
+      const balance = await user1.getBalance();
+
+      await expect(
+        privateFeedback
+          .connect(relayer)
+          .registerInteractionFor(...(await signRelayedInteraction(user1)))
+      )
+        .to.emit(privateFeedback, "InteractionRegistered")
+        .withArgs(serviceId, 1);
+      await expect(
+        privateFeedback
+          .connect(relayer)
+          .submitFeedbackFor(...(await signRelayedFeedback(user1, 9876, 5432)))
+      )
+        .to.emit(privateFeedback, "FeedbackSubmitted")
+        .withArgs(serviceId);
+
+      // The interaction and feedback are the user's, who paid no gas
+      expect(await user1.getBalance()).to.equal(balance);
+      expect(
+        await privateFeedback.connect(user1).getInteractionCount(serviceId)
+      ).to.equal(1);
+      expect(
+        await privateFeedback.connect(relayer).getInteractionCount(serviceId)
+      ).to.equal(0);
+      expect(
+        (
+          await privateFeedback.getAllFeedbacks(serviceId, await signIn(owner))
+        ).map(Number)
+      ).to.deep.equal([9876, 5432]);
+    });
+
+    it("Should credit campaign rewards to the user, not the relayer", async function () {
+      const expiry = (await time.latest()) + 3600;
+      await privateFeedback
+        .connect(owner)
+        .createRewardCampaign(serviceId, 10, 1, expiry, { value: 10 });
+
+      await privateFeedback
+        .connect(relayer)
+        .registerInteractionFor(...(await signRelayedInteraction(user1)));
+      await privateFeedback
+        .connect(relayer)
+        .submitFeedbackFor(...(await signRelayedFeedback(user1, 1, 2)));
+
+      expect(
+        await privateFeedback.connect(user1).getClaimableRewards()
+      ).to.equal(10);
+      expect(
+        await privateFeedback.connect(relayer).getClaimableRewards()
+      ).to.equal(0);
+    });
+
+    it("Should reject replayed and misattributed signatures", async function () {
+      const args = await signRelayedInteraction(user1);
+
+      // user1's signature doesn't vouch for user2
+      await expect(
+        privateFeedback
+          .connect(relayer)
+          .registerInteractionFor(user2.address, ...args.slice(1))
+      ).to.be.revertedWith("Invalid Signature");
+
+      await privateFeedback.connect(relayer).registerInteractionFor(...args);
+      await expect(
+        privateFeedback.connect(relayer).registerInteractionFor(...args)
+      ).to.be.revertedWith("Signature already used");
+
+      const signed = await signRelayedFeedback(user1, 1, 2);
+      await expect(
+        privateFeedback
+          .connect(relayer)
+          .submitFeedbackFor(user2.address, ...signed.slice(1))
+      ).to.be.revertedWith("Invalid Interaction");
+    });
+
+    it("Should not act for the zero address", async function () {
+      // ecrecover returns the zero address for signatures that don't
+      // recover, which mustn't pass for a user
+      const [, , , nonce, deadline, voucher] = await signRelayedInteraction(
+        user1
+      );
+      const invalid = ethers.utils.hexConcat([
+        ethers.constants.HashZero,
+        ethers.constants.HashZero,
+        "0x1b",
+      ]);
+
+      await expect(
+        privateFeedback
+          .connect(relayer)
+          .registerInteractionFor(
+            ethers.constants.AddressZero,
+            serviceId,
+            invalid,
+            nonce,
+            deadline,
+            voucher
+          )
+      ).to.be.revertedWith("Invalid Signature");
+      await expect(
+        privateFeedback
+          .connect(relayer)
+          .submitFeedbackFor(
+            ethers.constants.AddressZero,
+            serviceId,
+            0,
+            invalid,
+            0,
+            deadline,
+            1,
+            2
+          )
+      ).to.be.revertedWith("Invalid Signature");
+    });
+  });
+
+  describe("Signatures", function () {
+    const serviceId = 1;
+    // The order of the secp256k1 curve
+    const N = ethers.BigNumber.from(
+      "0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141"
+    );
+    let wallet;
+
+    beforeEach(async function () {
+      const MockERC1271Wallet = await ethers.getContractFactory(
+        "MockERC1271Wallet"
+      );
+      wallet = await MockERC1271Wallet.deploy(user2.address);
+      await wallet.deployed();
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+    });
+
+    // Signs an interaction of the wallet with the wallet owner's key
+    async function signWalletInteraction(signer = user2) {
+      const typedData = buildInteractionTypedData(domain, {
+        user: wallet.address,
+        serviceId,
+        ...(await signingParams(wallet)),
+      });
+      const { signature } = await signTypedData(signer, typedData);
+
+      return { ...typedData.value, signature };
+    }
+
+    async function registerWalletInteraction({ signature, nonce, deadline }) {
+      const voucher = await ownerVouchers.issue({
+        user: wallet.address,
+        serviceId,
+      });
+
+      return privateFeedback.registerInteractionFor(
+        wallet.address,
+        serviceId,
+        signature,
+        nonce,
+        deadline,
+        toVoucherStruct(voucher)
+      );
+    }
+
+    // The same signature with the other valid s, which ecrecover accepts
+    function malleate(signature) {
+      const { r, s, v } = ethers.utils.splitSignature(signature);
+      return ethers.utils.hexConcat([
+        r,
+        ethers.utils.hexZeroPad(N.sub(s).toHexString(), 32),
+        v === 27 ? "0x1c" : "0x1b",
+      ]);
+    }
+
+    it("Should accept a contract wallet's EIP-1271 signatures", async function () {
+      await expect(
+        registerWalletInteraction(await signWalletInteraction())
+      ).to.emit(privateFeedback, "InteractionRegistered");
+
+      // Hashes the wallet approved on chain, with an empty signature
+      const { nonce, deadline } = await signingParams(wallet);
+      const typedData = buildFeedbackTypedData(domain, {
+        user: wallet.address,
+        serviceId,
+        interactionIndex: 0,
+        feedback_p1: 1,
+        feedback_p2: 2,
+        nonce,
+        deadline,
+      });
+      await wallet.connect(user2).approveHash(hashTypedData(typedData));
+      await expect(
+        privateFeedback.submitFeedbackFor(
+          wallet.address,
+          serviceId,
+          0,
+          "0x",
+          nonce,
+          deadline,
+          1,
+          2
+        )
+      ).to.emit(privateFeedback, "FeedbackSubmitted");
+    });
+
+    it("Should reject signatures a contract wallet doesn't accept", async function () {
+      // Signed by an EOA that doesn't own the wallet
+      await expect(
+        registerWalletInteraction(await signWalletInteraction(user1))
+      ).to.be.revertedWith("Invalid Signature");
+    });
+
+    it("Should accept vouchers and sign-ins from contract wallets", async function () {
+      await privateFeedback
+        .connect(owner)
+        .setAttester(serviceId, wallet.address, true);
+      await privateFeedback
+        .connect(owner)
+        .setAnalyst(serviceId, wallet.address, true);
+      const walletVouchers = new VoucherIssuer(user2, {
+        chainId: domain.chainId,
+        contractAddress: privateFeedback.address,
+      });
+
+      // Vouchers name their signer, which must be an attester
+      const voucher = await walletVouchers.issue({
+        user: user1.address,
+        serviceId,
+      });
+      await expect(
+        registerInteraction(user1, serviceId, voucher)
+      ).to.be.revertedWith("Invalid voucher");
+      await registerInteraction(user1, serviceId, {
+        ...voucher,
+        signer: wallet.address,
+      });
+      await submitFeedback(user1, serviceId, 9876, 5432);
+
+      const typedData = buildSignInTypedData(domain, {
+        user: wallet.address,
+        expiry: (await ethers.provider.getBlock("latest")).timestamp + 3600,
+      });
+      const { signature } = await signTypedData(user2, typedData);
+      const signIn = { ...typedData.value, signature };
+      expect(
+        await privateFeedback.getAllFeedbacks(serviceId, signIn)
+      ).to.deep.equal([
+        ethers.BigNumber.from(9876),
+        ethers.BigNumber.from(5432),
+      ]);
+    });
+
+    it("Should reject malleable ECDSA signatures", async function () {
+      const voucher = await ownerVouchers.issue({
+        user: user1.address,
+        serviceId,
+      });
+      const { nonce, deadline } = await signingParams(user1);
+      const { signature } = await signInteraction(user1, domain, {
+        serviceId,
+        nonce,
+        deadline,
+      });
+
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .registerInteraction(
+            serviceId,
+            malleate(signature),
+            nonce,
+            deadline,
+            toVoucherStruct(voucher)
+          )
+      ).to.be.revertedWith("Invalid Signature");
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .registerInteraction(serviceId, signature, nonce, deadline, {
+            ...toVoucherStruct(voucher),
+            signature: malleate(voucher.signature),
+          })
+      ).to.be.revertedWith("Invalid voucher");
+      await expect(
+        privateFeedback.getAllFeedbacks(serviceId, {
+          ...(await signIn(owner)),
+          signature: malleate((await signIn(owner)).signature),
+        })
+      ).to.be.revertedWith("Invalid sign-in");
+    });
+
+    it("Should reject malformed ECDSA signatures", async function () {
+      const voucher = toVoucherStruct(
+        await ownerVouchers.issue({ user: user1.address, serviceId })
+      );
+      const { nonce, deadline } = await signingParams(user1);
+      const { signature, v, r, s } = await signInteraction(user1, domain, {
+        serviceId,
+        nonce,
+        deadline,
+      });
+      const register = (sig) =>
+        privateFeedback
+          .connect(user1)
+          .registerInteraction(serviceId, sig, nonce, deadline, voucher);
+
+      // A v of 0 or 1 rather than 27 or 28
+      await expect(
+        register(ethers.utils.hexConcat([r, s, [v - 27]]))
+      ).to.be.revertedWith("Invalid Signature");
+      // The 64-byte EIP-2098 form
+      await expect(
+        register(ethers.utils.splitSignature(signature).compact)
+      ).to.be.revertedWith("Invalid Signature");
+      await expect(
+        register(ethers.utils.hexConcat([signature, "0x00"]))
+      ).to.be.revertedWith("Invalid Signature");
+
+      await expect(register(signature)).to.emit(
+        privateFeedback,
+        "InteractionRegistered"
+      );
+    });
+  });
+
+  describe("Multicall", function () {
+    const call = (method, ...args) =>
+      privateFeedback.interface.encodeFunctionData(method, args);
+
+    it("Should run a batch of calls as the sender", async function () {
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .multicall([
+            call("registerService", 1, 2),
+            call("registerService", 3, 4),
+            call("updateServiceMetadata", 1, 5, 6),
+          ])
+      )
+        .to.emit(privateFeedback, "ServiceRegistered")
+        .withArgs(user1.address, 2)
+        .and.to.emit(privateFeedback, "ServiceMetadataUpdated")
+        .withArgs(1);
+
+      expect(
+        await privateFeedback.getServiceIdsByOwner(user1.address)
+      ).to.deep.equal([ethers.BigNumber.from(1), ethers.BigNumber.from(2)]);
+      const metadata = await privateFeedback.getServiceMetadata(1);
+      expect(metadata.map(Number)).to.deep.equal([5, 6]);
+    });
+
+    it("Should revert the whole batch when a call fails", async function () {
+      await privateFeedback.connect(owner).registerService(1, 2);
+
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .multicall([call("registerService", 3, 4), call("pauseService", 1)])
+      ).to.be.revertedWith(
+        "Only service owner or admins can manage the service"
+      );
+      expect(
+        await privateFeedback.getServiceCountByOwner(user1.address)
+      ).to.equal(0);
+    });
+
+    it("Should skip the calls that fail with tryMulticall", async function () {
+      await privateFeedback.connect(owner).registerService(1, 2);
+      // The revert data of require(false, reason)
+      const reason = ethers.utils.hexConcat([
+        ethers.utils.id("Error(string)").slice(0, 10),
+        ethers.utils.defaultAbiCoder.encode(
+          ["string"],
+          ["Only service owner or admins can manage the service"]
+        ),
+      ]);
+
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .tryMulticall([
+            call("registerService", 3, 4),
+            call("pauseService", 1),
+            call("pauseService", 2),
+          ])
+      )
+        .to.emit(privateFeedback, "CallFailed")
+        .withArgs(1, reason)
+        .and.to.emit(privateFeedback, "ServicePaused")
+        .withArgs(2);
+
+      expect(await privateFeedback.getServiceStatus(1)).to.equal(0);
+      expect(await privateFeedback.getServiceStatus(2)).to.equal(1);
+      const [successes] = await privateFeedback
+        .connect(user1)
+        .callStatic.tryMulticall([
+          call("resumeService", 2),
+          call("resumeService", 1),
+        ]);
+      expect(successes).to.deep.equal([true, false]);
+    });
+
+    it("Should not accept ETH", async function () {
+      await privateFeedback.connect(owner).registerService(1, 2);
+
+      await expect(
+        owner.sendTransaction({
+          to: privateFeedback.address,
+          data: privateFeedback.interface.encodeFunctionData("multicall", [
+            [call("rewardUsersForFeedback", 1, 100)],
+          ]),
+          value: 100,
+        })
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Reward Distribution", function () {
+    beforeEach(async function () {
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+    });
+
+    it("Should distribute rewards to users who provided feedback", async function () {
+      const serviceId = 1;
+
+      // Register interaction and submit feedback for user1
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+
+      // Distribute rewards, which are credited to user1
+      const rewardAmount = ethers.utils.parseEther("0.1");
+
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .rewardUsersForFeedback(serviceId, rewardAmount, {
+            value: rewardAmount,
+          })
+      ).to.changeEtherBalance(user1, 0);
+      expect(
+        await privateFeedback.connect(user1).getClaimableRewards()
+      ).to.equal(rewardAmount);
+
+      // user1 then claims them
+      await expect(
+        privateFeedback.connect(user1).claimRewards()
+      ).to.changeEtherBalances(
+        [user1, privateFeedback],
+        [rewardAmount, rewardAmount.mul(-1)]
+      );
+      expect(
+        await privateFeedback.connect(user1).getClaimableRewards()
+      ).to.equal(0);
+    });
+
+    it("Should revert if insufficient funds are provided", async function () {
+      const serviceId = 1;
+      const rewardAmount = ethers.utils.parseEther("0.1");
+
+      // Register interaction and submit feedback for user1
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .rewardUsersForFeedback(serviceId, rewardAmount, {
+            value: ethers.utils.parseEther("0.05"), // Providing less than the specified reward amount
+          })
+      ).to.be.revertedWith("Insufficient funds");
+    });
+
+    it("Should credit the ETH sent beyond the rewards back to the owner", async function () {
+      const serviceId = 1;
+      const rewardAmount = ethers.utils.parseEther("0.1");
+
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+
+      await privateFeedback
+        .connect(owner)
+        .rewardUsersForFeedback(serviceId, rewardAmount, {
+          value: ethers.utils.parseEther("0.25"),
+        });
+
+      expect(
+        await privateFeedback.connect(owner).getClaimableRewards()
+      ).to.equal(ethers.utils.parseEther("0.15"));
+      await expect(
+        privateFeedback.connect(owner).claimRewards()
+      ).to.changeEtherBalance(
+        privateFeedback,
+        ethers.utils.parseEther("-0.15")
+      );
+    });
+
+    it("Should only let the service owner and treasurers distribute rewards", async function () {
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .rewardUsersForFeedback(1, 1, { value: 1 })
+      ).to.be.revertedWith(
+        "Only service owner or treasurers can distribute rewards"
+      );
+    });
+
+    it("Should reward a range of interactions", async function () {
+      const serviceId = 1;
+
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+      await registerInteraction(user2, serviceId);
+      await submitFeedback(user2, serviceId, 9876, 5432);
+
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .rewardUsersForFeedbackRange(serviceId, 100, 1, 2, { value: 100 })
+      )
+        .to.emit(privateFeedback, "RewardPaid")
+        .withArgs(serviceId, ethers.constants.AddressZero, 100, 1);
+
+      expect(
+        await privateFeedback.connect(user1).getClaimableRewards()
+      ).to.equal(0);
+      expect(
+        await privateFeedback.connect(user2).getClaimableRewards()
+      ).to.equal(100);
+
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .rewardUsersForFeedbackRange(serviceId, 100, 1, 3, { value: 100 })
+      ).to.be.revertedWith("Invalid range");
+    });
+
+    it("Should reject claims without rewards", async function () {
+      await expect(
+        privateFeedback.connect(user1).claimRewards()
+      ).to.be.revertedWith("No rewards to claim");
+    });
+
+    it("Should not let a reverting recipient block other rewards", async function () {
+      const serviceId = 1;
+      const rewardAmount = ethers.utils.parseEther("0.1");
+
+      // A fresh account, so that the code set below doesn't leak into other
+      // tests
+      const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+      await owner.sendTransaction({
+        to: wallet.address,
+        value: ethers.utils.parseEther("1"),
+      });
+
+      await registerInteraction(wallet, serviceId);
+      await submitFeedback(wallet, serviceId, 9876, 5432);
+      await registerInteraction(user2, serviceId);
+      await submitFeedback(user2, serviceId, 9876, 5432);
+
+      // The account turns into a contract wallet that rejects ETH
+      const RevertingReceiver = await ethers.getContractFactory(
+        "RevertingReceiver"
+      );
+      const receiver = await RevertingReceiver.deploy();
+      await ethers.provider.send("hardhat_setCode", [
+        wallet.address,
+        await ethers.provider.getCode(receiver.address),
+      ]);
+
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .rewardUsersForFeedback(serviceId, rewardAmount, {
+            value: rewardAmount.mul(2),
+          })
+      ).to.not.be.reverted;
+
+      await expect(
+        privateFeedback.connect(user2).claimRewards()
+      ).to.changeEtherBalance(user2, rewardAmount);
+
+      await expect(
+        privateFeedback.connect(wallet).claimRewards()
+      ).to.be.revertedWith("Transfer failed");
+      expect(
+        await privateFeedback.connect(wallet).getClaimableRewards()
+      ).to.equal(rewardAmount);
+    });
+  });
+
+  describe("Token Rewards", function () {
+    const serviceId = 1;
+    const rewardAmount = 100;
+    let token;
+
+    // MockERC20.Behaviour
+    const NoReturnValue = 1;
+    const ReturnsFalse = 2;
+    const TransferFee = 3;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Loyalty", "LOY");
+      await token.mint(owner.address, 10000);
+      await token.approve(privateFeedback.address, 10000);
+
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+      await registerInteraction(user1, serviceId);
+      await submitFeedback(user1, serviceId, 9876, 5432);
+      await registerInteraction(user2, serviceId);
+      await submitFeedback(user2, serviceId, 9876, 5432);
+    });
+
+    function reward(options = {}) {
+      return privateFeedback
+        .connect(owner)
+        .rewardUsersForFeedbackWithToken(
+          serviceId,
+          token.address,
+          rewardAmount,
+          options
+        );
+    }
+
+    it("Should credit and pay token rewards", async function () {
+      await expect(reward())
+        .to.emit(privateFeedback, "RewardPaid")
+        .withArgs(serviceId, token.address, rewardAmount, 2)
+        .and.to.changeTokenBalances(
+          token,
+          [owner, privateFeedback],
+          [-2 * rewardAmount, 2 * rewardAmount]
+        );
+
+      expect(
+        await privateFeedback
+          .connect(user1)
+          .getClaimableTokenRewards(token.address)
+      ).to.equal(rewardAmount);
+
+      await expect(
+        privateFeedback.connect(user1).claimTokenRewards(token.address)
+      ).to.changeTokenBalance(token, user1, rewardAmount);
+      await expect(
+        privateFeedback.connect(user1).claimTokenRewards(token.address)
+      ).to.be.revertedWith("No rewards to claim");
+    });
+
+    it("Should keep rewards in each asset apart", async function () {
+      await reward();
+      await privateFeedback
+        .connect(owner)
+        .rewardUsersForFeedback(serviceId, 5, { value: 10 });
+
+      const [assets, amounts] = await privateFeedback
+        .connect(user1)
+        .getRewardBalances();
+      expect(assets).to.deep.equal([
+        token.address,
+        ethers.constants.AddressZero,
+      ]);
+      expect(amounts.map(Number)).to.deep.equal([rewardAmount, 5]);
+
+      await privateFeedback.connect(user1).claimRewards();
+      expect(
+        await privateFeedback
+          .connect(user1)
+          .getClaimableTokenRewards(token.address)
+      ).to.equal(rewardAmount);
+    });
+
+    it("Should reward a range of interactions in tokens", async function () {
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .rewardUsersForFeedbackWithTokenRange(
+            serviceId,
+            token.address,
+            rewardAmount,
+            0,
+            1
+          )
+      ).to.changeTokenBalance(token, owner, -rewardAmount);
+
+      expect(
+        await privateFeedback
+          .connect(user2)
+          .getClaimableTokenRewards(token.address)
+      ).to.equal(0);
+    });
+
+    it("Should accept tokens that don't return a value", async function () {
+      await token.setBehaviour(NoReturnValue);
+
+      await expect(reward()).to.changeTokenBalance(
+        token,
+        privateFeedback,
+        2 * rewardAmount
+      );
+      await expect(
+        privateFeedback.connect(user1).claimTokenRewards(token.address)
+      ).to.changeTokenBalance(token, user1, rewardAmount);
+    });
+
+    it("Should reject tokens that return false", async function () {
+      await token.setBehaviour(ReturnsFalse);
+
+      await expect(reward()).to.be.revertedWith("Token transfer failed");
+    });
+
+    it("Should reject tokens that take a fee on transfer", async function () {
+      await token.setBehaviour(TransferFee);
+
+      await expect(reward()).to.be.revertedWith(
+        "Token transfer fees not supported"
+      );
+    });
+
+    it("Should require an allowance for the rewards", async function () {
+      await token.approve(privateFeedback.address, rewardAmount);
+
+      await expect(reward()).to.be.revertedWith("Token transfer failed");
+    });
+
+    it("Should reject addresses that aren't contracts", async function () {
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .rewardUsersForFeedbackWithToken(serviceId, user2.address, 1)
+      ).to.be.revertedWith("Invalid token");
+    });
+
+    it("Should only let the service owner and treasurers distribute token rewards", async function () {
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .rewardUsersForFeedbackWithToken(serviceId, token.address, 1)
+      ).to.be.revertedWith(
+        "Only service owner or treasurers can distribute rewards"
+      );
+    });
+  });
+
+  describe("Reward Campaigns", function () {
+    const serviceId = 1;
+    const rewardAmount = 10;
+    let expiry;
+
+    beforeEach(async function () {
+      await privateFeedback.connect(owner).registerService(12345, 67890);
+      expiry = (await time.latest()) + 3600;
+    });
+
+    function createCampaign(maxRewards, options = {}) {
+      return privateFeedback
+        .connect(owner)
+        .createRewardCampaign(serviceId, rewardAmount, maxRewards, expiry, {
+          value: rewardAmount * maxRewards,
+          ...options,
+        });
+    }
+
+    async function leaveFeedback(user) {
+      await registerInteraction(user, serviceId);
+      return submitFeedback(user, serviceId, 9876, 5432);
+    }
+
+    it("Should escrow the budget and report the campaign", async function () {
+      await expect(createCampaign(2))
+        .to.emit(privateFeedback, "RewardCampaignCreated")
+        .withArgs(
+          serviceId,
+          1,
+          ethers.constants.AddressZero,
+          rewardAmount,
+          2,
+          expiry
+        )
+        .and.to.changeEtherBalance(privateFeedback, 2 * rewardAmount);
+
+      expect(await privateFeedback.getActiveCampaignId(serviceId)).to.equal(1);
+      expect(
+        await privateFeedback.getServiceCampaignIds(serviceId)
+      ).to.deep.equal([ethers.BigNumber.from(1)]);
+      const campaign = await privateFeedback.getRewardCampaign(1);
+      expect(campaign.funder).to.equal(owner.address);
+      expect(campaign.maxRewards).to.equal(2);
+      expect(campaign.rewarded).to.equal(0);
+    });
+
+    it("Should credit new feedback automatically, once per reviewer", async function () {
+      await createCampaign(5);
+
+      await expect(leaveFeedback(user1))
+        .to.emit(privateFeedback, "RewardPaid")
+        .withArgs(serviceId, ethers.constants.AddressZero, rewardAmount, 1);
+      // A second interaction and an update don't earn another reward
+      await leaveFeedback(user1);
+      await submitFeedback(user1, serviceId, 1, 2);
+
+      expect(
+        await privateFeedback.connect(user1).getClaimableRewards()
+      ).to.equal(rewardAmount);
+      expect((await privateFeedback.getRewardCampaign(1)).rewarded).to.equal(1);
+    });
+
+    it("Should stop rewarding once the budget is spent", async function () {
+      await createCampaign(1);
+
+      await leaveFeedback(user1);
+      await expect(leaveFeedback(user2)).not.to.emit(
+        privateFeedback,
+        "RewardPaid"
+      );
+
+      expect(
+        await privateFeedback.connect(user2).getClaimableRewards()
+      ).to.equal(0);
+      expect(await privateFeedback.getActiveCampaignId(serviceId)).to.equal(0);
+    });
+
+    it("Should stop rewarding after the expiry", async function () {
+      await createCampaign(2);
+      await time.increaseTo(expiry + 1);
+
+      await expect(leaveFeedback(user1)).not.to.emit(
+        privateFeedback,
+        "RewardPaid"
+      );
+    });
+
+    it("Should let the funder reclaim the unspent budget after the expiry", async function () {
+      await createCampaign(3);
+      await leaveFeedback(user1);
+
+      await expect(
+        privateFeedback.connect(owner).reclaimRewardCampaign(1)
+      ).to.be.revertedWith("Campaign still running");
+
+      await time.increaseTo(expiry + 1);
+      await expect(
+        privateFeedback.connect(user1).reclaimRewardCampaign(1)
+      ).to.be.revertedWith("Only the campaign funder can reclaim it");
+      await expect(privateFeedback.connect(owner).reclaimRewardCampaign(1))
+        .to.emit(privateFeedback, "RewardCampaignReclaimed")
+        .withArgs(serviceId, 1, 2 * rewardAmount);
+      await expect(
+        privateFeedback.connect(owner).reclaimRewardCampaign(1)
+      ).to.be.revertedWith("Campaign already reclaimed");
+
+      expect(
+        await privateFeedback.connect(owner).getClaimableRewards()
+      ).to.equal(2 * rewardAmount);
+    });
+
+    it("Should run one campaign at a time", async function () {
+      await createCampaign(1);
+      await expect(createCampaign(1)).to.be.revertedWith(
+        "A campaign is already running"
+      );
+
+      // Spending the budget ends the campaign
+      await leaveFeedback(user1);
+      await createCampaign(1);
+      await leaveFeedback(user2);
+
+      expect(
+        await privateFeedback.connect(user2).getClaimableRewards()
+      ).to.equal(rewardAmount);
+    });
+
+    it("Should validate campaigns", async function () {
+      await expect(
+        privateFeedback
+          .connect(user1)
+          .createRewardCampaign(serviceId, rewardAmount, 1, expiry, {
+            value: rewardAmount,
+          })
+      ).to.be.revertedWith(
+        "Only service owner or treasurers can create campaigns"
+      );
+      await expect(createCampaign(0)).to.be.revertedWith(
+        "Invalid campaign budget"
+      );
+      await expect(
+        createCampaign(1, { value: rewardAmount - 1 })
+      ).to.be.revertedWith("Insufficient funds");
+
+      expiry = await time.latest();
+      await expect(createCampaign(1)).to.be.revertedWith(
+        "Invalid campaign expiry"
+      );
+    });
+
+    it("Should escrow and pay token budgets", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Loyalty", "LOY");
+      await token.mint(owner.address, 1000);
+      await token.approve(privateFeedback.address, 1000);
+
+      await expect(
+        privateFeedback
+          .connect(owner)
+          .createTokenRewardCampaign(
+            serviceId,
+            token.address,
+            rewardAmount,
+            4,
+            expiry
+          )
+      ).to.changeTokenBalance(token, privateFeedback, 4 * rewardAmount);
+      await leaveFeedback(user1);
+
+      await expect(
+        privateFeedback.connect(user1).claimTokenRewards(token.address)
+      ).to.changeTokenBalance(token, user1, rewardAmount);
     });
   });
 });
@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { PrivateFeedbackClient } = require("../sdk");
+const { SponsorshipPolicy, createRelayerServer } = require("../relayer");
+const { deployPrivateFeedback } = require("../tasks/deployments");
+
+describe("Relayer", function () {
+  let privateFeedback, owner, user1, user2, relayer;
+  let ownerClient, userClient, server, relayerUrl, logs;
+
+  beforeEach(async function () {
+    [owner, user1, user2, relayer] = await ethers.getSigners();
+
+    ({ contract: privateFeedback } = await deployPrivateFeedback(ethers));
+
+    ownerClient = new PrivateFeedbackClient(privateFeedback.address, owner);
+    // Services 1 and 2
+    await ownerClient.registerService({ name: "Shop" });
+    await ownerClient.registerService({ name: "Other shop" });
+
+    logs = [];
+    server = createRelayerServer({
+      client: ownerClient.connect(relayer),
+      policy: new SponsorshipPolicy({
+        services: {
+          1: { userDailyLimit: 2 },
+          2: { interactions: false, contests: false, followUps: false },
+        },
+      }),
+      log: (message) => logs.push(message),
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    relayerUrl = `http://127.0.0.1:${server.address().port}`;
+
+    userClient = new PrivateFeedbackClient(privateFeedback.address, user1, {
+      relayer: relayerUrl,
+    });
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  function issueVoucher(user, serviceId) {
+    return ownerClient.issueVoucher(user.address, serviceId);
+  }
+
+  it("Should send interactions and feedback for the user", async function () {
+    const balance = await user1.getBalance();
+
+    const { transactionHash } = await userClient.relayInteraction(
+      1,
+      await issueVoucher(user1, 1)
+    );
+    await userClient.relayFeedback(1, { rating: 5, text: "Great" });
+
+    // The relayer paid for both
+    const tx = await ethers.provider.getTransaction(transactionHash);
+    expect(tx.from).to.equal(relayer.address);
+    expect(await user1.getBalance()).to.equal(balance);
+
+    expect((await userClient.getInteractionCount(1)).toNumber()).to.equal(1);
+    await ownerClient.signIn();
+    const [feedback] = await ownerClient.getFeedbacks(1);
+    expect(feedback.decoded.text).to.equal("Great");
+
+    // The log doesn't name the user
+    expect(logs).to.have.length(2);
+    expect(logs.join()).to.not.include(user1.address);
+  });
+
+  it("Should apply the sponsoring policy", async function () {
+    await expect(
+      userClient.relayInteraction(2, await issueVoucher(user1, 2))
+    ).to.be.rejectedWith("Interactions with service 2 aren't sponsored");
+    await expect(
+      userClient.relayInteraction(3, await issueVoucher(user1, 3))
+    ).to.be.rejectedWith("Service 3 isn't sponsored");
+
+    await userClient.relayInteraction(1, await issueVoucher(user1, 1));
+    await userClient.relayFeedback(1, [1, 2]);
+    await expect(userClient.relayFeedback(1, [3, 4])).to.be.rejectedWith(
+      "You reached your daily limit for this service"
+    );
+
+    // Other users have their own limit
+    await userClient
+      .connect(user2)
+      .relayInteraction(1, await issueVoucher(user2, 1));
+  });
+
+  it("Should contest flags for the user", async function () {
+    await userClient.recordInteraction(1, await issueVoucher(user1, 1));
+    await userClient.submitFeedback(1, { rating: 1 });
+    await ownerClient.flagFeedback(1, 0, "spam");
+    const balance = await user1.getBalance();
+
+    await userClient.relayContestFlag(1);
+    expect(await user1.getBalance()).to.equal(balance);
+    await userClient.signIn();
+    expect((await userClient.getReviewerFlag(1)).status).to.equal("contested");
+    expect(logs.join()).to.not.include(user1.address);
+
+    await expect(
+      userClient.relayContestFlag(2, { interactionIndex: 0 })
+    ).to.be.rejectedWith("Contesting flags of service 2 isn't sponsored");
+  });
+
+  it("Should send follow-ups for the user", async function () {
+    await userClient.recordInteraction(1, await issueVoucher(user1, 1));
+    await userClient.submitFeedback(1, { rating: 4 });
+    await ownerClient.replyToFeedback(1, 0, { text: "Thank you" });
+    const balance = await user1.getBalance();
+
+    await userClient.relayFollowUp(1, { text: "You're welcome" });
+    expect(await user1.getBalance()).to.equal(balance);
+    await userClient.signIn();
+    const { followUp } = await userClient.getReviewerThread(1);
+    expect(followUp.text).to.equal("You're welcome");
+    expect(logs.join()).to.not.include(user1.address);
+
+    await expect(
+      userClient.relayFollowUp(2, { text: "Hi" }, { interactionIndex: 0 })
+    ).to.be.rejectedWith("Follow-ups to service 2 aren't sponsored");
+  });
+
+  it("Should refuse requests the contract would reject", async function () {
+    const request = await userClient.signInteractionRequest(
+      1,
+      await issueVoucher(user1, 1)
+    );
+    const post = (body) =>
+      fetch(`${relayerUrl}/relay`, { method: "POST", body });
+
+    let response = await post(
+      JSON.stringify({ ...request, user: user2.address })
+    );
+    expect(response.status).to.equal(400);
+    expect(await response.json()).to.deep.equal({ error: "Invalid Signature" });
+
+    await post(JSON.stringify(request));
+    response = await post(JSON.stringify(request));
+    expect(await response.json()).to.deep.equal({
+      error: "Signature already used",
+    });
+
+    response = await post("{");
+    expect(response.status).to.equal(400);
+    expect(await response.json()).to.deep.equal({ error: "Invalid JSON" });
+
+    // Only the interaction was sent
+    expect(logs).to.have.length(1);
+  });
+
+  it("Should only take service ids in decimal", async function () {
+    const request = await userClient.signInteractionRequest(
+      1,
+      await issueVoucher(user1, 1)
+    );
+    const post = (body) =>
+      fetch(`${relayerUrl}/relay`, {
+        method: "POST",
+        body: JSON.stringify(body),
+      });
+
+    // The contract reads them as service 1, which would dodge its limit
+    for (const serviceId of ["0x1", "01", "0x01"]) {
+      const response = await post({ ...request, serviceId });
+      expect(response.status).to.equal(400);
+      expect((await response.json()).error).to.include(
+        `serviceId must be a decimal number, not ${serviceId}`
+      );
+    }
+    expect(logs).to.be.empty;
+
+    // and the policy counts aliases as the same service
+    const policy = new SponsorshipPolicy({
+      services: { "02": { userDailyLimit: 1 }, "*": { feedback: false } },
+    });
+    const feedback = { type: "feedback", serviceId: "2", user: user1.address };
+    expect(policy.check(feedback)).to.equal(undefined);
+    policy.record({ ...feedback, serviceId: "0x2" });
+    for (const serviceId of ["2", "02", "0x2", 2]) {
+      expect(policy.check({ ...feedback, serviceId })).to.equal(
+        "You reached your daily limit for this service"
+      );
+    }
+    expect(policy.rulesFor("0x03").feedback).to.equal(false);
+  });
+
+  it("Should send relay requests in batches", async function () {
+    const interaction = await userClient.signInteractionRequest(
+      1,
+      await issueVoucher(user1, 1)
+    );
+    const other = await userClient
+      .connect(user2)
+      .signInteractionRequest(1, await issueVoucher(user2, 1));
+    const relayerClient = ownerClient.connect(relayer);
+
+    const { receipts, failures } = await relayerClient.sendRelayRequests([
+      interaction,
+      interaction,
+      other,
+    ]);
+    expect(receipts).to.have.length(1);
+    expect(failures).to.deep.equal([
+      { index: 1, reason: "Signature already used" },
+    ]);
+    expect((await userClient.getInteractionCount(1)).toNumber()).to.equal(1);
+  });
+
+  it("Should tell which services are sponsored", async function () {
+    const service = async (id) =>
+      (await fetch(`${relayerUrl}/services/${id}`)).json();
+
+    expect(await service(1)).to.deep.equal({
+      sponsored: true,
+      interactions: true,
+      feedback: true,
+      contests: true,
+      followUps: true,
+    });
+    expect(await service(2)).to.deep.equal({
+      sponsored: true,
+      interactions: false,
+      feedback: true,
+      contests: false,
+      followUps: false,
+    });
+    expect((await service(3)).sponsored).to.equal(false);
+    expect(await userClient.getSponsorship(2)).to.deep.equal(await service(2));
+  });
+
+  it("Should count usage per day", function () {
+    const policy = new SponsorshipPolicy({
+      services: { "*": { dailyLimit: 1 } },
+    });
+    const request = { type: "feedback", serviceId: "7", user: user1.address };
+    const day = 24 * 60 * 60;
+
+    expect(policy.check(request, day)).to.equal(undefined);
+    policy.record(request, day);
+    expect(policy.check(request, day + 1)).to.equal(
+      "Service 7 reached its daily limit"
+    );
+    expect(policy.check(request, 2 * day)).to.equal(undefined);
+  });
+});
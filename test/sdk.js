@@ -0,0 +1,976 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const {
+  ETH_ASSET,
+  PRIVATE_FEEDBACK_ABI,
+  PrivateFeedbackClient,
+  buildDomain,
+  buildInteractionTypedData,
+  buildSignInTypedData,
+  createSnapshot,
+  decodeFeedback,
+  decodeReply,
+  decodeServiceMetadata,
+  encodeFeedback,
+  encodeReply,
+  encodeServiceMetadata,
+  hashTypedData,
+  packSignature,
+  recoverTypedDataSigner,
+  relayRequestCall,
+  signTypedData,
+  syncSnapshot,
+  verifyTypedDataSignature,
+  verifySnapshot,
+  verifyVoucher,
+  VoucherIssuer,
+} = require("../sdk");
+const {
+  deployPrivateFeedback,
+  readPrivateFeedbackAbi,
+} = require("../tasks/deployments");
+
+describe("PrivateFeedback SDK", function () {
+  let privateFeedback, owner, user1, user2;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    ({ contract: privateFeedback } = await deployPrivateFeedback(ethers));
+  });
+
+  describe("ABI", function () {
+    it("Should only reference members of the compiled contract", async function () {
+      const compiled = new ethers.utils.Interface(
+        await readPrivateFeedbackAbi(artifacts)
+      );
+      const sdk = new ethers.utils.Interface(PRIVATE_FEEDBACK_ABI);
+
+      for (const fragment of sdk.fragments) {
+        const signature = fragment.format(ethers.utils.FormatTypes.full);
+        const match = compiled.fragments.find(
+          (candidate) =>
+            candidate.format(ethers.utils.FormatTypes.full) === signature
+        );
+        expect(match, signature).to.not.be.undefined;
+      }
+    });
+  });
+
+  describe("Offline helpers", function () {
+    it("Should sign and verify typed data without a contract", async function () {
+      const domain = buildDomain(31337, privateFeedback.address);
+      const typedData = buildInteractionTypedData(domain, {
+        user: user1.address,
+        serviceId: 1,
+        nonce: 0,
+        deadline: 1700000000,
+      });
+
+      const { signature, v, r, s } = await signTypedData(user1, typedData);
+
+      expect(recoverTypedDataSigner(typedData, signature)).to.equal(
+        user1.address
+      );
+      expect(verifyTypedDataSignature(typedData, { v, r, s }, user1.address)).to
+        .be.true;
+      expect(verifyTypedDataSignature(typedData, signature, user2.address)).to
+        .be.false;
+      expect(hashTypedData(typedData)).to.equal(
+        ethers.utils._TypedDataEncoder.hash(
+          typedData.domain,
+          typedData.types,
+          typedData.value
+        )
+      );
+    });
+
+    it("Should pack signatures into the bytes the contract takes", async function () {
+      const typedData = buildSignInTypedData(
+        buildDomain(31337, privateFeedback.address),
+        { user: user1.address, expiry: 1700000000 }
+      );
+      const { signature, v, r, s } = await signTypedData(user1, typedData);
+      const { compact } = ethers.utils.splitSignature(signature);
+
+      expect(packSignature(signature)).to.equal(signature);
+      expect(packSignature({ v, r, s })).to.equal(signature);
+      expect(packSignature({ signature })).to.equal(signature);
+      expect(packSignature({ v: v - 27, r, s })).to.equal(signature);
+      expect(packSignature(ethers.utils.splitSignature(compact))).to.equal(
+        signature
+      );
+      const unnormalized = ethers.utils.hexConcat([r, s, [v - 27]]);
+      expect(packSignature(unnormalized)).to.equal(signature);
+      expect(packSignature(compact)).to.equal(signature);
+
+      // A contract wallet's signature is passed as it is for the wallet to
+      // check, even if the contract would reject it from an EOA
+      expect(packSignature(unnormalized, { contractWallet: true })).to.equal(
+        unnormalized
+      );
+      expect(
+        packSignature({ signature: compact, contractWallet: true })
+      ).to.equal(compact);
+      expect(packSignature("0x")).to.equal("0x");
+      expect(packSignature(signature + "00")).to.equal(signature + "00");
+      expect(() => packSignature("signature")).to.throw("Invalid signature");
+
+      // The contract rejects the higher of the two valid s values
+      const n = ethers.BigNumber.from(
+        "0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141"
+      );
+      const malleable = { r, s: n.sub(s).toHexString(), v: v === 27 ? 28 : 27 };
+      expect(verifyTypedDataSignature(typedData, malleable, user1.address)).to
+        .be.false;
+    });
+
+    it("Should relay a contract wallet's 65-byte approved-hash signature", async function () {
+      const MockERC1271Wallet = await ethers.getContractFactory(
+        "MockERC1271Wallet"
+      );
+      const wallet = await MockERC1271Wallet.deploy(user2.address);
+      await wallet.deployed();
+      await privateFeedback.registerService(12345, 67890);
+      const domain = buildDomain(31337, privateFeedback.address);
+
+      const typedData = buildInteractionTypedData(domain, {
+        user: wallet.address,
+        serviceId: 1,
+        nonce: await privateFeedback.nonces(wallet.address),
+        deadline: (await ethers.provider.getBlock("latest")).timestamp + 3600,
+      });
+      await wallet.connect(user2).approveHash(hashTypedData(typedData));
+      // Safe's approved-hash signature: the owner as r, and a v of 1
+      const signature = ethers.utils.hexConcat([
+        ethers.utils.hexZeroPad(user2.address, 32),
+        ethers.constants.HashZero,
+        "0x01",
+      ]);
+      const voucher = await new VoucherIssuer(owner, {
+        chainId: 31337,
+        contractAddress: privateFeedback.address,
+      }).issue({ user: wallet.address, serviceId: 1 });
+
+      const request = { type: "interaction", ...typedData.value, signature };
+      // Taken for an EOA's signature, its v would be normalized to 28
+      expect(relayRequestCall({ ...request, voucher }).args[2]).to.not.equal(
+        signature
+      );
+
+      const { method, args } = relayRequestCall({
+        ...request,
+        contractWallet: true,
+        voucher,
+      });
+      expect(args[2]).to.equal(signature);
+      await expect(privateFeedback.connect(user1)[method](...args)).to.emit(
+        privateFeedback,
+        "InteractionRegistered"
+      );
+    });
+
+    it("Should round-trip service metadata", function () {
+      const [metadata_p1, metadata_p2] = encodeServiceMetadata({
+        name: "Coffee shop",
+        description: "Main street",
+      });
+
+      expect(decodeServiceMetadata(metadata_p1, metadata_p2)).to.deep.equal({
+        name: "Coffee shop",
+        description: "Main street",
+      });
+      expect(decodeServiceMetadata(12345, 0)).to.deep.equal({
+        name: "12345",
+        description: "",
+      });
+    });
+  });
+
+  describe("Feedback encoding", function () {
+    it("Should round-trip structured feedback", function () {
+      const feedback = {
+        rating: 4,
+        scores: { quality: 5, speed: 2 },
+        tags: ["friendly", "recommended", "tag63"],
+        text: "Great coffee ☕",
+      };
+
+      const [p1, p2] = encodeFeedback(feedback);
+
+      expect(decodeFeedback(p1, p2)).to.deep.equal({ version: 1, ...feedback });
+    });
+
+    it("Should pack fields at their documented offsets", function () {
+      const contentHash = ethers.utils.keccak256(
+        ethers.utils.toUtf8Bytes("A longer review")
+      );
+      const [p1, p2] = encodeFeedback({
+        rating: 3,
+        scores: { value: 4 },
+        tags: ["fast"],
+        contentHash,
+      });
+
+      expect(p1).to.equal(
+        ethers.BigNumber.from(1)
+          .or(ethers.BigNumber.from(3).shl(8))
+          .or(ethers.BigNumber.from(4).shl(24))
+          .or(ethers.BigNumber.from(1).shl(49))
+          .or(ethers.BigNumber.from(2).shl(112))
+      );
+      expect(p2).to.equal(contentHash);
+      expect(decodeFeedback(p1, p2).contentHash).to.equal(contentHash);
+    });
+
+    it("Should reject out-of-range values", function () {
+      expect(() => encodeFeedback({})).to.throw("rating");
+      expect(() => encodeFeedback({ rating: 0 })).to.throw("rating");
+      expect(() => encodeFeedback({ rating: 6 })).to.throw("rating");
+      expect(() => encodeFeedback({ rating: 2.5 })).to.throw("rating");
+      expect(() =>
+        encodeFeedback({ rating: 5, scores: { quality: 9 } })
+      ).to.throw("quality score");
+      expect(() =>
+        encodeFeedback({ rating: 5, scores: { taste: 1 } })
+      ).to.throw("Unknown feedback category");
+      expect(() => encodeFeedback({ rating: 5, tags: ["tag64"] })).to.throw(
+        "Unknown feedback tag"
+      );
+      expect(() =>
+        encodeFeedback({ rating: 5, text: "x".repeat(32) })
+      ).to.throw("31 bytes");
+      expect(() =>
+        encodeFeedback({
+          rating: 5,
+          text: "hi",
+          contentHash: ethers.constants.HashZero,
+        })
+      ).to.throw("both text and a content hash");
+    });
+
+    it("Should reject words that don't follow the schema", function () {
+      expect(() => decodeFeedback(9876, 5432)).to.throw(
+        "Unsupported feedback schema version"
+      );
+      expect(() => decodeFeedback(1, 0)).to.throw("rating");
+
+      const [p1] = encodeFeedback({ rating: 5 });
+      expect(() =>
+        decodeFeedback(p1.or(ethers.BigNumber.from(1).shl(200)), 0)
+      ).to.throw("reserved bits");
+      expect(() => decodeFeedback(p1, 1)).to.throw("content type");
+    });
+  });
+
+  describe("PrivateFeedbackClient", function () {
+    let ownerClient, userClient;
+
+    beforeEach(async function () {
+      ownerClient = new PrivateFeedbackClient(privateFeedback.address, owner);
+      userClient = ownerClient.connect(user1);
+      // Reading feedback requires the owner's sign-in
+      await ownerClient.signIn();
+    });
+
+    it("Should register and list services", async function () {
+      const serviceId = await ownerClient.registerService({
+        name: "Coffee shop",
+        description: "Main street",
+      });
+      await ownerClient.registerService([12345, 67890]);
+
+      expect(serviceId).to.equal(1);
+
+      const services = await ownerClient.listServicesByOwner(owner.address);
+      expect(services.map(({ id }) => id.toNumber())).to.deep.equal([1, 2]);
+      expect(services[0].name).to.equal("Coffee shop");
+      expect(services[0].description).to.equal("Main street");
+      expect(services[1].metadata_p1).to.equal(12345);
+    });
+
+    it("Should manage a service's lifecycle", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+
+      await ownerClient.updateServiceMetadata(serviceId, {
+        name: "Coffee shop",
+        description: "Main street",
+      });
+      await ownerClient.transferServiceOwnership(serviceId, user1.address);
+
+      let service = await ownerClient.getService(serviceId);
+      expect(service.name).to.equal("Coffee shop");
+      expect(service.owner).to.equal(owner.address);
+      expect(service.pendingOwner).to.equal(user1.address);
+      expect(service.status).to.equal("active");
+
+      await userClient.acceptServiceOwnership(serviceId);
+      await userClient.pauseService(serviceId);
+
+      service = await ownerClient.getService(serviceId);
+      expect(service.owner).to.equal(user1.address);
+      expect(service.pendingOwner).to.equal(ethers.constants.AddressZero);
+      expect(service.status).to.equal("paused");
+
+      await userClient.resumeService(serviceId);
+      await userClient.transferServiceOwnership(serviceId, owner.address);
+      await userClient.cancelServiceOwnershipTransfer(serviceId);
+      await userClient.closeService(serviceId);
+
+      service = await ownerClient.getService(serviceId);
+      expect(service.pendingOwner).to.equal(ethers.constants.AddressZero);
+      expect(service.status).to.equal("closed");
+    });
+
+    it("Should delegate roles to staff accounts", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+
+      await ownerClient.grantRole(serviceId, "admin", user1.address);
+      await userClient.grantRole(serviceId, "treasurer", user2.address);
+      await userClient.grantRole(serviceId, "analyst", user2.address);
+
+      expect(
+        await ownerClient.hasRole(serviceId, "treasurer", user2.address)
+      ).to.equal(true);
+      expect(await ownerClient.listRoles(serviceId)).to.deep.equal({
+        admin: [user1.address],
+        attester: [],
+        analyst: [user2.address],
+        treasurer: [user2.address],
+        responder: [],
+      });
+
+      await userClient.revokeRole(serviceId, "analyst", user2.address);
+      expect(await ownerClient.getRoleMembers(serviceId, "analyst")).to.be
+        .empty;
+      await expect(
+        ownerClient.grantRole(serviceId, "owner", user2.address)
+      ).to.be.rejectedWith(
+        'Unknown role "owner", use one of admin, attester, analyst, treasurer, responder'
+      );
+    });
+
+    it("Should send calls in batches that fit the gas limit", async function () {
+      const serviceIds = await ownerClient.registerServices(
+        [...Array(5).keys()].map((i) => ({ name: `Shop ${i}` })),
+        { maxGas: 300000 }
+      );
+      expect(serviceIds.map(Number)).to.deep.equal([1, 2, 3, 4, 5]);
+      expect((await ownerClient.getService(5)).name).to.equal("Shop 4");
+
+      const transactions = [];
+      const { receipts, failures } = await ownerClient.batch(
+        [1, 2, 3].map((serviceId) => ({
+          method: "pauseService",
+          args: [serviceId],
+        })),
+        { maxGas: 45000, onTransaction: (tx) => transactions.push(tx) }
+      );
+      expect(receipts).to.have.length(2);
+      expect(transactions).to.have.length(receipts.length);
+      expect(failures).to.be.empty;
+      expect((await ownerClient.getService(3)).status).to.equal("paused");
+    });
+
+    it("Should report the calls of a batch that fail", async function () {
+      await ownerClient.registerService({ name: "Shop" });
+      const calls = [
+        { method: "registerService", args: [1, 2] },
+        { method: "pauseService", args: [1] },
+      ];
+
+      // Nothing is sent when a call would revert the batch
+      await expect(userClient.batch(calls)).to.be.rejectedWith(
+        "Call 1 (pauseService) would fail: Only service owner or admins can manage the service"
+      );
+      expect(await userClient.listServicesByOwner(user1.address)).to.be.empty;
+
+      const { failures } = await userClient.batch(calls, {
+        allowFailures: true,
+      });
+      expect(failures).to.deep.equal([
+        {
+          index: 1,
+          reason: "Only service owner or admins can manage the service",
+        },
+      ]);
+      expect(
+        await userClient.listServicesByOwner(user1.address)
+      ).to.have.length(1);
+
+      await expect(
+        userClient.batch([{ method: "withdraw", args: [] }])
+      ).to.be.rejectedWith("Invalid call 0");
+
+      // The failing call is found when the calls are split across batches too
+      await expect(
+        userClient.batch([calls[0], calls[0], calls[0], ...calls], {
+          maxGas: 400000,
+        })
+      ).to.be.rejectedWith("Call 4 (pauseService) would fail");
+    });
+
+    it("Should record interactions and submit feedback", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+
+      expect(await userClient.hasInteraction(serviceId)).to.be.false;
+      const voucher = await ownerClient.issueVoucher(user1.address, serviceId);
+      await userClient.recordInteraction(serviceId, voucher);
+      expect(await userClient.hasInteraction(serviceId)).to.be.true;
+
+      await userClient.submitFeedback(serviceId, [9876, 5432]);
+
+      const service = await ownerClient.getService(serviceId);
+      expect(service.totalInteractions).to.equal(1);
+      expect(service.totalFeedbacks).to.equal(1);
+
+      const feedbacks = await ownerClient.getFeedbacks(serviceId);
+      expect(feedbacks).to.have.length(1);
+      expect(feedbacks[0].feedback_p1).to.equal(9876);
+      expect(feedbacks[0].feedback_p2).to.equal(5432);
+      expect(feedbacks[0].decoded).to.be.null;
+    });
+
+    it("Should submit and decode structured feedback", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      await userClient.recordInteraction(
+        serviceId,
+        await ownerClient.issueVoucher(user1.address, serviceId)
+      );
+
+      await userClient.submitFeedback(serviceId, {
+        rating: 5,
+        scores: { service: 4 },
+        tags: ["clean"],
+        text: "Spotless",
+      });
+
+      const [feedback] = await ownerClient.getFeedbacks(serviceId);
+      expect(feedback.decoded).to.deep.equal({
+        version: 1,
+        rating: 5,
+        scores: { service: 4 },
+        tags: ["clean"],
+        text: "Spotless",
+      });
+    });
+
+    it("Should mark edited feedback and read its history", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      await userClient.recordInteraction(
+        serviceId,
+        await ownerClient.issueVoucher(user1.address, serviceId)
+      );
+      await userClient.submitFeedback(serviceId, { rating: 2 });
+      await userClient.submitFeedback(serviceId, { rating: 4 });
+
+      const [feedback] = await ownerClient.getFeedbacks(serviceId);
+      expect(feedback.decoded.rating).to.equal(4);
+      expect(feedback.versions).to.equal(2);
+      expect(feedback.edited).to.be.true;
+
+      const history = await ownerClient.getFeedbackHistory(serviceId, 0);
+      expect(history.map(({ decoded }) => decoded.rating)).to.deep.equal([
+        2, 4,
+      ]);
+      expect(history[1].timestamp).to.be.at.least(history[0].timestamp);
+
+      await ownerClient.setEditPolicy(serviceId, "deny");
+      expect(await ownerClient.getEditPolicy(serviceId)).to.deep.equal({
+        policy: "deny",
+        window: 0,
+      });
+      await expect(
+        userClient.submitFeedback(serviceId, { rating: 5 })
+      ).to.be.rejectedWith("Feedback can't be edited");
+      await expect(
+        ownerClient.setEditPolicy(serviceId, "never")
+      ).to.be.rejectedWith('Unknown edit policy "never"');
+    });
+
+    it("Should list replies with the feedback they answer", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      await ownerClient.grantRole(serviceId, "responder", user2.address);
+      await userClient.recordInteraction(
+        serviceId,
+        await ownerClient.issueVoucher(user1.address, serviceId)
+      );
+      await userClient.submitFeedback(serviceId, { rating: 2 });
+
+      let [feedback] = await ownerClient.getFeedbacks(serviceId);
+      expect(feedback.reply).to.be.null;
+
+      const content = "Sorry about the wait, we've hired more staff.";
+      await ownerClient
+        .connect(user2)
+        .replyToFeedback(serviceId, 0, { text: "Sorry!", content });
+      await userClient.signIn();
+      const thread = await userClient.getReviewerThread(serviceId);
+      expect(thread.reply.text).to.equal("Sorry!");
+      expect(thread.reply.contentHash).to.equal(ethers.utils.id(content));
+      expect(thread.reply.author).to.equal(user2.address);
+      expect(thread.followUp).to.be.null;
+
+      await userClient.followUpOnReply(serviceId, { text: "Thanks" });
+      [feedback] = await ownerClient.getFeedbackPage(serviceId);
+      expect(feedback.reply.text).to.equal("Sorry!");
+      expect(feedback.followUp).to.deep.include({
+        text: "Thanks",
+        contentHash: ethers.constants.HashZero,
+        author: null,
+      });
+
+      // Anyone can read the replies, without the feedback they answer
+      await userClient.recordInteraction(
+        serviceId,
+        await ownerClient.issueVoucher(user1.address, serviceId)
+      );
+      await userClient.submitFeedback(serviceId, { rating: 4 });
+      expect(
+        await ownerClient.connect(ethers.provider).getReplies(serviceId)
+      ).to.deep.equal([
+        { position: 0, reply: feedback.reply, followUp: feedback.followUp },
+      ]);
+
+      expect(() => encodeReply({ text: "x".repeat(32) })).to.throw(
+        "Reply text must be at most 31 bytes of UTF-8"
+      );
+      expect(
+        decodeReply({
+          contentHash: ethers.constants.HashZero,
+          text: ethers.constants.HashZero,
+          author: ethers.constants.AddressZero,
+          timestamp: 0,
+        })
+      ).to.be.null;
+    });
+
+    it("Should flag feedback and settle disputes", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      await userClient.recordInteraction(
+        serviceId,
+        await ownerClient.issueVoucher(user1.address, serviceId)
+      );
+      await userClient.submitFeedback(serviceId, { rating: 1, text: "Meh" });
+
+      await expect(
+        ownerClient.flagFeedback(serviceId, 0, "rude")
+      ).to.be.rejectedWith(
+        'Unknown flag reason "rude", use one of spam, abuse, off-topic, personal-data, other'
+      );
+      await ownerClient.flagFeedback(serviceId, 0, "off-topic");
+
+      let [feedback] = await ownerClient.getFeedbacks(serviceId);
+      expect(feedback.hidden).to.be.true;
+      expect(feedback.flag).to.deep.include({
+        status: "flagged",
+        reason: "off-topic",
+        position: 0,
+        disputeId: null,
+      });
+      const service = await ownerClient.getService(serviceId);
+      expect(service.totalFeedbacks).to.equal(0);
+      expect(service.feedbackEntries).to.equal(1);
+
+      await userClient.signIn();
+      expect(await userClient.contestFlag(serviceId)).to.equal(1);
+      expect((await userClient.getReviewerFlag(serviceId)).status).to.equal(
+        "contested"
+      );
+
+      expect(await ownerClient.getArbiter()).to.equal(owner.address);
+      const [dispute] = await ownerClient.getDisputes();
+      expect(dispute).to.deep.include({
+        disputeId: 1,
+        position: 0,
+        status: "contested",
+        reason: "off-topic",
+      });
+      expect(dispute.decoded.text).to.equal("Meh");
+
+      await ownerClient.resolveDispute(1, false);
+      [feedback] = await ownerClient.getFeedbackPage(serviceId);
+      expect(feedback.hidden).to.be.false;
+      expect(feedback.flag.status).to.equal("overturned");
+    });
+
+    it("Should issue vouchers through authorised attesters", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      await ownerClient.setAttester(serviceId, user2.address, true);
+      expect(await ownerClient.isAttester(serviceId, user2.address)).to.be.true;
+
+      const voucher = await ownerClient
+        .connect(user2)
+        .issueVoucher(user1.address, serviceId);
+      expect(
+        verifyVoucher(await ownerClient.getDomain(), voucher, user2.address)
+      ).to.be.true;
+      expect(voucher.signer).to.equal(user2.address);
+
+      await userClient.recordInteraction(serviceId, voucher);
+      expect(await userClient.hasInteraction(serviceId)).to.be.true;
+
+      // Vouchers carrying only the v/r/s components of their signature
+      const { signature, ...components } = await ownerClient
+        .connect(user2)
+        .issueVoucher(user1.address, serviceId);
+      await userClient.recordInteraction(serviceId, components);
+      expect(
+        (await userClient.getInteractionCount(serviceId)).toNumber()
+      ).to.equal(2);
+    });
+
+    it("Should sign with the user's current nonce", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      expect(await userClient.getNonce(user1.address)).to.equal(0);
+
+      await userClient.recordInteraction(
+        serviceId,
+        await ownerClient.issueVoucher(user1.address, serviceId)
+      );
+      await userClient.submitFeedback(serviceId, { rating: 4 });
+
+      expect(await userClient.getNonce(user1.address)).to.equal(2);
+    });
+
+    it("Should submit feedback for a chosen interaction", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      for (let i = 0; i < 2; i++) {
+        await userClient.recordInteraction(
+          serviceId,
+          await ownerClient.issueVoucher(user1.address, serviceId)
+        );
+      }
+      expect(await userClient.getInteractionCount(serviceId)).to.equal(2);
+
+      await userClient.submitFeedback(serviceId, { rating: 2 });
+      await userClient.submitFeedback(
+        serviceId,
+        { rating: 5 },
+        { interactionIndex: 0 }
+      );
+
+      // Feedback is listed in the order it was first submitted
+      const feedbacks = await ownerClient.getFeedbacks(serviceId);
+      expect(feedbacks.map(({ decoded }) => decoded.rating)).to.deep.equal([
+        2, 5,
+      ]);
+    });
+
+    it("Should page through services and feedback", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      await ownerClient.registerService({ name: "Bakery" });
+      for (let rating = 1; rating <= 3; rating++) {
+        await userClient.recordInteraction(
+          serviceId,
+          await ownerClient.issueVoucher(user1.address, serviceId)
+        );
+        await userClient.submitFeedback(serviceId, { rating });
+      }
+      await userClient.recordInteraction(
+        serviceId,
+        await ownerClient.issueVoucher(user1.address, serviceId)
+      );
+
+      const services = await ownerClient.listServicesByOwner(owner.address, {
+        pageSize: 1,
+      });
+      expect(services.map(({ name }) => name)).to.deep.equal([
+        "Shop",
+        "Bakery",
+      ]);
+
+      const feedbacks = await ownerClient.getFeedbacks(serviceId, {
+        pageSize: 2,
+      });
+      expect(feedbacks.map(({ decoded }) => decoded.rating)).to.deep.equal([
+        1, 2, 3,
+      ]);
+      const page = await ownerClient.getFeedbackPage(serviceId, {
+        offset: 1,
+        limit: 1,
+      });
+      expect(page.map(({ decoded }) => decoded.rating)).to.deep.equal([2]);
+
+      const interactions = await ownerClient.getInteractionFeedbackPage(
+        serviceId,
+        { offset: 2 }
+      );
+      expect(interactions[0].decoded.rating).to.equal(3);
+      expect(interactions[1]).to.equal(null);
+    });
+
+    it("Should sign in to read feedback", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      await userClient.recordInteraction(
+        serviceId,
+        await ownerClient.issueVoucher(user1.address, serviceId)
+      );
+      await userClient.submitFeedback(serviceId, { rating: 3 });
+
+      await expect(userClient.getFeedbacks(serviceId)).to.be.rejectedWith(
+        "A sign-in is required to read feedback"
+      );
+      await userClient.signIn();
+      await expect(userClient.getFeedbacks(serviceId)).to.be.rejectedWith(
+        "Not authorised to read feedback"
+      );
+
+      // Sign-ins are JSON-friendly and work without a signer
+      const signIn = JSON.parse(JSON.stringify(await ownerClient.signIn()));
+      const readOnlyClient = new PrivateFeedbackClient(
+        privateFeedback.address,
+        ethers.provider,
+        { signIn }
+      );
+      const [feedback] = await readOnlyClient.getFeedbacks(serviceId);
+      expect(feedback.decoded.rating).to.equal(3);
+
+      await ownerClient.setAnalyst(serviceId, user1.address, true);
+      expect(await userClient.isAnalyst(serviceId, user1.address)).to.be.true;
+      expect(await userClient.getFeedbacks(serviceId)).to.have.length(1);
+    });
+
+    it("Should read service stats", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      await ownerClient.setStatsThreshold(serviceId, 3);
+
+      const reviewers = (await ethers.getSigners()).slice(3, 6);
+      for (const [index, reviewer] of reviewers.entries()) {
+        const client = ownerClient.connect(reviewer);
+        await client.recordInteraction(
+          serviceId,
+          await ownerClient.issueVoucher(reviewer.address, serviceId)
+        );
+        await client.submitFeedback(serviceId, {
+          rating: [5, 4, 5][index],
+          tags: ["friendly"],
+        });
+      }
+
+      expect(await userClient.getServiceStats(serviceId)).to.deep.equal({
+        published: true,
+        threshold: 3,
+        reviewers: 3,
+        ratingCount: 3,
+        ratingSum: 14,
+        averageRating: 14 / 3,
+        ratingHistogram: [0, 0, 0, 1, 2],
+      });
+    });
+
+    it("Should require an interaction to submit feedback", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+
+      await expect(
+        userClient.submitFeedback(serviceId, { rating: 5 })
+      ).to.be.rejectedWith("No interaction recorded for this service");
+    });
+
+    it("Should reward feedback and claim the rewards", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      await userClient.recordInteraction(
+        serviceId,
+        await ownerClient.issueVoucher(user1.address, serviceId)
+      );
+      await userClient.submitFeedback(serviceId, { rating: 5 });
+
+      await ownerClient.rewardFeedback(serviceId, 100);
+      // The range covers one interaction, so nothing is left over
+      await ownerClient.rewardFeedback(serviceId, 50, { start: 0, end: 1 });
+      expect(await userClient.getClaimableRewards()).to.equal(150);
+      expect(await ownerClient.getClaimableRewards()).to.equal(0);
+
+      const balance = await ethers.provider.getBalance(privateFeedback.address);
+      await userClient.claimRewards();
+      expect(
+        balance.sub(await ethers.provider.getBalance(privateFeedback.address))
+      ).to.equal(150);
+      expect(await userClient.getClaimableRewards()).to.equal(0);
+    });
+
+    it("Should reward feedback in tokens and list rewards per asset", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Loyalty", "LOY");
+      await token.mint(owner.address, 1000);
+
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      await userClient.recordInteraction(
+        serviceId,
+        await ownerClient.issueVoucher(user1.address, serviceId)
+      );
+      await userClient.submitFeedback(serviceId, { rating: 5 });
+
+      // The client approves the contract before paying
+      await ownerClient.rewardFeedback(serviceId, 30, { token: token.address });
+      await ownerClient.rewardFeedback(serviceId, 10, {
+        token: token.address,
+        start: 0,
+        end: 1,
+      });
+      await ownerClient.rewardFeedback(serviceId, 5);
+
+      expect(await userClient.getClaimableRewards(token.address)).to.equal(40);
+      const balances = await userClient.getRewardBalances();
+      expect(
+        balances.map(({ asset, amount }) => [asset, amount.toNumber()])
+      ).to.deep.equal([
+        [token.address, 40],
+        [ETH_ASSET, 5],
+      ]);
+      expect(await userClient.getAssetInfo(token.address)).to.deep.equal({
+        symbol: "LOY",
+        decimals: 18,
+      });
+      expect(await userClient.getAssetInfo(ETH_ASSET)).to.deep.equal({
+        symbol: "ETH",
+        decimals: 18,
+      });
+
+      await userClient.claimRewards({ token: token.address });
+      expect(await token.balanceOf(user1.address)).to.equal(40);
+    });
+
+    it("Should run reward campaigns", async function () {
+      const serviceId = await ownerClient.registerService({ name: "Shop" });
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const campaignId = await ownerClient.createRewardCampaign(serviceId, {
+        rewardAmount: 25,
+        maxRewards: 4,
+        expiry: timestamp + 3600,
+      });
+
+      await userClient.recordInteraction(
+        serviceId,
+        await ownerClient.issueVoucher(user1.address, serviceId)
+      );
+      await userClient.submitFeedback(serviceId, { rating: 4 });
+      expect(await userClient.getClaimableRewards()).to.equal(25);
+
+      const [campaign] = await ownerClient.listRewardCampaigns(serviceId);
+      expect(campaign.id).to.equal(campaignId);
+      expect(campaign.rewarded).to.equal(1);
+      expect(campaign.remainingBudget).to.equal(75);
+      expect(campaign.active).to.equal(true);
+
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ownerClient.reclaimRewardCampaign(campaignId);
+      const reclaimed = await ownerClient.getRewardCampaign(campaignId);
+      expect(reclaimed.remainingBudget).to.equal(0);
+      expect(reclaimed.active).to.equal(false);
+      expect(await ownerClient.getClaimableRewards()).to.equal(75);
+    });
+
+    it("Should require a voucher to record an interaction", async function () {
+      await expect(userClient.recordInteraction(1)).to.be.rejectedWith(
+        "An interaction voucher is required"
+      );
+    });
+
+    it("Should require a signer to send transactions", async function () {
+      const readOnly = ownerClient.connect(ethers.provider);
+
+      await expect(
+        readOnly.registerService({ name: "Shop" })
+      ).to.be.rejectedWith("A signer is required to register a service");
+    });
+  });
+
+  describe("Snapshots", function () {
+    let ownerClient, serviceId, snapshot;
+
+    beforeEach(async function () {
+      ownerClient = new PrivateFeedbackClient(privateFeedback.address, owner);
+      const deployment = await privateFeedback.deployTransaction.wait();
+      snapshot = createSnapshot({
+        address: privateFeedback.address,
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        fromBlock: deployment.blockNumber,
+      });
+
+      serviceId = await ownerClient.registerService({ name: "Shop" });
+      for (const user of [user1, user2]) {
+        const userClient = ownerClient.connect(user);
+        await userClient.recordInteraction(
+          serviceId,
+          await ownerClient.issueVoucher(user.address, serviceId)
+        );
+        await userClient.submitFeedback(serviceId, { rating: 4 });
+      }
+      await ownerClient.connect(user1).submitFeedback(serviceId, { rating: 5 });
+      await privateFeedback.rewardUsersForFeedback(serviceId, 10, {
+        value: 20,
+      });
+    });
+
+    it("Should replay events into a snapshot that matches the contract", async function () {
+      await syncSnapshot(ownerClient, snapshot, { blockRange: 2 });
+
+      expect(snapshot.lastBlock).to.equal(
+        await ethers.provider.getBlockNumber()
+      );
+      expect(snapshot.services[serviceId.toString()]).to.deep.equal({
+        owner: owner.address,
+        interactions: 2,
+        feedbacks: 2,
+        feedbackUpdates: 1,
+        hiddenFeedbacks: 0,
+        rewardedFeedbacks: 2,
+        rewardsPaid: { [ethers.constants.AddressZero]: "20" },
+      });
+      expect(await verifySnapshot(ownerClient, snapshot)).to.deep.equal([]);
+    });
+
+    it("Should resume from the snapshot's last block", async function () {
+      await syncSnapshot(ownerClient, snapshot);
+      await ownerClient.registerService({ name: "Other shop" });
+
+      await syncSnapshot(ownerClient, snapshot);
+
+      expect(Object.keys(snapshot.services)).to.have.length(2);
+      expect(snapshot.services[serviceId.toString()].interactions).to.equal(2);
+      expect(await verifySnapshot(ownerClient, snapshot)).to.deep.equal([]);
+    });
+
+    it("Should follow ownership transfers", async function () {
+      const otherId = await ownerClient.registerService({ name: "Other" });
+      await ownerClient.registerService({ name: "Third" });
+      // Moves the third service to the front of the owner's index
+      await ownerClient.transferServiceOwnership(serviceId, user1.address);
+      await ownerClient.connect(user1).acceptServiceOwnership(serviceId);
+
+      await syncSnapshot(ownerClient, snapshot);
+
+      expect(snapshot.services[serviceId.toString()].owner).to.equal(
+        user1.address
+      );
+      expect(snapshot.services[otherId.toString()].owner).to.equal(
+        owner.address
+      );
+      expect(await verifySnapshot(ownerClient, snapshot)).to.deep.equal([]);
+    });
+
+    it("Should count hidden feedback", async function () {
+      await ownerClient.flagFeedback(serviceId, 0, "spam");
+      await ownerClient.flagFeedback(serviceId, 1, "abuse");
+      await ownerClient.connect(user1).contestFlag(serviceId);
+      await ownerClient.resolveDispute(1, false);
+
+      await syncSnapshot(ownerClient, snapshot);
+
+      expect(snapshot.services[serviceId.toString()].hiddenFeedbacks).to.equal(
+        1
+      );
+      expect(await verifySnapshot(ownerClient, snapshot)).to.deep.equal([]);
+    });
+
+    it("Should report snapshots that don't match the contract", async function () {
+      await syncSnapshot(ownerClient, snapshot);
+      snapshot.services[serviceId.toString()].feedbacks = 3;
+
+      expect(await verifySnapshot(ownerClient, snapshot)).to.deep.equal([
+        `Service ${serviceId} feedbacks: contract has 2, snapshot has 3`,
+      ]);
+    });
+  });
+});
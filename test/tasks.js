@@ -0,0 +1,400 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployPrivateFeedback } = require("../tasks/deployments");
+
+describe("pf:* tasks", function () {
+  let address, owner, user1, log, output;
+
+  beforeEach(async function () {
+    [owner, user1] = await hre.ethers.getSigners();
+
+    ({
+      contract: { address },
+    } = await deployPrivateFeedback(hre.ethers));
+
+    // The tasks print their results, capture them instead
+    output = [];
+    log = console.log;
+    console.log = (...args) => output.push(args.join(" "));
+  });
+
+  afterEach(function () {
+    console.log = log;
+  });
+
+  // The in-process Hardhat network has no deployment file, so the contract
+  // is always given with --address.
+  function run(name, args = {}) {
+    return hre.run(`pf:${name}`, { address, ...args });
+  }
+
+  it("Should register and list services", async function () {
+    const serviceId = await run("register-service", {
+      name: "Coffee shop",
+      description: "Main street",
+    });
+    await run("register-service", { metadata: "12345,67890" });
+
+    const services = await run("services", { owner: owner.address });
+
+    expect(serviceId).to.equal(1);
+    expect(services.map(({ name }) => name)).to.deep.equal([
+      "Coffee shop",
+      "12345",
+    ]);
+    expect(output).to.include(
+      "#1 Coffee shop - Main street (0 interactions, 0 feedbacks)"
+    );
+  });
+
+  it("Should update, transfer, pause and close services", async function () {
+    const serviceId = (
+      await run("register-service", { name: "Shop" })
+    ).toNumber();
+
+    await run("update-service", { service: serviceId, name: "Coffee shop" });
+    await run("transfer-service", { service: serviceId, to: user1.address });
+    expect(output).to.include(
+      `Service ${serviceId} is offered to ${user1.address}`
+    );
+    await run("accept-service", { service: serviceId, from: "1" });
+    await run("service-status", {
+      service: serviceId,
+      status: "pause",
+      from: "1",
+    });
+    expect(output).to.include(`Service ${serviceId} is paused`);
+
+    const services = await run("services", { owner: user1.address });
+    expect(output).to.include(
+      `#${serviceId} Coffee shop (0 interactions, 0 feedbacks) [paused]`
+    );
+    expect(services[0].owner).to.equal(user1.address);
+
+    await run("service-status", {
+      service: serviceId,
+      status: "close",
+      from: "1",
+    });
+    await expect(
+      run("service-status", { service: serviceId, status: "resume", from: "1" })
+    ).to.be.rejectedWith("Service closed");
+    await expect(
+      run("service-status", { service: serviceId, status: "delete" })
+    ).to.be.rejectedWith('Unknown status change "delete"');
+  });
+
+  it("Should register services and send calls in batches", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pf-tasks-"));
+    const writeJson = (name, value) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, JSON.stringify(value));
+      return file;
+    };
+
+    const serviceIds = await run("register-services", {
+      file: writeJson("services.json", [
+        { name: "Coffee shop" },
+        { name: "Bakery", description: "Market square" },
+      ]),
+    });
+    expect(serviceIds.map(Number)).to.deep.equal([1, 2]);
+    expect(output).to.include("Registered services 1, 2");
+
+    const calls = writeJson("calls.json", [
+      { method: "pauseService", args: [1] },
+      { method: "pauseService", args: [3] },
+      { method: "grantRole", args: [2, 2, user1.address] },
+    ]);
+    await expect(run("batch", { file: calls })).to.be.rejectedWith(
+      "Call 1 (pauseService) would fail"
+    );
+
+    const { failures } = await run("batch", {
+      file: calls,
+      allowFailures: true,
+    });
+    expect(failures.map(({ index }) => index)).to.deep.equal([1]);
+    expect(output).to.include("Sent 2 of 3 calls in 1 transaction(s)");
+    expect(
+      (await run("services", { owner: owner.address }))[0].status
+    ).to.equal("paused");
+
+    await expect(
+      run("batch", { file: writeJson("bad.json", { method: "closeService" }) })
+    ).to.be.rejectedWith("must hold a JSON list");
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it("Should grant, list and revoke roles", async function () {
+    const serviceId = (
+      await run("register-service", { name: "Shop" })
+    ).toNumber();
+
+    await run("role", {
+      service: serviceId,
+      role: "treasurer",
+      account: user1.address,
+    });
+    expect(output).to.include(
+      `${user1.address} is now treasurer of service ${serviceId}`
+    );
+
+    const roles = await run("roles", { service: serviceId });
+    expect(roles.treasurer).to.deep.equal([user1.address]);
+    expect(output).to.include(`owner: ${owner.address}`);
+    expect(output).to.include(`treasurer: ${user1.address}`);
+    expect(output).to.include("admin: -");
+
+    await run("role", {
+      service: serviceId,
+      role: "treasurer",
+      account: user1.address,
+      revoke: true,
+    });
+    expect((await run("roles", { service: serviceId })).treasurer).to.be.empty;
+    await expect(
+      run("role", {
+        service: serviceId,
+        role: "cashier",
+        account: user1.address,
+      })
+    ).to.be.rejectedWith('Unknown role "cashier"');
+  });
+
+  it("Should run the interaction, feedback and reward flow", async function () {
+    const serviceId = await run("register-service", { name: "Shop" });
+    const voucher = await run("voucher", {
+      service: serviceId.toNumber(),
+      user: user1.address,
+    });
+
+    await run("interact", {
+      service: serviceId.toNumber(),
+      voucher: JSON.stringify(voucher),
+      from: "1",
+    });
+    await run("feedback", {
+      service: serviceId.toNumber(),
+      rating: 4,
+      scores: "quality=5,speed=3",
+      tags: "friendly,fast",
+      text: "Nice",
+      from: user1.address,
+    });
+    const feedbacks = await run("feedbacks", { service: serviceId.toNumber() });
+
+    expect(feedbacks[0].decoded).to.deep.equal({
+      version: 1,
+      rating: 4,
+      scores: { quality: 5, speed: 3 },
+      tags: ["friendly", "fast"],
+      text: "Nice",
+    });
+    expect(output).to.include(
+      '1. rating 4/5; quality 5/5; speed 3/5; tags: friendly, fast; "Nice"'
+    );
+
+    await run("reward", { service: serviceId.toNumber(), amount: "0.5" });
+    expect(output).to.include("Credited 0.5 ETH for each of 1 feedbacks");
+
+    const claimed = await run("claim", { from: "1" });
+    expect(claimed).to.equal(hre.ethers.utils.parseEther("0.5"));
+    expect(output).to.include("Claimed 0.5 ETH");
+
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Loyalty", "LOY");
+    await token.mint(owner.address, hre.ethers.utils.parseEther("10"));
+
+    await run("reward", {
+      service: serviceId.toNumber(),
+      amount: "2",
+      token: token.address,
+    });
+    expect(output).to.include("Credited 2 LOY for each of 1 feedbacks");
+
+    await run("claim", { from: "1", token: token.address });
+    expect(output).to.include("Claimed 2.0 LOY");
+    expect(await token.balanceOf(user1.address)).to.equal(
+      hre.ethers.utils.parseEther("2")
+    );
+  });
+
+  it("Should reply to feedback and follow up", async function () {
+    const service = (
+      await run("register-service", { name: "Shop" })
+    ).toNumber();
+    const voucher = await run("voucher", { service, user: user1.address });
+    await run("interact", {
+      service,
+      voucher: JSON.stringify(voucher),
+      from: "1",
+    });
+    await run("feedback", { service, rating: 2, from: "1" });
+
+    await run("reply", { service, entry: 1, text: "Sorry" });
+    await run("follow-up", { service, text: "Thanks", from: "1" });
+    await expect(
+      run("follow-up", { service, text: "Again", from: "1" })
+    ).to.be.rejectedWith("Reply already followed up");
+
+    await run("feedbacks", { service });
+    expect(output).to.include(`   Reply: "Sorry"; by ${owner.address}`);
+    expect(output).to.include('   Follow-up: "Thanks"');
+  });
+
+  it("Should flag feedback and resolve disputes", async function () {
+    const service = (
+      await run("register-service", { name: "Shop" })
+    ).toNumber();
+    const voucher = await run("voucher", { service, user: user1.address });
+    await run("interact", {
+      service,
+      voucher: JSON.stringify(voucher),
+      from: "1",
+    });
+    await run("feedback", { service, rating: 1, from: "1" });
+
+    await expect(
+      run("flag", { service, entry: 1, reason: "rude" })
+    ).to.be.rejectedWith('Unknown flag reason "rude"');
+    await run("flag", { service, entry: 1, reason: "spam" });
+    expect(await run("contest", { service, from: "1" })).to.equal(1);
+
+    const disputes = await run("disputes", { open: true });
+    expect(disputes).to.have.length(1);
+    expect(output).to.include(
+      "1. Service 1, entry 1, spam, contested: rating 1/5"
+    );
+
+    await run("resolve", { dispute: 1, uphold: true });
+    expect(output).to.include("Upheld the flag of dispute 1");
+    expect(await run("disputes", { open: true })).to.be.empty;
+
+    await run("feedbacks", { service });
+    expect(output).to.include("   Flagged as spam, upheld (dispute 1)");
+  });
+
+  it("Should run reward campaigns", async function () {
+    const serviceId = (
+      await run("register-service", { name: "Shop" })
+    ).toNumber();
+    const campaignId = await run("campaign", {
+      service: serviceId,
+      amount: "0.1",
+      max: 3,
+      days: 1,
+    });
+    expect(output).to.include(
+      `Started campaign ${campaignId}: 0.1 ETH for each of up to 3 reviewers`
+    );
+
+    await run("interact", {
+      service: serviceId,
+      voucher: JSON.stringify(
+        await run("voucher", { service: serviceId, user: user1.address })
+      ),
+      from: "1",
+    });
+    await run("feedback", { service: serviceId, rating: 5, from: "1" });
+    await run("campaigns", { service: serviceId });
+    expect(output).to.include(
+      `#${campaignId} 0.1 ETH per reviewer, 1/3 rewarded, 0.2 ETH left`
+    );
+
+    await hre.network.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+    const amount = await run("reclaim", { campaign: campaignId.toNumber() });
+    expect(amount).to.equal(hre.ethers.utils.parseEther("0.2"));
+    expect(output).to.include("Reclaimed 0.2 ETH, withdraw it with pf:claim");
+  });
+
+  it("Should only list feedback for the owner and analysts", async function () {
+    const serviceId = (
+      await run("register-service", { name: "Shop" })
+    ).toNumber();
+
+    await expect(
+      run("feedbacks", { service: serviceId, from: "1" })
+    ).to.be.rejectedWith("Not authorised to read feedback");
+
+    await run("analyst", { service: serviceId, account: user1.address });
+    expect(output).to.include(
+      `${user1.address} can now read the feedback of service ${serviceId}`
+    );
+    expect(
+      await run("feedbacks", { service: serviceId, from: "1" })
+    ).to.deep.equal([]);
+  });
+
+  it("Should print service stats once they're published", async function () {
+    const serviceId = (
+      await run("register-service", { name: "Shop" })
+    ).toNumber();
+
+    const stats = await run("stats", { service: serviceId });
+    expect(stats.published).to.equal(false);
+    expect(output).to.include(
+      `Service ${serviceId}'s stats are published once 5 users reviewed it`
+    );
+  });
+
+  it("Should export a deployment's state and import it into another", async function () {
+    const target = (
+      await deployPrivateFeedback(hre.ethers, owner, { importing: true })
+    ).contract.address;
+    const file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "pf-tasks-")),
+      "state.json"
+    );
+    await run("register-service", { name: "Coffee shop" });
+    await run("role", {
+      service: 1,
+      role: "analyst",
+      account: user1.address,
+    });
+    await run("allow-migration", { service: 1 });
+    expect(output).to.include("The migrator can now export service 1");
+
+    await expect(run("export-state", { out: file })).to.be.rejectedWith(
+      "Set PF_STATE_PASSPHRASE"
+    );
+    process.env.PF_STATE_PASSPHRASE = "correct horse";
+    await run("export-state", { out: file });
+    expect(output).to.include(
+      `Exported 1 services of ${address} at block ${await hre.ethers.provider.getBlockNumber()} to ${file}`
+    );
+    // The reviewers and staff aren't readable without the passphrase
+    expect(fs.readFileSync(file, "utf8")).to.not.include(user1.address);
+    process.env.PF_STATE_PASSPHRASE = "wrong horse";
+    await expect(
+      run("verify-state", { address: target, file })
+    ).to.be.rejectedWith("check the passphrase");
+    process.env.PF_STATE_PASSPHRASE = "correct horse";
+    await run("import-state", { address: target, file, finish: true });
+    expect(output).to.include(`${target} holds the 1 services of ${address}`);
+    expect(output).to.include("Finished the import");
+
+    await run("register-service", { address: target, name: "Bakery" });
+    await run("allow-migration", { address: target, service: 2 });
+    await expect(
+      run("verify-state", { address: target, file })
+    ).to.be.rejectedWith(`${target} doesn't hold the state of ${address}`);
+    delete process.env.PF_STATE_PASSPHRASE;
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+
+  it("Should require a deployment", async function () {
+    await expect(hre.run("pf:services", { from: "0" })).to.be.rejectedWith(
+      "deployments/hardhat.json not found"
+    );
+  });
+
+  it("Should reject unknown accounts", async function () {
+    await expect(run("services", { from: "100" })).to.be.rejectedWith(
+      "--from must be an address or an account index"
+    );
+  });
+});